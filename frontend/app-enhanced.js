@@ -14,7 +14,7 @@
     tree: '#2ca02c',
     bt: '#d62728',
     ann: '#9467bd',
-    xgboost: '#8c564b',
+    gbt: '#8c564b',
     ngs: '#17becf',
     qbr: '#bcbd22'
   };
@@ -277,6 +277,7 @@
   const enhancedState = {
     charts: {},
     allPredictions: [],
+    bankroll: null,
     isInitialized: false,
     analyticsLoaded: false,
     bettingLoaded: false
@@ -408,19 +409,19 @@
 
     const season = window.state.season;
     const predictions = [];
-    const seasonMetrics = window.seasonMetricsCache?.get(season);
+    const client = window.dataClient;
+    if (!client) return;
+    // Weeks come from the artifact manifest app.js loaded at startup.
+    const weeks = client.manifestSeason(season)?.prediction_weeks || [];
 
-    if (!seasonMetrics?.weeks) return;
-
-    for (const week of seasonMetrics.weeks) {
+    for (const week of weeks) {
       try {
-        const response = await fetch(`../artifacts/predictions_${season}_W${week.week}.json`);
-        if (response.ok) {
-          const weekPredictions = await response.json();
+        const weekPredictions = await client.predictions(season, week);
+        if (Array.isArray(weekPredictions)) {
           predictions.push(...weekPredictions);
         }
       } catch (e) {
-        console.warn(`Failed to load week ${week.week}:`, e);
+        console.warn(`Failed to load week ${week}:`, e);
       }
     }
 
@@ -647,7 +648,7 @@
     const container = document.getElementById('predictive-metrics-container');
     if (!container || enhancedState.allPredictions.length === 0) return;
 
-    const modelKeys = ['blended', 'logistic', 'tree', 'ann'];
+    const modelKeys = ['blended', 'logistic', 'tree', 'ann', 'gbt'];
     const metrics = {};
 
     modelKeys.forEach(modelKey => {
@@ -713,11 +714,110 @@
 
     if (enhancedState.allPredictions.length === 0) return;
 
+    await loadBankrollSimulation();
     renderROIDashboard();
     renderBetHistory();
     updateRiskMetrics();
   }
 
+  // Kelly bankroll simulation from the season's latest roi_analysis artifact
+  // (trainer/analysis.js simulateKellyStrategies); null when none was written.
+  async function loadBankrollSimulation() {
+    const client = window.dataClient;
+    const season = window.state?.season;
+    enhancedState.bankroll = null;
+    if (!client || !season) return;
+    const weeks = [...(client.manifestSeason(season)?.prediction_weeks || [])].sort((a, b) => b - a);
+    for (const week of weeks) {
+      if (!(await client.hasArtifact('roi_analysis', season, week))) continue;
+      try {
+        const analysis = await client.roiAnalysis(season, week);
+        if (analysis?.bankroll) {
+          enhancedState.bankroll = { season: Number(season), strategies: analysis.bankroll };
+        }
+      } catch (e) {
+        console.warn(`Failed to load ROI analysis for week ${week}:`, e);
+      }
+      return;
+    }
+  }
+
+  // Per staking mode, the simulated season with a bankroll curve
+  function bankrollSeries() {
+    const simulation = enhancedState.bankroll;
+    if (!simulation) return [];
+    return Object.entries(simulation.strategies)
+      .map(([staking, strategy]) => ({
+        staking,
+        startingBankroll: strategy?.starting_bankroll,
+        result: (strategy?.seasons || []).find(s => s.season === simulation.season)
+      }))
+      .filter(({ result }) => result?.curve?.length);
+  }
+
+  // The same chart as ROIDashboard.renderSimulatedBankroll, for this
+  // module-free script.
+  function renderKellyBankroll(ctx, series) {
+    const strategyColors = {
+      full: COLORS.danger,
+      fractional: COLORS.info,
+      capped: COLORS.success
+    };
+    const weeks = [...new Set(series.flatMap(({ result }) => result.curve.map(p => p.week)))]
+      .sort((a, b) => a - b);
+    const starting = series[0].startingBankroll;
+
+    return new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: weeks.map(w => (w === 0 ? 'Start' : `W${w}`)),
+        datasets: [
+          ...series.map(({ staking, result }) => ({
+            label: `${staking} Kelly`,
+            data: weeks.map(w => result.curve.find(p => p.week === w)?.bankroll ?? null),
+            borderColor: strategyColors[staking] ?? COLORS.info,
+            fill: false,
+            spanGaps: true,
+            tension: 0.1
+          })),
+          {
+            label: 'Starting bankroll',
+            data: weeks.map(() => starting),
+            borderColor: COLORS.reference,
+            borderDash: [5, 5],
+            borderWidth: 1,
+            fill: false,
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          title: { display: true, text: `Kelly Bankroll (${series[0].result.season})` },
+          tooltip: {
+            callbacks: {
+              afterLabel: (context) => {
+                const entry = series[context.datasetIndex];
+                if (!entry) return [];
+                return [
+                  `Max DD: ${(entry.result.max_drawdown * 100).toFixed(1)}%`,
+                  `Sharpe: ${entry.result.sharpe != null ? entry.result.sharpe.toFixed(2) : '—'}`
+                ];
+              }
+            }
+          }
+        },
+        scales: {
+          y: {
+            ticks: { callback: v => `$${v.toFixed(0)}` }
+          }
+        }
+      }
+    });
+  }
+
   function renderROIDashboard() {
     const roiData = DataTransformers.toROIData(enhancedState.allPredictions, 'blended');
 
@@ -787,6 +887,11 @@
 
       const best = roiData.reduce((b, d) => d.roi > b.roi ? d : b, roiData[0]);
       const ctx = bankrollCanvas.getContext('2d');
+      const series = bankrollSeries();
+      if (series.length) {
+        enhancedState.charts.bankroll = renderKellyBankroll(ctx, series);
+        return;
+      }
 
       enhancedState.charts.bankroll = new Chart(ctx, {
         type: 'line',
@@ -887,7 +992,13 @@
     const drawdownEl = document.getElementById('max-drawdown');
     const winRateEl = document.getElementById('win-rate');
 
-    if (sharpeEl) sharpeEl.textContent = (best.roi / 10).toFixed(2);
+    // The simulated fractional-Kelly season when there is one.
+    const kelly = bankrollSeries().find(entry => entry.staking === 'fractional')?.result;
+    if (kelly) {
+      maxDrawdown = kelly.max_drawdown;
+    }
+
+    if (sharpeEl) sharpeEl.textContent = kelly?.sharpe != null ? kelly.sharpe.toFixed(2) : (best.roi / 10).toFixed(2);
     if (drawdownEl) drawdownEl.textContent = `${(maxDrawdown * 100).toFixed(1)}%`;
     if (winRateEl) winRateEl.textContent = `${(best.winRate * 100).toFixed(1)}%`;
   }
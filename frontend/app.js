@@ -11,7 +11,7 @@ const DEFAULT_MODEL_CONFIG = [
   { key: "tree", label: "Decision Tree", color: "#2ca02c", metricsKey: "decision_tree" },
   { key: "bt", label: "Bradley–Terry", color: "#d62728" },
   { key: "ann", label: "Neural Network", color: "#9467bd" },
-  { key: "xgboost", label: "Gradient Boosting", color: "#8c564b" },
+  { key: "gbt", label: "Gradient Boosting", color: "#8c564b" },
   { key: "ngs", label: "Next Gen Stats", color: "#17becf" },
   { key: "qbr", label: "QBR Blend", color: "#bcbd22" },
 ];
@@ -36,6 +36,11 @@ const METRIC_LABELS = {
   logloss: "Log Loss",
 };
 
+// Static artifact files by default; the Worker API when configured (see dataClient.js).
+const dataClient = window.createDataClient();
+// Static files are memoized for the session; in api mode every load goes back
+// to the Worker, which the client revalidates with the cached ETag.
+const memoizeArtifacts = dataClient.mode !== "api";
 const artifactCache = new Map();
 const seasonMetricsCache = new Map();
 const historyCache = new Map();
@@ -53,6 +58,7 @@ const state = {
   activeTab: "predictions",
   featureQuery: "",
   history: null,
+  manifest: null,
 };
 
 const charts = {
@@ -268,45 +274,19 @@ function bindControls() {
   });
 }
 async function discoverSeasons() {
-  setStatus("Discovering available seasons…");
+  setStatus("Loading artifact manifest…");
   const currentYear = new Date().getFullYear();
-  const candidates = [];
-
-  // Check seasons in parallel for faster discovery
-  const checkPromises = [];
-  for (let season = 1999; season <= currentYear + 1; season += 1) {
-    checkPromises.push(
-      (async () => {
-        // First try season metrics file
-        const data = await fetchSeasonMetrics(season, { silent: true });
-        if (data) {
-          return season;
-        }
-        // Fallback: check if week 1 predictions exist
-        try {
-          const response = await fetch(`../artifacts/predictions_${season}_W01.json`, { method: 'HEAD' });
-          if (response.ok) {
-            return season;
-          }
-        } catch (e) {
-          // Ignore
-        }
-        return null;
-      })()
-    );
-  }
+  state.manifest = await fetchArtifact("manifest", () => dataClient.loadManifest(), { silent: true });
 
-  const results = await Promise.all(checkPromises);
-  results.forEach(season => {
-    if (season !== null) {
-      candidates.push(season);
-    }
-  });
+  // Seasons with predictions or season metrics, newest first.
+  const candidates = (state.manifest?.seasons ?? [])
+    .filter((entry) => entry.latest_week != null || entry.artifact_types?.includes("metrics"))
+    .map((entry) => entry.season);
 
   if (candidates.length === 0) {
     const fallback = currentYear - 1;
     candidates.push(fallback);
-    showToast("Season metrics were not located automatically; using fallback year.");
+    showToast("Artifact manifest was not found; using fallback year.");
   }
   candidates.sort((a, b) => b - a);
   seasonsSelect.innerHTML = "";
@@ -316,7 +296,8 @@ async function discoverSeasons() {
     option.textContent = season;
     seasonsSelect.append(option);
   });
-  state.season = candidates[0];
+  const latest = state.manifest?.latest?.season;
+  state.season = candidates.includes(latest) ? latest : candidates[0];
   seasonsSelect.value = String(state.season);
   await loadSeasonContext();
 }
@@ -329,24 +310,13 @@ async function loadSeasonContext() {
 
 async function populateWeekOptions(seasonMetrics) {
   weekSelect.innerHTML = "";
-  const maxWeeks = 23;
-
-  // Determine which weeks have predictions by checking files
-  const weekChecks = [];
-  for (let week = 1; week <= maxWeeks; week += 1) {
-    weekChecks.push(
-      fetch(`../artifacts/predictions_${state.season}_W${String(week).padStart(2, '0')}.json`, { method: 'HEAD' })
-        .then(r => r.ok ? week : null)
-        .catch(() => null)
-    );
-  }
-
-  const weekResults = await Promise.all(weekChecks);
-  const availableWeeks = weekResults.filter(w => w !== null);
+  const manifestEntry = dataClient.manifestSeason(state.season);
+  const availableWeeks = manifestEntry?.prediction_weeks ?? [];
+  const maxWeeks = Math.max(23, ...availableWeeks);
   const latestAvailableWeek = availableWeeks.length > 0 ? Math.max(...availableWeeks) : 1;
 
   // Use metrics latest_completed_week if available, otherwise use latest available
-  let latestCompletedWeek = seasonMetrics?.latest_completed_week ?? null;
+  let latestCompletedWeek = seasonMetrics?.latest_completed_week ?? manifestEntry?.latest_completed_week ?? null;
   if (!latestCompletedWeek && Array.isArray(seasonMetrics?.weeks)) {
     latestCompletedWeek = seasonMetrics.weeks.reduce((acc, week) => {
       const weekNum = Number(week?.week);
@@ -433,18 +403,14 @@ function loadExplanationsTab() {
 }
 
 async function loadHistoryTab() {
-  if (historyCache.has("global")) {
+  if (memoizeArtifacts && historyCache.has("global")) {
     state.history = historyCache.get("global");
     populateHistorySelectors();
     renderHistoryChart();
     return;
   }
   try {
-    const historyData = await fetchArtifact(
-      "metrics-history",
-      "../artifacts/metrics_history.json",
-      { silent: true }
-    );
+    const historyData = await fetchArtifact("metrics-history", () => dataClient.metricsHistory(), { silent: true });
     if (historyData) {
       state.history = historyData;
       historyCache.set("global", historyData);
@@ -495,39 +461,34 @@ function populateModelToggles() {
 
 async function fetchPredictions(season, week) {
   const slug = String(week).padStart(2, "0");
-  const url = `../artifacts/predictions_${season}_W${slug}.json`;
-  const data = await fetchArtifact(`predictions-${season}-${slug}`, url, { silent: true });
+  const data = await fetchArtifact(`predictions-${season}-${slug}`, () => dataClient.predictions(season, week), { silent: true });
   return Array.isArray(data) ? data : [];
 }
 
 async function fetchWeekMetrics(season, week) {
   const slug = String(week).padStart(2, "0");
-  const url = `../artifacts/metrics_${season}_W${slug}.json`;
-  const data = await fetchArtifact(`metrics-${season}-${slug}`, url, { silent: true });
+  const data = await fetchArtifact(`metrics-${season}-${slug}`, () => dataClient.weekMetrics(season, week), { silent: true });
   return data ?? null;
 }
 
 async function fetchDiagnostics(season, week) {
   const slug = String(week).padStart(2, "0");
-  const url = `../artifacts/diagnostics_${season}_W${slug}.json`;
-  const data = await fetchArtifact(`diagnostics-${season}-${slug}`, url, { silent: true });
+  const data = await fetchArtifact(`diagnostics-${season}-${slug}`, () => dataClient.diagnostics(season, week), { silent: true });
   return data ?? null;
 }
 
 async function fetchExplanations(season, week) {
   const slug = String(week).padStart(2, "0");
-  const url = `../artifacts/explain_${season}_W${slug}.json`;
-  const data = await fetchArtifact(`explain-${season}-${slug}`, url, { silent: true });
+  const data = await fetchArtifact(`explain-${season}-${slug}`, () => dataClient.explanations(season, week), { silent: true });
   return data ?? null;
 }
 
 async function fetchSeasonMetrics(season, options = {}) {
-  if (seasonMetricsCache.has(season)) {
+  if (memoizeArtifacts && seasonMetricsCache.has(season)) {
     return seasonMetricsCache.get(season);
   }
-  const url = `../artifacts/metrics_${season}.json`;
   try {
-    const data = await fetchArtifact(`metrics-${season}`, url, options);
+    const data = await fetchArtifact(`metrics-${season}`, () => dataClient.seasonMetrics(season), options);
     if (data) {
       seasonMetricsCache.set(season, data);
       return data;
@@ -541,26 +502,23 @@ async function fetchSeasonMetrics(season, options = {}) {
   return null;
 }
 
-async function fetchArtifact(cacheKey, url, options = {}) {
+// Load through the data client (static files or the Worker API), memoizing
+// static loads; a missing artifact resolves to null, a failed load is reported,
+// resolves to null and is retried on the next call.
+async function fetchArtifact(cacheKey, load, options = {}) {
   const { silent = false } = options;
-  if (artifactCache.has(cacheKey)) {
+  if (memoizeArtifacts && artifactCache.has(cacheKey)) {
     return artifactCache.get(cacheKey);
   }
   try {
-    const response = await fetch(url, { cache: "no-store" });
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-    const text = await response.text();
-    const data = JSON.parse(text);
-    artifactCache.set(cacheKey, data);
-    return data;
+    const data = await load();
+    if (memoizeArtifacts) artifactCache.set(cacheKey, data ?? null);
+    return data ?? null;
   } catch (error) {
-    console.warn(`Failed to fetch ${url}`, error);
+    console.warn(`Failed to load ${cacheKey}`, error);
     if (!silent) {
-      showToast(`Unable to load ${url.split("/").pop()} (${error.message}).`);
+      showToast(`Unable to load ${cacheKey} (${error.message}).`);
     }
-    artifactCache.set(cacheKey, null);
     return null;
   }
 }
@@ -910,6 +868,78 @@ function openPredictionModal(prediction) {
   modal.setAttribute("aria-hidden", "false");
   modal.classList.add("fade-in");
   modalClose?.focus();
+  appendGameContext(prediction);
+}
+
+// Game-status designations; season-long reserve lists (IR, PUP) are left out.
+const INJURY_STATUSES_SHOWN = new Set(["OUT", "DOUBTFUL", "QUESTIONABLE"]);
+let modalRequest = 0;
+
+// Venue, weather, market line and injury report for the game in the modal,
+// loaded after it opens; sections without data are left out.
+async function appendGameContext(prediction) {
+  const request = ++modalRequest;
+  const { home_team: home, away_team: away } = prediction;
+  if (!home || !away) return;
+  const [context, homeInjuries, awayInjuries] = await Promise.all([
+    dataClient.context(state.season, state.week, home),
+    dataClient.injuries(state.season, state.week, home),
+    dataClient.injuries(state.season, state.week, away)
+  ].map((load) => load.catch((error) => {
+    console.warn("Unable to load game context", error);
+    return null;
+  })));
+  if (request !== modalRequest || modal.getAttribute("aria-hidden") === "true") return;
+
+  const game = (context ?? []).find((row) => row?.home_team === home && row?.away_team === away)?.context;
+  const details = [];
+  if (game?.venue) {
+    details.push(`Venue: ${game.venue.is_dome ? "dome" : "outdoor"}${game.venue.surface ? `, ${game.venue.surface}` : ""}`);
+  }
+  if (game?.weather?.summary) {
+    const temperature = game.weather.temperature_f != null ? ` ${game.weather.temperature_f}°F` : "";
+    const wind = game.weather.wind_mph != null ? `, wind ${game.weather.wind_mph} mph` : "";
+    details.push(`Weather: ${game.weather.summary}${temperature}${wind}`);
+  }
+  if (game?.market?.spread != null || game?.market?.total != null) {
+    details.push(`Market: ${home} ${formatNumber(game.market.spread)} • total ${formatNumber(game.market.total)}`);
+  }
+  if (details.length > 0) {
+    const heading = document.createElement("h4");
+    heading.textContent = "Game context";
+    const list = document.createElement("ul");
+    details.forEach((text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      list.append(item);
+    });
+    modalBody.append(heading, list);
+  }
+
+  const injuryLines = [
+    [away, awayInjuries],
+    [home, homeInjuries]
+  ].flatMap(([team, rows]) => {
+    const players = new Map();
+    (rows ?? []).forEach((row) => {
+      const status = String(row?.status ?? "").toUpperCase();
+      if (row?.player && INJURY_STATUSES_SHOWN.has(status)) {
+        players.set(row.player, `${row.player} (${row.position ?? "?"}, ${row.status})`);
+      }
+    });
+    return players.size > 0 ? [`${team}: ${[...players.values()].join(", ")}`] : [];
+  });
+  if (injuryLines.length > 0) {
+    const heading = document.createElement("h4");
+    heading.textContent = "Injuries";
+    const list = document.createElement("ul");
+    injuryLines.forEach((text) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      list.append(item);
+    });
+    modalBody.append(heading, list);
+  }
 }
 
 function closeModal() {
@@ -1551,6 +1581,7 @@ window.state = state;
 window.charts = charts;
 window.DEFAULT_MODEL_CONFIG = DEFAULT_MODEL_CONFIG;
 window.seasonMetricsCache = seasonMetricsCache;
+window.dataClient = dataClient;
 window.renderPredictions = renderPredictions;
 window.loadWeekContext = loadWeekContext;
 window.showToast = showToast;
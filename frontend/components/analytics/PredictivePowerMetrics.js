@@ -325,7 +325,7 @@ export class PredictivePowerMetrics {
       tree: 'Tree',
       bt: 'B-T',
       ann: 'ANN',
-      xgboost: 'XGB'
+      gbt: 'GBT'
     };
     return names[key] || key;
   }
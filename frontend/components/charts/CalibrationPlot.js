@@ -284,7 +284,7 @@ export class CalibrationPlot {
       tree: 'Decision Tree',
       bt: 'Bradley-Terry',
       ann: 'Neural Network',
-      xgboost: 'Gradient Boosting'
+      gbt: 'Gradient Boosting'
     };
     return names[key] || key.charAt(0).toUpperCase() + key.slice(1);
   }
@@ -16,6 +16,7 @@ export class ROIDashboard {
       thresholds: null
     };
     this.data = null;
+    this.simulation = null;
     this.options = {
       initialBankroll: 1000,
       betSize: 100,
@@ -34,6 +35,35 @@ export class ROIDashboard {
     this.render();
   }
 
+  /**
+   * Load the Kelly bankroll simulation from a roi_analysis artifact
+   * (served by /analysis/roi)
+   * @param {Object} roiAnalysis - roi_analysis payload (or its `data` envelope)
+   * @param {number} season - Season to plot (defaults to the latest simulated)
+   */
+  loadSimulation(roiAnalysis, season = null) {
+    const bankroll = (roiAnalysis?.data ?? roiAnalysis)?.bankroll;
+    this.simulation = bankroll ? { strategies: bankroll, season } : null;
+    if (this.data) this.renderBankrollChart();
+  }
+
+  /**
+   * Per-strategy season results from the loaded simulation
+   * @returns {Array} [{ staking, result }]
+   */
+  getSimulationSeries() {
+    if (!this.simulation) return [];
+    return Object.entries(this.simulation.strategies)
+      .map(([staking, strategy]) => {
+        const seasons = strategy?.seasons || [];
+        const result = this.simulation.season != null
+          ? seasons.find(s => s.season === Number(this.simulation.season))
+          : seasons[seasons.length - 1];
+        return { staking, result };
+      })
+      .filter(({ result }) => result?.curve?.length);
+  }
+
   /**
    * Render all ROI dashboard charts
    */
@@ -130,6 +160,11 @@ export class ROIDashboard {
 
     const ctx = chartContainer.getContext('2d');
 
+    if (this.getSimulationSeries().length) {
+      this.renderSimulatedBankroll(ctx);
+      return;
+    }
+
     // Find best performing threshold
     const bestThreshold = this.data.reduce((best, d) =>
       d.roi > best.roi ? d : best, this.data[0]);
@@ -188,6 +223,88 @@ export class ROIDashboard {
     });
   }
 
+  /**
+   * Render Kelly bankroll curves (one line per staking mode) by week
+   */
+  renderSimulatedBankroll(ctx) {
+    const series = this.getSimulationSeries();
+    const strategyColors = {
+      full: COLORS.danger,
+      fractional: COLORS.info,
+      capped: COLORS.success
+    };
+    const weeks = [...new Set(series.flatMap(({ result }) => result.curve.map(p => p.week)))]
+      .sort((a, b) => a - b);
+    const starting = this.simulation.strategies[series[0].staking].starting_bankroll;
+
+    this.charts.bankroll = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: weeks.map(w => (w === 0 ? 'Start' : `W${w}`)),
+        datasets: [
+          ...series.map(({ staking, result }) => ({
+            label: `${staking} Kelly`,
+            data: weeks.map(w => result.curve.find(p => p.week === w)?.bankroll ?? null),
+            borderColor: strategyColors[staking] ?? COLORS.info,
+            backgroundColor: `${strategyColors[staking] ?? COLORS.info}20`,
+            fill: false,
+            spanGaps: true,
+            tension: 0.1
+          })),
+          {
+            label: 'Initial Bankroll',
+            data: weeks.map(() => starting),
+            borderColor: COLORS.reference,
+            borderDash: [5, 5],
+            borderWidth: 1,
+            fill: false,
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          title: {
+            display: true,
+            text: `Kelly Bankroll (${series[0].result.season})`,
+            font: { size: 14 }
+          },
+          tooltip: {
+            callbacks: {
+              afterLabel: (context) => {
+                const entry = series[context.datasetIndex];
+                if (!entry) return [];
+                return [
+                  `Max DD: ${(entry.result.max_drawdown * 100).toFixed(1)}%`,
+                  `Sharpe: ${entry.result.sharpe != null ? entry.result.sharpe.toFixed(2) : '—'}`
+                ];
+              }
+            }
+          }
+        },
+        scales: {
+          y: {
+            title: {
+              display: true,
+              text: 'Bankroll ($)'
+            },
+            ticks: {
+              callback: (v) => `$${v.toFixed(0)}`
+            }
+          },
+          x: {
+            title: {
+              display: true,
+              text: 'Week'
+            }
+          }
+        }
+      }
+    });
+  }
+
   /**
    * Render summary metric cards
    */
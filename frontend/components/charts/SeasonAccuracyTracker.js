@@ -254,7 +254,7 @@ export class SeasonAccuracyTracker {
       tree: 'Decision Tree',
       bt: 'Bradley-Terry',
       ann: 'Neural Network',
-      xgboost: 'Gradient Boosting'
+      gbt: 'Gradient Boosting'
     };
     return names[key] || key.charAt(0).toUpperCase() + key.slice(1);
   }
@@ -273,7 +273,7 @@ export class SeasonAccuracyTracker {
       tree: 'Decision Tree',
       bt: 'Bradley-Terry',
       ann: 'Neural Network',
-      xgboost: 'Gradient Boosting'
+      gbt: 'Gradient Boosting'
     }).find(([k, v]) => label.includes(v))?.[0];
 
     return key;
@@ -0,0 +1,265 @@
+/**
+ * NFL Prediction Dashboard - Data Client
+ * One interface over the two places dashboard data can come from:
+ *   - "static": artifact files served next to the dashboard (../artifacts/)
+ *   - "api":    the Worker REST API at a configurable base URL, revalidated
+ *               with ETags (If-None-Match -> 304 reuses the cached payload)
+ *
+ * Configuration, first match wins:
+ *   ?api=https://worker.example.dev       query parameter (?api=static forces files)
+ *   window.NFL_DASHBOARD_CONFIG = { mode, apiBase, artifactsBase }
+ *   <meta name="nfl-api-base" content="https://worker.example.dev">
+ * Without an API base the client reads static files, as before.
+ *
+ * Every method resolves to the artifact payload, or null when it does not
+ * exist (per the manifest when one is loaded, or a 404). The manifest is a
+ * top-level listing; a season's file list (manifest_<season>.json, or
+ * /manifest?season= from the Worker) is fetched the first time it is needed.
+ * Other failures reject with a DataClientError carrying the status and URL.
+ * Standalone script (no ES modules) for browser compatibility.
+ */
+
+(function(global) {
+  'use strict';
+
+  class DataClientError extends Error {
+    constructor(message, { status = null, url = null } = {}) {
+      super(message);
+      this.name = 'DataClientError';
+      this.status = status;
+      this.url = url;
+    }
+  }
+
+  const pad = (week) => String(week).padStart(2, '0');
+
+  function resolveConfig(options = {}) {
+    const config = { ...(global.NFL_DASHBOARD_CONFIG || {}), ...options };
+    const param = global.location ? new URLSearchParams(global.location.search).get('api') : null;
+    if (param === 'static') {
+      config.mode = 'static';
+    } else if (param) {
+      config.mode = 'api';
+      config.apiBase = param;
+    }
+    if (!config.apiBase && global.document) {
+      const meta = global.document.querySelector('meta[name="nfl-api-base"]');
+      if (meta?.content) config.apiBase = meta.content;
+    }
+    if (!config.mode) config.mode = config.apiBase ? 'api' : 'static';
+    if (config.mode === 'api' && !config.apiBase) {
+      throw new DataClientError('api mode requires an apiBase');
+    }
+    return {
+      mode: config.mode,
+      apiBase: config.apiBase ? String(config.apiBase).replace(/\/+$/, '') : null,
+      artifactsBase: String(config.artifactsBase || '../artifacts').replace(/\/+$/, ''),
+      fetch: config.fetch || global.fetch.bind(global)
+    };
+  }
+
+  async function readJson(response, url) {
+    try {
+      return await response.json();
+    } catch (error) {
+      throw new DataClientError(`Invalid JSON from ${url}`, { status: response.status, url });
+    }
+  }
+
+  async function errorMessage(response) {
+    try {
+      const body = await response.json();
+      if (body?.error) return body.error;
+    } catch (error) {
+      // Fall through to the status line.
+    }
+    return `HTTP ${response.status}`;
+  }
+
+  // Static files: a missing file is null; the manifest maps types to names.
+  function createStaticSource(config) {
+    return {
+      async get(file) {
+        const url = `${config.artifactsBase}/${file}`;
+        let response;
+        try {
+          response = await config.fetch(url, { cache: 'no-store' });
+        } catch (error) {
+          throw new DataClientError(`Network error loading ${url}: ${error.message}`, { url });
+        }
+        if (response.status === 404) return null;
+        if (!response.ok) {
+          throw new DataClientError(`Unable to load ${file} (HTTP ${response.status})`, { status: response.status, url });
+        }
+        return readJson(response, url);
+      }
+    };
+  }
+
+  // Worker API: payloads cached by URL with their ETag and revalidated.
+  function createApiSource(config) {
+    const cache = new Map();
+    return {
+      async get(pathAndQuery) {
+        const url = `${config.apiBase}${pathAndQuery}`;
+        const cached = cache.get(url);
+        const headers = { Accept: 'application/json' };
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        let response;
+        try {
+          response = await config.fetch(url, { headers });
+        } catch (error) {
+          throw new DataClientError(`Network error calling ${url}: ${error.message}`, { url });
+        }
+        if (response.status === 304 && cached) return cached.data;
+        if (response.status === 404) return null;
+        if (!response.ok) {
+          throw new DataClientError(await errorMessage(response), { status: response.status, url });
+        }
+        const data = await readJson(response, url);
+        const etag = response.headers.get('ETag');
+        if (etag) cache.set(url, { etag, data });
+        return data;
+      }
+    };
+  }
+
+  const query = (params) => {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value != null && value !== '') search.set(key, String(value));
+    }
+    const text = search.toString();
+    return text ? `?${text}` : '';
+  };
+
+  const forTeam = (rows, team, keys) => {
+    if (!team || !Array.isArray(rows)) return rows;
+    const code = String(team).toUpperCase();
+    return rows.filter((row) => keys.some((key) => String(row?.[key] || '').toUpperCase() === code));
+  };
+
+  function createDataClient(options = {}) {
+    const config = resolveConfig(options);
+    const source = config.mode === 'api' ? createApiSource(config) : createStaticSource(config);
+    const api = config.mode === 'api';
+    let manifest = null;
+    const seasonManifests = new Map();
+
+    // The listing's entry for a season: prediction weeks and artifact types.
+    function manifestSeason(season) {
+      return manifest?.seasons?.find((entry) => entry.season === Number(season)) ?? null;
+    }
+
+    // A season's files, fetched once per season; null for unlisted seasons.
+    function seasonManifest(season) {
+      const entry = manifestSeason(season);
+      if (!entry) return Promise.resolve(null);
+      if (!seasonManifests.has(entry.season)) {
+        const request = api
+          ? source.get(`/manifest${query({ season: entry.season })}`).then((body) => body?.data ?? null)
+          : source.get(entry.manifest);
+        // A failed request is retried on the next call rather than cached.
+        seasonManifests.set(entry.season, request.catch((error) => {
+          seasonManifests.delete(entry.season);
+          throw error;
+        }));
+      }
+      return seasonManifests.get(entry.season);
+    }
+
+    // The manifest's file for an artifact; null when the manifest lists none.
+    // Without a manifest, the conventional file name.
+    async function artifactFile(type, season, week = null) {
+      if (!manifest) {
+        return week == null ? `${type}_${season}.json` : `${type}_${season}_W${pad(week)}.json`;
+      }
+      if (!manifestSeason(season)?.artifact_types?.includes(type)) return null;
+      const entry = await seasonManifest(season);
+      const files = week == null
+        ? entry?.artifacts
+        : entry?.weeks?.find((item) => item.week === Number(week))?.artifacts;
+      return files?.[type]?.file ?? null;
+    }
+
+    // Every chunk of a paginated Worker listing (/injuries, /context).
+    async function paged(endpoint, params) {
+      const rows = [];
+      for (let chunk = 1; ; chunk += 1) {
+        const body = await source.get(`${endpoint}${query({ ...params, chunk, chunk_size: 500 })}`);
+        if (!body) return chunk === 1 ? null : rows;
+        rows.push(...(body.data || []));
+        if (!body.pagination?.has_next) return rows;
+      }
+    }
+
+    // Weekly artifact: the Worker wraps payloads as { season, week, data }.
+    async function weekly(type, endpoint, season, week) {
+      const file = await artifactFile(type, season, week);
+      if (!file) return null;
+      if (!api) return source.get(file);
+      const body = await source.get(`${endpoint}${query({ season, week })}`);
+      return body?.data ?? null;
+    }
+
+    return {
+      mode: config.mode,
+      apiBase: config.apiBase,
+      artifactsBase: config.artifactsBase,
+
+      async loadManifest() {
+        manifest = api ? await source.get('/manifest') : await source.get('manifest.json');
+        seasonManifests.clear();
+        return manifest;
+      },
+      get manifest() {
+        return manifest;
+      },
+      manifestSeason,
+      seasonManifest,
+      async hasArtifact(type, season, week = null) {
+        return manifest != null && (await artifactFile(type, season, week)) != null;
+      },
+
+      predictions(season, week) {
+        return weekly('predictions', '/predictions', season, week);
+      },
+      weekMetrics(season, week) {
+        return weekly('metrics', '/metrics/week', season, week);
+      },
+      diagnostics(season, week) {
+        return weekly('diagnostics', '/diagnostics', season, week);
+      },
+      explanations(season, week) {
+        return weekly('explain', '/explain', season, week);
+      },
+      roiAnalysis(season, week) {
+        return weekly('roi_analysis', '/analysis/roi', season, week);
+      },
+      async seasonMetrics(season) {
+        const file = await artifactFile('metrics', season);
+        if (!file) return null;
+        if (!api) return source.get(file);
+        const body = await source.get(`/metrics/season${query({ season })}`);
+        return body?.data ?? null;
+      },
+      metricsHistory() {
+        return api ? source.get(`/artifact${query({ path: 'metrics_history.json' })}`) : source.get('metrics_history.json');
+      },
+      // Filtered server-side in api mode; the same filter on the file otherwise.
+      async injuries(season, week, team = null) {
+        if (api) return paged('/injuries', { season, week, team });
+        const file = await artifactFile('injuries', season, week);
+        return file ? forTeam(await source.get(file), team, ['team']) : null;
+      },
+      async context(season, week, team = null) {
+        if (api) return paged('/context', { season, week, team });
+        const file = await artifactFile('context', season, week);
+        return file ? forTeam(await source.get(file), team, ['home_team', 'away_team']) : null;
+      }
+    };
+  }
+
+  global.DataClientError = DataClientError;
+  global.createDataClient = createDataClient;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -10,7 +10,7 @@ export const MODEL_COLORS = {
   tree: '#2ca02c',
   bt: '#d62728',
   ann: '#9467bd',
-  xgboost: '#8c564b',
+  gbt: '#8c564b',
   ngs: '#17becf',
   qbr: '#bcbd22'
 };
@@ -1,33 +1,224 @@
 // scripts/buildIndex.js
-// Node ESM. Build a minimal season_index_<season>.json by scanning artifacts/.
+// Node ESM. Scan artifacts/ and write:
+//   manifest.json               top-level listing: latest week, and per season its
+//                               prediction weeks and artifact types (served at
+//                               /manifest; the dashboards bootstrap from it)
+//   manifest_<season>.json      every week and artifact file of one season with
+//                               size, sha256 and generation time (served at
+//                               /manifest?season=; loaded when a season is opened)
+//   season_index_<season>.json  minimal week listing for SEASON (skipped with --manifest-only)
+//
+// Usage: node scripts/buildIndex.js [--manifest-only]
 
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import { artp, artifactsRoot } from '../trainer/utils/paths.js';
+import { validateArtifact } from '../trainer/schemaValidator.js';
 
-const ART = path.resolve(process.cwd(), artifactsRoot());
-const SEASON = parseInt(process.env.SEASON || new Date().getFullYear(), 10);
+export const MANIFEST_FILE = 'manifest.json';
+export const seasonManifestFile = (season) => `manifest_${season}.json`;
+
+const MANIFEST_FILES = /^manifest(?:_\d{4})?\.json$/;
+const WEEK_FILE = /^(.+?)_(\d{4})_W(\d{2})(?:_(.+?))?\.(json|csv)$/;
+// Season-to-date packs such as context_<season>_to_W<week>.json.
+const THROUGH_FILE = /^(.+?)_(\d{4})_to_W(\d{2})\.(json|csv)$/;
+const SEASON_FILE = /^(.+?)_(\d{4})\.(json|csv)$/;
+const OTHER_FILE = /^(.+)\.(json|csv)$/;
 
 function toW(w) { return String(w).padStart(2,'0'); }
 
-const entries = [];
-for (let w = 1; w <= 18; w++) {
-  const pred = `predictions_${SEASON}_W${toW(w)}.json`;
-  const model= `model_${SEASON}_W${toW(w)}.json`;
-  const outcomes = `outcomes_${SEASON}_W${toW(w)}.json`;
-  const existsPred = fs.existsSync(path.join(ART, pred));
-  if (!existsPred) continue;
-  entries.push({
-    week: w,
-    predictions: { filename: pred, path: artp(pred), exists: true },
-    models:      fs.existsSync(path.join(ART, model)) ? { filename: model, path: artp(model), exists: true } : undefined,
-    outcomes:    fs.existsSync(path.join(ART, outcomes)) ? { filename: outcomes, path: artp(outcomes), exists: true } : undefined
-  });
+const typeKey = (type, ext) => (ext === 'json' ? type : `${type}_${ext}`);
+
+// The payload's own timestamp when it records one, else the file's mtime.
+function generatedAt(raw, ext, stat) {
+  if (ext === 'json') {
+    try {
+      const data = JSON.parse(raw);
+      const stamp = data && !Array.isArray(data) && typeof data === 'object'
+        ? data.generated_at ?? data.generatedAt ?? data.fetched_at ?? null
+        : null;
+      if (typeof stamp === 'string' && stamp) return stamp;
+    } catch {
+      // Unparseable artifacts are still listed; validate:artifacts reports them.
+    }
+  }
+  return stat.mtime.toISOString();
+}
+
+function describeFile(dir, name, ext) {
+  const file = path.join(dir, name);
+  const stat = fs.statSync(file);
+  const raw = fs.readFileSync(file);
+  return {
+    file: name,
+    bytes: stat.size,
+    sha256: crypto.createHash('sha256').update(raw).digest('hex'),
+    generated_at: generatedAt(raw.toString('utf8'), ext, stat)
+  };
 }
 
-const latest_completed_week = entries.length ? entries[entries.length - 1].week : null;
-const out = { season: SEASON, latest_completed_week, weeks: entries };
+/**
+ * Build the full artifact manifest for a directory: every season with all of
+ * its files. splitManifest() turns it into the files buildIndex writes.
+ * @param {{ dir?: string, now?: Date }} [options]
+ * @returns {object}
+ */
+export function buildManifest({ dir = path.resolve(process.cwd(), artifactsRoot()), now = new Date() } = {}) {
+  const seasons = new Map();
+  const season = (year) => {
+    if (!seasons.has(year)) seasons.set(year, { season: year, artifacts: {}, weeks: new Map() });
+    return seasons.get(year);
+  };
+  const artifacts = {};
+  const names = fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+  for (const name of names) {
+    if (MANIFEST_FILES.test(name) || !fs.statSync(path.join(dir, name)).isFile()) continue;
+    let match = THROUGH_FILE.exec(name);
+    if (match) {
+      const [, prefix, year, week, ext] = match;
+      const files = season(Number(year)).artifacts;
+      const key = typeKey(`${prefix}_through`, ext);
+      // Names sort by week, so the latest pack wins.
+      files[key] = { ...describeFile(dir, name, ext), through_week: Number(week) };
+      continue;
+    }
+    match = WEEK_FILE.exec(name);
+    if (match) {
+      const [, prefix, year, week, variant, ext] = match;
+      const entry = season(Number(year));
+      const w = Number(week);
+      if (!entry.weeks.has(w)) entry.weeks.set(w, {});
+      entry.weeks.get(w)[typeKey(variant ? `${prefix}_${variant}` : prefix, ext)] = describeFile(dir, name, ext);
+      continue;
+    }
+    match = SEASON_FILE.exec(name);
+    if (match) {
+      const [, prefix, year, ext] = match;
+      season(Number(year)).artifacts[typeKey(prefix, ext)] = describeFile(dir, name, ext);
+      continue;
+    }
+    match = OTHER_FILE.exec(name);
+    if (match) artifacts[typeKey(match[1], match[2])] = describeFile(dir, name, match[2]);
+  }
+
+  const seasonList = [...seasons.values()]
+    .sort((a, b) => a.season - b.season)
+    .map((entry) => {
+      const weeks = [...entry.weeks.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([week, files]) => ({ week, artifacts: files }));
+      const withPredictions = weeks.filter((w) => w.artifacts.predictions).map((w) => w.week);
+      const withOutcomes = weeks.filter((w) => w.artifacts.outcomes).map((w) => w.week);
+      return {
+        season: entry.season,
+        latest_week: withPredictions.length ? Math.max(...withPredictions) : null,
+        latest_completed_week: withOutcomes.length ? Math.max(...withOutcomes) : null,
+        artifacts: entry.artifacts,
+        weeks
+      };
+    });
+  const current = [...seasonList].reverse().find((entry) => entry.latest_week != null);
+  return {
+    generated_at: now.toISOString(),
+    latest: current ? { season: current.season, week: current.latest_week } : null,
+    seasons: seasonList,
+    artifacts
+  };
+}
+
+/**
+ * The files buildIndex writes from a full manifest: the manifest.json listing
+ * and one manifest_<season>.json per season.
+ * @param {object} manifest - buildManifest result
+ * @returns {{ listing: object, seasons: Array<{ file: string, payload: object }> }}
+ */
+export function splitManifest(manifest) {
+  const listing = {
+    generated_at: manifest.generated_at,
+    latest: manifest.latest,
+    seasons: manifest.seasons.map((entry) => ({
+      season: entry.season,
+      latest_week: entry.latest_week,
+      latest_completed_week: entry.latest_completed_week,
+      manifest: seasonManifestFile(entry.season),
+      artifact_types: [...new Set([
+        ...Object.keys(entry.artifacts),
+        ...entry.weeks.flatMap((w) => Object.keys(w.artifacts))
+      ])].sort(),
+      prediction_weeks: entry.weeks.filter((w) => w.artifacts.predictions).map((w) => w.week)
+    })),
+    artifacts: manifest.artifacts
+  };
+  const seasons = manifest.seasons.map((entry) => ({
+    file: seasonManifestFile(entry.season),
+    payload: { generated_at: manifest.generated_at, ...entry }
+  }));
+  return { listing, seasons };
+}
+
+/**
+ * Scan a directory and write manifest.json plus every manifest_<season>.json,
+ * removing season manifests whose season has no artifacts left.
+ * @param {{ dir?: string, now?: Date }} [options]
+ * @returns {object} the full manifest
+ */
+export function writeManifest({ dir = path.resolve(process.cwd(), artifactsRoot()), now = new Date() } = {}) {
+  const manifest = buildManifest({ dir, now });
+  const { listing, seasons } = splitManifest(manifest);
+  validateArtifact('manifest', listing);
+  fs.mkdirSync(dir, { recursive: true });
+  const keep = new Set(seasons.map((entry) => entry.file));
+  for (const name of fs.readdirSync(dir)) {
+    if (name !== MANIFEST_FILE && MANIFEST_FILES.test(name) && !keep.has(name)) fs.rmSync(path.join(dir, name));
+  }
+  for (const { file, payload } of seasons) {
+    validateArtifact('manifest_season', payload);
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(payload, null, 2));
+  }
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(listing, null, 2));
+  return manifest;
+}
+
+/**
+ * Minimal season_index_<season>.json from a manifest.
+ * @param {object} manifest
+ * @param {number} season
+ * @returns {object}
+ */
+export function seasonIndexFromManifest(manifest, season) {
+  const entry = manifest.seasons.find((s) => s.season === season);
+  const ref = (file) => (file ? { filename: file.file, path: artp(file.file), exists: true } : undefined);
+  const weeks = (entry?.weeks ?? [])
+    .filter((w) => w.artifacts.predictions)
+    .map((w) => ({
+      week: w.week,
+      predictions: ref(w.artifacts.predictions),
+      models: ref(w.artifacts.model),
+      outcomes: ref(w.artifacts.outcomes)
+    }));
+  const latest_completed_week = weeks.length ? weeks[weeks.length - 1].week : null;
+  return { season, latest_completed_week, weeks };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const ART = path.resolve(process.cwd(), artifactsRoot());
+  const manifest = writeManifest({ dir: ART });
+  console.log(`WROTE ${artp(MANIFEST_FILE)} and ${manifest.seasons.length} season manifests`);
+
+  if (!process.argv.includes('--manifest-only')) {
+    const SEASON = parseInt(process.env.SEASON || new Date().getFullYear(), 10);
+    const out = seasonIndexFromManifest(manifest, SEASON);
+    fs.writeFileSync(path.join(ART, `season_index_${SEASON}.json`), JSON.stringify(out, null, 2));
+    console.log(`WROTE ${artp(`season_index_${SEASON}.json`)}`);
+  }
+}
 
-const outputPath = path.join(ART, `season_index_${SEASON}.json`);
-fs.writeFileSync(outputPath, JSON.stringify(out, null, 2));
-console.log(`WROTE ${artp(`season_index_${SEASON}.json`)}`);
+export default {
+  MANIFEST_FILE,
+  seasonManifestFile,
+  buildManifest,
+  splitManifest,
+  writeManifest,
+  seasonIndexFromManifest
+};
@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { artifactsRoot } from '../trainer/utils/paths.js';
+import { resolveFranchise, sameFranchise } from '../trainer/franchises.js';
 
 const ROTOWIRE_ENABLED = process.env.ROTOWIRE_ENABLED === 'true';
 
@@ -9,6 +10,7 @@ if (!ROTOWIRE_ENABLED) {
   process.exit(0);
 }
 
+// Rotowire's own team codes, one request each.
 const TEAM_CODES = [
   'ARI','ATL','BAL','BUF','CAR','CHI','CIN','CLE',
   'DAL','DEN','DET','GB','HOU','IND','JAX','KC',
@@ -173,40 +175,12 @@ function parseSeasonNumber(value) {
   return null;
 }
 
-const TEAM_ABBR_MAP = new Map([
-  ['ARZ', 'ARI'],
-  ['JAC', 'JAX'],
-  ['KAN', 'KC'],
-  ['KCC', 'KC'],
-  ['SD', 'LAC'],
-  ['SDG', 'LAC'],
-  ['STL', 'LAR'],
-  ['LA', 'LAR'],
-  ['OAK', 'LV'],
-  ['WSH', 'WAS'],
-  ['WDC', 'WAS'],
-  ['TAM', 'TB'],
-  ['NOR', 'NO'],
-  ['GNB', 'GB'],
-  ['SFO', 'SF'],
-  ['NWE', 'NE'],
-  ['NJD', 'NYJ'],
-  ['NYA', 'NYJ'],
-  ['NYN', 'NYG']
-]);
-
-function normalizeTeam(value) {
+// The franchise a payload's team field names, if any; some feeds append the
+// nickname to the code, so fall back to its first three letters.
+function franchiseOf(value) {
   if (!value) return null;
-  const cleaned = value.toString().trim().toUpperCase();
-  const mapped = TEAM_ABBR_MAP.get(cleaned);
-  if (mapped) return mapped;
-  if (TEAM_CODES.includes(cleaned)) return cleaned;
-  if (cleaned.length >= 3) {
-    const short = cleaned.slice(0, 3);
-    const shortMapped = TEAM_ABBR_MAP.get(short) || short;
-    if (TEAM_CODES.includes(shortMapped)) return shortMapped;
-  }
-  return null;
+  const cleaned = value.toString().trim();
+  return resolveFranchise(cleaned) ?? (cleaned.length > 3 ? resolveFranchise(cleaned.slice(0, 3)) : null);
 }
 
 function createJsonCollector(meta) {
@@ -229,8 +203,8 @@ function createJsonCollector(meta) {
       obj.club,
       obj.clubcode
     );
-    const normalizedTeam = normalizeTeam(teamCandidate);
-    if (normalizedTeam && normalizedTeam !== meta.team) return;
+    const franchise = franchiseOf(teamCandidate);
+    if (franchise && !sameFranchise(franchise.code, meta.team)) return;
 
     const seasonCandidate = pickDefined(
       obj.season,
@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { artifactsRoot } from '../trainer/utils/paths.js';
+import { normalizeTeam } from '../trainer/franchises.js';
 import { execFile as execFileCallback } from 'node:child_process';
 import { promisify } from 'node:util';
 
@@ -290,8 +291,8 @@ function mergeBest(homeEntry, awayEntry) {
 }
 
 function buildGameRecord(gameId, homeEntry, awayEntry, meta) {
-  const homeTeam = String(homeEntry?.abbr ?? awayEntry?.oppAbbr ?? '').trim().toUpperCase();
-  const awayTeam = String(awayEntry?.abbr ?? homeEntry?.oppAbbr ?? '').trim().toUpperCase();
+  const homeTeam = normalizeTeam(homeEntry?.abbr ?? awayEntry?.oppAbbr, { source: 'rotowire_markets' });
+  const awayTeam = normalizeTeam(awayEntry?.abbr ?? homeEntry?.oppAbbr, { source: 'rotowire_markets' });
   if (!homeTeam || !awayTeam) return null;
 
   const booksHome = extractBookFields(homeEntry);
@@ -341,6 +342,11 @@ function buildGameRecord(gameId, homeEntry, awayEntry, meta) {
       spread_price_away: consensus.spread_away_price ?? null,
       moneyline_home: consensus.moneyline_home ?? null,
       moneyline_away: consensus.moneyline_away ?? null,
+      open_moneyline_home: consensus.moneyline_home ?? null,
+      open_moneyline_away: consensus.moneyline_away ?? null,
+      open_total: consensus.total_points ?? null,
+      opened_at: meta.fetchedAt,
+      snapshots: 1,
       total: consensus.total_points ?? null,
       total_points: consensus.total_points ?? null,
       total_over_price: consensus.total_over_price ?? null,
@@ -362,6 +368,59 @@ function buildGameRecord(gameId, homeEntry, awayEntry, meta) {
   return record;
 }
 
+// Each run is a point-in-time snapshot. The first snapshot of a game fixes its
+// opening lines; later runs only move the closing (current) numbers, and keep
+// the last quoted number when the feed blanks a line out after kickoff.
+const CLOSING_FIELDS = [
+  ['spread', 'spread_home'],
+  ['close_spread', 'spread_home'],
+  ['spread_home', 'spread_home'],
+  ['spread_away', 'spread_away'],
+  ['spread_price_home', 'spread_price_home'],
+  ['spread_price_away', 'spread_price_away'],
+  ['moneyline_home', 'moneyline_home'],
+  ['moneyline_away', 'moneyline_away'],
+  ['total', 'total_points'],
+  ['total_points', 'total_points'],
+  ['total_over_price', 'total_over_price'],
+  ['total_under_price', 'total_under_price']
+];
+
+const OPENING_FIELDS = [
+  ['open_spread', 'spread_home'],
+  ['open_moneyline_home', 'moneyline_home'],
+  ['open_moneyline_away', 'moneyline_away'],
+  ['open_total', 'total_points']
+];
+
+function mergeSnapshot(record, previous) {
+  const prev = previous?.market;
+  if (!prev || typeof prev !== 'object') return record;
+  const market = record.market;
+  for (const [field, fallback] of OPENING_FIELDS) {
+    const opened = toNumber(prev[field] ?? prev[fallback]);
+    if (opened != null) market[field] = opened;
+  }
+  for (const [field, source] of CLOSING_FIELDS) {
+    if (market[field] == null) market[field] = toNumber(prev[field] ?? prev[source]);
+  }
+  market.opened_at = prev.opened_at ?? previous.fetched_at ?? market.opened_at;
+  market.snapshots = (toInt(prev.snapshots) ?? 1) + 1;
+  return record;
+}
+
+async function readPreviousSnapshot(outPath) {
+  try {
+    const rows = JSON.parse(await fs.readFile(outPath, 'utf8'));
+    return Array.isArray(rows) ? rows : [];
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      console.warn(`[fetchRotowireMarkets] Ignoring unreadable snapshot ${path.basename(outPath)}: ${err?.message || err}`);
+    }
+    return [];
+  }
+}
+
 async function main() {
   const cli = parseCli(process.argv.slice(2));
   const now = new Date();
@@ -413,19 +472,28 @@ async function main() {
     grouped.get(gameId)[role] = entry;
   }
 
+  const fileName = `markets_${season}_W${String(week).padStart(2, '0')}.json`;
+  const outPath = path.join(artifactsDir, fileName);
+  const previous = new Map();
+  for (const row of await readPreviousSnapshot(outPath)) {
+    if (row?.game_key) previous.set(row.game_key, row);
+  }
+
   const records = [];
   for (const [gameId, group] of grouped.entries()) {
     const record = buildGameRecord(gameId, group.home, group.away, { season, week, fetchedAt });
-    if (record) records.push(record);
+    if (!record) continue;
+    records.push(mergeSnapshot(record, previous.get(record.game_key)));
+    previous.delete(record.game_key);
   }
+  // Games that dropped off the feed (typically after kickoff) keep their last snapshot.
+  records.push(...previous.values());
 
   records.sort((a, b) => {
     if (a.game_key && b.game_key) return a.game_key.localeCompare(b.game_key);
     return (a.rotowire_game_id ?? '').localeCompare(b.rotowire_game_id ?? '');
   });
 
-  const fileName = `markets_${season}_W${String(week).padStart(2, '0')}.json`;
-  const outPath = path.join(artifactsDir, fileName);
   const serialized = `${JSON.stringify(records, null, 2)}\n`;
   await fs.writeFile(outPath, serialized, 'utf8');
   await fs.writeFile(path.join(artifactsDir, 'markets_current.json'), serialized, 'utf8');
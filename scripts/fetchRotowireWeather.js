@@ -1,6 +1,7 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { artifactsRoot } from "../trainer/utils/paths.js";
+import { normalizeTeam } from "../trainer/franchises.js";
 import axios from "axios";
 import { load } from "cheerio";
 
@@ -11,43 +12,7 @@ if (!ROTOWIRE_ENABLED) {
   process.exit(0);
 }
 
-const TEAM_NAME_TO_CODE = new Map([
-  ["49ERS", "SF"],
-  ["NINERS", "SF"],
-  ["BEARS", "CHI"],
-  ["BENGALS", "CIN"],
-  ["BILLS", "BUF"],
-  ["BRONCOS", "DEN"],
-  ["BROWNS", "CLE"],
-  ["BUCCANEERS", "TB"],
-  ["BUCS", "TB"],
-  ["CARDINALS", "ARI"],
-  ["CHARGERS", "LAC"],
-  ["CHIEFS", "KC"],
-  ["COLTS", "IND"],
-  ["COMMANDERS", "WAS"],
-  ["COWBOYS", "DAL"],
-  ["DOLPHINS", "MIA"],
-  ["EAGLES", "PHI"],
-  ["FALCONS", "ATL"],
-  ["GIANTS", "NYG"],
-  ["JAGUARS", "JAX"],
-  ["JAGS", "JAX"],
-  ["JETS", "NYJ"],
-  ["LIONS", "DET"],
-  ["PACKERS", "GB"],
-  ["PANTHERS", "CAR"],
-  ["PATRIOTS", "NE"],
-  ["RAIDERS", "LV"],
-  ["RAMS", "LAR"],
-  ["RAVENS", "BAL"],
-  ["SAINTS", "NO"],
-  ["SEAHAWKS", "SEA"],
-  ["STEELERS", "PIT"],
-  ["TEXANS", "HOU"],
-  ["TITANS", "TEN"],
-  ["VIKINGS", "MIN"]
-]);
+const normTeam = (value) => normalizeTeam(value, { source: "rotowire_weather" });
 
 const argv = process.argv.slice(2);
 const cliOptions = {};
@@ -91,18 +56,12 @@ function clean(text) {
     .trim();
 }
 
-function canonical(name) {
-  return clean(name)
-    .toUpperCase()
-    .replace(/[^A-Z0-9]/g, "");
-}
-
 function extractTeamCode($team) {
   if (!$team || !$team.length) return null;
   const imgSrc = $team.find("img").attr("src") || "";
   const imgMatch = imgSrc.match(/\/([A-Z]{2,3})\.svg/i);
   if (imgMatch) {
-    return imgMatch[1].toUpperCase();
+    return normTeam(imgMatch[1]);
   }
   const href = $team.attr("href") || "";
   const slug = href.split("/").pop() || "";
@@ -110,12 +69,11 @@ function extractTeamCode($team) {
     const slugParts = slug.split("-");
     const last = slugParts.at(-1);
     if (last && last.length <= 3) {
-      return last.toUpperCase();
+      return normTeam(last);
     }
   }
-  const label = canonical($team.text());
-  if (!label) return null;
-  return TEAM_NAME_TO_CODE.get(label) || null;
+  // Nicknames ("Jaguars", "Bucs") and full names resolve through the franchise module.
+  return normTeam(clean($team.text()));
 }
 
 function parseTemperature(details, isDome) {
@@ -1,14 +1,11 @@
 // scripts/resolveWeek.js
 // Resolve WEEK = max(2, min(maxSchedWeek, lastFullWeek + 1))
-// "lastFullWeek" = latest regular-season week where ALL scheduled games have final scores.
+// "lastFullWeek" = latest week where ALL scheduled games have final scores
+// (regular season, plus playoff rounds in postseason mode).
 
 import { loadSchedules } from "../trainer/dataSources.js";
-
-function isReg(v) {
-  if (v == null) return true;
-  const s = String(v).trim().toUpperCase();
-  return s === "" || s.startsWith("REG");
-}
+import { loadFeatureFlags } from "../trainer/featureFlags.js";
+import { includeScheduleGame } from "../trainer/postseason.js";
 
 function coerceScore(value) {
   if (value == null) return NaN;
@@ -35,8 +32,9 @@ export async function resolveCurrentWeek({ season } = {}) {
   if (!Number.isFinite(targetSeason)) return null;
   const schedules = await loadSchedules(targetSeason);
 
+  const postseason = loadFeatureFlags().postseason === true;
   const reg = schedules.filter(
-    (g) => Number(g.season) === targetSeason && isReg(g.season_type)
+    (g) => Number(g.season) === targetSeason && includeScheduleGame(g, { postseason })
   );
 
   const weeks = [...new Set(reg.map((g) => Number(g.week)).filter(Number.isFinite))].sort((a, b) => a - b);
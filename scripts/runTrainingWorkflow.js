@@ -9,6 +9,7 @@ import {
   BOOTSTRAP_KEYS,
   getStatePath
 } from '../trainer/trainingState.js';
+import { isFeatureEnabled } from '../trainer/featureFlags.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.resolve(__dirname, '..');
@@ -50,6 +51,9 @@ function printHelp() {
     `  --fetch-only              Only run the Rotowire refresh commands.\n` +
     `  --trainer=<script>        Trainer npm script to run (train:multi | train).\n` +
     `  --dry-run                 Log planned actions without executing them.\n` +
+    `  --fail-on-data-quality    Stop the trainer before it writes the week's artifacts\n` +
+    `                            when a critical data quality check fails (or set\n` +
+    `                            DATA_QUALITY_FAIL=1).\n` +
     `  --help                    Show this message.\n`);
 }
 
@@ -58,6 +62,7 @@ function parseArgs(argv) {
     skipFetch: false,
     fetchOnly: false,
     dryRun: false,
+    failOnDataQuality: envFlag('DATA_QUALITY_FAIL'),
     trainer: 'train:multi'
   };
 
@@ -74,6 +79,9 @@ function parseArgs(argv) {
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--fail-on-data-quality':
+        options.failOnDataQuality = true;
+        break;
       case '--help':
       case '-h':
         options.help = true;
@@ -240,8 +248,11 @@ async function main() {
 
   const trainer = resolveTrainer(options.trainer);
   console.log(`[workflow] Starting ${trainer.label} (npm run ${trainer.npmScript})...`);
+  // Both trainers write data_quality_<season>_W<week>.json first and, with
+  // DATA_QUALITY_FAIL=1, exit on a critical failure before any other artifact.
   const trainerEnv = buildEnv({
-    CI_FAST: process.env.CI_FAST ?? (process.env.CI === 'true' ? '1' : undefined)
+    CI_FAST: process.env.CI_FAST ?? (process.env.CI === 'true' ? '1' : undefined),
+    DATA_QUALITY_FAIL: options.failOnDataQuality ? '1' : undefined
   });
   if (!options.dryRun) {
     await runCommand('npm', ['run', trainer.npmScript], { env: trainerEnv });
@@ -287,6 +298,21 @@ async function main() {
   } else {
     console.log('[workflow] Hybrid calibration did not record a latest run entry.');
   }
+
+  if (Number.isFinite(target.week)) {
+    try {
+      await runCommand('node', ['trainer/seasonSim.js'], { env: hybridEnv });
+    } catch (err) {
+      console.warn(`[workflow] Season simulation failed (continuing): ${err?.message || err}`);
+    }
+    if (isFeatureEnabled('postseason')) {
+      try {
+        await runCommand('node', ['trainer/postseason.js'], { env: hybridEnv });
+      } catch (err) {
+        console.warn(`[workflow] Playoff bracket failed (continuing): ${err?.message || err}`);
+      }
+    }
+  }
 }
 
 main().catch((err) => {
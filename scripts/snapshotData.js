@@ -0,0 +1,136 @@
+// scripts/snapshotData.js
+// Download every nflverse dataset the trainer reads for a season range into a
+// content-addressed data snapshot (see trainer/dataSnapshot.js), or re-check
+// the checksums of an existing one.
+//
+// Usage:
+//   node scripts/snapshotData.js --start 2015 --end 2024 [--root data/snapshots] [--name label]
+//   node scripts/snapshotData.js --verify data/snapshots/<name>
+//
+// Train against the result with DATA_SNAPSHOT=data/snapshots/<name>.
+
+import { parseArgs } from 'node:util';
+import {
+  caches,
+  setDataSnapshot,
+  loadSchedules,
+  loadTeamWeekly,
+  loadPlayerWeekly,
+  loadRostersWeekly,
+  loadDepthCharts,
+  loadNflverseInjuries,
+  loadSnapCounts,
+  loadFTNCharts,
+  loadPBP,
+  loadPFRAdvTeamWeekly,
+  loadNextGenStats,
+  loadParticipation,
+  loadESPNQBR,
+  loadOfficials
+} from '../trainer/dataSources.js';
+import { createSnapshotRecorder, verifySnapshot, DEFAULT_SNAPSHOT_ROOT } from '../trainer/dataSnapshot.js';
+
+// Loaders recorded once per season. Rotowire markets, weather and injury
+// reports are read from committed artifacts and need no snapshot; the nflverse
+// injury reports that back-fill the other weeks do.
+const SEASON_LOADERS = {
+  schedules: loadSchedules,
+  teamWeekly: loadTeamWeekly,
+  playerWeekly: loadPlayerWeekly,
+  rosterWeekly: loadRostersWeekly,
+  depthCharts: loadDepthCharts,
+  snapCounts: loadSnapCounts,
+  injuries: loadNflverseInjuries,
+  ftnCharts: loadFTNCharts,
+  pbp: loadPBP,
+  pfrAdv: loadPFRAdvTeamWeekly,
+  nextGenPassing: (season) => loadNextGenStats(season, 'passing'),
+  nextGenRushing: (season) => loadNextGenStats(season, 'rushing'),
+  nextGenReceiving: (season) => loadNextGenStats(season, 'receiving'),
+  participation: loadParticipation
+};
+
+const GLOBAL_LOADERS = {
+  qbr: loadESPNQBR,
+  officials: loadOfficials
+};
+
+export async function snapshotSeasons({ start, end, root = DEFAULT_SNAPSHOT_ROOT, name, loaders = SEASON_LOADERS, globalLoaders = GLOBAL_LOADERS }) {
+  const recorder = createSnapshotRecorder({ root });
+  setDataSnapshot({ recorder });
+  const failures = [];
+  const run = async (label, fn) => {
+    try {
+      await fn();
+    } catch (err) {
+      failures.push(`${label}: ${err?.message || err}`);
+    }
+  };
+  try {
+    for (const [dataset, load] of Object.entries(globalLoaders)) {
+      await run(dataset, () => load());
+    }
+    const seasons = [];
+    for (let season = start; season <= end; season += 1) {
+      for (const [dataset, load] of Object.entries(loaders)) {
+        await run(`${dataset} ${season}`, () => load(season));
+      }
+      // Parsed rows are only needed to prove the files load; keep memory flat.
+      for (const store of Object.values(caches)) store.clear();
+      seasons.push(season);
+      console.log(`[snapshotData] recorded season ${season}`);
+    }
+    if (failures.length) {
+      throw new Error(`snapshot incomplete, no manifest written:\n  ${failures.join('\n  ')}`);
+    }
+    return recorder.finalize({ seasons, name });
+  } finally {
+    setDataSnapshot(null);
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      start: { type: 'string' },
+      end: { type: 'string' },
+      root: { type: 'string', default: DEFAULT_SNAPSHOT_ROOT },
+      name: { type: 'string' },
+      verify: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  if (values.verify) {
+    try {
+      const { files, problems } = verifySnapshot(values.verify);
+      if (problems.length) {
+        console.error(`[snapshotData] ${problems.length} of ${files} files failed:\n  ${problems.join('\n  ')}`);
+        process.exit(1);
+      }
+      console.log(`[snapshotData] ${files} files match their checksums`);
+    } catch (err) {
+      console.error(`[snapshotData] ${err?.message || err}`);
+      process.exit(1);
+    }
+  } else {
+    const start = Number(values.start);
+    const end = Number(values.end ?? values.start);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end < start) {
+      console.error('[snapshotData] Provide --start (and optionally --end) seasons, or --verify <dir>.');
+      process.exit(1);
+    }
+    snapshotSeasons({ start, end, root: values.root, name: values.name })
+      .then(({ dir, manifest }) => {
+        console.log(`[snapshotData] ${Object.keys(manifest.files).length} files (id ${manifest.id}) -> ${dir}`);
+        console.log(`[snapshotData] train offline with DATA_SNAPSHOT=${dir}`);
+      })
+      .catch((err) => {
+        console.error(`[snapshotData] ${err?.message || err}`);
+        process.exit(1);
+      });
+  }
+}
+
+export default {
+  snapshotSeasons
+};
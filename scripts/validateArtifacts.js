@@ -16,7 +16,20 @@ const SCHEMA_PATTERNS = {
   metrics: /^metrics_\d{4}_W\d{2}\.json$/,
   season_summary: /^season_summary_.*\.json$/,
   season_index: /^season_index_.*\.json$/,
-  bt_features: /^bt_features_.*\.json$/
+  bt_features: /^bt_features_.*\.json$/,
+  totals: /^totals_\d{4}_W\d{2}\.json$/,
+  clv: /^clv_\d{4}_W\d{2}\.json$/,
+  coverage: /^coverage_\d{4}\.json$/,
+  data_quality: /^data_quality_\d{4}_W\d{2}\.json$/,
+  season_sim: /^season_sim_\d{4}_W\d{2}\.json$/,
+  bracket: /^bracket_\d{4}_W\d{2}\.json$/,
+  wp: /^wp_\d{4}_W\d{2}\.json$/,
+  history_index: /^history_index\.json$/,
+  manifest: /^manifest\.json$/,
+  manifest_season: /^manifest_\d{4}\.json$/,
+  history_games: /^history_(team|matchup)_[A-Z_]+\.json$/,
+  team_state: /^team_state_\d{4}_W\d{2}\.json$/,
+  scoring_inputs: /^scoring_inputs_\d{4}_W\d{2}\.json$/
 };
 
 async function listFiles(dir, pattern) {
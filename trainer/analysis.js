@@ -3,6 +3,7 @@
 //
 // This module provides:
 // - ROI/betting metrics calculations
+// - Kelly-criterion bankroll simulation against real moneyline prices
 // - Segmented performance reports (favorites/underdogs, home/away, divisional, etc.)
 // - Feature importance tracking
 // - Error analysis
@@ -11,6 +12,7 @@
 import { logLoss, brier, accuracy, aucRoc } from "./metrics.js";
 import { loadAnalysisFlags } from "./featureFlags.js";
 import { isDivisionalGame } from "./nflReference.js";
+import { americanToDecimal } from "./marketOdds.js";
 
 /**
  * Calculate ROI (Return on Investment) for betting scenarios.
@@ -52,6 +54,273 @@ export function calculateROI(predictions, threshold = 0.55) {
   };
 }
 
+export const KELLY_STAKING_MODES = ["full", "fractional", "capped"];
+
+const DEFAULT_BANKROLL_OPTIONS = {
+  staking: "fractional",
+  fraction: 0.25,
+  cap: 0.05,
+  minEdge: 0.02,
+  startingBankroll: 1000,
+  probKey: "blended",
+  priceMode: "best"
+};
+
+const round = (value, digits = 4) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+};
+
+const marketKey = (season, week, home, away) =>
+  `${season}-${week}-${String(home ?? "").toUpperCase()}-${String(away ?? "").toUpperCase()}`;
+
+/**
+ * Moneyline prices to bet at for one market row (see normalizeMarketBooks in
+ * dataSources.js). "best" shops every book for the longest price on each side;
+ * "consensus" uses the consolidated moneyline_home/moneyline_away.
+ * @param {object|null} market - Normalized market object (row.market)
+ * @param {string} priceMode - "best" or "consensus"
+ * @returns {{ home: { price: number, decimal: number, book: string|null }, away: { price: number, decimal: number, book: string|null } }|null}
+ */
+export function resolveMoneylinePrices(market, priceMode = "best") {
+  if (!market || typeof market !== "object") return null;
+  const sides = {};
+  for (const side of ["home", "away"]) {
+    let chosen = null;
+    if (priceMode === "best") {
+      for (const [book, quotes] of Object.entries(market.books || {})) {
+        const price = quotes?.moneyline?.[side];
+        const decimal = americanToDecimal(price);
+        if (decimal && (!chosen || decimal > chosen.decimal)) {
+          chosen = { price: Number(price), decimal, book };
+        }
+      }
+    }
+    if (!chosen) {
+      const price = market[`moneyline_${side}`];
+      const decimal = americanToDecimal(price);
+      if (decimal) chosen = { price: Number(price), decimal, book: null };
+    }
+    if (!chosen) return null;
+    sides[side] = chosen;
+  }
+  return sides;
+}
+
+/**
+ * Full-Kelly bankroll fraction for a bet at decimal odds.
+ * @param {number} prob - Win probability of the side being bet
+ * @param {number} decimal - Decimal odds (stake included)
+ * @returns {number} Fraction of bankroll, 0 when there is no edge
+ */
+export function kellyFraction(prob, decimal) {
+  const b = Number(decimal) - 1;
+  const p = Number(prob);
+  if (!(b > 0) || !Number.isFinite(p)) return 0;
+  const f = (p * b - (1 - p)) / b;
+  return f > 0 ? f : 0;
+}
+
+/**
+ * Scale a full-Kelly fraction by the staking mode.
+ * - full: f
+ * - fractional: f * fraction
+ * - capped: f * fraction, never more than cap of the bankroll
+ * @param {number} f - Full-Kelly fraction
+ * @param {Object} options - { staking, fraction, cap }
+ * @returns {number}
+ */
+export function stakeFraction(f, { staking = "fractional", fraction = 0.25, cap = 0.05 } = {}) {
+  if (!(f > 0)) return 0;
+  if (staking === "full") return f;
+  const scaled = f * fraction;
+  return staking === "capped" ? Math.min(scaled, cap) : scaled;
+}
+
+/**
+ * Max peak-to-trough decline of a bankroll series, as a fraction of the peak.
+ * @param {Array<number>} values - Bankroll values in order
+ * @returns {number}
+ */
+export function maxDrawdown(values) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const value of values) {
+    if (value > peak) peak = value;
+    if (peak > 0) worst = Math.max(worst, (peak - value) / peak);
+  }
+  return worst;
+}
+
+/**
+ * Sharpe ratio of periodic returns scaled by sqrt(periods), i.e. per season
+ * when the periods are weeks. No risk-free rate is subtracted.
+ * @param {Array<number>} returns - Periodic returns
+ * @returns {number|null}
+ */
+export function sharpeRatio(returns) {
+  if (!returns || returns.length < 2) return null;
+  const mean = returns.reduce((s, r) => s + r, 0) / returns.length;
+  const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1);
+  const sd = Math.sqrt(variance);
+  return sd > 0 ? (mean / sd) * Math.sqrt(returns.length) : null;
+}
+
+/**
+ * Simulate a Kelly-staked moneyline bankroll for each season in the predictions.
+ *
+ * Every resolved game with prices is a candidate; the model bets whichever side
+ * (home or away) has the larger expected value, provided it exceeds minEdge.
+ * Games within a week are staked off the bankroll at the start of that week
+ * (they kick off concurrently), and total weekly exposure is scaled down to
+ * never exceed the bankroll.
+ *
+ * @param {Array} predictions - Prediction objects (season, week, home_team, away_team, probs, forecast, actual)
+ * @param {Array} marketRows - Market rows from loadMarkets (row.market from normalizeMarketObject)
+ * @param {Object} options - { staking, fraction, cap, minEdge, startingBankroll, probKey, priceMode }
+ * @returns {Object} Simulation settings plus per-season summary, bankroll curve and bet log
+ */
+export function simulateBankroll(predictions = [], marketRows = [], options = {}) {
+  const opts = { ...DEFAULT_BANKROLL_OPTIONS, ...options };
+  if (!KELLY_STAKING_MODES.includes(opts.staking)) {
+    throw new Error(`simulateBankroll: unknown staking mode "${opts.staking}"`);
+  }
+
+  const markets = new Map();
+  for (const row of marketRows || []) {
+    if (!row?.market) continue;
+    markets.set(marketKey(row.season, row.week, row.home_team, row.away_team), row.market);
+  }
+
+  const bySeason = new Map();
+  for (const pred of predictions || []) {
+    if (pred?.actual !== 0 && pred?.actual !== 1) continue;
+    const season = Number(pred.season);
+    if (!bySeason.has(season)) bySeason.set(season, []);
+    bySeason.get(season).push(pred);
+  }
+
+  const seasons = [];
+  for (const season of [...bySeason.keys()].sort((a, b) => a - b)) {
+    const byWeek = new Map();
+    for (const pred of bySeason.get(season)) {
+      const week = Number(pred.week);
+      if (!byWeek.has(week)) byWeek.set(week, []);
+      byWeek.get(week).push(pred);
+    }
+
+    let bankroll = opts.startingBankroll;
+    const curve = [{ week: 0, bankroll: round(bankroll, 2), bets: 0, profit: 0 }];
+    const weeklyReturns = [];
+    const bets = [];
+    let staked = 0;
+    let wins = 0;
+    let priced = 0;
+
+    for (const week of [...byWeek.keys()].sort((a, b) => a - b)) {
+      const start = bankroll;
+      const slips = [];
+      for (const pred of byWeek.get(week)) {
+        const prices = resolveMoneylinePrices(
+          markets.get(marketKey(season, week, pred.home_team, pred.away_team)),
+          opts.priceMode
+        );
+        if (!prices) continue;
+        priced += 1;
+        const pHome = Number(pred.probs?.[opts.probKey] ?? pred.forecast);
+        if (!Number.isFinite(pHome)) continue;
+        const edges = {
+          home: pHome * prices.home.decimal - 1,
+          away: (1 - pHome) * prices.away.decimal - 1
+        };
+        const side = edges.home >= edges.away ? "home" : "away";
+        if (!(edges[side] > opts.minEdge)) continue;
+        const prob = side === "home" ? pHome : 1 - pHome;
+        const fraction = stakeFraction(kellyFraction(prob, prices[side].decimal), opts);
+        if (!(fraction > 0)) continue;
+        slips.push({ pred, side, prob, edge: edges[side], fraction, quote: prices[side] });
+      }
+
+      const exposure = slips.reduce((s, slip) => s + slip.fraction, 0);
+      const scale = exposure > 1 ? 1 / exposure : 1;
+      let weekProfit = 0;
+      for (const slip of slips) {
+        const stake = start * slip.fraction * scale;
+        const won = (slip.side === "home") === (slip.pred.actual === 1);
+        const profit = won ? stake * (slip.quote.decimal - 1) : -stake;
+        weekProfit += profit;
+        staked += stake;
+        if (won) wins += 1;
+        bets.push({
+          game_id: slip.pred.game_id ?? null,
+          week,
+          side: slip.side,
+          team: slip.side === "home" ? slip.pred.home_team : slip.pred.away_team,
+          price: slip.quote.price,
+          book: slip.quote.book,
+          prob: round(slip.prob),
+          edge: round(slip.edge),
+          stake_fraction: round(slip.fraction * scale),
+          stake: round(stake, 2),
+          won,
+          profit: round(profit, 2)
+        });
+      }
+
+      bankroll = start + weekProfit;
+      if (start > 0) weeklyReturns.push(weekProfit / start);
+      curve.push({ week, bankroll: round(bankroll, 2), bets: slips.length, profit: round(weekProfit, 2) });
+    }
+
+    const profit = bankroll - opts.startingBankroll;
+    seasons.push({
+      season,
+      games: bySeason.get(season).length,
+      games_priced: priced,
+      bets: bets.length,
+      wins,
+      win_rate: bets.length ? round(wins / bets.length) : null,
+      staked: round(staked, 2),
+      profit: round(profit, 2),
+      roi: staked > 0 ? round((profit / staked) * 100, 2) : null,
+      final_bankroll: round(bankroll, 2),
+      growth: round(bankroll / opts.startingBankroll - 1),
+      max_drawdown: round(maxDrawdown(curve.map((point) => point.bankroll))),
+      sharpe: round(sharpeRatio(weeklyReturns)),
+      curve,
+      bet_log: bets
+    });
+  }
+
+  return {
+    staking: opts.staking,
+    fraction: opts.staking === "full" ? 1 : opts.fraction,
+    cap: opts.staking === "capped" ? opts.cap : null,
+    min_edge: opts.minEdge,
+    starting_bankroll: opts.startingBankroll,
+    prob_key: opts.probKey,
+    price_mode: opts.priceMode,
+    seasons
+  };
+}
+
+/**
+ * Run the bankroll simulation under every Kelly staking mode.
+ * @param {Array} predictions - Prediction objects
+ * @param {Array} marketRows - Market rows from loadMarkets
+ * @param {Object} options - Shared simulateBankroll options (staking is ignored)
+ * @returns {Object} { full, fractional, capped }
+ */
+export function simulateKellyStrategies(predictions, marketRows, options = {}) {
+  const out = {};
+  for (const staking of KELLY_STAKING_MODES) {
+    out[staking] = simulateBankroll(predictions, marketRows, { ...options, staking });
+  }
+  return out;
+}
+
 /**
  * Segment predictions by various criteria.
  * @param {Array} predictions - Array of prediction objects
@@ -369,6 +638,13 @@ export function compareModels(predictionsA, predictionsB, nameA = "Model A", nam
 
 export default {
   calculateROI,
+  resolveMoneylinePrices,
+  kellyFraction,
+  stakeFraction,
+  maxDrawdown,
+  sharpeRatio,
+  simulateBankroll,
+  simulateKellyStrategies,
   segmentPredictions,
   calculateSegmentMetrics,
   generateSegmentedReport,
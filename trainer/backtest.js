@@ -0,0 +1,526 @@
+// trainer/backtest.js
+// Walk-forward backtest: retrains the ensemble for every week of a season
+// range through runTraining, each week seeing only the games before it, and
+// scores the held-out week with metrics.js.
+//
+// The training window is either expanding (every season from --train-from,
+// default --window-size seasons before --start) or rolling (the --window-size
+// seasons before the target). Hyperparameters are fixed to
+// config/modelParams.json as it stands when the run starts, or searched every
+// week on that week's training rows without writing the result back. Members
+// switched off in featureFlags.js (MODEL_*_ENABLED) or left out of --models
+// get no blend weight. The report compares every week with the committed
+// predictions_<season>_W<week>.json artifacts on the games both scored.
+//
+// Season data is replayed from --cache-dir, one data snapshot per season
+// (dataSnapshot.js); seasons missing there are downloaded and recorded once
+// unless --offline is set. The season database (advanced weekly diffs) is
+// built from live sources, so backtests always train without it. Trainer
+// artifacts go to --work-dir, which is emptied first so nothing from an
+// earlier run is warm-started from. Only a directory a backtest created (it
+// holds a .backtest-workdir marker) is ever emptied; any other non-empty
+// directory is refused.
+//
+// Usage: node trainer/backtest.js --start 2015 --end 2024 [--window rolling --window-size 5]
+//          [--hyperparams tuned] [--models logistic,bt] [--offline] [--out report.json]
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { logLoss, brier, accuracy, aucRoc } from "./metrics.js";
+import { loadFeatureFlags, loadModelFlags } from "./featureFlags.js";
+import { TUNABLE_MODELS, storedParams } from "./hyperparamSearch.js";
+import { includeScheduleGame } from "./postseason.js";
+import { artifactsRoot } from "./utils/paths.js";
+import { createSnapshotRecorder, openSnapshot } from "./dataSnapshot.js";
+
+export const WINDOW_TYPES = ["expanding", "rolling"];
+export const HYPERPARAM_MODES = ["fixed", "tuned"];
+
+const MIN_SEASON = 1999;
+const DEFAULT_WINDOW_SIZE = 3;
+const DEFAULT_CACHE_DIR = ".cache/backtest";
+const MODEL_PARAMS_PATH = "./config/modelParams.json";
+export const WORK_DIR_MARKER = ".backtest-workdir";
+
+// Prediction probs key -> metrics artifact key.
+const MEMBER_KEYS = {
+  logistic: "logistic",
+  tree: "decision_tree",
+  bt: "bt",
+  ann: "ann",
+  gbt: "gbt",
+  blended: "blended"
+};
+
+const metricBlock = (labels, probs) => ({
+  logloss: logLoss(labels, probs),
+  brier: brier(labels, probs),
+  auc: aucRoc(labels, probs),
+  accuracy: accuracy(labels, probs),
+  n: probs.length
+});
+
+const delta = (a, b) => (a == null || b == null ? null : a - b);
+
+const weekStamp = (season, week) => `${season}_W${String(week).padStart(2, "0")}`;
+
+/**
+ * Seasons a target season trains on.
+ * @param {number} season - target season
+ * @param {object} options
+ * @param {"expanding"|"rolling"} options.window
+ * @param {number} [options.windowSize] - seasons kept by a rolling window
+ * @param {number} [options.trainFrom] - first season of an expanding window
+ * @returns {number[]}
+ */
+export function resolveTrainSeasons(season, { window = "expanding", windowSize = DEFAULT_WINDOW_SIZE, trainFrom = MIN_SEASON } = {}) {
+  if (!WINDOW_TYPES.includes(window)) throw new Error(`unknown window type: ${window}`);
+  const first = window === "rolling" ? season - Math.max(0, Math.floor(windowSize)) : trainFrom;
+  const out = [];
+  for (let s = Math.max(MIN_SEASON, first); s < season; s += 1) out.push(s);
+  return out;
+}
+
+/**
+ * Weeks of a season with at least one decided game in the feature set.
+ * @param {Array<object>} schedules
+ * @param {number} season
+ * @returns {number[]}
+ */
+export function completedWeeks(schedules = [], season) {
+  const postseason = loadFeatureFlags().postseason === true;
+  const weeks = new Set();
+  for (const game of schedules) {
+    if (Number(game.season) !== season || !includeScheduleGame(game, { postseason })) continue;
+    const hs = Number(game.home_score);
+    const as = Number(game.away_score);
+    if (game.home_score == null || game.away_score == null || !Number.isFinite(hs) || !Number.isFinite(as)) continue;
+    if (hs !== as) weeks.add(Number(game.week));
+  }
+  return [...weeks].filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+/**
+ * Per-member metrics for the decided games of one week's predictions.
+ * @param {Array<object>} predictions - runTraining predictions (probs + actual)
+ * @returns {{ labels: number[], probs: Record<string, number[]>, gameIds: string[], per_model: object }}
+ */
+export function scorePredictions(predictions = []) {
+  const labels = [];
+  const gameIds = [];
+  const probs = Object.fromEntries(Object.values(MEMBER_KEYS).map((key) => [key, []]));
+  for (const pred of predictions) {
+    const actual = Number(pred.actual);
+    if (pred.actual == null || (actual !== 0 && actual !== 1)) continue;
+    labels.push(actual);
+    gameIds.push(pred.game_id);
+    for (const [member, key] of Object.entries(MEMBER_KEYS)) {
+      probs[key].push(Number(pred.probs?.[member] ?? pred.forecast ?? 0.5));
+    }
+  }
+  const perModel = Object.fromEntries(Object.entries(probs).map(([key, values]) => [key, metricBlock(labels, values)]));
+  return { labels, probs, gameIds, per_model: perModel };
+}
+
+/**
+ * Blended metrics of the backtest and the committed production forecasts on
+ * the games both of them scored.
+ * @param {{ labels: number[], probs: Record<string, number[]>, gameIds: string[] }} scored
+ * @param {Array<object>|null} production - predictions_<season>_W<week>.json payload
+ * @returns {{ labels: number[], backtest: number[], production: number[] }}
+ */
+export function pairWithProduction(scored, production) {
+  const out = { labels: [], backtest: [], production: [] };
+  if (!Array.isArray(production)) return out;
+  const stored = new Map(production.map((pred) => [pred.game_id, pred]));
+  scored.gameIds.forEach((gameId, i) => {
+    const pred = stored.get(gameId);
+    const prob = Number(pred?.probs?.blended ?? pred?.forecast);
+    if (!pred || !Number.isFinite(prob)) return;
+    out.labels.push(scored.labels[i]);
+    out.backtest.push(scored.probs.blended[i]);
+    out.production.push(prob);
+  });
+  return out;
+}
+
+function comparisonBlock(pairs) {
+  if (!pairs.labels.length) return null;
+  const backtest = metricBlock(pairs.labels, pairs.backtest);
+  const production = metricBlock(pairs.labels, pairs.production);
+  return {
+    n: pairs.labels.length,
+    backtest,
+    production,
+    delta: {
+      logloss: delta(backtest.logloss, production.logloss),
+      brier: delta(backtest.brier, production.brier),
+      accuracy: delta(backtest.accuracy, production.accuracy)
+    }
+  };
+}
+
+function readProductionWeek(dir, season, week) {
+  if (!dir) return null;
+  const file = path.join(dir, `predictions_${weekStamp(season, week)}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Season data recorded into, and replayed from, one data snapshot per season
+ * (see dataSnapshot.js) under `dir`. The first load of a season records every
+ * nflverse file fetchSeason downloads into `<dir>/season_<year>`; later loads
+ * run fetchSeason against that snapshot, never the network. Rotowire artifacts
+ * are local files and are read as they are. A snapshot pinned with
+ * DATA_SNAPSHOT serves every season directly.
+ * @param {object} options
+ * @param {string} options.dir - snapshot root; blobs are shared across seasons
+ * @param {boolean} [options.offline] - fail instead of recording an uncached season
+ * @param {(season: number) => Promise<object>} options.fetchSeason - season loader built on dataSources.js
+ * @returns {(season: number) => Promise<object>}
+ */
+export function createSeasonCache({ dir, offline = false, fetchSeason }) {
+  return async function loadSeason(season) {
+    if (typeof fetchSeason !== "function") throw new Error("createSeasonCache needs a fetchSeason loader");
+    const { getDataSnapshot, setDataSnapshot } = await import("./dataSources.js");
+    const pinned = getDataSnapshot();
+    if (pinned?.snapshot) return fetchSeason(season);
+    const name = `season_${season}`;
+    const seasonDir = path.join(dir, name);
+    const cached = fs.existsSync(path.join(seasonDir, "manifest.json"));
+    if (!cached && offline) {
+      throw new Error(`no cached data for season ${season} in ${dir} (run once without --offline to fill it)`);
+    }
+    const recorder = cached ? null : createSnapshotRecorder({ root: dir });
+    setDataSnapshot(cached ? { snapshot: openSnapshot(seasonDir) } : { recorder });
+    try {
+      const data = await fetchSeason(season);
+      // Written last: a season directory without manifest.json is an interrupted fetch.
+      recorder?.finalize({ seasons: [season], name });
+      return data;
+    } finally {
+      setDataSnapshot(pinned);
+    }
+  };
+}
+
+/**
+ * Training options for a hyperparameter mode. Fixed mode pins every member's
+ * parameters stored in config/modelParams.json when the run starts; tuned mode
+ * searches them on each week's training rows (see hyperparamSearch.js).
+ * @param {"fixed"|"tuned"} mode
+ * @param {object} [modelParams] - parsed config/modelParams.json
+ * @returns {object}
+ */
+export function hyperparamOptions(mode, modelParams = {}) {
+  if (!HYPERPARAM_MODES.includes(mode)) throw new Error(`unknown hyperparameter mode: ${mode}`);
+  if (mode === "tuned") return { tuneHyperparams: true };
+  const hyperparams = {};
+  for (const model of TUNABLE_MODELS) {
+    const params = storedParams(model, modelParams);
+    if (Object.keys(params).length) hyperparams[model] = params;
+  }
+  return { tuneHyperparams: false, hyperparams };
+}
+
+/**
+ * Empty a backtest work directory and mark it as one. A missing or empty
+ * directory is created and marked; a directory holding the marker is cleared.
+ * Anything else is refused, so a mistyped --work-dir cannot delete real files.
+ * @param {string} dir
+ * @returns {string} the resolved directory
+ */
+export function prepareWorkDir(dir) {
+  const workDir = path.resolve(dir);
+  if (fs.existsSync(workDir)) {
+    if (!fs.statSync(workDir).isDirectory()) throw new Error(`${workDir} is not a directory`);
+    const marked = fs.existsSync(path.join(workDir, WORK_DIR_MARKER));
+    if (!marked && fs.readdirSync(workDir).length) {
+      throw new Error(`${workDir} is not empty and was not created by a backtest (no ${WORK_DIR_MARKER}); refusing to clear it`);
+    }
+    if (marked) fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  fs.mkdirSync(workDir, { recursive: true });
+  fs.writeFileSync(path.join(workDir, WORK_DIR_MARKER), "Backtest work directory; emptied at the start of every run.\n");
+  return workDir;
+}
+
+/**
+ * Import the trainer with its artifact root pointed at `workDir`. Trainer
+ * modules resolve ARTIFACTS_DIR once, on first import, so a process can only
+ * back-test into one work directory.
+ * @param {string} workDir
+ * @returns {Promise<object>} train_multi.js exports
+ */
+export async function loadTrainer(workDir) {
+  process.env.ARTIFACTS_DIR = path.resolve(workDir);
+  return import("./train_multi.js");
+}
+
+/**
+ * Run a walk-forward backtest.
+ * @param {object} options
+ * @param {number} options.startSeason
+ * @param {number} options.endSeason
+ * @param {"expanding"|"rolling"} [options.window]
+ * @param {number} [options.windowSize]
+ * @param {number} [options.trainFrom] - default: windowSize seasons before startSeason
+ * @param {"fixed"|"tuned"} [options.hyperparams]
+ * @param {Record<string, boolean>} [options.models] - featureFlags.js model flags
+ * @param {number[]} [options.weeks] - weeks to test (default: every completed week)
+ * @param {(season: number) => Promise<object>} options.loadSeason - see createSeasonCache
+ * @param {object} options.trainer - train_multi.js exports (see loadTrainer)
+ * @param {string|null} [options.productionDir] - committed artifacts to compare with
+ * @param {object} [options.modelParams] - parsed config/modelParams.json
+ * @param {object} [options.trainingOptions] - extra runTraining options
+ * @returns {Promise<object>} report
+ */
+export async function runBacktest({
+  startSeason,
+  endSeason,
+  window = "expanding",
+  windowSize = DEFAULT_WINDOW_SIZE,
+  trainFrom,
+  hyperparams = "fixed",
+  models = loadModelFlags(),
+  weeks = null,
+  loadSeason,
+  trainer,
+  productionDir = null,
+  modelParams = {},
+  trainingOptions = {}
+}) {
+  if (!Number.isInteger(startSeason) || !Number.isInteger(endSeason) || endSeason < startSeason) {
+    throw new Error("startSeason and endSeason must be seasons with start <= end");
+  }
+  const tuning = hyperparamOptions(hyperparams, modelParams);
+  const windowOptions = { window, windowSize, trainFrom: trainFrom ?? Math.max(MIN_SEASON, startSeason - windowSize) };
+  const seasonRows = new Map();
+  const rowsFor = async (season) => {
+    if (!seasonRows.has(season)) {
+      const shared = await loadSeason(season);
+      seasonRows.set(season, await trainer.buildSeasonTrainingRows(season, shared, { seasonDB: false }));
+    }
+    return seasonRows.get(season);
+  };
+
+  const weekReports = [];
+  const seasonReports = [];
+  for (let season = startSeason; season <= endSeason; season += 1) {
+    const trainSeasons = resolveTrainSeasons(season, windowOptions);
+    for (const cached of seasonRows.keys()) {
+      if (!trainSeasons.includes(cached)) seasonRows.delete(cached);
+    }
+    const history = [];
+    for (const s of trainSeasons) history.push([s, await rowsFor(s)]);
+    const data = await loadSeason(season);
+    const testWeeks = weeks ?? completedWeeks(data.schedules, season);
+
+    const pooled = { labels: [], probs: {}, pairs: { labels: [], backtest: [], production: [] } };
+    for (const week of testWeeks) {
+      const entry = { season, week, train_seasons: trainSeasons };
+      try {
+        // Fresh arrays every week: runTraining swaps enhanced rows into the ones it is given.
+        const historical = {
+          featureRows: history.flatMap(([, rows]) => rows.featureRows),
+          btRows: history.flatMap(([, rows]) => rows.btRows),
+          seasons: history.filter(([, rows]) => rows.featureRows.length).map(([s]) => s)
+        };
+        const result = await trainer.runTraining({
+          season,
+          week,
+          data,
+          options: { ...trainingOptions, ...tuning, models, skipSeasonDB: true, historical }
+        });
+        result.context = [];
+        await trainer.writeArtifacts(result);
+
+        const scored = scorePredictions(result.predictions);
+        const pairs = pairWithProduction(scored, readProductionWeek(productionDir, season, week));
+        entry.train_rows = result.diagnostics?.n_train_rows ?? null;
+        entry.games = scored.labels.length;
+        entry.blend_weights = result.modelSummary?.ensemble?.weights ?? null;
+        entry.per_model = scored.per_model;
+        entry.production = comparisonBlock(pairs);
+
+        pooled.labels.push(...scored.labels);
+        for (const [key, values] of Object.entries(scored.probs)) {
+          (pooled.probs[key] ??= []).push(...values);
+        }
+        for (const key of Object.keys(pooled.pairs)) pooled.pairs[key].push(...pairs[key]);
+      } catch (err) {
+        console.warn(`[backtest] ${season} W${String(week).padStart(2, "0")} failed: ${err?.message || err}`);
+        entry.error = err?.message || String(err);
+      }
+      weekReports.push(entry);
+    }
+
+    seasonReports.push({
+      season,
+      train_seasons: trainSeasons,
+      weeks: testWeeks.length,
+      failed_weeks: weekReports.filter((w) => w.season === season && w.error).map((w) => w.week),
+      games: pooled.labels.length,
+      per_model: Object.fromEntries(
+        Object.entries(pooled.probs).map(([key, values]) => [key, metricBlock(pooled.labels, values)])
+      ),
+      production: comparisonBlock(pooled.pairs)
+    });
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    config: {
+      start_season: startSeason,
+      end_season: endSeason,
+      window,
+      window_size: window === "rolling" ? windowSize : null,
+      train_from: window === "expanding" ? windowOptions.trainFrom : null,
+      hyperparams,
+      fixed_hyperparams: hyperparams === "fixed" ? tuning.hyperparams : null,
+      models
+    },
+    seasons: seasonReports,
+    weeks: weekReports,
+    comparison: seasonReports.map((s) => ({
+      season: s.season,
+      games: s.production?.n ?? 0,
+      backtest: s.production?.backtest ?? null,
+      production: s.production?.production ?? null,
+      delta: s.production?.delta ?? null
+    }))
+  };
+}
+
+const fmt = (value, digits = 4) => (value == null ? "-" : value.toFixed(digits));
+
+function printComparison(report) {
+  console.log("[backtest] season  games  logloss(bt/prod/Δ)          brier(bt/prod/Δ)            acc(bt/prod)");
+  for (const row of report.comparison) {
+    if (!row.games) {
+      const own = report.seasons.find((s) => s.season === row.season)?.per_model?.blended;
+      console.log(`[backtest] ${row.season}    ${String(own?.n ?? 0).padStart(5)}  ${fmt(own?.logloss)} / no production artifacts`);
+      continue;
+    }
+    console.log(
+      `[backtest] ${row.season}    ${String(row.games).padStart(5)}  ` +
+        `${fmt(row.backtest.logloss)}/${fmt(row.production.logloss)}/${fmt(row.delta.logloss)}  ` +
+        `${fmt(row.backtest.brier)}/${fmt(row.production.brier)}/${fmt(row.delta.brier)}  ` +
+        `${fmt(row.backtest.accuracy, 3)}/${fmt(row.production.accuracy, 3)}`
+    );
+  }
+}
+
+function parseWeeks(value) {
+  if (!value) return null;
+  const [from, to = from] = value.split("-").map(Number);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) return undefined;
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      start: { type: "string" },
+      end: { type: "string" },
+      window: { type: "string", default: "expanding" },
+      "window-size": { type: "string" },
+      "train-from": { type: "string" },
+      hyperparams: { type: "string", default: "fixed" },
+      models: { type: "string" },
+      weeks: { type: "string" },
+      offline: { type: "boolean", default: false },
+      "cache-dir": { type: "string", default: DEFAULT_CACHE_DIR },
+      "work-dir": { type: "string" },
+      "production-dir": { type: "string" },
+      out: { type: "string" }
+    },
+    allowPositionals: true
+  });
+  const startSeason = Number(values.start);
+  const endSeason = Number(values.end ?? values.start);
+  const windowSize = values["window-size"] != null ? Number(values["window-size"]) : DEFAULT_WINDOW_SIZE;
+  const trainFrom = values["train-from"] != null ? Number(values["train-from"]) : undefined;
+  const weeks = parseWeeks(values.weeks);
+  const fail = (msg) => {
+    console.error(`[backtest] ${msg}`);
+    process.exit(1);
+  };
+  if (!Number.isInteger(startSeason) || !Number.isInteger(endSeason) || endSeason < startSeason) {
+    fail("Provide --start (and optionally --end) seasons.");
+  }
+  if (!WINDOW_TYPES.includes(values.window)) fail(`--window must be one of ${WINDOW_TYPES.join(", ")}.`);
+  if (!Number.isInteger(windowSize) || windowSize < 0) fail("--window-size must be a non-negative integer.");
+  if (trainFrom !== undefined && !Number.isInteger(trainFrom)) fail("--train-from must be a season.");
+  if (!HYPERPARAM_MODES.includes(values.hyperparams)) fail(`--hyperparams must be one of ${HYPERPARAM_MODES.join(", ")}.`);
+  if (weeks === undefined) fail("--weeks must be a week or a range such as 2-18.");
+
+  let models = loadModelFlags();
+  if (values.models) {
+    const chosen = values.models.split(",").map((name) => name.trim()).filter(Boolean);
+    const unknown = chosen.filter((name) => !(name in models));
+    if (unknown.length) fail(`unknown model(s) ${unknown.join(", ")}; expected ${Object.keys(models).join(", ")}.`);
+    models = Object.fromEntries(Object.keys(models).map((name) => [name, chosen.includes(name)]));
+  }
+
+  const cacheDir = path.resolve(values["cache-dir"]);
+  const workDir = path.resolve(values["work-dir"] ?? path.join(cacheDir, "artifacts"));
+  const productionDir = path.resolve(values["production-dir"] ?? artifactsRoot());
+  if (workDir === productionDir || workDir === cacheDir) {
+    fail("--work-dir is emptied before the run; it must not be the production artifacts or the cache directory.");
+  }
+  const label = `${startSeason}-${endSeason}_${values.window}_${values.hyperparams}`;
+  const out = path.resolve(values.out ?? path.join(cacheDir, `report_${label}.json`));
+  const modelParams = JSON.parse(fs.readFileSync(MODEL_PARAMS_PATH, "utf8"));
+
+  try {
+    prepareWorkDir(workDir);
+  } catch (err) {
+    fail(`--work-dir ${err.message}`);
+  }
+  const trainer = await loadTrainer(workDir);
+  const loadSeason = createSeasonCache({ dir: cacheDir, offline: values.offline, fetchSeason: trainer.loadSeasonData });
+
+  runBacktest({
+    startSeason,
+    endSeason,
+    window: values.window,
+    windowSize,
+    trainFrom,
+    hyperparams: values.hyperparams,
+    models,
+    weeks,
+    loadSeason,
+    trainer,
+    productionDir,
+    modelParams
+  })
+    .then((report) => {
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, JSON.stringify(report, null, 2));
+      printComparison(report);
+      console.log(`[backtest] ${report.weeks.length} weeks -> ${out}`);
+    })
+    .catch((err) => {
+      console.error(`[backtest] ${err?.message || err}`);
+      process.exit(1);
+    });
+}
+
+export default {
+  resolveTrainSeasons,
+  completedWeeks,
+  scorePredictions,
+  pairWithProduction,
+  createSeasonCache,
+  hyperparamOptions,
+  prepareWorkDir,
+  loadTrainer,
+  runBacktest
+};
@@ -221,7 +221,7 @@ export async function resolveCalibration({ probs, labels, season, week }) {
     if (prior.type === "isotonic") {
       return {
         type: "isotonic",
-        meta: { type: "isotonic", source: "prior", season: prior.season },
+        meta: { type: "isotonic", source: "prior", season: prior.season, xs: prior.xs, ys: prior.ys },
         apply(prob) {
           return safeProb(applyIsotonic(prob, prior));
         }
@@ -233,7 +233,7 @@ export async function resolveCalibration({ probs, labels, season, week }) {
   if (iso) {
     return {
       type: "isotonic",
-      meta: { type: "isotonic", source: "isotonic" },
+      meta: { type: "isotonic", source: "isotonic", xs: iso.xs, ys: iso.ys },
       apply(prob) {
         return safeProb(applyIsotonic(prob, iso));
       }
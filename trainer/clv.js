@@ -0,0 +1,203 @@
+// trainer/clv.js
+// Closing line value (CLV): did the model's picks beat the closing number?
+//
+// Opening lines come from the first market snapshot written for a game by
+// scripts/fetchRotowireMarkets.js and closing lines from the latest one. A pick
+// is the side the model would have bet at the opening number; CLV measures how
+// far the market moved toward (positive) or away from (negative) that pick.
+// Games with a single snapshot have no separate opening line and are left out.
+
+import { americanToDecimal, devigMoneyline } from "./marketOdds.js";
+
+const round = (value, digits = 4) => {
+  const n = Number(value);
+  if (value == null || !Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+};
+
+const finite = (value) => (value == null || !Number.isFinite(Number(value)) ? null : Number(value));
+
+// A second snapshot after the first is what makes the opening line an opening
+// line; with one, open and close are the same quote.
+const hasOpeningLine = (market) =>
+  Number(market?.snapshots) >= 2 && market.opened_at != null && market.opened_at !== market.fetched_at;
+
+const marketKey = (season, week, home, away) =>
+  `${season}-${week}-${String(home ?? "").toUpperCase()}-${String(away ?? "").toUpperCase()}`;
+
+/**
+ * Opening and closing lines for a normalized market object.
+ * @param {object|null} market - row.market from loadMarkets
+ * @returns {object|null}
+ */
+export function lineMovement(market) {
+  if (!market || typeof market !== "object") return null;
+  const openSpread = finite(market.open_spread);
+  const closeSpread = finite(market.close_spread ?? market.spread_home ?? market.spread);
+  const openTotal = finite(market.open_total);
+  const closeTotal = finite(market.total ?? market.total_points);
+  const open = devigMoneyline(market.open_moneyline_home, market.open_moneyline_away);
+  const close = devigMoneyline(market.moneyline_home, market.moneyline_away);
+  return {
+    opened_at: market.opened_at ?? null,
+    closed_at: market.fetched_at ?? null,
+    snapshots: Number.isFinite(Number(market.snapshots)) ? Number(market.snapshots) : 1,
+    open_spread: openSpread,
+    close_spread: closeSpread,
+    spread_move: openSpread != null && closeSpread != null ? round(closeSpread - openSpread, 2) : null,
+    open_moneyline_home: finite(market.open_moneyline_home),
+    open_moneyline_away: finite(market.open_moneyline_away),
+    close_moneyline_home: finite(market.moneyline_home),
+    close_moneyline_away: finite(market.moneyline_away),
+    open_prob_home: open ? round(open.home) : null,
+    close_prob_home: close ? round(close.home) : null,
+    open_total: openTotal,
+    close_total: closeTotal,
+    total_move: openTotal != null && closeTotal != null ? round(closeTotal - openTotal, 2) : null
+  };
+}
+
+/**
+ * Moneyline pick at the opening price and its CLV against the close.
+ * clv_prob is the no-vig closing probability minus the opening one for the
+ * picked side; clv_ev is the expected return of the opening price if the
+ * no-vig close is the true probability.
+ * @param {number} probHome - Model home win probability
+ * @param {object} market - Normalized market object
+ * @returns {object|null}
+ */
+export function moneylineClv(probHome, market) {
+  const p = finite(probHome);
+  if (p == null || !market) return null;
+  const open = devigMoneyline(market.open_moneyline_home, market.open_moneyline_away);
+  const close = devigMoneyline(market.moneyline_home, market.moneyline_away);
+  const openDecimal = {
+    home: americanToDecimal(market.open_moneyline_home),
+    away: americanToDecimal(market.open_moneyline_away)
+  };
+  if (!open || !close || !openDecimal.home || !openDecimal.away) return null;
+  const edges = {
+    home: p * openDecimal.home - 1,
+    away: (1 - p) * openDecimal.away - 1
+  };
+  const side = edges.home >= edges.away ? "home" : "away";
+  if (!(edges[side] > 0)) return null;
+  const clvEv = close[side] * openDecimal[side] - 1;
+  return {
+    side,
+    open_price: finite(market[`open_moneyline_${side}`]),
+    close_price: finite(market[`moneyline_${side}`]),
+    model_prob: round(side === "home" ? p : 1 - p),
+    edge: round(edges[side]),
+    clv_prob: round(close[side] - open[side]),
+    clv_ev: round(clvEv),
+    beat_close: clvEv > 0
+  };
+}
+
+/**
+ * Spread pick at the opening number and its CLV in points against the close.
+ * Spreads are quoted for the home side (negative when home is favoured).
+ * @param {number} predictedMargin - Model home-minus-away margin
+ * @param {object} market - Normalized market object
+ * @returns {object|null}
+ */
+export function spreadClv(predictedMargin, market) {
+  const margin = finite(predictedMargin);
+  const open = finite(market?.open_spread);
+  const close = finite(market?.close_spread ?? market?.spread_home ?? market?.spread);
+  if (margin == null || open == null || close == null) return null;
+  const cover = margin + open;
+  if (cover === 0) return null;
+  const side = cover > 0 ? "home" : "away";
+  const clvPoints = side === "home" ? open - close : close - open;
+  return {
+    side,
+    open_line: side === "home" ? open : -open,
+    close_line: side === "home" ? close : -close,
+    model_edge_points: round(Math.abs(cover), 2),
+    clv_points: round(clvPoints, 2),
+    beat_close: clvPoints > 0
+  };
+}
+
+function summarize(picks) {
+  const ml = picks.map((p) => p.moneyline).filter(Boolean);
+  const spread = picks.map((p) => p.spread).filter(Boolean);
+  const mean = (values) => (values.length ? round(values.reduce((s, v) => s + v, 0) / values.length) : null);
+  const rate = (values, test) => (values.length ? round(values.filter(test).length / values.length) : null);
+  return {
+    games: picks.length,
+    moneyline: {
+      picks: ml.length,
+      mean_clv_prob: mean(ml.map((p) => p.clv_prob)),
+      mean_clv_ev: mean(ml.map((p) => p.clv_ev)),
+      beat_close_rate: rate(ml, (p) => p.beat_close)
+    },
+    spread: {
+      picks: spread.length,
+      mean_clv_points: mean(spread.map((p) => p.clv_points)),
+      beat_close_rate: rate(spread, (p) => p.beat_close),
+      unchanged_line_rate: rate(spread, (p) => p.clv_points === 0)
+    }
+  };
+}
+
+/**
+ * Build the clv_<season>_W<week>.json payload from season-to-date predictions.
+ * @param {{ season: number, week: number, predictions: Array, marketRows: Array, probKey?: string }} params
+ * @returns {object}
+ */
+export function buildClvReport({ season, week, predictions = [], marketRows = [], probKey = "blended" } = {}) {
+  const markets = new Map();
+  for (const row of marketRows || []) {
+    if (!row?.market) continue;
+    markets.set(marketKey(row.season, row.week, row.home_team, row.away_team), row.market);
+  }
+
+  const picks = [];
+  for (const pred of predictions || []) {
+    if (Number(pred?.season) !== Number(season) || Number(pred?.week) > Number(week)) continue;
+    const market = markets.get(marketKey(pred.season, pred.week, pred.home_team, pred.away_team));
+    if (!market || !hasOpeningLine(market)) continue;
+    const moneyline = moneylineClv(pred.probs?.[probKey] ?? pred.forecast, market);
+    const spread = spreadClv(pred.predicted_margin, market);
+    if (!moneyline && !spread) continue;
+    const actual = pred.actual === 0 || pred.actual === 1 ? pred.actual : null;
+    picks.push({
+      game_id: pred.game_id ?? null,
+      season: Number(pred.season),
+      week: Number(pred.week),
+      home_team: pred.home_team,
+      away_team: pred.away_team,
+      lines: lineMovement(market),
+      moneyline,
+      spread,
+      won: moneyline && actual != null ? (moneyline.side === "home") === (actual === 1) : null
+    });
+  }
+  picks.sort((a, b) => a.week - b.week || String(a.game_id).localeCompare(String(b.game_id)));
+
+  const weeks = [...new Set(picks.map((p) => p.week))].map((w) => ({
+    week: w,
+    ...summarize(picks.filter((p) => p.week === w))
+  }));
+
+  return {
+    season: Number(season),
+    week: Number(week),
+    generated_at: new Date().toISOString(),
+    prob_key: probKey,
+    season_summary: summarize(picks),
+    weeks,
+    picks
+  };
+}
+
+export default {
+  lineMovement,
+  moneylineClv,
+  spreadClv,
+  buildClvReport
+};
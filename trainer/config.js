@@ -111,6 +111,8 @@ export function getDataConfig() {
     override.retry = override.retry || {};
     override.retry.backoffMs = Number(backoff);
   }
+  const snapshot = process.env.DATA_SNAPSHOT;
+  if (snapshot) override.snapshot = snapshot;
   return override;
 }
 
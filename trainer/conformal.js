@@ -0,0 +1,180 @@
+// trainer/conformal.js
+// Conformal prediction intervals for the member probabilities, the blend and
+// the margin head, plus the coverage report that checks them against outcomes.
+//
+// Nonconformity scores are absolute residuals of the training window's
+// out-of-fold predictions (|label - p| for probabilities, |actual - predicted|
+// for the margin). Every row was scored by a model that never saw it, so the
+// finite-sample quantile of those scores gives cross-conformal intervals that
+// hold the outcome with probability >= level. For a 0/1 outcome the interval
+// is the set of labels it reaches: covered when |label - p| <= q.
+
+export const CONFORMAL_LEVEL = 0.9;
+export const CONFORMAL_PROB_KEYS = ["logistic", "tree", "bt", "ann", "gbt", "blended"];
+
+const round = (value, digits = 3) => {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+/**
+ * Conformal quantile: the ceil((n + 1) * level)-th smallest score, or Infinity
+ * when there are too few scores to reach the level.
+ * @param {number[]} scores
+ * @param {number} [level]
+ * @returns {number}
+ */
+export function conformalQuantile(scores, level = CONFORMAL_LEVEL) {
+  const sorted = scores.filter(Number.isFinite).sort((a, b) => a - b);
+  const k = Math.ceil((sorted.length + 1) * level);
+  if (!sorted.length || k > sorted.length) return Infinity;
+  return sorted[Math.max(0, k - 1)];
+}
+
+/**
+ * Fit interval half-widths from out-of-fold predictions.
+ * @param {object} options
+ * @param {Record<string, number[]>} options.probs - out-of-fold probabilities per key, aligned with labels
+ * @param {number[]} options.labels - 0/1 outcomes
+ * @param {{ predicted: number[], actual: number[] }} [options.margin] - out-of-fold margin predictions
+ * @param {number} [options.level]
+ * @returns {{ method: string, level: number, n: number, n_margin: number, quantiles: Record<string, number> }}
+ */
+export function fitConformal({ probs = {}, labels = [], margin = null, level = CONFORMAL_LEVEL }) {
+  if (!(level > 0 && level < 1)) throw new Error(`conformal level must be in (0, 1), got ${level}`);
+  const quantiles = {};
+  for (const [key, values] of Object.entries(probs)) {
+    if (!Array.isArray(values)) continue;
+    quantiles[key] = conformalQuantile(
+      labels.map((y, i) => Math.abs(y - values[i])),
+      level
+    );
+  }
+  const predicted = margin?.predicted ?? [];
+  const actual = margin?.actual ?? [];
+  if (predicted.length) {
+    quantiles.margin = conformalQuantile(
+      predicted.map((p, i) => Math.abs(actual[i] - p)),
+      level
+    );
+  }
+  return { method: "cross_conformal", level, n: labels.length, n_margin: predicted.length, quantiles };
+}
+
+/**
+ * Probability interval, clipped to [0, 1].
+ * @param {number} p
+ * @param {number} q - half-width from fitConformal
+ * @returns {[number, number]}
+ */
+export function probabilityInterval(p, q) {
+  if (!Number.isFinite(q)) return [0, 1];
+  return [round(Math.max(0, p - q)), round(Math.min(1, p + q))];
+}
+
+/**
+ * Margin interval; unbounded (nulls) when the window was too small for the level.
+ * @param {number} predicted
+ * @param {number} q
+ * @returns {[number|null, number|null]}
+ */
+export function marginConformalInterval(predicted, q) {
+  if (!Number.isFinite(q)) return [null, null];
+  return [round(predicted - q, 1), round(predicted + q, 1)];
+}
+
+/**
+ * The per-game `conformal` block of a prediction.
+ * @param {ReturnType<typeof fitConformal>} fit
+ * @param {{ probs: Record<string, number>, margin?: number|null }} game
+ * @returns {object}
+ */
+export function conformalIntervals(fit, { probs = {}, margin = null }) {
+  const out = { level: fit.level, method: fit.method, n: fit.n, probs: {} };
+  for (const key of CONFORMAL_PROB_KEYS) {
+    const p = probs[key];
+    if (p == null || !Number.isFinite(p) || !(key in fit.quantiles)) continue;
+    out.probs[key] = probabilityInterval(p, fit.quantiles[key]);
+  }
+  if (margin != null && Number.isFinite(margin) && "margin" in fit.quantiles) {
+    out.margin = marginConformalInterval(margin, fit.quantiles.margin);
+  }
+  return out;
+}
+
+function contains(interval, value) {
+  if (!Array.isArray(interval) || value == null || !Number.isFinite(value)) return null;
+  const [lo, hi] = interval;
+  return (lo == null || value >= lo) && (hi == null || value <= hi);
+}
+
+function tally(rows) {
+  const out = {};
+  for (const key of [...CONFORMAL_PROB_KEYS, "margin"]) {
+    let n = 0;
+    let covered = 0;
+    let width = 0;
+    let widthN = 0;
+    for (const { conformal, actual } of rows) {
+      const interval = key === "margin" ? conformal.margin : conformal.probs?.[key];
+      const target = key === "margin" ? actual.margin : actual.home_win;
+      const hit = contains(interval, target);
+      if (hit == null) continue;
+      n += 1;
+      if (hit) covered += 1;
+      if (interval[0] != null && interval[1] != null) {
+        width += interval[1] - interval[0];
+        widthN += 1;
+      }
+    }
+    if (!n) continue;
+    out[key] = {
+      n,
+      covered,
+      coverage: round(covered / n, 4),
+      mean_width: widthN ? round(width / widthN, key === "margin" ? 2 : 4) : null
+    };
+  }
+  return out;
+}
+
+/**
+ * Empirical coverage of stored conformal intervals against final results.
+ * @param {object} options
+ * @param {number} options.season
+ * @param {Array<{ week: number, conformal: object, actual: { home_win: number, margin: number } }>} options.rows
+ * @returns {object} coverage_<season>.json payload
+ */
+export function buildCoverageReport({ season, rows = [] }) {
+  const usable = rows.filter((row) => row?.conformal && row.actual);
+  const levels = [...new Set(usable.map((row) => row.conformal.level))];
+  const target = levels.length === 1 ? levels[0] : null;
+  const weeks = [...new Set(usable.map((row) => Number(row.week)))].sort((a, b) => a - b);
+  const summary = tally(usable);
+  for (const entry of Object.values(summary)) {
+    entry.gap = target == null ? null : round(entry.coverage - target, 4);
+  }
+  return {
+    season,
+    generated_at: new Date().toISOString(),
+    target_level: target,
+    n_games: usable.length,
+    summary,
+    weeks: weeks.map((week) => {
+      const weekRows = usable.filter((row) => Number(row.week) === week);
+      return { week, n_games: weekRows.length, coverage: tally(weekRows) };
+    })
+  };
+}
+
+export default {
+  CONFORMAL_LEVEL,
+  CONFORMAL_PROB_KEYS,
+  conformalQuantile,
+  fitConformal,
+  probabilityInterval,
+  marginConformalInterval,
+  conformalIntervals,
+  buildCoverageReport
+};
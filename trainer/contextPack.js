@@ -10,17 +10,27 @@ import {
   loadInjuries,
   loadESPNQBR,
   loadMarkets,
-  loadWeather
+  loadWeather,
+  loadSnapCounts,
+  loadDepthCharts
 } from "./dataSources.js";
 import { loadElo } from "./eloLoader.js";
 import { resolveCurrentWeek } from "../scripts/resolveWeek.js";
+import { devigMoneyline } from "./marketOdds.js";
 import { validateArtifact } from "./schemaValidator.js";
-import { ZERO_SNAPSHOT, buildTeamInjuryIndex, getTeamInjurySnapshot } from "./injuryIndex.js";
-import { normalizeTeam } from "./teamNormalizer.js";
+import {
+  ZERO_SNAPSHOT,
+  buildInjuryImpactIndex,
+  buildTeamInjuryIndex,
+  getTeamInjuryImpact,
+  getTeamInjurySnapshot
+} from "./injuryIndex.js";
+import { normalizeTeam } from "./franchises.js";
 import { artifactsRoot } from "./utils/paths.js";
 
 const ARTIFACTS_DIR = artifactsRoot();
 const INJURY_DATA_MIN_SEASON = 2009;
+const LOST_VALUE_TOP_PLAYERS = 5;
 
 const NEUTRAL_WEATHER_TEMPLATE = Object.freeze({
   summary: "Neutral historical conditions",
@@ -65,13 +75,7 @@ function impliedMoneyline(line) {
   return clampProb(value);
 }
 
-const normTeam = (value) => {
-  const norm = normalizeTeam(value);
-  if (norm) return norm;
-  if (value == null) return null;
-  const s = String(value).trim().toUpperCase();
-  return s || null;
-};
+const normTeam = (value) => normalizeTeam(value, { source: "contextPack" });
 
 const envFlag = (name) => {
   const value = process.env[name];
@@ -123,6 +127,12 @@ function enrichMarketProbabilities(market) {
   if (Number.isFinite(enriched.moneyline_away)) {
     enriched.implied_prob_away = impliedMoneyline(-enriched.moneyline_away);
   }
+  const devigged = devigMoneyline(enriched.moneyline_home, enriched.moneyline_away);
+  if (devigged) {
+    enriched.implied_prob_home_novig = clampProb(devigged.home);
+    enriched.implied_prob_away_novig = clampProb(devigged.away);
+    enriched.overround = devigged.overround;
+  }
   if (Number.isFinite(enriched.moneyline_draw)) {
     enriched.implied_prob_draw = impliedMoneyline(enriched.moneyline_draw);
   }
@@ -138,6 +148,19 @@ function neutralInjurySnapshot() {
   };
 }
 
+function lostSnapValue(impact) {
+  const round3 = (v) => Math.round(v * 1000) / 1000;
+  return {
+    qb: round3(impact.qb),
+    ol: round3(impact.ol),
+    skill: round3(impact.skill),
+    front7: round3(impact.front7),
+    secondary: round3(impact.secondary),
+    total: round3(impact.total),
+    top_players: impact.players.slice(0, LOST_VALUE_TOP_PLAYERS)
+  };
+}
+
 function filterSeasonWeek(rows, season, week) {
   if (!Array.isArray(rows)) return [];
   return rows.filter((row) => {
@@ -442,6 +465,8 @@ export async function buildContextForWeek(season, week) {
   let eloRows = [];
   let marketRows = [];
   let weatherRows = [];
+  let snapCounts = [];
+  let depthCharts = [];
   try { teamWeekly = await loadTeamWeekly(y); } catch (err) { console.warn("teamWeekly load failed", err?.message ?? err); }
   try { playerWeekly = await loadPlayerWeekly(y); } catch (err) { console.warn("playerWeekly load failed", err?.message ?? err); }
   try { injuries = await loadInjuries(y); } catch (err) { console.warn("injuries load failed", err?.message ?? err); }
@@ -460,6 +485,10 @@ export async function buildContextForWeek(season, week) {
   const isHistoricalWeek = Number.isFinite(currentWeekResolved) && w < currentWeekResolved;
   const injuriesAvailable = !isHistoricalWeek && y >= INJURY_DATA_MIN_SEASON;
   if (!injuriesAvailable) injuries = [];
+  if (injuries.length) {
+    try { snapCounts = await loadSnapCounts(y); } catch (err) { console.warn("snap counts load failed", err?.message ?? err); }
+    try { depthCharts = await loadDepthCharts(y); } catch (err) { console.warn("depth charts load failed", err?.message ?? err); }
+  }
   const shouldPersistCurrent = !Number.isFinite(currentWeekResolved) || w >= currentWeekResolved;
 
   if (shouldPersistCurrent) {
@@ -490,6 +519,7 @@ export async function buildContextForWeek(season, week) {
   const injuryIndexRaw = buildTeamInjuryIndex(injuries, y);
   const injuryMap = injuriesAvailable ? injuryMapRaw : new Map();
   const injuryIndex = injuriesAvailable ? injuryIndexRaw : new Map();
+  const impactIndex = buildInjuryImpactIndex(injuries, y, { snapCounts, depthCharts });
   const eloMap = buildEloMap(eloRows, y, w);
   const marketMapRaw = buildMarketMap(marketRows, y, w);
   const weatherMapRaw = buildWeatherMap(weatherRows, y, w);
@@ -604,6 +634,8 @@ export async function buildContextForWeek(season, week) {
     const injuryAwayPrev = injuriesAvailable
       ? getTeamInjurySnapshot(injuryIndex, y, w - 1, away)
       : neutralInjurySnapshot();
+    const impactHome = lostSnapValue(getTeamInjuryImpact(impactIndex, y, w, home));
+    const impactAway = lostSnapValue(getTeamInjuryImpact(impactIndex, y, w, away));
 
     out.push({
       game_id: gid,
@@ -668,7 +700,9 @@ export async function buildContextForWeek(season, week) {
             practice_dnp: injuryAway.practice_dnp,
             out_change: injuryAway.out - injuryAwayPrev.out,
             skill_out_change: injuryAway.skill_out - injuryAwayPrev.skill_out
-          }
+          },
+          home_lost_snap_value: impactHome,
+          away_lost_snap_value: impactAway
         },
         venue: {
           is_dome: isDome,
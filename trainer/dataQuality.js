@@ -0,0 +1,694 @@
+// trainer/dataQuality.js
+// Data-quality checks for every dataset the loaders in dataSources.js return.
+//
+// DATASET_EXPECTATIONS declares, per dataset, the columns that must be
+// present, the null rates allowed, value ranges, team-code columns and games
+// per week. The loaders record each dataset as they load it (inspectData and
+// sanityCheckRows); buildDataQualityReport() turns what was recorded for a
+// season into data_quality_<season>_W<week>.json, including drift of every
+// column profile against the previous season's.
+//
+// Each check is "critical" or "warning". Critical failures mean the data
+// cannot be trusted for training (missing key columns, unknown teams in the
+// schedule, a week without a full slate). The trainers write the report before
+// any other artifact of the week, and with DATA_QUALITY_FAIL=1 (set by
+// runTrainingWorkflow.js --fail-on-data-quality) they stop there.
+
+import fs from "node:fs";
+import path from "node:path";
+import { resetTeamWarnings, resolveFranchise, teamWarnings } from "./franchises.js";
+import { validateArtifact } from "./schemaValidator.js";
+
+export const DATA_QUALITY_PREFIX = "data_quality";
+
+// Column entries that are arrays accept any one of the names.
+// nullRates: column -> max share of null/empty values (or { max, severity }).
+// ranges: column -> { min, max, severity? } for the numeric values present.
+// teams: columns whose values must be franchise codes.
+// gamesPerWeek: distinct games per season/week among rows matching `where`.
+// required: an empty dataset is a critical failure rather than a warning.
+export const DATASET_EXPECTATIONS = {
+  schedules: {
+    required: true,
+    columns: ["game_id", "season", "week", "home_team", "away_team"],
+    nullRates: { game_id: 0, season: 0, week: 0, home_team: 0, away_team: 0 },
+    ranges: {
+      week: { min: 1, max: 22, severity: "critical" },
+      home_score: { min: 0, max: 80 },
+      away_score: { min: 0, max: 80 },
+      spread_line: { min: -30, max: 30 },
+      total_line: { min: 20, max: 70 }
+    },
+    teams: { columns: ["home_team", "away_team"], severity: "critical" },
+    gamesPerWeek: { min: 13, max: 16, where: { game_type: "REG" }, severity: "critical" }
+  },
+  qbr: {
+    columns: ["season", "qbr_total"],
+    ranges: { qbr_total: { min: 0, max: 100 } },
+    teams: { columns: ["team_abb"] }
+  },
+  officials: {
+    columns: ["game_id"],
+    nullRates: { game_id: 0 }
+  },
+  teamWeekly: {
+    required: true,
+    columns: ["season", "week", "team"],
+    nullRates: { season: 0, week: 0, team: 0 },
+    ranges: { week: { min: 1, max: 22, severity: "critical" } },
+    teams: { columns: ["team", "opponent_team"], severity: "critical" }
+  },
+  playerWeekly: {
+    columns: ["season", "week", ["team", "recent_team"]],
+    nullRates: { season: 0, week: 0 },
+    ranges: { week: { min: 1, max: 22, severity: "critical" } },
+    teams: { columns: ["team", "recent_team", "opponent_team"] }
+  },
+  rosterWeekly: {
+    columns: ["season", "week", "team"],
+    nullRates: { team: 0.01 },
+    teams: { columns: ["team"] }
+  },
+  depthCharts: {
+    columns: [["club_code", "team"]],
+    teams: { columns: ["club_code", "team"] }
+  },
+  ftnCharts: {
+    columns: ["season", "week"],
+    ranges: { week: { min: 1, max: 22 } }
+  },
+  snapCounts: {
+    columns: ["game_id", "season", "week", "team", "player"],
+    nullRates: { game_id: 0, team: 0 },
+    ranges: {
+      offense_pct: { min: 0, max: 1 },
+      defense_pct: { min: 0, max: 1 },
+      special_teams_pct: { min: 0, max: 1 }
+    },
+    teams: { columns: ["team", "opponent"] }
+  },
+  // game_id and the game-state columns only come with loadPBP's gameState
+  // option; their checks apply when a load carries them.
+  pbp: {
+    columns: ["season", "week", "posteam", "defteam", "epa"],
+    nullRates: { game_id: 0, week: 0 },
+    ranges: {
+      week: { min: 1, max: 22, severity: "critical" },
+      epa: { min: -20, max: 20 },
+      yardline_100: { min: 0, max: 100 },
+      qtr: { min: 1, max: 6 }
+    },
+    teams: { columns: ["posteam", "defteam", "home_team", "away_team"], severity: "critical" }
+  },
+  pfrAdvTeamWeekly: {
+    columns: ["season", "week", "team"],
+    teams: { columns: ["team"] }
+  },
+  nextGenStats: {
+    columns: ["season", "week", "team_abbr"],
+    ranges: { week: { min: 0, max: 22 }, avg_time_to_throw: { min: 0, max: 10 } },
+    teams: { columns: ["team_abbr"] }
+  },
+  participation: {
+    columns: [["nflverse_game_id", "game_id"], "play_id"],
+    teams: { columns: ["possession_team"] }
+  },
+  markets: {
+    columns: ["season", "week", "home_team", "away_team"],
+    nullRates: { home_team: 0, away_team: 0 },
+    teams: { columns: ["home_team", "away_team"] }
+  },
+  weather: {
+    columns: ["season", "week", "home_team", "away_team"],
+    ranges: { wind_mph: { min: 0, max: 80 }, temperature_f: { min: -30, max: 130 } },
+    teams: { columns: ["home_team", "away_team"] }
+  },
+  injuries: {
+    columns: ["season", "team", "player"],
+    nullRates: { team: 0, player: 0 },
+    teams: { columns: ["team"] }
+  }
+};
+
+// sanityCheckRows knows the schedule loader as "schedule".
+const DATASET_ALIASES = { schedule: "schedules" };
+
+const DEFAULT_SEVERITY = {
+  row_count: "critical",
+  columns: "critical",
+  null_rate: "critical",
+  range: "warning",
+  teams: "warning",
+  games_per_week: "critical"
+};
+
+// Drift alerts (always warnings): a null rate moving by more than `nullRate`,
+// or a mean moving by more than `meanShift` of the previous season's standard
+// deviation (both sides need `minCount` values). Identifier and calendar columns are not compared.
+export const DRIFT_THRESHOLDS = { nullRate: 0.2, meanShift: 0.75, minCount: 30 };
+const DRIFT_EXCLUDED = new Set(["season", "week", "game_week", "play_id", "jersey_number", "qtr", "down"]);
+
+const round = (value, digits = 4) => {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+const isMissing = (value) =>
+  value === undefined || value === null || value === "" || (typeof value === "number" && Number.isNaN(value));
+
+const toNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const baseDataset = (name) => DATASET_ALIASES[name] ?? name;
+
+/**
+ * Per-column profile: null rate for every column, plus count/mean/std/min/max
+ * for columns whose non-null values are all numeric.
+ * @param {object[]} rows
+ * @returns {{ rows: number, columns: Object<string, object> }}
+ */
+export function profileDataset(rows = []) {
+  const stats = new Map();
+  for (const row of rows) {
+    if (!row || typeof row !== "object") continue;
+    for (const [key, value] of Object.entries(row)) {
+      if (!stats.has(key)) stats.set(key, { present: 0, numeric: 0, other: 0, sum: 0, sumSq: 0, min: Infinity, max: -Infinity });
+      const s = stats.get(key);
+      if (isMissing(value)) continue;
+      s.present += 1;
+      const n = toNumber(value);
+      if (n == null) {
+        s.other += 1;
+        continue;
+      }
+      s.numeric += 1;
+      s.sum += n;
+      s.sumSq += n * n;
+      if (n < s.min) s.min = n;
+      if (n > s.max) s.max = n;
+    }
+  }
+  const columns = {};
+  for (const key of [...stats.keys()].sort()) {
+    const s = stats.get(key);
+    const entry = { null_rate: round(rows.length ? 1 - s.present / rows.length : 0) };
+    if (s.numeric > 0 && s.other === 0) {
+      const mean = s.sum / s.numeric;
+      entry.count = s.numeric;
+      entry.mean = round(mean);
+      entry.std = round(Math.sqrt(Math.max(0, s.sumSq / s.numeric - mean * mean)));
+      entry.min = round(s.min);
+      entry.max = round(s.max);
+    }
+    columns[key] = entry;
+  }
+  return { rows: rows.length, columns };
+}
+
+const severityOf = (spec, type) => (spec && typeof spec === "object" && spec.severity) || DEFAULT_SEVERITY[type];
+
+function check(type, passed, spec, fields) {
+  const result = { check: type, severity: severityOf(spec, type), passed };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+function gamesPerWeek(rows, spec) {
+  const where = Object.entries(spec.where || {});
+  const games = new Map();
+  for (const row of rows) {
+    if (where.some(([key, value]) => row?.[key] !== value)) continue;
+    const season = toNumber(row.season);
+    const week = toNumber(row.week);
+    if (season == null || week == null) continue;
+    const key = `${season}|${week}`;
+    if (!games.has(key)) games.set(key, { season, week, ids: new Set() });
+    games.get(key).ids.add(row.game_id ?? `${row.home_team}-${row.away_team}`);
+  }
+  return [...games.values()]
+    .map(({ season, week, ids }) => ({ season, week, games: ids.size }))
+    .sort((a, b) => a.season - b.season || a.week - b.week);
+}
+
+/**
+ * Run a dataset's expectations against its rows.
+ * @param {string} dataset
+ * @param {object[]} rows
+ * @param {{ season?: number|null, expectations?: object }} [options]
+ * @returns {object[]} check results; `passed: false` entries are failures
+ */
+export function checkDataset(dataset, rows = [], { season = null, expectations } = {}) {
+  const spec = expectations ?? DATASET_EXPECTATIONS[baseDataset(dataset)] ?? {};
+  const list = Array.isArray(rows) ? rows : [];
+  if (!list.length) {
+    return [
+      check("row_count", false, { severity: spec.required ? "critical" : "warning" }, {
+        rows: 0,
+        message: `${dataset} returned no rows`
+      })
+    ];
+  }
+  const present = new Set();
+  for (const row of list) {
+    if (row && typeof row === "object") for (const key of Object.keys(row)) present.add(key);
+  }
+  const results = [];
+
+  if (spec.columns?.length) {
+    const missing = spec.columns
+      .filter((column) => ![].concat(column).some((name) => present.has(name)))
+      .map((column) => [].concat(column).join("|"));
+    results.push(check("columns", missing.length === 0, null, {
+      missing,
+      message: missing.length ? `missing columns: ${missing.join(", ")}` : undefined
+    }));
+  }
+
+  for (const [column, limit] of Object.entries(spec.nullRates || {})) {
+    if (!present.has(column)) continue;
+    const max = typeof limit === "object" ? limit.max : limit;
+    const nulls = list.reduce((count, row) => count + (isMissing(row?.[column]) ? 1 : 0), 0);
+    const rate = nulls / list.length;
+    results.push(check("null_rate", rate <= max, limit, {
+      column,
+      value: round(rate),
+      max,
+      message: rate > max ? `${column} null rate ${round(rate)} > ${max}` : undefined
+    }));
+  }
+
+  for (const [column, range] of Object.entries(spec.ranges || {})) {
+    if (!present.has(column)) continue;
+    let outside = 0;
+    let checked = 0;
+    const examples = [];
+    for (const row of list) {
+      const n = toNumber(row?.[column]);
+      if (n == null) continue;
+      checked += 1;
+      if ((range.min != null && n < range.min) || (range.max != null && n > range.max)) {
+        outside += 1;
+        if (examples.length < 5) examples.push(n);
+      }
+    }
+    results.push(check("range", outside === 0, range, {
+      column,
+      min: range.min ?? null,
+      max: range.max ?? null,
+      checked,
+      outside,
+      examples,
+      message: outside ? `${outside} ${column} values outside [${range.min ?? "-inf"}, ${range.max ?? "inf"}]` : undefined
+    }));
+  }
+
+  if (spec.teams) {
+    const known = new Map();
+    const isTeam = (value, rowSeason) => {
+      const key = `${value}|${rowSeason}`;
+      if (!known.has(key)) known.set(key, resolveFranchise(value, { season: rowSeason }) != null);
+      return known.get(key);
+    };
+    for (const column of spec.teams.columns.filter((name) => present.has(name))) {
+      const invalid = new Map();
+      for (const row of list) {
+        const value = row?.[column];
+        if (isMissing(value)) continue;
+        if (!isTeam(value, toNumber(row.season) ?? season ?? undefined)) {
+          const code = String(value);
+          invalid.set(code, (invalid.get(code) || 0) + 1);
+        }
+      }
+      const values = [...invalid.keys()].sort();
+      results.push(check("teams", values.length === 0, spec.teams, {
+        column,
+        invalid: values,
+        outside: [...invalid.values()].reduce((a, b) => a + b, 0),
+        message: values.length ? `unknown team codes in ${column}: ${values.join(", ")}` : undefined
+      }));
+    }
+  }
+
+  if (spec.gamesPerWeek) {
+    const weeks = gamesPerWeek(list, spec.gamesPerWeek);
+    const { min, max } = spec.gamesPerWeek;
+    const bad = weeks.filter((w) => w.games < min || w.games > max);
+    results.push(check("games_per_week", bad.length === 0, spec.gamesPerWeek, {
+      min,
+      max,
+      weeks: bad,
+      message: bad.length
+        ? `weeks outside ${min}-${max} games: ${bad.map((w) => `${w.season} W${w.week}=${w.games}`).join(", ")}`
+        : undefined
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * Drift of a dataset's profile against a baseline (previous season) profile.
+ * @param {object} current profileDataset() output
+ * @param {object} previous profileDataset() output
+ * @param {object} [thresholds]
+ * @returns {object[]} alerts
+ */
+export function compareProfiles(current, previous, thresholds = DRIFT_THRESHOLDS) {
+  if (!current?.columns || !previous?.columns) return [];
+  const alerts = [];
+  for (const column of Object.keys(previous.columns)) {
+    if (!(column in current.columns)) alerts.push({ column, kind: "column_removed" });
+  }
+  for (const [column, now] of Object.entries(current.columns)) {
+    const before = previous.columns[column];
+    if (!before) {
+      alerts.push({ column, kind: "column_added" });
+      continue;
+    }
+    if (Math.abs(now.null_rate - before.null_rate) > thresholds.nullRate) {
+      alerts.push({ column, kind: "null_rate", previous: before.null_rate, current: now.null_rate });
+    }
+    if (DRIFT_EXCLUDED.has(column) || column.endsWith("_id")) continue;
+    if (now.mean == null || before.mean == null || !(before.std > 0)) continue;
+    if (now.count < thresholds.minCount || before.count < thresholds.minCount) continue;
+    const shift = (now.mean - before.mean) / before.std;
+    if (Math.abs(shift) > thresholds.meanShift) {
+      alerts.push({ column, kind: "mean_shift", previous: before.mean, current: now.mean, shift: round(shift, 3) });
+    }
+  }
+  return alerts;
+}
+
+// ---------- collector (filled by dataSources.js as datasets load) ----------
+
+const RECORDS = new Map();
+const ROW_COUNTS = new Map();
+let seen = new WeakMap();
+
+const recordKey = (name, season) => `${name}|${season ?? "all"}`;
+const datasetName = (dataset, statType) => (statType ? `${baseDataset(dataset)}/${statType}` : baseDataset(dataset));
+
+function storeRecord(dataset, name, rows, season, unknownTeams) {
+  const entry = {
+    dataset: name,
+    season,
+    rows: rows.length,
+    checks: checkDataset(dataset, rows, { season }),
+    profile: profileDataset(rows),
+    unknownTeams
+  };
+  RECORDS.set(recordKey(name, season), entry);
+  return entry;
+}
+
+/**
+ * Check and profile a dataset as it loads. Rows loaded without a season (all
+ * schedules, QBR) are recorded once per season they contain. Repeat calls with
+ * the same rows array (cache hits) are no-ops. The unknown-team warnings
+ * raised since the previous load (while these rows were normalized) are taken
+ * with the record, so every later report of the run still lists them.
+ * @param {string} dataset
+ * @param {object[]} rows
+ * @param {{ season?: number|null, statType?: string }} [context]
+ * @returns {object[]} the recorded entries
+ */
+export function recordDataset(dataset, rows, { season = null, statType } = {}) {
+  const list = Array.isArray(rows) ? rows : [];
+  if (Array.isArray(rows) && seen.has(rows)) return seen.get(rows);
+  const name = datasetName(dataset, statType);
+  const unknownTeams = teamWarnings();
+  resetTeamWarnings();
+  let entries;
+  if (season == null && list.some((row) => toNumber(row?.season) != null)) {
+    const bySeason = new Map();
+    for (const row of list) {
+      const key = toNumber(row?.season);
+      if (!bySeason.has(key)) bySeason.set(key, []);
+      bySeason.get(key).push(row);
+    }
+    entries = [...bySeason.entries()].map(([key, group]) => storeRecord(dataset, name, group, key, unknownTeams));
+  } else {
+    entries = [storeRecord(dataset, name, list, season ?? null, unknownTeams)];
+  }
+  if (Array.isArray(rows)) seen.set(rows, entries);
+  return entries;
+}
+
+/**
+ * Record a loader's row-count sanity check (the configured minimum).
+ * @param {string} dataset
+ * @param {number} count
+ * @param {number|undefined} minimum
+ * @param {{ season?: number|null, statType?: string }} [context]
+ */
+export function recordRowCount(dataset, count, minimum, { season = null, statType } = {}) {
+  if (!Number.isFinite(minimum)) return;
+  const name = datasetName(dataset, statType);
+  ROW_COUNTS.set(recordKey(name, season), check("row_count", count >= minimum, null, {
+    dataset: name,
+    season,
+    rows: count,
+    min: minimum,
+    message: count < minimum ? `${name} row count ${count} < ${minimum}` : undefined
+  }));
+}
+
+/**
+ * Recorded datasets for a season (plus those recorded without one).
+ * @param {number} season
+ * @returns {object[]}
+ */
+export function recordedDatasets(season) {
+  const target = Number(season);
+  const entries = [...RECORDS.values()].filter((entry) => entry.season == null || entry.season === target);
+  return entries.sort((a, b) => a.dataset.localeCompare(b.dataset) || (a.season ?? 0) - (b.season ?? 0));
+}
+
+/**
+ * Unknown-team warnings taken with the given records, plus any raised outside
+ * a dataset load, merged per source and value.
+ * @param {object[]} entries
+ * @returns {object[]}
+ */
+function collectTeamWarnings(entries) {
+  const lists = new Set(entries.map((entry) => entry.unknownTeams).filter(Array.isArray));
+  const merged = new Map();
+  for (const warning of [...[...lists].flat(), ...teamWarnings()]) {
+    const key = `${warning.source}|${warning.value}`;
+    if (merged.has(key)) merged.get(key).count += warning.count;
+    else merged.set(key, { ...warning });
+  }
+  return [...merged.values()];
+}
+
+export function resetDataQuality() {
+  RECORDS.clear();
+  ROW_COUNTS.clear();
+  seen = new WeakMap();
+  resetTeamWarnings();
+}
+
+// ---------- report ----------
+
+export function dataQualityFile(season, week) {
+  return `${DATA_QUALITY_PREFIX}_${season}_W${String(week).padStart(2, "0")}.json`;
+}
+
+/**
+ * Baseline profiles for drift: the previous season's recorded datasets, else
+ * the profiles in its latest data_quality report under `dir`.
+ * @param {number} season the season being reported (baseline is season - 1)
+ * @param {{ dir?: string }} [options]
+ * @returns {Object<string, object>} dataset -> profile
+ */
+export function previousSeasonProfiles(season, { dir } = {}) {
+  const baseline = Number(season) - 1;
+  const profiles = {};
+  if (dir) {
+    const pattern = new RegExp(`^${DATA_QUALITY_PREFIX}_${baseline}_W(\\d{2})\\.json$`);
+    const latest = (fs.existsSync(dir) ? fs.readdirSync(dir) : []).filter((name) => pattern.test(name)).sort().pop();
+    if (latest) {
+      try {
+        const report = JSON.parse(fs.readFileSync(path.join(dir, latest), "utf8"));
+        for (const entry of report.datasets || []) {
+          if (entry.profile && entry.season === baseline) profiles[entry.dataset] = entry.profile;
+        }
+      } catch (err) {
+        console.warn(`[dataQuality] unable to read ${latest}: ${err?.message || err}`);
+      }
+    }
+  }
+  for (const entry of RECORDS.values()) {
+    if (entry.season === baseline && entry.rows > 0) profiles[entry.dataset] = entry.profile;
+  }
+  return profiles;
+}
+
+/**
+ * data_quality_<season>_W<week>.json: every dataset's check results and
+ * profile, drift against the previous season, the team strings normalizeTeam
+ * could not resolve while the reported datasets loaded (franchises.js
+ * teamWarnings), and a pass/warn/fail summary.
+ * @param {{ season: number, week: number, datasets?: object[], previousProfiles?: Object<string, object>, unknownTeams?: object[], now?: Date }} options
+ * @returns {object}
+ */
+export function buildDataQualityReport({
+  season,
+  week,
+  datasets,
+  previousProfiles = {},
+  unknownTeams,
+  now = new Date()
+}) {
+  const recorded = datasets ?? recordedDatasets(season);
+  unknownTeams ??= collectTeamWarnings(recorded);
+  const entries = recorded.map((entry) => {
+    const rowCount = ROW_COUNTS.get(recordKey(entry.dataset, entry.season));
+    const checks = rowCount ? [rowCount, ...entry.checks] : entry.checks;
+    const baseline = previousProfiles[entry.dataset];
+    return {
+      dataset: entry.dataset,
+      season: entry.season,
+      rows: entry.rows,
+      status: checks.some((c) => !c.passed && c.severity === "critical")
+        ? "fail"
+        : checks.some((c) => !c.passed) ? "warn" : "pass",
+      checks,
+      profile: entry.profile,
+      drift: baseline
+        ? { baseline_season: Number(season) - 1, alerts: compareProfiles(entry.profile, baseline) }
+        : null
+    };
+  });
+  // Row-count failures for datasets whose loader threw before they recorded.
+  for (const [key, rowCount] of ROW_COUNTS) {
+    if (rowCount.passed || entries.some((e) => recordKey(e.dataset, e.season) === key)) continue;
+    if (rowCount.season != null && rowCount.season !== Number(season)) continue;
+    entries.push({
+      dataset: rowCount.dataset,
+      season: rowCount.season,
+      rows: rowCount.rows,
+      status: "fail",
+      checks: [rowCount],
+      profile: null,
+      drift: null
+    });
+  }
+  const failures = entries.flatMap((entry) =>
+    entry.checks.filter((c) => !c.passed).map((c) => ({ dataset: entry.dataset, ...c }))
+  );
+  const critical = failures.filter((f) => f.severity === "critical");
+  return {
+    season: Number(season),
+    week: Number(week),
+    generated_at: now.toISOString(),
+    status: critical.length ? "fail" : failures.length || unknownTeams.length ? "warn" : "pass",
+    summary: {
+      datasets: entries.length,
+      checks: entries.reduce((sum, entry) => sum + entry.checks.length, 0),
+      critical_failures: critical.length,
+      warnings: failures.length - critical.length,
+      drift_alerts: entries.reduce((sum, entry) => sum + (entry.drift?.alerts.length ?? 0), 0),
+      unknown_teams: unknownTeams.length
+    },
+    failures,
+    unknown_teams: unknownTeams,
+    datasets: entries
+  };
+}
+
+/**
+ * Read a season/week's data_quality report, or null when it was not written.
+ * @param {number} season
+ * @param {number} week
+ * @param {string} dir
+ * @returns {object|null}
+ */
+export function loadDataQualityReport(season, week, dir) {
+  const file = path.join(dir, dataQualityFile(season, week));
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * The critical failures in a report.
+ * @param {object|null} report
+ * @returns {object[]}
+ */
+export function criticalFailures(report) {
+  return (report?.failures || []).filter((failure) => failure.severity === "critical");
+}
+
+export class DataQualityError extends Error {
+  constructor(report, file) {
+    const failures = criticalFailures(report);
+    super(`${failures.length} critical data quality check(s) failed in ${file}`);
+    this.name = "DataQualityError";
+    this.file = file;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Whether critical failures stop a training run (DATA_QUALITY_FAIL=1).
+ * @param {object} [env]
+ * @returns {boolean}
+ */
+export function dataQualityGateEnabled(env = process.env) {
+  return /^(1|true|yes|on)$/i.test(String(env.DATA_QUALITY_FAIL ?? "").trim());
+}
+
+/**
+ * Write the season/week's report from what this run recorded. Called before
+ * the week's other artifacts, so a failing gate leaves the report as the only
+ * output of the run.
+ * @param {{ season: number, week: number, dir: string, fail?: boolean }} options
+ * @returns {object} the report
+ * @throws {DataQualityError} when `fail` is set and a critical check failed
+ */
+export function writeDataQualityReport({ season, week, dir, fail = dataQualityGateEnabled() }) {
+  const report = buildDataQualityReport({ season, week, previousProfiles: previousSeasonProfiles(season, { dir }) });
+  validateArtifact("data_quality", report);
+  const file = dataQualityFile(season, week);
+  fs.writeFileSync(path.join(dir, file), JSON.stringify(report, null, 2));
+  if (report.status !== "pass") {
+    console.warn(
+      `[dataQuality] ${file} ${report.status}: ` +
+        `${report.summary.critical_failures} critical, ${report.summary.warnings} warnings, ` +
+        `${report.summary.unknown_teams} unknown team strings`
+    );
+    for (const failure of criticalFailures(report)) {
+      console.warn(`[dataQuality]   ${failure.dataset}: ${failure.message || failure.check}`);
+    }
+  }
+  if (fail && report.status === "fail") throw new DataQualityError(report, file);
+  return report;
+}
+
+export default {
+  DATA_QUALITY_PREFIX,
+  DATASET_EXPECTATIONS,
+  DRIFT_THRESHOLDS,
+  profileDataset,
+  checkDataset,
+  compareProfiles,
+  recordDataset,
+  recordRowCount,
+  recordedDatasets,
+  resetDataQuality,
+  dataQualityFile,
+  previousSeasonProfiles,
+  buildDataQualityReport,
+  loadDataQualityReport,
+  criticalFailures,
+  DataQualityError,
+  dataQualityGateEnabled,
+  writeDataQualityReport
+};
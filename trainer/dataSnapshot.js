@@ -0,0 +1,209 @@
+// trainer/dataSnapshot.js
+// Content-addressed on-disk snapshots of the nflverse files dataSources.js
+// downloads, so a training run can be repeated without the network.
+//
+// Layout under a snapshot root (default data/snapshots):
+//
+//   blobs/<aa>/<sha256>        raw downloaded bytes, shared by every snapshot
+//   <name>/manifest.json       which URL each dataset/season resolved to and
+//                              the checksum of every file (or its 404)
+//
+// A recorder captures what the real loaders fetch (scripts/snapshotData.js
+// drives it); openSnapshot() serves those files back, checking each checksum,
+// and throws DataSnapshotError with code "missing" for anything the snapshot
+// never recorded.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+export const SNAPSHOT_VERSION = 1;
+export const DEFAULT_SNAPSHOT_ROOT = "data/snapshots";
+
+export class DataSnapshotError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "DataSnapshotError";
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+const sha256 = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+const resolutionKey = (dataset, season) => `${dataset}|${season ?? "*"}`;
+
+const blobPath = (blobDir, hash) => path.join(blobDir, hash.slice(0, 2), hash);
+
+// Snapshot id: checksum of the resolved URLs and file hashes, so the same data
+// always lands in the same version directory.
+function snapshotId(resolutions, files) {
+  const sorted = (obj) => Object.keys(obj).sort().map((key) => [key, obj[key]]);
+  return sha256(JSON.stringify({ resolutions: sorted(resolutions), files: sorted(files) })).slice(0, 12);
+}
+
+/**
+ * Record downloads into a snapshot root. Blobs are written as they arrive;
+ * finalize() writes the manifest into a version directory.
+ * @param {object} options
+ * @param {string} [options.root]
+ * @returns {object}
+ */
+export function createSnapshotRecorder({ root = DEFAULT_SNAPSHOT_ROOT } = {}) {
+  const blobDir = path.join(root, "blobs");
+  const resolutions = {};
+  const files = {};
+  return {
+    root,
+    recordResolution(dataset, season, resolved) {
+      if (!resolved?.url) return;
+      const entry = { url: resolved.url, source: resolved.source ?? null };
+      if (resolved.name) entry.name = resolved.name;
+      if (resolved.season != null) entry.season = resolved.season;
+      resolutions[resolutionKey(dataset, season)] = entry;
+    },
+    recordFile(url, buf) {
+      const hash = sha256(buf);
+      const file = blobPath(blobDir, hash);
+      if (!fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, buf);
+      }
+      files[url] = { sha256: hash, bytes: buf.length };
+    },
+    recordMissing(url, status) {
+      files[url] = { status };
+    },
+    /**
+     * @param {{ seasons: number[], name?: string }} options
+     * @returns {{ dir: string, manifest: object }}
+     */
+    finalize({ seasons = [], name } = {}) {
+      const id = snapshotId(resolutions, files);
+      const range = seasons.length ? `${Math.min(...seasons)}-${Math.max(...seasons)}` : "all";
+      const dir = path.join(root, name || `nflverse_${range}_${id}`);
+      const manifest = {
+        version: SNAPSHOT_VERSION,
+        id,
+        created_at: new Date().toISOString(),
+        seasons: [...seasons].sort((a, b) => a - b),
+        blob_dir: path.relative(dir, blobDir),
+        resolutions,
+        files
+      };
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+      return { dir, manifest };
+    }
+  };
+}
+
+/**
+ * Open a snapshot for reading.
+ * @param {string} dir - version directory holding manifest.json
+ * @returns {object}
+ */
+export function openSnapshot(dir) {
+  const manifestPath = path.join(dir, "manifest.json");
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (err) {
+    if (err?.code === "ENOENT") {
+      throw new DataSnapshotError("missing", `data snapshot manifest not found at ${manifestPath}`);
+    }
+    throw err;
+  }
+  if (manifest.version !== SNAPSHOT_VERSION) {
+    throw new DataSnapshotError("version", `data snapshot ${dir} has version ${manifest.version}; expected ${SNAPSHOT_VERSION}`);
+  }
+  const blobDir = path.resolve(dir, manifest.blob_dir ?? "../blobs");
+  const seasonsHint = manifest.seasons?.length ? ` (covers ${manifest.seasons[0]}-${manifest.seasons[manifest.seasons.length - 1]})` : "";
+
+  return {
+    dir,
+    manifest,
+    /**
+     * The URL a dataset/season resolved to when the snapshot was taken.
+     * @returns {{ url: string, source: string, name?: string, season?: number }}
+     */
+    resolve(dataset, season) {
+      const entry = manifest.resolutions?.[resolutionKey(dataset, season)];
+      if (!entry) {
+        throw new DataSnapshotError(
+          "missing",
+          `dataset ${dataset}${season != null ? ` season ${season}` : ""} is not in data snapshot ${dir}${seasonsHint}`,
+          { dataset, season }
+        );
+      }
+      return { ...entry, source: "snapshot" };
+    },
+    seasons(dataset) {
+      const prefix = `${dataset}|`;
+      return Object.keys(manifest.resolutions || {})
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => Number(key.slice(prefix.length)))
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b);
+    },
+    /**
+     * Bytes recorded for a URL. A file that was a 404 when recorded throws an
+     * error carrying that status, as the live fetch did.
+     * @param {string} url
+     * @returns {Buffer}
+     */
+    readFile(url) {
+      const entry = manifest.files?.[url];
+      if (!entry) {
+        throw new DataSnapshotError("missing", `${url} is not in data snapshot ${dir}${seasonsHint}`, { url });
+      }
+      if (entry.status) {
+        const err = new Error(`snapshot ${entry.status}: recorded as unavailable (${url})`);
+        err.status = entry.status;
+        err.url = url;
+        throw err;
+      }
+      let buf;
+      try {
+        buf = fs.readFileSync(blobPath(blobDir, entry.sha256));
+      } catch (err) {
+        if (err?.code === "ENOENT") {
+          throw new DataSnapshotError("missing", `blob ${entry.sha256} for ${url} is missing from ${blobDir}`, { url });
+        }
+        throw err;
+      }
+      if (sha256(buf) !== entry.sha256) {
+        throw new DataSnapshotError("checksum", `blob for ${url} does not match its checksum ${entry.sha256}`, { url });
+      }
+      return buf;
+    }
+  };
+}
+
+/**
+ * Re-hash every blob a snapshot references.
+ * @param {string} dir
+ * @returns {{ files: number, problems: string[] }}
+ */
+export function verifySnapshot(dir) {
+  const snapshot = openSnapshot(dir);
+  const problems = [];
+  let files = 0;
+  for (const [url, entry] of Object.entries(snapshot.manifest.files || {})) {
+    if (entry.status) continue;
+    files += 1;
+    try {
+      snapshot.readFile(url);
+    } catch (err) {
+      problems.push(err?.message || String(err));
+    }
+  }
+  return { files, problems };
+}
+
+export default {
+  DataSnapshotError,
+  createSnapshotRecorder,
+  openSnapshot,
+  verifySnapshot
+};
@@ -10,8 +10,10 @@ import { Readable, Transform } from 'node:stream';
 import { pipeline as streamPipeline } from 'node:stream/promises';
 
 import { getDataConfig } from './config.js';
-import { normalizeTeam } from './teamNormalizer.js';
+import { normalizeTeam } from './franchises.js';
+import { recordDataset, recordRowCount } from './dataQuality.js';
 import { validateArtifact } from './schemaValidator.js';
+import { DataSnapshotError, openSnapshot } from './dataSnapshot.js';
 
 // ---------- discovery helpers ----------
 const GH_ROOT = 'https://api.github.com/repos/nflverse/nflverse-data';
@@ -40,6 +42,41 @@ function cacheSet(key, value) {
   manifestCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_SECONDS * 1000 });
 }
 const DATA_CONFIG = getDataConfig();
+
+// ---------- data snapshots (see dataSnapshot.js) ----------
+// DATA_SNAPSHOT (or `snapshot` in configs/data.json) pins every nflverse loader
+// to a snapshot directory: URLs resolve to what was recorded and files are read
+// from its blobs, never the network. setDataSnapshot() switches mode at runtime
+// ({ snapshot } to read, { recorder } to record, null for live).
+let snapshotMode = null;
+let pendingSnapshotDir = DATA_CONFIG.snapshot || null;
+
+function activeSnapshot() {
+  if (pendingSnapshotDir) {
+    snapshotMode = { snapshot: openSnapshot(pendingSnapshotDir) };
+    pendingSnapshotDir = null;
+  }
+  return snapshotMode;
+}
+
+// The active mode, as setDataSnapshot() takes it.
+export function getDataSnapshot() {
+  return activeSnapshot();
+}
+
+export function setDataSnapshot(mode = null) {
+  pendingSnapshotDir = null;
+  snapshotMode = mode;
+  manifestCache.clear();
+  for (const store of Object.values(caches)) store.clear();
+}
+
+// Loaders that treat a failed optional fetch as "no rows" still surface a
+// dataset the snapshot does not have.
+function emptyUnlessSnapshotMiss(err) {
+  if (err instanceof DataSnapshotError) throw err;
+  return [];
+}
 const WEEKLY_SANITY_DATASETS = new Set([
   'teamWeekly',
   'playerWeekly',
@@ -58,14 +95,14 @@ function toFiniteNumber(value, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeTeamField(record, key) {
+function normalizeTeamField(record, key, source) {
   if (!record || !(key in record)) return;
-  record[key] = normalizeTeam(record[key]);
+  record[key] = normalizeTeam(record[key], { source });
 }
 
-function normalizeTeamFields(record, keys = []) {
+function normalizeTeamFields(record, keys = [], source = 'dataSources') {
   for (const key of keys) {
-    normalizeTeamField(record, key);
+    normalizeTeamField(record, key, source);
   }
 }
 
@@ -351,6 +388,7 @@ const DATASET_MANIFEST = {
       return null;
     }
   },
+  injuries: { tag: 'injuries', parser: PATTERN(/injuries_(\d{4})\.csv(\.gz)?$/) },
   ftnCharts: {
     tag: 'ftn_charting',
     parser(asset) {
@@ -408,6 +446,8 @@ async function discoverManifest(dataset) {
 }
 
 export async function listDatasetSeasons(dataset) {
+  const mode = activeSnapshot();
+  if (mode?.snapshot) return mode.snapshot.seasons(dataset);
   const manifest = await discoverManifest(dataset);
   const seasons = manifest.entries
     .map((e) => Number(e.season))
@@ -439,6 +479,14 @@ async function resolveFromManifest(dataset, season) {
 }
 
 async function resolveDatasetUrl(dataset, season, fallbackFactory) {
+  const mode = activeSnapshot();
+  if (mode?.snapshot) return mode.snapshot.resolve(dataset, season);
+  const resolved = await resolveDatasetUrlLive(dataset, season, fallbackFactory);
+  mode?.recorder?.recordResolution(dataset, season, resolved);
+  return resolved;
+}
+
+async function resolveDatasetUrlLive(dataset, season, fallbackFactory) {
   try {
     const resolved = await resolveFromManifest(dataset, season);
     if (resolved?.url) return resolved;
@@ -464,6 +512,7 @@ const REL = {
   rosterWeekly:(y)=> `https://github.com/nflverse/nflverse-data/releases/download/weekly_rosters/roster_weekly_${y}.csv`,
   depthCharts:(y) => `https://github.com/nflverse/nflverse-data/releases/download/depth_charts/depth_charts_${y}.csv`,
   ftnCharts:  (y) => `https://github.com/nflverse/nflverse-data/releases/download/ftn_charting/ftn_charting_${y}.csv`,
+  injuries:   (y) => `https://github.com/nflverse/nflverse-data/releases/download/injuries/injuries_${y}.csv`,
   pbp:        (y) => `https://github.com/nflverse/nflverse-data/releases/download/pbp/play_by_play_${y}.csv.gz`,
   pfrRush:    (y) => `https://github.com/nflverse/nflverse-data/releases/download/pfr_advstats/advstats_week_rush_${y}.csv`,
   pfrDef:     (y) => `https://github.com/nflverse/nflverse-data/releases/download/pfr_advstats/advstats_week_def_${y}.csv`,
@@ -493,13 +542,14 @@ function getEffectiveThreshold(dataset, baseThreshold) {
   return Math.max(1, Math.min(threshold, scaled));
 }
 
-function sanityCheckRows(dataset, rows) {
+function sanityCheckRows(dataset, rows, context = {}) {
   if (!Array.isArray(rows)) {
     throw new Error(`[dataSources] ${dataset} did not return an array`);
   }
   const sanity = DATA_CONFIG.sanityChecks || {};
   const key = `min${dataset.charAt(0).toUpperCase()}${dataset.slice(1)}Rows`;
   const threshold = getEffectiveThreshold(dataset, sanity[key]);
+  recordRowCount(dataset, rows.length, threshold, context);
   if (Number.isFinite(threshold) && rows.length < threshold) {
     throw new Error(`[dataSources] ${dataset} row count ${rows.length} < ${threshold}`);
   }
@@ -507,8 +557,17 @@ function sanityCheckRows(dataset, rows) {
 }
 
 async function fetchBuffer(url){
-  const res = await fetchWithRetry(url, { redirect:'follow', headers:{'User-Agent':'nflverse-loader'}}, 'buffer');
-  return Buffer.from(new Uint8Array(await res.arrayBuffer()));
+  const mode = activeSnapshot();
+  if (mode?.snapshot) return mode.snapshot.readFile(url);
+  try {
+    const res = await fetchWithRetry(url, { redirect:'follow', headers:{'User-Agent':'nflverse-loader'}}, 'buffer');
+    const buf = Buffer.from(new Uint8Array(await res.arrayBuffer()));
+    mode?.recorder?.recordFile(url, buf);
+    return buf;
+  } catch (err) {
+    if (err?.status === 404) mode?.recorder?.recordMissing(url, 404);
+    throw err;
+  }
 }
 function gunzipMaybe(buf,url){ return isGz(url) ? zlib.gunzipSync(buf) : buf; }
 export async function fetchCsvFlexible(url){
@@ -545,7 +604,27 @@ function normalizeSuccessFlag(value) {
   return null;
 }
 
-function mapPbpRow(raw, seasonFilter) {
+// Game state for the in-game win-probability model (trainer/model_wp.js).
+// Only kept when a caller asks for it with loadPBP(season, { gameState: true });
+// the feature builders never read these columns.
+const PBP_STATE_TEXT_FIELDS = ['game_id', 'home_team', 'away_team', 'play_type'];
+const PBP_STATE_FIELDS = [
+  'play_id',
+  'qtr',
+  'down',
+  'ydstogo',
+  'yardline_100',
+  'game_seconds_remaining',
+  'posteam_timeouts_remaining',
+  'defteam_timeouts_remaining',
+  'home_timeouts_remaining',
+  'away_timeouts_remaining',
+  'total_home_score',
+  'total_away_score',
+  'spread_line'
+];
+
+function mapPbpRow(raw, seasonFilter, { gameState = false } = {}) {
   const season = toInt(raw.season ?? raw.game_season ?? raw.year);
   if (season == null || (seasonFilter != null && season !== seasonFilter)) return null;
   const week = toInt(raw.week ?? raw.game_week ?? raw.week_number);
@@ -569,10 +648,22 @@ function mapPbpRow(raw, seasonFilter) {
   const success = normalizeSuccessFlag(raw.success);
   if (success != null) out.success = success;
 
+  if (!gameState) return out;
+  for (const key of PBP_STATE_TEXT_FIELDS) {
+    const val = raw[key];
+    if (val != null && val !== '') out[key] = val;
+  }
+  for (const key of PBP_STATE_FIELDS) {
+    const val = raw[key];
+    if (val == null || val === '') continue;
+    const num = Number(val);
+    if (Number.isFinite(num)) out[key] = num;
+  }
+
   return out;
 }
 
-async function fetchPbpSeason(url, season) {
+async function fetchPbpSeason(url, season, options) {
   let buf = await fetchBuffer(url);
   const rows = [];
   const hash = crypto.createHash('sha256');
@@ -586,7 +677,7 @@ async function fetchPbpSeason(url, season) {
   parser.on('readable', () => {
     let record;
     while ((record = parser.read()) !== null) {
-      const filtered = mapPbpRow(record, season);
+      const filtered = mapPbpRow(record, season, options);
       if (filtered) rows.push(filtered);
     }
   });
@@ -732,9 +823,9 @@ const DATA_INSPECTION_META = {
   injuries: {
     fields: [
       'status: Player injury designation (out/questionable), string.',
-      'practice: Practice participation notes, string from Rotowire.'
+      'practice: Practice participation notes, string from Rotowire or the nflverse practice report.'
     ],
-    availability: (season) => `Rotowire injury reports refreshed daily; data persists for ${season} season snapshots.`
+    availability: (season) => `Rotowire injury reports refreshed daily; weeks without a Rotowire artifact fall back to the nflverse weekly reports (2009 onward, requested ${season}).`
   },
   markets: {
     fields: [
@@ -805,6 +896,13 @@ function inspectData(dataset, rows, context = {}) {
     for (const desc of fieldMeanings) {
       console.log(`[inspectData/${dataset}] field: ${desc}`);
     }
+
+    // Expectations from dataQuality.js; results feed data_quality_<season>_W<week>.json.
+    for (const entry of recordDataset(dataset, rows, context)) {
+      for (const result of entry.checks) {
+        if (!result.passed) console.warn(`[inspectData/${dataset}] ${result.severity}: ${result.message}`);
+      }
+    }
   } catch (err) {
     console.warn(`[inspectData/${dataset}] inspection failed: ${err?.message || err}`);
   }
@@ -875,7 +973,7 @@ function normalizeRotowireRecord(row, defaults = {}) {
   const teamRaw = row.team ?? row.team_abbr ?? defaults.team;
   const playerRaw = row.player ?? row.player_name ?? row.name;
   if (!teamRaw || !playerRaw) return null;
-  const team = String(teamRaw).trim().toUpperCase();
+  const team = normalizeTeam(teamRaw, { source: 'rotowire_injuries' });
   const player = String(playerRaw).trim();
   if (!team || !player) return null;
   const season = toInt(row.season ?? row.snapshot_season ?? defaults.season);
@@ -1066,7 +1164,10 @@ function normalizeMarketObject(rawMarket) {
     spread_price_away: toNumberLoose(rawMarket.spread_price_away),
     moneyline_home: toNumberLoose(rawMarket.moneyline_home),
     moneyline_away: toNumberLoose(rawMarket.moneyline_away),
+    open_moneyline_home: toNumberLoose(rawMarket.open_moneyline_home),
+    open_moneyline_away: toNumberLoose(rawMarket.open_moneyline_away),
     total: toNumberLoose(rawMarket.total ?? rawMarket.total_points),
+    open_total: toNumberLoose(rawMarket.open_total),
     total_points: toNumberLoose(rawMarket.total_points ?? rawMarket.total),
     total_over_price: toNumberLoose(rawMarket.total_over_price),
     total_under_price: toNumberLoose(rawMarket.total_under_price),
@@ -1080,6 +1181,8 @@ function normalizeMarketObject(rawMarket) {
     books: normalizeMarketBooks(rawMarket.books || rawMarket.markets || {}),
     best: normalizeMarketBest(rawMarket.best),
     fetched_at: rawMarket.fetched_at ?? null,
+    opened_at: rawMarket.opened_at ?? null,
+    snapshots: toInt(rawMarket.snapshots) ?? 1,
     source: rawMarket.source ?? 'rotowire'
   };
   if (!Number.isFinite(out.spread) && Number.isFinite(out.spread_home)) out.spread = out.spread_home;
@@ -1093,8 +1196,8 @@ function normalizeMarketRow(row, defaults = {}) {
   const week = toInt(row.week ?? defaults.week);
   const homeRaw = row.home_team ?? row.home ?? row.homeTeam ?? defaults.home;
   const awayRaw = row.away_team ?? row.away ?? row.awayTeam ?? defaults.away;
-  const home = homeRaw ? String(homeRaw).trim().toUpperCase() : null;
-  const away = awayRaw ? String(awayRaw).trim().toUpperCase() : null;
+  const home = normalizeTeam(homeRaw, { source: 'rotowire_markets' });
+  const away = normalizeTeam(awayRaw, { source: 'rotowire_markets' });
   if (!home || !away) return null;
   const gameKey = row.game_key ?? `${season ?? ''}-W${week != null ? String(week).padStart(2, '0') : '??'}-${home}-${away}`;
   const market = normalizeMarketObject(row.market ?? row.markets ?? null);
@@ -1125,8 +1228,8 @@ function normalizeWeatherRow(row, defaults = {}) {
   const week = toInt(row.week ?? defaults.week);
   const homeRaw = row.home_team ?? row.home ?? defaults.home;
   const awayRaw = row.away_team ?? row.away ?? defaults.away;
-  const home = homeRaw ? String(homeRaw).trim().toUpperCase() : null;
-  const away = awayRaw ? String(awayRaw).trim().toUpperCase() : null;
+  const home = normalizeTeam(homeRaw, { source: 'rotowire_weather' });
+  const away = normalizeTeam(awayRaw, { source: 'rotowire_weather' });
   if (!home || !away) return null;
   const gameKey = row.game_key ?? `${season ?? ''}-W${week != null ? String(week).padStart(2, '0') : '??'}-${home}-${away}`;
   const fetchedAt = row.fetched_at ?? defaults.fetchedAt ?? null;
@@ -1440,7 +1543,7 @@ function describeSourceType(candidate) {
 
 async function fetchScheduleCandidate(url, seasonHint, sourceType) {
   const { rows, source, checksum } = await fetchCsvFlexible(url);
-  sanityCheckRows('schedule', rows);
+  sanityCheckRows('schedule', rows, { season: seasonHint });
   let effectiveSeason = seasonHint;
   if (effectiveSeason == null) {
     for (const row of rows) {
@@ -1557,7 +1660,7 @@ function cleanNextGenRows(rows = [], season, statType) {
   const seasonNum = Number(season);
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'recent_team', 'club_code']);
+    normalizeTeamFields(next, ['team', 'recent_team', 'club_code'], `nextgen_${statType}`);
     coerceNumericFields(next, [
       'avg_time_to_throw',
       'aggressiveness',
@@ -1593,7 +1696,7 @@ function cleanParticipationRows(rows = [], season) {
       'defense_team',
       'home_team',
       'away_team'
-    ]);
+    ], 'participation');
     normalizeStringField(next, 'report_status');
     normalizeStringField(next, 'offense_personnel');
     normalizeStringField(next, 'defense_personnel');
@@ -1616,7 +1719,7 @@ function cleanSnapCountRows(rows = [], season) {
   const seasonNum = Number(season);
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'recent_team', 'team_abbr']);
+    normalizeTeamFields(next, ['team', 'recent_team', 'team_abbr'], 'snap_counts');
     coerceNumericFields(next, ['offense_pct', 'defense_pct', 'special_teams_pct', 'snap_pct'], 0);
     coerceNumericFields(next, ['offense_snaps', 'defense_snaps', 'special_teams_snaps', 'snaps'], 0);
     normalizeStringField(next, 'report_status');
@@ -1634,7 +1737,7 @@ function cleanSnapCountRows(rows = [], season) {
 function cleanWeeklyTeamRows(rows = []) {
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'team_abbr', 'opponent', 'opp']);
+    normalizeTeamFields(next, ['team', 'team_abbr', 'opponent', 'opp'], 'weekly_team');
     coerceIntegerFields(next, ['season', 'week']);
     coerceNumericFields(next, [
       'passing_yards',
@@ -1651,7 +1754,7 @@ function cleanWeeklyTeamRows(rows = []) {
 function cleanWeeklyPlayerRows(rows = []) {
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'team_abbr', 'recent_team', 'posteam']);
+    normalizeTeamFields(next, ['team', 'team_abbr', 'recent_team', 'posteam'], 'weekly_player');
     coerceIntegerFields(next, ['season', 'week']);
     coerceNumericFields(next, [
       'passing_yards',
@@ -1669,7 +1772,7 @@ function cleanWeeklyPlayerRows(rows = []) {
 function cleanRosterRows(rows = []) {
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'team_abbr', 'recent_team']);
+    normalizeTeamFields(next, ['team', 'team_abbr', 'recent_team'], 'rosters');
     coerceIntegerFields(next, ['season', 'week']);
     normalizeStringField(next, 'status');
     return next;
@@ -1679,7 +1782,7 @@ function cleanRosterRows(rows = []) {
 function cleanDepthChartRows(rows = []) {
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'team_abbr']);
+    normalizeTeamFields(next, ['team', 'team_abbr'], 'depth_charts');
     normalizeStringField(next, 'report_status');
     return next;
   });
@@ -1688,7 +1791,7 @@ function cleanDepthChartRows(rows = []) {
 function cleanFTNRows(rows = []) {
   return rows.map((row) => {
     const next = cloneRow(row);
-    normalizeTeamFields(next, ['team', 'team_abbr']);
+    normalizeTeamFields(next, ['team', 'team_abbr'], 'ftn');
     return next;
   });
 }
@@ -1709,7 +1812,7 @@ function cleanPbpRows(rows = [], season) {
       'home_team',
       'away_team',
       'penalty_team'
-    ]);
+    ], 'pbp');
     coerceNumericFields(next, [
       'epa',
       'yards_gained',
@@ -1780,7 +1883,7 @@ export async function loadNextGenStats(season, statType = 'passing') {
       return [];
     }
     const { rows, source, checksum } = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('nextGenStats', rows);
+    sanityCheckRows('nextGenStats', rows, { season: y, statType: normalizedType });
     const cleaned = cleanNextGenRows(rows, y, normalizedType);
     validateArtifact('ngs', cleaned);
     const sourceLabel = resolved?.source || source;
@@ -1816,7 +1919,7 @@ export async function loadParticipation(season) {
       return [];
     }
     const { rows, source, checksum } = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('participation', rows);
+    sanityCheckRows('participation', rows, { season: y });
     const cleaned = cleanParticipationRows(rows, y);
     validateArtifact('participation', cleaned);
     const label = resolved?.source || source;
@@ -1833,7 +1936,7 @@ export async function loadSnapCounts(season){
     const resolved = await resolveDatasetUrl('snapCounts', y, REL.snapCounts);
     const targetUrl = resolved?.url ?? REL.snapCounts(y);
     const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('snapCounts', rows);
+    sanityCheckRows('snapCounts', rows, { season: y });
     const cleaned = cleanSnapCountRows(rows, y);
     validateArtifact('snapCounts', cleaned);
     console.log(`[loadSnapCounts] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
@@ -1848,7 +1951,7 @@ export async function loadTeamWeekly(season){
     const resolved = await resolveDatasetUrl('teamWeekly', y, REL.teamWeekly);
     const targetUrl = resolved?.url ?? REL.teamWeekly(y);
     const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('teamWeekly', rows);
+    sanityCheckRows('teamWeekly', rows, { season: y });
     const cleaned = cleanWeeklyTeamRows(rows);
     validateArtifact('teamWeekly', cleaned);
     console.log(`[loadTeamWeekly] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
@@ -1867,7 +1970,7 @@ export async function loadPlayerWeekly(season){
     const resolved = await resolveDatasetUrl('playerWeekly', y, REL.playerWeekly);
     const targetUrl = resolved?.url ?? REL.playerWeekly(y);
     const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('playerWeekly', rows);
+    sanityCheckRows('playerWeekly', rows, { season: y });
     const cleaned = cleanWeeklyPlayerRows(rows);
     validateArtifact('playerWeekly', cleaned);
     console.log(`[loadPlayerWeekly] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
@@ -1883,7 +1986,7 @@ export async function loadRostersWeekly(season){
     const targetUrl = resolved?.url ?? REL.rosterWeekly(y);
     try {
       const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
-      sanityCheckRows('rosterWeekly', rows);
+      sanityCheckRows('rosterWeekly', rows, { season: y });
       const cleaned = cleanRosterRows(rows);
       validateArtifact('rosterWeekly', cleaned);
       console.log(`[loadRostersWeekly] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
@@ -1906,7 +2009,7 @@ export async function loadDepthCharts(season){
     const resolved = await resolveDatasetUrl('depthCharts', y, REL.depthCharts);
     const targetUrl = resolved?.url ?? REL.depthCharts(y);
     const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('depthCharts', rows);
+    sanityCheckRows('depthCharts', rows, { season: y });
     const cleaned = cleanDepthChartRows(rows);
     validateArtifact('depthCharts', cleaned);
     console.log(`[loadDepthCharts] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
@@ -1921,7 +2024,7 @@ export async function loadFTNCharts(season){
     const resolved = await resolveDatasetUrl('ftnCharts', y, REL.ftnCharts);
     const targetUrl = resolved?.url ?? REL.ftnCharts(y);
     const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
-    sanityCheckRows('ftnCharts', rows);
+    sanityCheckRows('ftnCharts', rows, { season: y });
     const cleaned = cleanFTNRows(rows);
     validateArtifact('ftnCharts', cleaned);
     console.log(`[loadFTNCharts] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
@@ -1930,14 +2033,14 @@ export async function loadFTNCharts(season){
     inspect: (rows) => inspectData('ftnCharts', rows, { season: y })
   });
 }
-export async function loadPBP(season){
+export async function loadPBP(season, { gameState = false } = {}){
   const y = toInt(season); if(y==null) throw new Error('loadPBP season');
   const loader = async()=>{
     const resolved = await resolveDatasetUrl('pbp', y, REL.pbp);
     const targetUrl = resolved?.url ?? REL.pbp(y);
     try {
-      const { rows, checksum } = await fetchPbpSeason(targetUrl, y);
-      sanityCheckRows('pbp', rows);
+      const { rows, checksum } = await fetchPbpSeason(targetUrl, y, { gameState });
+      sanityCheckRows('pbp', rows, { season: y });
       const cleaned = cleanPbpRows(rows, y);
       validateArtifact('pbp', cleaned);
       const source = resolved?.url ?? targetUrl;
@@ -1957,7 +2060,7 @@ export async function loadPBP(season){
     const rows = await loader();
     return inspectData('pbp', rows, { season: y });
   }
-  return cached(caches.pbp, y, loader, {
+  return cached(caches.pbp, gameState ? `${y}|state` : y, loader, {
     maxSize: PBP_CACHE_LIMIT,
     inspect: (rows) => inspectData('pbp', rows, { season: y })
   });
@@ -1968,7 +2071,7 @@ function toNumOrNull(v){ if(v===''||v==null) return null; const n=Number(v); ret
 function extractKeys(row){
   const season = toInt(row.season ?? row.yr ?? row.year);
   const week   = toInt(row.week ?? row.wk);
-  const team   = String(row.team ?? row.team_abbr ?? row.TEAM ?? '').toUpperCase();
+  const team   = normalizeTeam(row.team ?? row.team_abbr ?? row.TEAM, { source: 'pfr_advanced' }) ?? '';
   return { season, week, team };
 }
 function prefixPhase(rows, phase){
@@ -2003,10 +2106,10 @@ export async function loadPFRAdvTeamWeekly(season){
   const y = toInt(season); if(y==null) throw new Error('loadPFRAdvTeamWeekly season');
   return cached(caches.pfrAdv, y, async()=>{
     const [rush,defn,pass,rec] = await Promise.all([
-      resolveDatasetUrl('pfrRush', y, REL.pfrRush).then((u)=>u?.url || REL.pfrRush(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(()=>[]),
-      resolveDatasetUrl('pfrDef', y, REL.pfrDef).then((u)=>u?.url || REL.pfrDef(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(()=>[]),
-      resolveDatasetUrl('pfrPass', y, REL.pfrPass).then((u)=>u?.url || REL.pfrPass(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(()=>[]),
-      resolveDatasetUrl('pfrRec', y, REL.pfrRec).then((u)=>u?.url || REL.pfrRec(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(()=>[]),
+      resolveDatasetUrl('pfrRush', y, REL.pfrRush).then((u)=>u?.url || REL.pfrRush(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(emptyUnlessSnapshotMiss),
+      resolveDatasetUrl('pfrDef', y, REL.pfrDef).then((u)=>u?.url || REL.pfrDef(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(emptyUnlessSnapshotMiss),
+      resolveDatasetUrl('pfrPass', y, REL.pfrPass).then((u)=>u?.url || REL.pfrPass(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(emptyUnlessSnapshotMiss),
+      resolveDatasetUrl('pfrRec', y, REL.pfrRec).then((u)=>u?.url || REL.pfrRec(y)).then((url)=>fetchCsvFlexible(url).then(x=>x.rows)).catch(emptyUnlessSnapshotMiss),
     ]);
     const map = mergeByKey(
       prefixPhase(rush,'rush'),
@@ -2078,22 +2181,67 @@ export async function loadWeather(season){
   });
 }
 
+// nflverse weekly injury reports in the Rotowire row shape, so both sources
+// weigh the same way in buildInjuryImpactIndex.
+function normalizeNflverseInjuryRows(rows = [], season) {
+  const seasonNum = Number(season);
+  const out = [];
+  for (const row of rows) {
+    const team = normalizeTeam(row.team, { season: seasonNum, source: 'nflverse_injuries' });
+    const player = String(row.full_name ?? '').trim();
+    if (!team || !player) continue;
+    const injury = row.report_primary_injury || row.practice_primary_injury || null;
+    const practice = row.practice_status || null;
+    const notes = [injury, practice].filter(Boolean).join(' | ');
+    out.push({
+      season: toInt(row.season) ?? seasonNum,
+      week: toInt(row.week),
+      team,
+      player,
+      position: row.position || null,
+      status: row.report_status || null,
+      injury,
+      practice,
+      notes: notes || null,
+      fetched_at: row.date_modified || null,
+      source: 'nflverse'
+    });
+  }
+  return out;
+}
+
+export async function loadNflverseInjuries(season){
+  const y = toInt(season); if(y==null) throw new Error('loadNflverseInjuries season');
+  const resolved = await resolveDatasetUrl('injuries', y, REL.injuries);
+  const targetUrl = resolved?.url ?? REL.injuries(y);
+  const {rows,source,checksum} = await fetchCsvFlexible(targetUrl);
+  const cleaned = normalizeNflverseInjuryRows(rows, y);
+  console.log(`[loadNflverseInjuries] OK ${source} rows=${rows.length} checksum=${checksum.slice(0, 12)}`);
+  return cleaned;
+}
+
+// Rotowire artifacts only exist for weeks the scraper ran. Every other week,
+// including all of the historical seasons the models train on, comes from the
+// nflverse reports so training rows carry the same lost snap value features
+// as the weeks being predicted.
 export async function loadInjuries(season){
   const y = toInt(season);
   if (y == null) throw new Error('loadInjuries season');
   return cached(caches.injuries, y, async()=>{
+    let rows = [];
     try {
-      const rows = await loadRotowireArtifacts(y);
-      if (rows.length) {
-        console.log(`[loadInjuries] using Rotowire artifacts rows=${rows.length}`);
-        return rows;
-      }
-      console.warn('[loadInjuries] Rotowire artifacts empty');
-      return rows;
+      rows = await loadRotowireArtifacts(y);
     } catch (err) {
       console.warn(`[loadInjuries] Rotowire artifacts load failed: ${err?.message || err}`);
-      return [];
     }
+    const covered = new Set(rows.map((row) => row.week).filter((week) => week != null));
+    const history = await loadNflverseInjuries(y).catch((err) => {
+      console.warn(`[loadInjuries] nflverse injuries load failed: ${err?.message || err}`);
+      return emptyUnlessSnapshotMiss(err);
+    });
+    const backfill = history.filter((row) => !covered.has(row.week));
+    console.log(`[loadInjuries] rotowire rows=${rows.length} weeks=${covered.size}; nflverse rows=${backfill.length}`);
+    return rows.concat(backfill);
   }, {
     inspect: (rows) => inspectData('injuries', rows, { season: y })
   });
@@ -32,7 +32,8 @@ import {
   loadParticipation as loadParticipationDS,
   listDatasetSeasons
 } from "./dataSources.js";
-import { normalizeTeam } from "./teamNormalizer.js";
+import { normalizeTeam } from "./franchises.js";
+import { lineMovement } from "./clv.js";
 
 const BASE_REL = "https://github.com/nflverse/nflverse-data/releases/download";
 const RAW_MAIN = "https://raw.githubusercontent.com/nflverse/nflverse-data/main";
@@ -466,7 +467,8 @@ function summarizeMarkets(markets, schedules, weekCap) {
       market_url: row.market_url ?? null,
       fetched_at: fetchedAt,
       source: row.source ?? market.source ?? "rotowire",
-      market
+      market,
+      line_movement: lineMovement(market)
     };
     if (schedInfo?.game_date) entry.game_date = schedInfo.game_date;
     if (schedInfo?.game_time_utc) entry.game_time_utc = schedInfo.game_time_utc;
@@ -687,7 +689,7 @@ export async function buildContextDB(season, weekCap, outDir = "artifacts") {
 
   if (!injuries?.length) {
     console.warn(
-      '[context] No Rotowire injury artifacts were loaded – run `npm run fetch:injuries` before building context if you expect current reports.'
+      '[context] No injury reports were loaded from Rotowire artifacts or nflverse – run `npm run fetch:injuries` before building context if you expect current reports.'
     );
   }
   if (!marketRows?.length) {
@@ -773,13 +775,7 @@ export async function buildContextDB(season, weekCap, outDir = "artifacts") {
 // Season database facade used by training pipeline
 const keyTW = (s, w, t) => `${s}|${w}|${t}`;
 const kGame = (gid) => String(gid);
-const T = (v) => {
-  const norm = normalizeTeam(v);
-  if (norm) return norm;
-  if (v === undefined || v === null) return null;
-  const s = String(v).trim().toUpperCase();
-  return s || null;
-};
+const T = (v) => normalizeTeam(v, { source: "databases" });
 
 function scheduleKey(r) {
   const season = toInt(r.season ?? r.year);
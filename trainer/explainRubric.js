@@ -11,6 +11,7 @@ const DEFAULT_THRESHOLDS = Object.freeze({
   venue_dYPA: 0.5,
   venue_dSR: 0.03,
   grass_bad_net: -100,
+  injury_value: 0.5,
   weather_impact: 0.5,
   weather_wind: 18,
   weather_precip: 60,
@@ -224,6 +225,12 @@ export function extractFactorSignals(prediction, contextEntry) {
   const dYPA = (homePick ? 1 : -1) * ((qbH.ypa_3g ?? 0) - (qbA.ypa_3g ?? 0));
   const dSR = (homePick ? 1 : -1) * ((qbH.sack_rate_3g ?? 0) - (qbA.sack_rate_3g ?? 0));
   const dNet = (homePick ? 1 : -1) * ((rollH.net_yds_3g ?? 0) - (rollA.net_yds_3g ?? 0));
+  // Lost snap value the opponent is missing beyond the pick's own; null before
+  // context packs carried it.
+  const lostH = Number(injuries.home_lost_snap_value?.total);
+  const lostA = Number(injuries.away_lost_snap_value?.total);
+  const injuryValueNet =
+    Number.isFinite(lostH) && Number.isFinite(lostA) ? (homePick ? 1 : -1) * (lostA - lostH) : null;
 
   const weatherImpact = Number(weather.impact_score);
   const weatherWind = Number(weather.wind_mph);
@@ -237,6 +244,7 @@ export function extractFactorSignals(prediction, contextEntry) {
     dYPA,
     dSR,
     dNet,
+    injuryValueNet,
     weatherImpact,
     weatherWind,
     weatherPrecip,
@@ -264,6 +272,7 @@ export function calibrateThresholds(samples = [], options = {}) {
     dYPA: [],
     dSR: [],
     dNet: [],
+    injuryValue: [],
     wind: [],
     precip: [],
     impact: [],
@@ -279,6 +288,9 @@ export function calibrateThresholds(samples = [], options = {}) {
     if (Number.isFinite(signals.dYPA)) series.dYPA.push(Math.abs(signals.dYPA));
     if (Number.isFinite(signals.dSR)) series.dSR.push(Math.abs(signals.dSR));
     if (Number.isFinite(signals.dNet)) series.dNet.push(Math.abs(signals.dNet));
+    if (Number.isFinite(signals.injuryValueNet) && signals.injuryValueNet !== 0) {
+      series.injuryValue.push(Math.abs(signals.injuryValueNet));
+    }
     if (Number.isFinite(signals.weatherWind)) series.wind.push(Math.abs(signals.weatherWind));
     if (Number.isFinite(signals.weatherPrecip)) series.precip.push(Math.abs(signals.weatherPrecip));
     if (Number.isFinite(signals.weatherImpact)) series.impact.push(Math.abs(signals.weatherImpact));
@@ -295,6 +307,7 @@ export function calibrateThresholds(samples = [], options = {}) {
   thresholds.dYPA = quantile(sorted(series.dYPA), 0.7, thresholds.dYPA);
   thresholds.dSR = quantile(sorted(series.dSR), 0.7, thresholds.dSR);
   thresholds.dNet = quantile(sorted(series.dNet), 0.7, thresholds.dNet);
+  thresholds.injury_value = quantile(sorted(series.injuryValue), 0.6, thresholds.injury_value);
   thresholds.weather_wind = quantile(sorted(series.wind), 0.75, thresholds.weather_wind);
   thresholds.weather_precip = quantile(sorted(series.precip), 0.75, thresholds.weather_precip);
   thresholds.weather_impact = quantile(sorted(series.impact), 0.75, thresholds.weather_impact);
@@ -394,6 +407,8 @@ export function computeExplainArtifact({ season, week, predictions, context }) {
       `ΔNet ${signals.dNet >= 0 ? "+" : ""}${Math.round(signals.dNet ?? 0)} over 3g`
     );
 
+    const lostPick = homePick ? inj.home_lost_snap_value : inj.away_lost_snap_value;
+    const lostOpp = homePick ? inj.away_lost_snap_value : inj.home_lost_snap_value;
     const starOutPick = (homePick ? inj.home_out : inj.away_out) || [];
     const starOutOpp = (!homePick ? inj.home_out : inj.away_out) || [];
     const starPickQB = starOutPick.some((p) => p.star || p.pos === "QB");
@@ -406,7 +421,22 @@ export function computeExplainArtifact({ season, week, predictions, context }) {
       arr.filter((p) => (p.pos === "QB" ? false : p.star || nonQBStars.includes(p.pos))).length;
     injVote += Math.min(2, countStars(starOutOpp));
     injVote -= Math.min(2, countStars(starOutPick));
-    if (injVote !== 0) add("injuries", Math.sign(injVote), weights.injuries, `star injuries net ${injVote > 0 ? "favor" : "hurt"} ${pick}`);
+    if (Number.isFinite(signals.injuryValueNet)) {
+      const net = signals.injuryValueNet;
+      const v = voteThr(net, thresholds.injury_value);
+      if (v !== 0) {
+        const hit = v > 0 ? lostOpp : lostPick;
+        const unit = ["qb", "ol", "skill", "front7", "secondary"].reduce((a, b) => ((hit?.[b] ?? 0) > (hit?.[a] ?? 0) ? b : a));
+        add(
+          "injuries",
+          v,
+          weights.injuries,
+          `lost snap value net ${net >= 0 ? "+" : ""}${net.toFixed(2)} for ${pick} (${v > 0 ? "opponent" : pick} ${unit} hit hardest)`
+        );
+      }
+    } else if (injVote !== 0) {
+      add("injuries", Math.sign(injVote), weights.injuries, `star injuries net ${injVote > 0 ? "favor" : "hurt"} ${pick}`);
+    }
 
     if (venue?.is_dome) {
       const v = (signals.dYPA ?? 0) >= thresholds.venue_dYPA ? +1 : 0;
@@ -495,7 +525,7 @@ export function computeExplainArtifact({ season, week, predictions, context }) {
   return {
     season,
     week,
-    rubric_version: "1.1.0",
+    rubric_version: "1.2.0",
     thresholds,
     weights,
     games
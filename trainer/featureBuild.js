@@ -4,10 +4,17 @@
 // Includes baseline cumulative stats plus advanced situational rates derived from team_game.
 // Defensive "allowed" values are taken from the opponent row in the same game/week.
 // Only generates rows for actual games (no fabrication of future weeks).
+// Playoff games are included in postseason mode; neutral-site games (every Super
+// Bowl) are flagged with neutral_site = 1 on both team rows.
+// Injury reports become lost_snap_value_* features: each listed player's recent
+// snap share times positional value, summed by unit (see injuryIndex.js).
 
 import { aggregatePBP } from "./featureBuild_pbp.js";
 import { aggregatePlayerUsage } from "./featureBuild_players.js";
-import { normalizeTeam } from "./teamNormalizer.js";
+import { normalizeTeam } from "./franchises.js";
+import { resolveMarketProbability } from "./marketOdds.js";
+import { includeScheduleGame, isNeutralSite } from "./postseason.js";
+import { buildInjuryImpactIndex, getTeamInjuryImpact, INJURY_UNITS } from "./injuryIndex.js";
 
 export const FEATS = [
   "off_1st_down_s2d",
@@ -101,9 +108,19 @@ export const FEATS = [
   "weather_wind_mph",
   "weather_precip_pct",
   "weather_impact_score",
-  "weather_extreme_flag"
+  "weather_extreme_flag",
+  "lost_snap_value_qb",
+  "lost_snap_value_ol",
+  "lost_snap_value_skill",
+  "lost_snap_value_front7",
+  "lost_snap_value_secondary",
+  "lost_snap_value_total",
+  "lost_snap_value_total_minus_opp"
 ];
 
+// Appended to FEATS only in market-aware mode (see attachMarketFeatures).
+export const MARKET_FEATS = ["market_implied_prob", "market_available"];
+
 const DECAY_LAMBDA = 0.85;
 const MAX_HISTORY = 8;
 
@@ -122,12 +139,6 @@ const USAGE_METRICS = [
   { key: "qb_sack_rate", weightKey: "qb_sack_rate_weight" }
 ];
 
-const isReg = (v) => {
-  if (v == null) return true;
-  const s = String(v).trim().toUpperCase();
-  return s === "" || s.startsWith("REG");
-};
-
 const num = (value, def = 0) => {
   const n = Number(value);
   return Number.isFinite(n) ? n : def;
@@ -135,14 +146,17 @@ const num = (value, def = 0) => {
 
 const dateOnly = (value) => (value ? String(value).slice(0, 10) : null);
 
-const normTeam = (value) => {
-  const norm = normalizeTeam(value);
-  if (norm) return norm;
-  if (value == null) return null;
-  const s = String(value).trim().toUpperCase();
-  return s || null;
+// Latest snapshot before `week`, so totals carry across byes (including the
+// wild-card bye of the top seeds).
+const priorWeek = (byWeek, week) => {
+  for (let w = week - 1; w >= 1; w--) {
+    if (byWeek.has(w)) return byWeek.get(w);
+  }
+  return undefined;
 };
 
+const normTeam = (value) => normalizeTeam(value, { source: "featureBuild" });
+
 const weightedAverage = (history = []) => {
   if (!history.length) return 0;
   const weight = history.reduce((s, r) => s + (Number(r.weight) || 0), 0);
@@ -316,6 +330,18 @@ function winLabel(game, isHome) {
   return isHome ? homeWon : 1 - homeWon;
 }
 
+function marginLabel(game, isHome) {
+  const scores = finalScores(game);
+  if (!scores) return null;
+  const homeMargin = scores.hs - scores.as;
+  return isHome ? homeMargin : -homeMargin;
+}
+
+function totalLabel(game) {
+  const scores = finalScores(game);
+  return scores ? scores.hs + scores.as : null;
+}
+
 const daysBetween = (a, b) => {
   if (!a || !b) return 0;
   return Math.round((new Date(b) - new Date(a)) / 86_400_000);
@@ -387,6 +413,14 @@ function computeWeatherFeatures(entry, { roofDome }) {
   return out;
 }
 
+function lostSnapValueFeatures(me, opp) {
+  const out = {};
+  for (const unit of INJURY_UNITS) out[`lost_snap_value_${unit}`] = me[unit];
+  out.lost_snap_value_total = me.total;
+  out.lost_snap_value_total_minus_opp = me.total - opp.total;
+  return out;
+}
+
 function perGameSignals(row = {}, oppRow = {}) {
   const passYds = num(row.passing_yards ?? row.pass_yards ?? row.pass_yds);
   const rushYds = num(row.rushing_yards ?? row.rush_yards ?? row.rush_yds);
@@ -560,13 +594,17 @@ export function buildFeatures({
   prevTeamWeekly,
   pbp = [],
   playerWeekly = [],
-  weather = []
+  weather = [],
+  injuries = [],
+  snapCounts = [],
+  depthCharts = [],
+  postseason = false
 }) {
   const seasonNum = Number(season);
   if (!Number.isFinite(seasonNum)) return [];
 
   const regSched = (schedules || []).filter(
-    (game) => Number(game.season) === seasonNum && isReg(game.season_type)
+    (game) => Number(game.season) === seasonNum && includeScheduleGame(game, { postseason })
   );
   if (!regSched.length) return [];
 
@@ -585,6 +623,7 @@ export function buildFeatures({
   const pbpIdx = aggregatePBP({ rows: pbp || [], season: seasonNum });
   const usageIdx = aggregatePlayerUsage({ rows: playerWeekly || [], season: seasonNum });
   const weatherIdx = indexWeather(weather || [], seasonNum);
+  const injuryIdx = buildInjuryImpactIndex(injuries || [], seasonNum, { snapCounts, depthCharts });
 
   const lastDate = new Map();
   const elo = new Map();
@@ -618,6 +657,7 @@ export function buildFeatures({
       if (!home || !away) continue;
 
       const gameDate = dateOnly(game.game_date);
+      const neutralSite = isNeutralSite(game) ? 1 : 0;
 
       const hKey = `${seasonNum}-${week}-${home}`;
       const aKey = `${seasonNum}-${week}-${away}`;
@@ -669,8 +709,8 @@ export function buildFeatures({
       usageRoll.set(home, hUsageState);
       usageRoll.set(away, aUsageState);
 
-      const hPrev = roll.get(home).get(week - 1) || {};
-      const aPrev = roll.get(away).get(week - 1) || {};
+      const hPrev = priorWeek(roll.get(home), week) || {};
+      const aPrev = priorWeek(roll.get(away), week) || {};
 
       const updateRoll = (prev, sig) => ({
         off_1st_down_s2d: num(prev.off_1st_down_s2d) + num(sig.offFD),
@@ -692,8 +732,8 @@ export function buildFeatures({
       roll.get(home).set(week, hS2D);
       roll.get(away).set(week, aS2D);
 
-      const hAdvPrev = advRoll.get(home).get(week - 1) || zeroAdvanced();
-      const aAdvPrev = advRoll.get(away).get(week - 1) || zeroAdvanced();
+      const hAdvPrev = priorWeek(advRoll.get(home), week) || zeroAdvanced();
+      const aAdvPrev = priorWeek(advRoll.get(away), week) || zeroAdvanced();
       const hAdvS2D = updateAdvanced(hAdvPrev, hAdvSignals);
       const aAdvS2D = updateAdvanced(aAdvPrev, aAdvSignals);
       advRoll.get(home).set(week, hAdvS2D);
@@ -742,6 +782,8 @@ export function buildFeatures({
       const weatherKey = `${seasonNum}-W${String(week).padStart(2, "0")}-${home}-${away}`;
       const weatherEntry = weatherIdx.get(weatherKey);
       const weatherFeats = computeWeatherFeatures(weatherEntry, { roofDome: Boolean(roofDome) });
+      const homeImpact = getTeamInjuryImpact(injuryIdx, seasonNum, week, home);
+      const awayImpact = getTeamInjuryImpact(injuryIdx, seasonNum, week, away);
 
       const homeFormState = ensureFormState(formRoll, home);
       const awayFormState = ensureFormState(formRoll, away);
@@ -750,7 +792,7 @@ export function buildFeatures({
       const homeQbr = latestTeamQBR(qbQbrHistory, home, week - 1);
       const awayQbr = latestTeamQBR(qbQbrHistory, away, week - 1);
 
-      const mkRow = (team, opp, isHome, me, op, advMe, advOp, pbpMe, usageMe, rolling, qbrVal, weatherFeats = {}) => {
+      const mkRow = (team, opp, isHome, me, op, advMe, advOp, pbpMe, usageMe, rolling, qbrVal, weatherFeats = {}, injuryFeats = {}) => {
         const adv = advMe || zeroAdvanced();
         const advOpp = advOp || zeroAdvanced();
         return {
@@ -759,6 +801,7 @@ export function buildFeatures({
           team,
           opponent: opp,
           home: isHome ? 1 : 0,
+          neutral_site: neutralSite,
           game_date: gameDate,
           off_1st_down_s2d: num(me.off_1st_down_s2d),
           off_total_yds_s2d: num(me.off_total_yds_s2d),
@@ -810,9 +853,12 @@ export function buildFeatures({
           qb_sack_rate_3g: Number.isFinite(rolling?.qbSack3) ? rolling.qbSack3 : 0,
           qb_qbr: Number.isFinite(qbrVal) ? qbrVal : 0,
           win: winLabel(game, isHome),
+          margin: marginLabel(game, isHome),
+          total_points: totalLabel(game),
           ...pbpMe,
           ...usageMe,
           ...weatherFeats,
+          ...injuryFeats,
           roof_dome: roofDome,
           roof_outdoor: roofOutdoor
         };
@@ -830,7 +876,8 @@ export function buildFeatures({
         hUsageFeats,
         homeRolling,
         homeQbr,
-        weatherFeats
+        weatherFeats,
+        lostSnapValueFeatures(homeImpact, awayImpact)
       );
       const awayRow = mkRow(
         away,
@@ -844,7 +891,8 @@ export function buildFeatures({
         aUsageFeats,
         awayRolling,
         awayQbr,
-        weatherFeats
+        weatherFeats,
+        lostSnapValueFeatures(awayImpact, homeImpact)
       );
       applySosAdjustments(homeRow, awayElo);
       applySosAdjustments(awayRow, homeElo);
@@ -871,3 +919,35 @@ export function buildFeatures({
 
   return out;
 }
+
+/**
+ * Attach de-vigged market win probabilities to feature rows in place.
+ * Rows without a matching market get a neutral 0.5 and market_available = 0.
+ * @param {Array<object>} rows rows produced by buildFeatures
+ * @param {Array<object>} marketRows rows from loadMarkets
+ * @returns {Array<object>}
+ */
+export function attachMarketFeatures(rows = [], marketRows = []) {
+  const idx = new Map();
+  for (const entry of marketRows || []) {
+    const home = normTeam(entry?.home_team);
+    const away = normTeam(entry?.away_team);
+    const week = Number(entry?.week);
+    if (!home || !away || !Number.isFinite(week)) continue;
+    const resolved = resolveMarketProbability(entry.market);
+    if (resolved) idx.set(`${Number(entry.season)}-${week}-${home}-${away}`, resolved.prob);
+  }
+  for (const row of rows) {
+    const home = row.home === 1 ? row.team : row.opponent;
+    const away = row.home === 1 ? row.opponent : row.team;
+    const homeProb = idx.get(`${row.season}-${row.week}-${home}-${away}`);
+    if (Number.isFinite(homeProb)) {
+      row.market_implied_prob = row.home === 1 ? homeProb : 1 - homeProb;
+      row.market_available = 1;
+    } else {
+      row.market_implied_prob = 0.5;
+      row.market_available = 0;
+    }
+  }
+  return rows;
+}
@@ -2,9 +2,12 @@
 //
 // Build Bradley-Terry feature set using nflverse team-week stats.
 // Output one row per game (home-team perspective) with differential features.
+// Playoff games are included in postseason mode; neutral_site marks games where
+// the BT home intercept does not apply.
 
 import { buildTeamInjuryIndex, getTeamInjurySnapshot } from "./injuryIndex.js";
-import { normalizeTeam } from "./teamNormalizer.js";
+import { normalizeTeam } from "./franchises.js";
+import { includeScheduleGame, isNeutralSite } from "./postseason.js";
 
 const BT_FEATURES = [
   "diff_total_yards",
@@ -54,19 +57,7 @@ const winLabel = (g) => {
   return fs.hs > fs.as ? 1 : 0;
 };
 
-const isReg = (v) => {
-  if (v == null) return true;
-  const s = String(v).trim().toUpperCase();
-  return s === "" || s.startsWith("REG");
-};
-
-const normTeam = (value) => {
-  const norm = normalizeTeam(value);
-  if (norm) return norm;
-  if (value == null) return null;
-  const s = String(value).trim().toUpperCase();
-  return s || null;
-};
+const normTeam = (value) => normalizeTeam(value, { source: "featureBuild_bt" });
 
 const pick = (primary, fallback, keys = []) => {
   for (const key of keys) {
@@ -201,10 +192,11 @@ export function buildBTFeatures({
   teamGame = [],
   season,
   prevTeamWeekly,
-  injuries = []
+  injuries = [],
+  postseason = false
 }) {
   const regSched = (schedules || []).filter(
-    (g) => Number(g.season) === Number(season) && isReg(g.season_type)
+    (g) => Number(g.season) === Number(season) && includeScheduleGame(g, { postseason })
   );
   const weeks = [...new Set(regSched.map((g) => Number(g.week)).filter(Number.isFinite))].sort(
     (a, b) => a - b
@@ -325,6 +317,7 @@ export function buildBTFeatures({
         game_id,
         home_team: home,
         away_team: away,
+        neutral_site: isNeutralSite(g) ? 1 : 0,
         features,
         label_win: label,
         home_context: {
@@ -3,14 +3,15 @@
 //
 // This module adds new features when enabled via feature flags:
 // - Divisional game indicators
-// - Travel distance calculations
+// - Travel distance, time-zone shift and altitude from the game's venue
 // - Enhanced home/away splits
 // - Additional rolling windows (10, 12 games)
 // - Interaction features
 //
 // All features are optional and controlled by feature flags in config/modelParams.json
 
-import { isDivisionalGame, isConferenceGame, calculateTravelDistance } from "./nflReference.js";
+import { isDivisionalGame, isConferenceGame } from "./nflReference.js";
+import { venueFeatures } from "./venues.js";
 import { loadFeatureFlags } from "./featureFlags.js";
 
 /**
@@ -22,9 +23,15 @@ export const ENHANCED_FEATURES = [
   "is_divisional_game",
   "is_conference_game",
 
-  // Travel distance
+  // Travel to the game's venue (see venues.js)
   "travel_distance_miles",
   "travel_distance_category", // 0: <500mi, 1: 500-1500mi, 2: >1500mi
+  "home_travel_miles",
+  "away_tz_shift_hours",
+  "home_tz_shift_hours",
+  "venue_altitude_ft",
+  "away_altitude_gain_ft",
+  "is_international",
 
   // Enhanced home/away context
   "home_win_pct",
@@ -58,29 +65,27 @@ function addDivisionalFeatures(row, homeTeam, awayTeam) {
 }
 
 /**
- * Add travel distance features to a row.
+ * Add travel, time-zone and altitude features to a row. Distances run from
+ * each team's home venue for the season to the venue the game was played at,
+ * so international and neutral-site games count the trip both teams made.
  * @param {Object} row - Feature row
  * @param {string} awayTeam - Away team abbreviation
  * @param {string} homeTeam - Home team abbreviation
+ * @param {Object|null} game - Schedule row (stadium fields, gameday); team homes are used without one
  * @returns {Object} Row with travel features added
  */
-function addTravelFeatures(row, awayTeam, homeTeam) {
-  const distance = calculateTravelDistance(awayTeam, homeTeam);
-
-  if (distance !== null) {
-    row.travel_distance_miles = distance;
-
-    // Categorize distance: 0: short (<500mi), 1: medium (500-1500mi), 2: long (>1500mi)
-    if (distance < 500) {
-      row.travel_distance_category = 0;
-    } else if (distance < 1500) {
-      row.travel_distance_category = 1;
-    } else {
-      row.travel_distance_category = 2;
-    }
-  } else {
-    row.travel_distance_miles = 0;
+function addTravelFeatures(row, awayTeam, homeTeam, game = null) {
+  const features = venueFeatures(game ?? { season: row.season, week: row.week, home_team: homeTeam, away_team: awayTeam });
+  Object.assign(row, features);
+
+  // Categorize distance: 0: short (<500mi), 1: medium (500-1500mi), 2: long (>1500mi)
+  const distance = features.travel_distance_miles;
+  if (distance < 500) {
     row.travel_distance_category = 0;
+  } else if (distance < 1500) {
+    row.travel_distance_category = 1;
+  } else {
+    row.travel_distance_category = 2;
   }
 
   return row;
@@ -209,9 +214,10 @@ function addInteractionFeatures(row) {
  * @param {string} awayTeam - Away team abbreviation
  * @param {Object} teamHistory - Team's historical game data
  * @param {Object} opponentHistory - Opponent's historical game data
+ * @param {Object} game - Schedule row the feature row belongs to
  * @returns {Object} Enhanced feature row
  */
-export function enhanceFeatures(row, homeTeam, awayTeam, teamHistory = null, opponentHistory = null) {
+export function enhanceFeatures(row, homeTeam, awayTeam, teamHistory = null, opponentHistory = null, game = null) {
   const flags = loadFeatureFlags();
   const enhanced = { ...row };
 
@@ -222,7 +228,7 @@ export function enhanceFeatures(row, homeTeam, awayTeam, teamHistory = null, opp
 
   // Add travel distance features
   if (flags.travelDistance) {
-    addTravelFeatures(enhanced, awayTeam, homeTeam);
+    addTravelFeatures(enhanced, awayTeam, homeTeam, game);
   }
 
   // Add enhanced home/away features
@@ -256,7 +262,16 @@ export function getEnabledEnhancedFeatures() {
   }
 
   if (flags.travelDistance) {
-    enabled.push("travel_distance_miles", "travel_distance_category");
+    enabled.push(
+      "travel_distance_miles",
+      "travel_distance_category",
+      "home_travel_miles",
+      "away_tz_shift_hours",
+      "home_tz_shift_hours",
+      "venue_altitude_ft",
+      "away_altitude_gain_ft",
+      "is_international"
+    );
   }
 
   if (flags.enhancedHomeAway) {
@@ -1,7 +1,7 @@
 // trainer/featureBuild_players.js
 // Aggregate player-week data into team usage metrics.
 
-import { normalizeTeam } from "./teamNormalizer.js";
+import { normalizeTeam } from "./franchises.js";
 
 const isReg = (v) => {
   if (v == null) return true;
@@ -14,13 +14,7 @@ const num = (value, def = 0) => {
   return Number.isFinite(n) ? n : def;
 };
 
-const normTeam = (value) => {
-  const norm = normalizeTeam(value);
-  if (norm) return norm;
-  if (value == null) return null;
-  const s = String(value).trim().toUpperCase();
-  return s || null;
-};
+const normTeam = (value) => normalizeTeam(value, { source: "featureBuild_players" });
 
 const normPos = (value) => {
   if (!value) return "";
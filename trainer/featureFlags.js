@@ -13,6 +13,8 @@
 //   FEATURE_ENHANCED_HOME_AWAY=true|false
 //   FEATURE_ADDITIONAL_ROLLING_WINDOWS=true|false
 //   FEATURE_INTERACTION_FEATURES=true|false
+//   FEATURE_MARKET_AWARE=true|false
+//   FEATURE_POSTSEASON=true|false
 //
 //   ANALYSIS_ROI_METRICS=true|false
 //   ANALYSIS_SEGMENTED_REPORTS=true|false
@@ -24,6 +26,7 @@
 //   MODEL_CART_ENABLED=true|false
 //   MODEL_BT_ENABLED=true|false
 //   MODEL_ANN_ENABLED=true|false
+//   MODEL_GBT_ENABLED=true|false
 //
 //   AB_TESTING_ENABLED=true|false
 //   AB_TESTING_VARIANT=baseline|variant_a|variant_b|...
@@ -67,7 +70,9 @@ export function loadFeatureFlags() {
     travelDistance: getFeatureFlag("FEATURE_TRAVEL_DISTANCE", config.travelDistance),
     enhancedHomeAway: getFeatureFlag("FEATURE_ENHANCED_HOME_AWAY", config.enhancedHomeAway),
     additionalRollingWindows: getFeatureFlag("FEATURE_ADDITIONAL_ROLLING_WINDOWS", config.additionalRollingWindows),
-    interactionFeatures: getFeatureFlag("FEATURE_INTERACTION_FEATURES", config.interactionFeatures)
+    interactionFeatures: getFeatureFlag("FEATURE_INTERACTION_FEATURES", config.interactionFeatures),
+    marketAware: getFeatureFlag("FEATURE_MARKET_AWARE", config.marketAware),
+    postseason: getFeatureFlag("FEATURE_POSTSEASON", config.postseason)
   };
 }
 
@@ -98,7 +103,8 @@ export function loadModelFlags() {
     logistic: getFeatureFlag("MODEL_LOGISTIC_ENABLED", config.logistic?.enabled ?? true),
     cart: getFeatureFlag("MODEL_CART_ENABLED", config.cart?.enabled ?? true),
     bt: getFeatureFlag("MODEL_BT_ENABLED", config.bt?.enabled ?? true),
-    ann: getFeatureFlag("MODEL_ANN_ENABLED", config.ann?.enabled ?? true)
+    ann: getFeatureFlag("MODEL_ANN_ENABLED", config.ann?.enabled ?? true),
+    gbt: getFeatureFlag("MODEL_GBT_ENABLED", config.gbt?.enabled ?? true)
   };
 }
 
@@ -141,7 +147,7 @@ export function isFeatureEnabled(featureName) {
 
 /**
  * Check if a specific model is enabled.
- * @param {string} modelName - Model name (e.g., "logistic", "cart", "bt", "ann")
+ * @param {string} modelName - Model name (e.g., "logistic", "cart", "bt", "ann", "gbt")
  * @returns {boolean}
  */
 export function isModelEnabled(modelName) {
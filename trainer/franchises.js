@@ -0,0 +1,271 @@
+// trainer/franchises.js
+// Franchise identity: one place that turns any team string the data sources
+// use (current and historical codes, alternate abbreviations, nicknames, city
+// and full names) into the pipeline's franchise code, plus display metadata.
+//
+// Franchise codes are stable across relocations (LV covers the Oakland years,
+// LAC the San Diego years, LAR the St. Louis years), so joins and rolling
+// features follow the franchise. `eras` records what a franchise was called
+// and which code schedules used in a given season (teamCodeForSeason,
+// franchiseDisplay). City names are matched season-aware because some are
+// ambiguous ("Los Angeles" is the Rams in 2016 and either team from 2017).
+//
+// normalizeTeam never drops a value it does not recognize: the upper-cased
+// string passes through, and it is recorded once per source as a data-quality
+// warning (teamWarnings) instead of slipping by silently; the weekly
+// data_quality report lists them under unknown_teams.
+
+/**
+ * Franchises by code. `codes` are abbreviations any source has used; `eras`
+ * run oldest first, with the schedule code, full name and city per span.
+ */
+export const FRANCHISES = [
+  { code: "ARI", nickname: "Cardinals", conference: "NFC", division: "NFC West", color: "#97233F", codes: ["ARZ", "PHO"], eras: [{ code: "ARI", name: "Arizona Cardinals", city: "Arizona" }] },
+  { code: "ATL", nickname: "Falcons", conference: "NFC", division: "NFC South", color: "#A71930", codes: [], eras: [{ code: "ATL", name: "Atlanta Falcons", city: "Atlanta" }] },
+  { code: "BAL", nickname: "Ravens", conference: "AFC", division: "AFC North", color: "#241773", codes: ["BLT"], eras: [{ code: "BAL", name: "Baltimore Ravens", city: "Baltimore" }] },
+  { code: "BUF", nickname: "Bills", conference: "AFC", division: "AFC East", color: "#00338D", codes: [], eras: [{ code: "BUF", name: "Buffalo Bills", city: "Buffalo" }] },
+  { code: "CAR", nickname: "Panthers", conference: "NFC", division: "NFC South", color: "#0085CA", codes: [], eras: [{ code: "CAR", name: "Carolina Panthers", city: "Carolina" }] },
+  { code: "CHI", nickname: "Bears", conference: "NFC", division: "NFC North", color: "#0B162A", codes: [], eras: [{ code: "CHI", name: "Chicago Bears", city: "Chicago" }] },
+  { code: "CIN", nickname: "Bengals", conference: "AFC", division: "AFC North", color: "#FB4F14", codes: [], eras: [{ code: "CIN", name: "Cincinnati Bengals", city: "Cincinnati" }] },
+  { code: "CLE", nickname: "Browns", conference: "AFC", division: "AFC North", color: "#311D00", codes: ["CLV"], eras: [{ code: "CLE", name: "Cleveland Browns", city: "Cleveland" }] },
+  { code: "DAL", nickname: "Cowboys", conference: "NFC", division: "NFC East", color: "#003594", codes: [], eras: [{ code: "DAL", name: "Dallas Cowboys", city: "Dallas" }] },
+  { code: "DEN", nickname: "Broncos", conference: "AFC", division: "AFC West", color: "#FB4F14", codes: [], eras: [{ code: "DEN", name: "Denver Broncos", city: "Denver" }] },
+  { code: "DET", nickname: "Lions", conference: "NFC", division: "NFC North", color: "#0076B6", codes: [], eras: [{ code: "DET", name: "Detroit Lions", city: "Detroit" }] },
+  { code: "GB", nickname: "Packers", conference: "NFC", division: "NFC North", color: "#203731", codes: ["GNB"], eras: [{ code: "GB", name: "Green Bay Packers", city: "Green Bay" }] },
+  { code: "HOU", nickname: "Texans", conference: "AFC", division: "AFC South", color: "#03202F", codes: ["HST"], eras: [{ code: "HOU", name: "Houston Texans", city: "Houston", from: 2002 }] },
+  { code: "IND", nickname: "Colts", conference: "AFC", division: "AFC South", color: "#002C5F", codes: [], eras: [{ code: "IND", name: "Indianapolis Colts", city: "Indianapolis" }] },
+  { code: "JAC", nickname: "Jaguars", conference: "AFC", division: "AFC South", color: "#006778", codes: ["JAX"], eras: [{ code: "JAX", name: "Jacksonville Jaguars", city: "Jacksonville" }] },
+  { code: "KC", nickname: "Chiefs", conference: "AFC", division: "AFC West", color: "#E31837", codes: ["KAN", "KCC"], eras: [{ code: "KC", name: "Kansas City Chiefs", city: "Kansas City" }] },
+  {
+    code: "LAC",
+    nickname: "Chargers",
+    conference: "AFC",
+    division: "AFC West",
+    color: "#0080C6",
+    codes: ["SD", "SDG"],
+    eras: [
+      { code: "SD", name: "San Diego Chargers", city: "San Diego", to: 2016 },
+      { code: "LAC", name: "Los Angeles Chargers", city: "Los Angeles", from: 2017 }
+    ]
+  },
+  {
+    code: "LAR",
+    nickname: "Rams",
+    conference: "NFC",
+    division: "NFC West",
+    color: "#003594",
+    codes: ["STL", "LA", "STLO", "ST"],
+    eras: [
+      { code: "STL", name: "St. Louis Rams", city: "St. Louis", to: 2015 },
+      { code: "LA", name: "Los Angeles Rams", city: "Los Angeles", from: 2016 }
+    ]
+  },
+  {
+    code: "LV",
+    nickname: "Raiders",
+    conference: "AFC",
+    division: "AFC West",
+    color: "#000000",
+    codes: ["OAK", "LVR", "OAKLAND"],
+    eras: [
+      { code: "OAK", name: "Oakland Raiders", city: "Oakland", to: 2019 },
+      { code: "LV", name: "Las Vegas Raiders", city: "Las Vegas", from: 2020 }
+    ]
+  },
+  { code: "MIA", nickname: "Dolphins", conference: "AFC", division: "AFC East", color: "#008E97", codes: [], eras: [{ code: "MIA", name: "Miami Dolphins", city: "Miami" }] },
+  { code: "MIN", nickname: "Vikings", conference: "NFC", division: "NFC North", color: "#4F2683", codes: [], eras: [{ code: "MIN", name: "Minnesota Vikings", city: "Minnesota" }] },
+  { code: "NE", nickname: "Patriots", conference: "AFC", division: "AFC East", color: "#002244", codes: ["NWE"], eras: [{ code: "NE", name: "New England Patriots", city: "New England" }] },
+  { code: "NO", nickname: "Saints", conference: "NFC", division: "NFC South", color: "#D3BC8D", codes: ["NOR"], eras: [{ code: "NO", name: "New Orleans Saints", city: "New Orleans" }] },
+  { code: "NYG", nickname: "Giants", conference: "NFC", division: "NFC East", color: "#0B2265", codes: ["NYN"], eras: [{ code: "NYG", name: "New York Giants", city: "New York" }] },
+  { code: "NYJ", nickname: "Jets", conference: "AFC", division: "AFC East", color: "#125740", codes: ["NYA", "NJD"], eras: [{ code: "NYJ", name: "New York Jets", city: "New York" }] },
+  { code: "PHI", nickname: "Eagles", conference: "NFC", division: "NFC East", color: "#004C54", codes: [], eras: [{ code: "PHI", name: "Philadelphia Eagles", city: "Philadelphia" }] },
+  { code: "PIT", nickname: "Steelers", conference: "AFC", division: "AFC North", color: "#FFB612", codes: [], eras: [{ code: "PIT", name: "Pittsburgh Steelers", city: "Pittsburgh" }] },
+  { code: "SEA", nickname: "Seahawks", conference: "NFC", division: "NFC West", color: "#002244", codes: [], eras: [{ code: "SEA", name: "Seattle Seahawks", city: "Seattle" }] },
+  { code: "SF", nickname: "49ers", conference: "NFC", division: "NFC West", color: "#AA0000", codes: ["SFO"], eras: [{ code: "SF", name: "San Francisco 49ers", city: "San Francisco" }] },
+  { code: "TB", nickname: "Buccaneers", conference: "NFC", division: "NFC South", color: "#D50A0A", codes: ["TAM"], eras: [{ code: "TB", name: "Tampa Bay Buccaneers", city: "Tampa Bay" }] },
+  { code: "TEN", nickname: "Titans", conference: "AFC", division: "AFC South", color: "#4B92DB", codes: [], eras: [{ code: "TEN", name: "Tennessee Titans", city: "Tennessee" }] },
+  {
+    code: "WAS",
+    nickname: "Commanders",
+    conference: "NFC",
+    division: "NFC East",
+    color: "#5A1414",
+    codes: ["WSH", "WDC"],
+    eras: [
+      { code: "WAS", name: "Washington Redskins", city: "Washington", to: 2019 },
+      { code: "WAS", name: "Washington Football Team", city: "Washington", from: 2020, to: 2021 },
+      { code: "WAS", name: "Washington Commanders", city: "Washington", from: 2022 }
+    ]
+  }
+];
+
+// Informal nicknames sources print in place of the official one.
+const EXTRA_NICKNAMES = {
+  SF: ["Niners"],
+  TB: ["Bucs"],
+  JAC: ["Jags"],
+  NE: ["Pats"],
+  WAS: ["Redskins", "Football Team"]
+};
+
+export const TEAM_CODES = FRANCHISES.map((f) => f.code);
+
+const BY_CODE = new Map(FRANCHISES.map((f) => [f.code, f]));
+
+const lookupKey = (value) => String(value ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+// lookup key -> [{ code, from, to }]; spans only narrow ambiguous names.
+const INDEX = new Map();
+function addKey(key, code, span = {}) {
+  const k = lookupKey(key);
+  if (!k) return;
+  if (!INDEX.has(k)) INDEX.set(k, []);
+  const entries = INDEX.get(k);
+  if (!entries.some((e) => e.code === code && e.from === span.from && e.to === span.to)) {
+    entries.push({ code, from: span.from, to: span.to });
+  }
+}
+for (const franchise of FRANCHISES) {
+  const { code } = franchise;
+  for (const alias of [code, ...franchise.codes, ...franchise.eras.map((e) => e.code)]) addKey(alias, code);
+  for (const nickname of [franchise.nickname, ...(EXTRA_NICKNAMES[code] || [])]) addKey(nickname, code);
+  for (const era of franchise.eras) {
+    addKey(era.name, code);
+    addKey(era.city, code, era);
+    addKey(`${era.city} ${franchise.nickname}`, code);
+  }
+}
+
+const inSpan = (entry, season) =>
+  (entry.from == null || season >= entry.from) && (entry.to == null || season <= entry.to);
+
+const WARNINGS = new Map();
+
+function recordUnknownTeam(value, source, reason) {
+  const key = `${source}|${value}`;
+  const entry = WARNINGS.get(key);
+  if (entry) {
+    entry.count += 1;
+    return;
+  }
+  WARNINGS.set(key, { value, source, reason, count: 1 });
+  console.warn(`[franchises] ${reason} team "${value}" from ${source}; passing it through unchanged.`);
+}
+
+function lookup(value, season) {
+  const entries = INDEX.get(lookupKey(value)) || [];
+  const year = Number(season);
+  const candidates = Number.isFinite(year) ? entries.filter((e) => inSpan(e, year)) : entries;
+  const codes = [...new Set(candidates.map((e) => e.code))];
+  return { codes, known: entries.length > 0 };
+}
+
+/**
+ * The franchise a team string refers to, or null when it is unknown or
+ * ambiguous (a shared city without a season that settles it).
+ * @param {string} value - code, abbreviation, nickname, city or full name
+ * @param {{ season?: number }} [options]
+ * @returns {object|null} FRANCHISES entry
+ */
+export function resolveFranchise(value, { season } = {}) {
+  if (value == null) return null;
+  const { codes } = lookup(value, season);
+  return codes.length === 1 ? BY_CODE.get(codes[0]) : null;
+}
+
+/**
+ * Franchise code for any team string. Unknown (or ambiguous) strings pass
+ * through upper-cased and are recorded as data-quality warnings.
+ * @param {string} value
+ * @param {{ season?: number, source?: string }} [options]
+ * @returns {string|null}
+ */
+export function normalizeTeam(value, options) {
+  if (value === undefined || value === null) return null;
+  const raw = String(value).trim();
+  if (!raw) return null;
+  const { season, source = "unknown" } = options && typeof options === "object" ? options : {};
+  const { codes, known } = lookup(raw, season);
+  if (codes.length === 1) return codes[0];
+  const fallback = raw.toUpperCase();
+  recordUnknownTeam(fallback, source, known ? "Ambiguous" : "Unknown");
+  return fallback;
+}
+
+/**
+ * Whether two team strings name the same franchise.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function sameFranchise(a, b) {
+  const fa = resolveFranchise(a);
+  return fa != null && fa === resolveFranchise(b);
+}
+
+function eraFor(franchise, season) {
+  const year = Number(season);
+  if (!Number.isFinite(year)) return franchise.eras[franchise.eras.length - 1];
+  const match = franchise.eras.find((era) => inSpan(era, year));
+  if (match) return match;
+  return year < franchise.eras[0].from ? franchise.eras[0] : franchise.eras[franchise.eras.length - 1];
+}
+
+/**
+ * The code schedules used for a franchise in a season (OAK for the Raiders
+ * in 2019, LV from 2020).
+ * @param {string} value
+ * @param {number} season
+ * @returns {string|null}
+ */
+export function teamCodeForSeason(value, season) {
+  const franchise = resolveFranchise(value, { season });
+  return franchise ? eraFor(franchise, season).code : null;
+}
+
+/**
+ * Display metadata for a team in a season (current identity without one).
+ * @param {string} value
+ * @param {number} [season]
+ * @returns {{ code: string, season_code: string, name: string, city: string, nickname: string, conference: string, division: string, color: string }|null}
+ */
+export function franchiseDisplay(value, season) {
+  const franchise = resolveFranchise(value, { season });
+  if (!franchise) return null;
+  const era = eraFor(franchise, season);
+  return {
+    code: franchise.code,
+    season_code: era.code,
+    name: era.name,
+    city: era.city,
+    nickname: franchise.nickname,
+    conference: franchise.conference,
+    division: franchise.division,
+    color: franchise.color
+  };
+}
+
+/**
+ * Unknown or ambiguous team strings seen since the last reset, with how often
+ * each source produced them.
+ * @returns {Array<{ value: string, source: string, reason: string, count: number }>}
+ */
+export function teamWarnings() {
+  return [...WARNINGS.values()].map((entry) => ({ ...entry }));
+}
+
+export function resetTeamWarnings() {
+  WARNINGS.clear();
+}
+
+export default {
+  FRANCHISES,
+  TEAM_CODES,
+  resolveFranchise,
+  normalizeTeam,
+  sameFranchise,
+  teamCodeForSeason,
+  franchiseDisplay,
+  teamWarnings,
+  resetTeamWarnings
+};
@@ -0,0 +1,217 @@
+// trainer/historyIndex.js
+// Compact per-team and per-matchup history of every prediction, so the Worker's
+// /history endpoints can answer from one file instead of fetching each
+// predictions_<season>_W<week>.json.
+//
+// history_index.json lists the seasons covered and which team and matchup files
+// exist; history_team_<TEAM>.json and history_matchup_<A>_<B>.json (teams in
+// alphabetical order, both venues) hold the games, with the same fields the
+// Worker's scan of the weekly predictions returns. A game's actual comes from
+// outcomes_<season>_W<week>.json once updateHistoricalArtifacts has scored the
+// week, so that step refreshes the index as well.
+//
+// Usage: node trainer/historyIndex.js   (full rebuild from artifacts/)
+
+import fs from "node:fs";
+import path from "node:path";
+import { validateArtifact } from "./schemaValidator.js";
+import { artifactsRoot } from "./utils/paths.js";
+
+export const HISTORY_INDEX_FILE = "history_index.json";
+
+// Codes are kept as the artifacts spell them, matching the Worker's filters.
+const teamCode = (value) => (value == null ? "" : String(value).trim().toUpperCase());
+
+const PREDICTIONS_PATTERN = /^predictions_(\d{4})_W(\d{2})\.json$/;
+const outcomesFile = (season, week) => `outcomes_${season}_W${String(week).padStart(2, "0")}.json`;
+
+export const teamHistoryFile = (team) => `history_team_${team}.json`;
+
+export function matchupKey(teamA, teamB) {
+  return [teamCode(teamA), teamCode(teamB)].sort().join("_");
+}
+
+export const matchupHistoryFile = (teamA, teamB) => `history_matchup_${matchupKey(teamA, teamB)}.json`;
+
+const byGameOrder = (a, b) =>
+  a.season - b.season || a.week - b.week || String(a.game_id ?? "").localeCompare(String(b.game_id ?? ""));
+
+/**
+ * Compact history entry for one prediction row.
+ * @param {object} game - predictions artifact row
+ * @param {number} season
+ * @param {number} week
+ * @param {object} [outcome] - the game's outcomes artifact row, for its result
+ * @returns {object|null}
+ */
+export function historyEntry(game, season, week, outcome = null) {
+  const home = teamCode(game?.home_team);
+  const away = teamCode(game?.away_team);
+  if (!home || !away) return null;
+  return {
+    season,
+    week,
+    game_id: game.game_id ?? null,
+    home_team: home,
+    away_team: away,
+    forecast: game.forecast ?? null,
+    probs: game.probs ?? null,
+    blend_weights: game.blend_weights ?? null,
+    calibration: game.calibration ?? null,
+    top_drivers: game.top_drivers ?? null,
+    natural_language: game.natural_language ?? null,
+    actual: game.actual ?? outcome?.actual?.home_win ?? null
+  };
+}
+
+/**
+ * Group prediction weeks into team and matchup histories.
+ * @param {Array<{ season: number, week: number, predictions: Array<object>, outcomes?: Array<object> }>} weeks
+ * @returns {{ seasons: number[], teams: Map<string, object[]>, matchups: Map<string, object[]> }}
+ */
+export function buildHistory(weeks = []) {
+  const seasons = new Set();
+  const teams = new Map();
+  const matchups = new Map();
+  const push = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+  for (const { season, week, predictions, outcomes } of weeks) {
+    seasons.add(season);
+    const results = new Map((Array.isArray(outcomes) ? outcomes : []).map((row) => [row.game_id, row]));
+    for (const game of Array.isArray(predictions) ? predictions : []) {
+      const entry = historyEntry(game, season, week, results.get(game?.game_id));
+      if (!entry) continue;
+      push(teams, entry.home_team, entry);
+      push(teams, entry.away_team, entry);
+      push(matchups, matchupKey(entry.home_team, entry.away_team), entry);
+    }
+  }
+  for (const list of [...teams.values(), ...matchups.values()]) list.sort(byGameOrder);
+  return { seasons: [...seasons].sort((a, b) => a - b), teams, matchups };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeValidated(schema, file, payload) {
+  validateArtifact(schema, payload);
+  fs.writeFileSync(file, JSON.stringify(payload));
+}
+
+// A week that has not been scored yet, or whose outcomes file is unreadable,
+// keeps the actuals its predictions carry.
+function loadOutcomes(artDir, season, week) {
+  const file = path.join(artDir, outcomesFile(season, week));
+  if (!fs.existsSync(file)) return [];
+  try {
+    return readJson(file);
+  } catch (err) {
+    console.warn(`[historyIndex] ignoring ${outcomesFile(season, week)}: ${err?.message || err}`);
+    return [];
+  }
+}
+
+function loadPredictionWeeks(artDir) {
+  const names = fs.existsSync(artDir) ? fs.readdirSync(artDir).filter((name) => PREDICTIONS_PATTERN.test(name)) : [];
+  const weeks = [];
+  for (const name of names) {
+    const [, season, week] = PREDICTIONS_PATTERN.exec(name).map(Number);
+    try {
+      weeks.push({ season, week, predictions: readJson(path.join(artDir, name)), outcomes: loadOutcomes(artDir, season, week) });
+    } catch (err) {
+      console.warn(`[historyIndex] skipping ${name}: ${err?.message || err}`);
+    }
+  }
+  return weeks;
+}
+
+function writeManifest(artDir, manifest) {
+  writeValidated("history_index", path.join(artDir, HISTORY_INDEX_FILE), manifest);
+}
+
+/**
+ * Rebuild every history file from the predictions artifacts on disk.
+ * @param {{ artDir?: string }} [options]
+ * @returns {object} the history_index.json manifest
+ */
+export function writeHistoryIndex({ artDir = artifactsRoot() } = {}) {
+  const generatedAt = new Date().toISOString();
+  const { seasons, teams, matchups } = buildHistory(loadPredictionWeeks(artDir));
+  const manifest = { generated_at: generatedAt, seasons, teams: {}, matchups: {} };
+  for (const [team, games] of teams) {
+    writeValidated("history_games", path.join(artDir, teamHistoryFile(team)), { team, generated_at: generatedAt, games });
+    manifest.teams[team] = games.length;
+  }
+  for (const [key, games] of matchups) {
+    writeValidated("history_games", path.join(artDir, matchupHistoryFile(...key.split("_"))), {
+      teams: key.split("_"),
+      generated_at: generatedAt,
+      games
+    });
+    manifest.matchups[key] = games.length;
+  }
+  writeManifest(artDir, manifest);
+  return manifest;
+}
+
+/**
+ * Fold one week's predictions into the history files, replacing whatever the
+ * touched files held for that week; actuals come from the week's outcomes file
+ * when it exists. Without a manifest the index is rebuilt from scratch, since a
+ * partial index would hide older games.
+ * @param {{ season: number, week: number, predictions: Array<object>, artDir?: string }} options
+ * @returns {object} the updated manifest
+ */
+export function updateHistoryIndex({ season, week, predictions, artDir = artifactsRoot() }) {
+  const manifestPath = path.join(artDir, HISTORY_INDEX_FILE);
+  if (!fs.existsSync(manifestPath)) return writeHistoryIndex({ artDir });
+  const manifest = readJson(manifestPath);
+  const generatedAt = new Date().toISOString();
+  const { teams, matchups } = buildHistory([{ season, week, predictions, outcomes: loadOutcomes(artDir, season, week) }]);
+  const sameWeek = (entry) => entry.season === season && entry.week === week;
+
+  const merge = (file, fresh, header) => {
+    const full = path.join(artDir, file);
+    const existing = fs.existsSync(full) ? readJson(full).games ?? [] : [];
+    const games = existing.filter((entry) => !sameWeek(entry)).concat(fresh).sort(byGameOrder);
+    writeValidated("history_games", full, { ...header, generated_at: generatedAt, games });
+    return games.length;
+  };
+  for (const [team, games] of teams) {
+    manifest.teams[team] = merge(teamHistoryFile(team), games, { team });
+  }
+  for (const [key, games] of matchups) {
+    manifest.matchups[key] = merge(matchupHistoryFile(...key.split("_")), games, { teams: key.split("_") });
+  }
+  manifest.seasons = [...new Set([...(manifest.seasons ?? []), season])].sort((a, b) => a - b);
+  manifest.generated_at = generatedAt;
+  writeManifest(artDir, manifest);
+  return manifest;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const manifest = writeHistoryIndex();
+    console.log(
+      `[historyIndex] ${Object.keys(manifest.teams).length} teams, ` +
+        `${Object.keys(manifest.matchups).length} matchups across ${manifest.seasons.length} seasons`
+    );
+  } catch (err) {
+    console.error(`[historyIndex] ${err?.message || err}`);
+    process.exit(1);
+  }
+}
+
+export default {
+  HISTORY_INDEX_FILE,
+  teamHistoryFile,
+  matchupKey,
+  matchupHistoryFile,
+  historyEntry,
+  buildHistory,
+  writeHistoryIndex,
+  updateHistoryIndex
+};
@@ -45,10 +45,15 @@ function loadJsonIfExists(fileName) {
   return JSON.parse(fs.readFileSync(fullPath, "utf8"));
 }
 
-function normaliseWeights(source) {
+export function normaliseWeights(source) {
   const keys = ["logistic", "tree", "bt", "ann"];
+  // Boosted trees joined the blend later; older artifacts have no gbt weight.
+  if (Number.isFinite(Number(source?.gbt))) keys.push("gbt");
+  // Market-aware runs also blend the de-vigged market probability.
+  if (Number.isFinite(Number(source?.market))) keys.push("market");
+  const uniform = () => keys.reduce((acc, key) => ({ ...acc, [key]: 1 / keys.length }), {});
   if (!source || typeof source !== "object") {
-    return keys.reduce((acc, key) => ({ ...acc, [key]: 0.25 }), {});
+    return uniform();
   }
   const weights = {};
   let total = 0;
@@ -62,7 +67,7 @@ function normaliseWeights(source) {
     }
   }
   if (total <= 0) {
-    return keys.reduce((acc, key) => ({ ...acc, [key]: 0.25 }), {});
+    return uniform();
   }
   for (const key of keys) {
     weights[key] = weights[key] / total;
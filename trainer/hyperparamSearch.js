@@ -0,0 +1,583 @@
+// trainer/hyperparamSearch.js
+// Hyperparameter search for the ensemble members (logistic, CART, BT, ANN, GBT).
+//
+// Every member declares a search space below. A search samples configurations
+// from it with a seeded RNG and scores each one with time-series cross
+// validation: every fold trains on the seasons (or, inside a single season,
+// the weeks) before its validation period, never after. Two strategies:
+//
+//   random   every sampled configuration is scored at full budget
+//   halving  successive halving: all configurations start at a small training
+//            budget (gradient steps, epochs, boosting rounds, or for CART the
+//            most recent share of the rows) and only the best 1/eta of each
+//            rung moves up
+//
+// Every scored trial is written to a ledger artifact as soon as it finishes
+// (artifacts/tuning/hyperparam_trials_<model>.json by default), so an
+// interrupted search picks up where it stopped: configurations are drawn from
+// the same seed and trials already in the ledger are not rerun.
+//
+// --promote scores the best configuration and the parameters currently in
+// config/modelParams.json on held-out seasons the search never saw, and only
+// writes the winner when it beats that incumbent.
+//
+// Usage: node trainer/hyperparamSearch.js --model ann --start 2012 --end 2024
+//          [--strategy halving] [--trials 27] [--eta 3] [--holdout 2] [--promote]
+//          [--ledger path] [--fresh] [--offline]
+//
+// The fit/predict adapters and the training rows come from train_multi.js
+// (tuningAdapters, buildTuningDataset); runTraining also uses runSearch for
+// its tuneHyperparams option.
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { logLoss } from "./metrics.js";
+import { validateArtifact } from "./schemaValidator.js";
+import { artp } from "./utils/paths.js";
+
+export const SEARCH_STRATEGIES = ["random", "halving"];
+export const TUNABLE_MODELS = ["logistic", "cart", "bt", "ann", "gbt"];
+
+const LEDGER_VERSION = 1;
+const MODEL_PARAMS_PATH = "./config/modelParams.json";
+const DEFAULT_CACHE_DIR = ".cache/backtest";
+const DEFAULT_ETA = 3;
+
+// Parameter specs: int and float sample uniformly in [min, max], log samples
+// uniformly in log space, choice picks one of `values`.
+export const SEARCH_SPACES = Object.freeze({
+  logistic: {
+    steps: { type: "int", min: 500, max: 4000 },
+    learningRate: { type: "log", min: 1e-3, max: 1e-2 },
+    l2: { type: "log", min: 1e-5, max: 1e-2 }
+  },
+  cart: {
+    maxDepth: { type: "int", min: 3, max: 8 },
+    minSamples: { type: "int", min: 4, max: 48 },
+    alpha: { type: "int", min: 1, max: 10 }
+  },
+  bt: {
+    steps: { type: "int", min: 1000, max: 3000 },
+    learningRate: { type: "log", min: 5e-4, max: 2e-2 },
+    l2: { type: "log", min: 1e-6, max: 1e-3 }
+  },
+  ann: {
+    maxEpochs: { type: "int", min: 100, max: 500 },
+    dropout: { type: "float", min: 0.1, max: 0.5 },
+    l2: { type: "log", min: 1e-5, max: 1e-3 },
+    learningRate: { type: "log", min: 3e-4, max: 3e-3 }
+  },
+  gbt: {
+    nEstimators: { type: "int", min: 50, max: 400 },
+    learningRate: { type: "log", min: 0.01, max: 0.2 },
+    maxDepth: { type: "int", min: 2, max: 5 },
+    subsample: { type: "float", min: 0.5, max: 1 },
+    colsample: { type: "float", min: 0.5, max: 1 },
+    minChildWeight: { type: "log", min: 0.5, max: 10 },
+    lambda: { type: "log", min: 0.1, max: 10 }
+  }
+});
+
+// Where each member's parameters live in config/modelParams.json.
+const MODEL_PARAM_PATHS = {
+  logistic: ["logistic"],
+  cart: ["cart"],
+  bt: ["bt", "gd"],
+  ann: ["ann"],
+  gbt: ["gbt"]
+};
+
+const round = (value, digits) => Number(value.toPrecision(digits));
+
+/**
+ * Deterministic [0, 1) generator (mulberry32).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one configuration from a search space.
+ * @param {object} space - SEARCH_SPACES entry
+ * @param {() => number} rng
+ * @returns {Record<string, number>}
+ */
+export function sampleParams(space, rng) {
+  const params = {};
+  for (const [key, spec] of Object.entries(space)) {
+    const u = rng();
+    if (spec.type === "int") {
+      params[key] = Math.min(spec.max, spec.min + Math.floor(u * (spec.max - spec.min + 1)));
+    } else if (spec.type === "float") {
+      params[key] = round(spec.min + u * (spec.max - spec.min), 3);
+    } else if (spec.type === "log") {
+      params[key] = round(Math.exp(Math.log(spec.min) + u * (Math.log(spec.max) - Math.log(spec.min))), 3);
+    } else if (spec.type === "choice") {
+      params[key] = spec.values[Math.min(spec.values.length - 1, Math.floor(u * spec.values.length))];
+    } else {
+      throw new Error(`unknown parameter type for ${key}: ${spec.type}`);
+    }
+  }
+  return params;
+}
+
+const sortedEntries = (obj) => Object.keys(obj).sort().map((key) => [key, obj[key]]);
+
+const hashOf = (value) => crypto.createHash("sha1").update(JSON.stringify(value)).digest("hex").slice(0, 10);
+
+export const configId = (params) => hashOf(sortedEntries(params));
+
+/**
+ * Time-ordered cross-validation folds. Each fold validates on one season and
+ * trains on every earlier one; when the rows cover too few seasons, weeks of
+ * the season are used instead.
+ * @param {{ seasons: number[], weeks: number[] }} data - per-row season/week
+ * @param {{ maxFolds?: number, minTrainPeriods?: number }} [options]
+ * @returns {Array<{ label: string, train: number[], valid: number[] }>}
+ */
+export function timeSeriesFolds({ seasons = [], weeks = [] }, { maxFolds = 3, minTrainPeriods = 1 } = {}) {
+  const bySeason = new Set(seasons).size > minTrainPeriods;
+  const period = (i) => (bySeason ? seasons[i] : seasons[i] * 100 + Number(weeks[i]));
+  const periods = [...new Set(seasons.map((_, i) => period(i)))].sort((a, b) => a - b);
+  const validPeriods = periods.slice(Math.max(minTrainPeriods, periods.length - Math.max(1, maxFolds)));
+  const label = (p) => (bySeason ? String(p) : `${Math.floor(p / 100)}_W${String(p % 100).padStart(2, "0")}`);
+  return validPeriods
+    .map((p) => {
+      const train = [];
+      const valid = [];
+      for (let i = 0; i < seasons.length; i++) {
+        const q = period(i);
+        if (q < p) train.push(i);
+        else if (q === p) valid.push(i);
+      }
+      return { label: label(p), train, valid };
+    })
+    .filter((fold) => fold.train.length && fold.valid.length);
+}
+
+/**
+ * Rows of a tuning dataset by index (see buildTuningDataset in train_multi.js).
+ * @param {object} data
+ * @param {number[]} idx
+ * @returns {object}
+ */
+export function subsetData(data, idx) {
+  const pick = (arr) => (Array.isArray(arr) ? idx.map((i) => arr[i]) : arr);
+  return { ...data, X: pick(data.X), y: pick(data.y), bt: pick(data.bt), seasons: pick(data.seasons), weeks: pick(data.weeks) };
+}
+
+const weightedLoss = (scores) => {
+  const usable = scores.filter((s) => Number.isFinite(s.logloss) && s.n > 0);
+  const n = usable.reduce((sum, s) => sum + s.n, 0);
+  return n ? usable.reduce((sum, s) => sum + s.logloss * s.n, 0) / n : null;
+};
+
+/**
+ * Cross-validated log loss of one configuration.
+ * @param {object} options
+ * @param {{ fit: Function, predict: Function }} options.adapter
+ * @param {object} options.data
+ * @param {Array<object>} options.folds - see timeSeriesFolds
+ * @param {object} options.params
+ * @param {number} [options.budget] - share of the full training effort (0-1]
+ * @returns {{ logloss: number|null, folds: Array<{ fold: string, logloss: number|null, n: number }> }}
+ */
+export function evaluateConfig({ adapter, data, folds, params, budget = 1 }) {
+  const scores = folds.map((fold) => {
+    const valid = subsetData(data, fold.valid);
+    const model = adapter.fit(subsetData(data, fold.train), params, budget);
+    const loss = logLoss(valid.y, adapter.predict(model, valid));
+    return { fold: fold.label, logloss: Number.isFinite(loss) ? loss : null, n: valid.y.length };
+  });
+  return { logloss: weightedLoss(scores), folds: scores };
+}
+
+/**
+ * Budgets of the successive-halving rungs, smallest first, ending at 1.
+ * @param {number} eta
+ * @param {number} minBudget
+ * @returns {number[]}
+ */
+export function halvingBudgets(eta = DEFAULT_ETA, minBudget = 1 / (eta * eta)) {
+  const budgets = [];
+  for (let b = Math.min(1, minBudget); b < 1 - 1e-9; b *= eta) budgets.push(round(b, 4));
+  budgets.push(1);
+  return budgets;
+}
+
+/**
+ * Open (or start) a trial ledger. A ledger belongs to one search definition;
+ * reopening it with the same definition resumes it, a different one is an
+ * error unless `fresh` discards the old trials.
+ * @param {string|null} file - null keeps the ledger in memory
+ * @param {object} search - model, strategy, seed, space, folds, ...
+ * @param {{ fresh?: boolean }} [options]
+ * @returns {object}
+ */
+export function openTrialLedger(file, search, { fresh = false } = {}) {
+  let payload = null;
+  if (file && !fresh && fs.existsSync(file)) {
+    payload = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (JSON.stringify(payload.search) !== JSON.stringify(search)) {
+      throw new Error(
+        `${file} holds trials of a different search (${payload.search?.model} ${payload.search?.strategy}, seed ${payload.search?.seed}); pass --fresh or another --ledger`
+      );
+    }
+  }
+  const now = new Date().toISOString();
+  payload ??= { version: LEDGER_VERSION, created_at: now, updated_at: now, search, trials: [], promotions: [] };
+  const byId = new Map(payload.trials.map((trial) => [trial.id, trial]));
+
+  const save = () => {
+    if (!file) return;
+    payload.updated_at = new Date().toISOString();
+    validateArtifact("hyperparam_trials", payload);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(payload, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    file,
+    payload,
+    get: (id) => byId.get(id) ?? null,
+    record(trial) {
+      byId.set(trial.id, trial);
+      payload.trials = [...byId.values()];
+      save();
+      return trial;
+    },
+    recordPromotion(entry) {
+      payload.promotions.push(entry);
+      save();
+      return entry;
+    },
+    /** Best complete trial at full budget. */
+    best() {
+      return payload.trials
+        .filter((trial) => trial.budget === 1 && Number.isFinite(trial.logloss))
+        .reduce((best, trial) => (!best || trial.logloss < best.logloss ? trial : best), null);
+    },
+    save
+  };
+}
+
+/**
+ * Run (or resume) a search for one member.
+ * @param {object} options
+ * @param {string} options.model - one of TUNABLE_MODELS
+ * @param {{ fit: Function, predict: Function }} options.adapter
+ * @param {object} options.data - tuning dataset (X, y, bt, seasons, weeks)
+ * @param {Array<object>} [options.folds] - default: timeSeriesFolds(data)
+ * @param {"random"|"halving"} [options.strategy]
+ * @param {number} [options.trials] - configurations sampled
+ * @param {number} [options.eta] - halving: keep 1/eta of each rung
+ * @param {number} [options.minBudget] - halving: budget of the first rung
+ * @param {number} [options.seed]
+ * @param {object} [options.space] - default: SEARCH_SPACES[model]
+ * @param {object} [options.ledger] - openTrialLedger(); default in memory
+ * @param {(msg: string) => void} [options.log]
+ * @returns {{ best: object|null, evaluated: number, reused: number, ledger: object }}
+ */
+export function runSearch({
+  model,
+  adapter,
+  data,
+  folds = timeSeriesFolds(data),
+  strategy = "random",
+  trials = 20,
+  eta = DEFAULT_ETA,
+  minBudget,
+  seed = 1,
+  space = SEARCH_SPACES[model],
+  ledger = null,
+  log = () => {}
+}) {
+  if (!SEARCH_STRATEGIES.includes(strategy)) throw new Error(`unknown search strategy: ${strategy}`);
+  if (!space) throw new Error(`no search space for model: ${model}`);
+  if (!folds.length) throw new Error(`no time-series folds for ${model}: training rows cover a single period`);
+  const book = ledger ?? openTrialLedger(null, searchDefinition({ model, strategy, trials, eta, minBudget, seed, space, folds }));
+
+  const rng = createRng(seed);
+  const configs = new Map();
+  for (let i = 0; i < trials; i++) {
+    const params = sampleParams(space, rng);
+    configs.set(configId(params), params);
+  }
+  const budgets = strategy === "halving" ? halvingBudgets(eta, minBudget) : [1];
+
+  let survivors = [...configs.keys()];
+  let evaluated = 0;
+  let reused = 0;
+  for (let rung = 0; rung < budgets.length; rung++) {
+    const budget = budgets[rung];
+    const results = survivors.map((id) => {
+      const trialId = `${id}@${budget}`;
+      const done = book.get(trialId);
+      if (done) {
+        reused += 1;
+        return done;
+      }
+      const params = configs.get(id);
+      const started = Date.now();
+      let trial;
+      try {
+        const score = evaluateConfig({ adapter, data, folds, params, budget });
+        trial = { id: trialId, config_id: id, rung, budget, params, logloss: score.logloss, folds: score.folds, status: "complete" };
+      } catch (err) {
+        trial = { id: trialId, config_id: id, rung, budget, params, logloss: null, folds: [], status: "failed", error: err?.message || String(err) };
+      }
+      trial.seconds = round((Date.now() - started) / 1000, 3);
+      trial.completed_at = new Date().toISOString();
+      evaluated += 1;
+      log(`[tune] ${model} ${trialId} logloss=${trial.logloss?.toFixed(4) ?? trial.error}`);
+      return book.record(trial);
+    });
+    if (rung === budgets.length - 1) break;
+    const keep = Math.max(1, Math.ceil(results.length / eta));
+    survivors = results
+      .slice()
+      .sort((a, b) => (a.logloss ?? Infinity) - (b.logloss ?? Infinity))
+      .slice(0, keep)
+      .map((trial) => trial.config_id);
+  }
+  return { best: book.best(), evaluated, reused, ledger: book };
+}
+
+/**
+ * The fields that identify a search in its ledger.
+ * @returns {object}
+ */
+export function searchDefinition({ model, strategy, trials, eta = DEFAULT_ETA, minBudget, seed, space = SEARCH_SPACES[model], folds = [], data = null }) {
+  return {
+    model,
+    strategy,
+    trials,
+    seed,
+    eta: strategy === "halving" ? eta : null,
+    budgets: strategy === "halving" ? halvingBudgets(eta, minBudget) : [1],
+    space,
+    folds: folds.map((fold) => fold.label),
+    rows: data?.y?.length ?? null
+  };
+}
+
+/**
+ * A member's parameters as stored in config/modelParams.json, limited to the
+ * keys its search space covers.
+ * @param {string} model
+ * @param {object} modelParams - parsed config/modelParams.json
+ * @returns {Record<string, number>}
+ */
+export function storedParams(model, modelParams = {}) {
+  const node = MODEL_PARAM_PATHS[model].reduce((obj, key) => obj?.[key], modelParams) || {};
+  return Object.fromEntries(Object.keys(SEARCH_SPACES[model]).filter((key) => node[key] != null).map((key) => [key, node[key]]));
+}
+
+/**
+ * Write a member's parameters into config/modelParams.json, leaving every
+ * other setting in the file as it is.
+ * @param {string} model
+ * @param {Record<string, number>} params
+ * @param {string} [file]
+ */
+export function writeModelParams(model, params, file = MODEL_PARAMS_PATH) {
+  const current = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const keys = MODEL_PARAM_PATHS[model];
+  let node = current;
+  for (const key of keys) {
+    node[key] = node[key] && typeof node[key] === "object" ? node[key] : {};
+    node = node[key];
+  }
+  Object.assign(node, params);
+  fs.writeFileSync(file, `${JSON.stringify(current, null, 2)}\n`);
+}
+
+/**
+ * Log loss on held-out seasons, each predicted by a model trained on every
+ * earlier season in the data.
+ * @returns {{ logloss: number|null, seasons: Array<{ fold: string, logloss: number|null, n: number }> }}
+ */
+export function holdoutScore({ adapter, data, holdoutSeasons, params }) {
+  const folds = holdoutSeasons.map((season) => ({
+    label: String(season),
+    train: data.seasons.map((s, i) => (s < season ? i : -1)).filter((i) => i >= 0),
+    valid: data.seasons.map((s, i) => (s === season ? i : -1)).filter((i) => i >= 0)
+  }));
+  for (const fold of folds) {
+    if (!fold.train.length || !fold.valid.length) throw new Error(`held-out season ${fold.label} has no rows to train or score`);
+  }
+  const { logloss, folds: seasons } = evaluateConfig({ adapter, data, folds, params });
+  return { logloss, seasons };
+}
+
+/**
+ * Compare the ledger's best configuration with the incumbent parameters on
+ * held-out seasons, and write it to config/modelParams.json only if it wins.
+ * @param {object} options
+ * @param {string} options.model
+ * @param {object} options.adapter
+ * @param {object} options.data - must include the held-out seasons
+ * @param {number[]} options.holdoutSeasons
+ * @param {object} options.ledger
+ * @param {string} [options.modelParamsPath]
+ * @param {number} [options.minImprovement] - log loss the winner must gain
+ * @returns {object} the promotion entry recorded in the ledger
+ */
+export function promoteBest({ model, adapter, data, holdoutSeasons, ledger, modelParamsPath = MODEL_PARAMS_PATH, minImprovement = 0 }) {
+  const best = ledger.best();
+  if (!best) throw new Error(`no complete full-budget trial for ${model} to promote`);
+  const modelParams = fs.existsSync(modelParamsPath) ? JSON.parse(fs.readFileSync(modelParamsPath, "utf8")) : {};
+  const incumbentParams = storedParams(model, modelParams);
+  const challenger = holdoutScore({ adapter, data, holdoutSeasons, params: best.params });
+  const incumbent = holdoutScore({ adapter, data, holdoutSeasons, params: incumbentParams });
+  const promoted =
+    Number.isFinite(challenger.logloss) &&
+    (!Number.isFinite(incumbent.logloss) || challenger.logloss < incumbent.logloss - minImprovement);
+  if (promoted) writeModelParams(model, best.params, modelParamsPath);
+  return ledger.recordPromotion({
+    at: new Date().toISOString(),
+    trial_id: best.id,
+    holdout_seasons: holdoutSeasons,
+    challenger: { params: best.params, logloss: challenger.logloss, seasons: challenger.seasons },
+    incumbent: { params: incumbentParams, logloss: incumbent.logloss, seasons: incumbent.seasons },
+    min_improvement: minImprovement,
+    promoted
+  });
+}
+
+/**
+ * Tuning rows for a season range, through the backtest season cache: each
+ * season's downloads are recorded into a data snapshot under `cacheDir` the
+ * first time trainer.loadSeasonData runs for it, and replayed from there
+ * afterwards. Uncached seasons fail when `offline` is set.
+ * @param {object} options
+ * @param {object} options.trainer - train_multi.js exports
+ * @param {number} options.start
+ * @param {number} options.end
+ * @param {string} options.cacheDir
+ * @param {boolean} [options.offline]
+ * @returns {Promise<object>} buildTuningDataset() result
+ */
+export async function loadTuningData({ trainer, start, end, cacheDir, offline = false }) {
+  const { createSeasonCache } = await import("./backtest.js");
+  const loadSeason = createSeasonCache({ dir: cacheDir, offline, fetchSeason: trainer.loadSeasonData });
+  const featureRows = [];
+  const btRows = [];
+  for (let season = start; season <= end; season += 1) {
+    const rows = await trainer.buildSeasonTrainingRows(season, await loadSeason(season), { seasonDB: false });
+    featureRows.push(...rows.featureRows);
+    btRows.push(...rows.btRows);
+  }
+  return trainer.buildTuningDataset({ featureRows, btRows });
+}
+
+async function runCli() {
+  const { values } = parseArgs({
+    options: {
+      model: { type: "string" },
+      start: { type: "string" },
+      end: { type: "string" },
+      strategy: { type: "string", default: "random" },
+      trials: { type: "string", default: "20" },
+      eta: { type: "string", default: String(DEFAULT_ETA) },
+      seed: { type: "string", default: "1" },
+      folds: { type: "string", default: "3" },
+      holdout: { type: "string", default: "1" },
+      ledger: { type: "string" },
+      fresh: { type: "boolean", default: false },
+      promote: { type: "boolean", default: false },
+      "min-improvement": { type: "string", default: "0" },
+      "cache-dir": { type: "string", default: DEFAULT_CACHE_DIR },
+      offline: { type: "boolean", default: false }
+    },
+    allowPositionals: true
+  });
+  const model = values.model;
+  if (!TUNABLE_MODELS.includes(model)) throw new Error(`--model must be one of ${TUNABLE_MODELS.join(", ")}`);
+  const start = Number(values.start);
+  const end = Number(values.end);
+  const holdout = Number(values.holdout);
+  if (!Number.isInteger(start) || !Number.isInteger(end) || !Number.isInteger(holdout) || holdout < 1 || end - holdout < start) {
+    throw new Error("provide --start and --end seasons that leave at least one season before the --holdout seasons");
+  }
+  const holdoutSeasons = Array.from({ length: holdout }, (_, i) => end - holdout + 1 + i);
+
+  const trainer = await import("./train_multi.js");
+  const data = await loadTuningData({ trainer, start, end, cacheDir: values["cache-dir"], offline: values.offline });
+  // The search never sees the held-out seasons; promotion is judged on them.
+  const searchData = subsetData(data, data.seasons.map((s, i) => (s < holdoutSeasons[0] ? i : -1)).filter((i) => i >= 0));
+  const folds = timeSeriesFolds(searchData, { maxFolds: Number(values.folds) });
+  const search = {
+    model,
+    strategy: values.strategy,
+    trials: Number(values.trials),
+    eta: Number(values.eta),
+    seed: Number(values.seed),
+    folds
+  };
+  const ledger = openTrialLedger(
+    values.ledger ?? artp("tuning", `hyperparam_trials_${model}.json`),
+    searchDefinition({ ...search, data: searchData }),
+    { fresh: values.fresh }
+  );
+  const adapter = trainer.tuningAdapters()[model];
+  const result = runSearch({ ...search, adapter, data: searchData, ledger, log: console.log });
+  console.log(
+    `[tune] ${model}: ${result.evaluated} trials run, ${result.reused} reused from ${ledger.file}; best ${
+      result.best ? `${result.best.logloss.toFixed(4)} ${JSON.stringify(result.best.params)}` : "none"
+    }`
+  );
+  if (values.promote) {
+    const entry = promoteBest({
+      model,
+      adapter,
+      data,
+      holdoutSeasons,
+      ledger,
+      minImprovement: Number(values["min-improvement"])
+    });
+    const verdict = entry.promoted ? `promoted to ${MODEL_PARAMS_PATH}` : "kept the incumbent";
+    console.log(
+      `[tune] held-out ${holdoutSeasons.join(",")}: challenger ${entry.challenger.logloss?.toFixed(4)} vs incumbent ${entry.incumbent.logloss?.toFixed(4)}; ${verdict}`
+    );
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runCli()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error(`[tune] ${err?.message || err}`);
+      process.exit(1);
+    });
+}
+
+export default {
+  SEARCH_SPACES,
+  createRng,
+  sampleParams,
+  timeSeriesFolds,
+  evaluateConfig,
+  halvingBudgets,
+  openTrialLedger,
+  runSearch,
+  searchDefinition,
+  storedParams,
+  writeModelParams,
+  holdoutScore,
+  promoteBest,
+  loadTuningData
+};
@@ -2,6 +2,13 @@
 //
 // Shared helpers for transforming Rotowire injury artifacts into
 // per-team snapshots that downstream feature builders can consume.
+//
+// buildTeamInjuryIndex counts designations per team. buildInjuryImpactIndex
+// weighs each listed player by recent snap share (nflverse snap counts, depth
+// chart rank as a fallback) and positional value, and sums the "lost snap
+// value" by unit (QB, OL, skill, front seven, secondary).
+
+import { normalizeTeam } from "./franchises.js";
 
 const KEY_SKILL_POSITIONS = new Set(["QB", "RB", "WR", "TE"]);
 const KEY_OFFENSIVE_LINE = new Set(["LT", "RT", "LG", "RG", "C", "OL", "T", "G", "OT", "OG"]);
@@ -47,11 +54,11 @@ const POSITION_WEIGHTS = Object.freeze({
   P: -0.2
 });
 
-const normTeam = (value) => {
-  if (!value) return null;
-  const s = String(value).trim().toUpperCase();
-  return s || null;
-};
+// Status discount applied to a listed player's value: how much of it the team
+// is expected to lose.
+const STATUS_WEIGHTS = Object.freeze({ out: 1, doubtful: 0.6, questionable: 0.4 });
+
+const normTeam = (value) => (value ? normalizeTeam(value, { source: "injuryIndex" }) : null);
 
 const classifyStatus = (statusRaw = "") => {
   if (!statusRaw) return null;
@@ -181,7 +188,7 @@ export function buildTeamInjuryIndex(rows = [], season) {
       snapshot.player_status[playerKey] = bucket || snapshot.player_status[playerKey] || null;
     }
     const baseWeight = POSITION_WEIGHTS[pos] ?? (isSkill ? -0.4 : isOl ? -0.5 : -0.25);
-    const statusWeight = bucket === "out" ? 1 : bucket === "doubtful" ? 0.6 : bucket ? 0.4 : 0;
+    const statusWeight = bucket ? STATUS_WEIGHTS[bucket] : 0;
     if (statusWeight) snapshot.impact_score += baseWeight * statusWeight;
     if (bucket === "out") {
       if (isSkill) snapshot.skill_out += 1;
@@ -213,3 +220,234 @@ export function getTeamInjurySnapshot(index, season, week, team) {
 }
 
 export const ZERO_INJURY_SNAPSHOT = cloneSnapshot();
+
+export const INJURY_UNITS = Object.freeze(["qb", "ol", "skill", "front7", "secondary"]);
+
+const UNIT_POSITIONS = {
+  qb: ["QB"],
+  ol: [...KEY_OFFENSIVE_LINE],
+  skill: ["RB", "HB", "FB", "WR", "TE"],
+  front7: ["DE", "DT", "DL", "NT", "EDGE", "LB", "ILB", "OLB", "MLB"],
+  secondary: ["CB", "S", "SS", "FS", "DB", "SAF"]
+};
+
+const POSITION_UNITS = new Map(
+  Object.entries(UNIT_POSITIONS).flatMap(([unit, positions]) => positions.map((pos) => [pos, unit]))
+);
+
+// Positional value is the magnitude of POSITION_WEIGHTS; these cover positions
+// it does not list.
+const UNIT_VALUES = Object.freeze({ qb: 2, ol: 0.6, skill: 0.5, front7: 0.4, secondary: 0.4 });
+
+const SNAP_WINDOW = 3;
+// Expected share of snaps by depth chart rank when no snap counts precede the week.
+const DEPTH_RANK_SHARE = [0.9, 0.35, 0.1];
+const DEFAULT_SNAP_SHARE = 0.5;
+
+export const ZERO_IMPACT = Object.freeze({
+  qb: 0,
+  ol: 0,
+  skill: 0,
+  front7: 0,
+  secondary: 0,
+  total: 0,
+  players: []
+});
+
+const cloneImpact = (impact = ZERO_IMPACT) => ({
+  qb: impact.qb || 0,
+  ol: impact.ol || 0,
+  skill: impact.skill || 0,
+  front7: impact.front7 || 0,
+  secondary: impact.secondary || 0,
+  total: impact.total || 0,
+  players: Array.isArray(impact.players) ? impact.players.map((p) => ({ ...p })) : []
+});
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+export function injuryUnit(position) {
+  const pos = String(position ?? "").trim().toUpperCase();
+  return POSITION_UNITS.get(pos) ?? null;
+}
+
+/**
+ * Name key shared by Rotowire reports, snap counts and depth charts:
+ * lowercase letters only, generational suffixes dropped ("B.J. Ojulari" and
+ * "BJ Ojulari" match, as do "Michael Pittman Jr." and "Michael Pittman").
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function playerNameKey(name) {
+  if (name == null) return null;
+  const key = String(name)
+    .toLowerCase()
+    .replace(/\b(jr|sr|ii|iii|iv)\b\.?/g, "")
+    .replace(/[^a-z]/g, "");
+  return key || null;
+}
+
+/**
+ * Per-team snap shares by player and week from nflverse snap counts. A
+ * player's share is the larger of offense_pct and defense_pct.
+ * @param {Array<object>} rows
+ * @param {number} season
+ * @returns {Map<string, { weeks: number[], players: Map<string, Map<number, number>> }>}
+ */
+export function buildSnapShareIndex(rows = [], season) {
+  const seasonNum = Number(season);
+  const index = new Map();
+  for (const row of rows || []) {
+    if (Number(row.season) !== seasonNum) continue;
+    const week = Number(row.week);
+    if (!Number.isFinite(week)) continue;
+    const team = normTeam(row.team ?? row.recent_team ?? row.team_abbr);
+    const key = playerNameKey(row.player ?? row.player_name);
+    if (!team || !key) continue;
+    let share = Math.max(Number(row.offense_pct) || 0, Number(row.defense_pct) || 0);
+    if (share > 1) share /= 100;
+    if (!index.has(team)) index.set(team, { weeks: new Set(), players: new Map() });
+    const entry = index.get(team);
+    entry.weeks.add(week);
+    if (!entry.players.has(key)) entry.players.set(key, new Map());
+    entry.players.get(key).set(week, Math.min(1, share));
+  }
+  for (const entry of index.values()) {
+    entry.weeks = [...entry.weeks].sort((a, b) => a - b);
+  }
+  return index;
+}
+
+/**
+ * Mean snap share over the team's last `window` games before `week`; 0 for a
+ * player on file who did not play in them, null when the team has no snap
+ * counts yet or the player has no snap-count entry to match.
+ * @returns {number|null}
+ */
+export function recentSnapShare(index, team, nameKey, week, window = SNAP_WINDOW) {
+  const entry = index.get(team);
+  if (!entry) return null;
+  const weeks = entry.weeks.filter((w) => w < week).slice(-window);
+  if (!weeks.length) return null;
+  const byWeek = entry.players.get(nameKey);
+  if (!byWeek) return null;
+  return weeks.reduce((sum, w) => sum + (byWeek.get(w) ?? 0), 0) / weeks.length;
+}
+
+/**
+ * Depth chart ranks per team and player. Rows without a week (the 2025+
+ * nflverse layout is dated instead) apply to every week.
+ * @param {Array<object>} rows
+ * @param {number} season
+ * @returns {Map<string, Map<string, Array<{ week: number|null, rank: number }>>>}
+ */
+export function buildDepthChartIndex(rows = [], season) {
+  const seasonNum = Number(season);
+  const index = new Map();
+  for (const row of rows || []) {
+    if (row.season != null && Number(row.season) !== seasonNum) continue;
+    const team = normTeam(row.club_code ?? row.team ?? row.team_abbr);
+    const name =
+      row.full_name ?? row.player_name ?? [row.first_name, row.last_name].filter(Boolean).join(" ");
+    const key = playerNameKey(name);
+    const rank = Number(row.depth_team ?? row.pos_rank);
+    if (!team || !key || !Number.isFinite(rank) || rank < 1) continue;
+    const week = Number.isFinite(Number(row.week)) && row.week !== "" ? Number(row.week) : null;
+    if (!index.has(team)) index.set(team, new Map());
+    const players = index.get(team);
+    if (!players.has(key)) players.set(key, []);
+    players.get(key).push({ week, rank });
+  }
+  return index;
+}
+
+/**
+ * Expected snap share from the player's best depth chart rank in the latest
+ * chart at or before `week`; null when the player is not charted.
+ * @returns {number|null}
+ */
+export function depthChartShare(index, team, nameKey, week) {
+  const entries = (index.get(team)?.get(nameKey) ?? []).filter((e) => e.week == null || e.week <= week);
+  if (!entries.length) return null;
+  const latest = Math.max(...entries.map((e) => e.week ?? 0));
+  const rank = Math.min(...entries.filter((e) => (e.week ?? 0) === latest).map((e) => e.rank));
+  return DEPTH_RANK_SHARE[rank - 1] ?? DEPTH_RANK_SHARE.at(-1);
+}
+
+/**
+ * Lost snap value per team and week: for every player listed on the injury
+ * report, status weight x recent snap share x positional value, summed by
+ * unit. Specialists (K, P, LS) are not part of any unit and are skipped.
+ * @param {Array<object>} rows - injury rows (loadInjuries)
+ * @param {number} season
+ * @param {{ snapCounts?: Array<object>, depthCharts?: Array<object>, window?: number }} [options]
+ * @returns {Map<string, object>} season-week-team -> { qb, ol, skill, front7, secondary, total, players }
+ */
+export function buildInjuryImpactIndex(rows = [], season, { snapCounts = [], depthCharts = [], window = SNAP_WINDOW } = {}) {
+  const seasonNum = Number(season);
+  if (!Number.isFinite(seasonNum)) return new Map();
+  const snapIdx = buildSnapShareIndex(snapCounts, seasonNum);
+  const depthIdx = buildDepthChartIndex(depthCharts, seasonNum);
+
+  // Reports repeat through the week; keep each player's worst designation.
+  const listed = new Map();
+  for (const row of rows || []) {
+    if (Number(row.season) !== seasonNum) continue;
+    const week = Number(row.week);
+    if (!Number.isFinite(week) || week < 1) continue;
+    const team = normTeam(row.team || row.team_abbr || row.recent_team || row.club_code);
+    const player = String(row.player ?? row.player_name ?? row.full_name ?? "").trim();
+    const nameKey = playerNameKey(player);
+    if (!team || !nameKey) continue;
+    const position = String(row.position || row.pos || row.player_position || "").toUpperCase();
+    const unit = injuryUnit(position);
+    if (!unit) continue;
+    let status = classifyStatus(row.status ?? row.injury_status ?? row.designation ?? "");
+    const practiceRaw = row.practice ?? row.practice_status ?? row.practice_notes ?? row.practice_text ?? "";
+    if (!status && classifyPractice(practiceRaw)) status = "questionable";
+    if (!status) continue;
+    const key = `${week}|${team}|${nameKey}`;
+    const prev = listed.get(key);
+    if (prev && STATUS_WEIGHTS[prev.status] >= STATUS_WEIGHTS[status]) continue;
+    listed.set(key, { week, team, nameKey, player, position, unit, status });
+  }
+
+  const index = new Map();
+  for (const entry of listed.values()) {
+    let share = recentSnapShare(snapIdx, entry.team, entry.nameKey, entry.week, window);
+    let source = "snap_counts";
+    if (share == null) {
+      share = depthChartShare(depthIdx, entry.team, entry.nameKey, entry.week);
+      source = "depth_chart";
+    }
+    if (share == null) {
+      share = DEFAULT_SNAP_SHARE;
+      source = "default";
+    }
+    const positionValue = Math.abs(POSITION_WEIGHTS[entry.position] ?? UNIT_VALUES[entry.unit]);
+    const value = STATUS_WEIGHTS[entry.status] * share * positionValue;
+    const key = `${seasonNum}-${entry.week}-${entry.team}`;
+    if (!index.has(key)) index.set(key, cloneImpact());
+    const impact = index.get(key);
+    impact[entry.unit] += value;
+    impact.total += value;
+    impact.players.push({
+      player: entry.player,
+      position: entry.position,
+      unit: entry.unit,
+      status: entry.status,
+      snap_share: round3(share),
+      share_source: source,
+      value: round3(value)
+    });
+  }
+  for (const impact of index.values()) {
+    impact.players.sort((a, b) => b.value - a.value);
+  }
+  return index;
+}
+
+export function getTeamInjuryImpact(index, season, week, team) {
+  if (!team) return cloneImpact();
+  return cloneImpact(index.get(`${Number(season)}-${Number(week)}-${normTeam(team)}`));
+}
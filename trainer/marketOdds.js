@@ -0,0 +1,83 @@
+// trainer/marketOdds.js
+// Betting-market helpers: American odds conversion, vig removal, and the
+// home win probability implied by a normalized market object.
+
+import { normalCdf } from "./model_margin.js";
+
+// Spread-to-probability uses the same normal margin model as the margin head.
+const SPREAD_MARGIN_SD = 13.5;
+
+/**
+ * Convert American odds to decimal odds (stake included).
+ * @param {number|string|null} price
+ * @returns {number|null}
+ */
+export function americanToDecimal(price) {
+  const ml = Number(price);
+  if (price == null || !Number.isFinite(ml) || ml === 0) return null;
+  return ml > 0 ? 1 + ml / 100 : 1 + 100 / Math.abs(ml);
+}
+
+/**
+ * Raw (vigged) break-even probability for American odds.
+ * @param {number|string|null} price
+ * @returns {number|null}
+ */
+export function americanToImplied(price) {
+  const decimal = americanToDecimal(price);
+  return decimal ? 1 / decimal : null;
+}
+
+/**
+ * Remove the bookmaker margin from a two-way moneyline by proportional scaling.
+ * @param {number|null} homePrice
+ * @param {number|null} awayPrice
+ * @returns {{ home: number, away: number, overround: number }|null}
+ */
+export function devigMoneyline(homePrice, awayPrice) {
+  const home = americanToImplied(homePrice);
+  const away = americanToImplied(awayPrice);
+  if (home == null || away == null) return null;
+  const overround = home + away;
+  if (!(overround > 0)) return null;
+  return { home: home / overround, away: away / overround, overround };
+}
+
+/**
+ * Home win probability implied by a home spread (negative when home is favoured).
+ * @param {number|null} spreadHome
+ * @returns {number|null}
+ */
+export function spreadToWinProb(spreadHome) {
+  const line = Number(spreadHome);
+  if (spreadHome == null || !Number.isFinite(line)) return null;
+  return normalCdf(-line / SPREAD_MARGIN_SD);
+}
+
+/**
+ * Best available de-vigged home win probability for a normalized market
+ * object (see normalizeMarketObject in dataSources.js). Prefers the closing
+ * moneyline, then the opening moneyline, then closing/opening spreads.
+ * @param {object|null} market
+ * @returns {{ prob: number, source: string }|null}
+ */
+export function resolveMarketProbability(market) {
+  if (!market || typeof market !== "object") return null;
+  const closing = devigMoneyline(market.moneyline_home, market.moneyline_away);
+  if (closing) return { prob: closing.home, source: "closing_moneyline" };
+  const opening = devigMoneyline(market.open_moneyline_home, market.open_moneyline_away);
+  if (opening) return { prob: opening.home, source: "opening_moneyline" };
+  const closeSpread = spreadToWinProb(market.close_spread ?? market.spread_home ?? market.spread);
+  if (closeSpread != null) return { prob: closeSpread, source: "closing_spread" };
+  const openSpread = spreadToWinProb(market.open_spread);
+  if (openSpread != null) return { prob: openSpread, source: "opening_spread" };
+  return null;
+}
+
+export default {
+  americanToDecimal,
+  americanToImplied,
+  devigMoneyline,
+  spreadToWinProb,
+  resolveMarketProbability
+};
@@ -0,0 +1,484 @@
+// trainer/modelRuntime.js
+// Standalone scorer for a serialized model_<season>_W<week>.json. It has no
+// imports, so the same file runs in the trainer, the Worker (POST /predict) and
+// the browser.
+//
+// The trainer scores its own test week through scoreGame, so replaying a week
+// from its model and scoring_inputs_<season>_W<week>.json artifacts reproduces
+// the stored predictions exactly; every member, BT included, is scored from the
+// parameters in the model file. The arithmetic below mirrors the training
+// code (predictLogit, leafPath/predictTree, the ANN forward pass, predictGBT,
+// blendComponents and calibrate.js) operation for operation; keep them in step.
+//
+// Serialized members:
+//   logistic       { weights, bias, scaler: { mu, sd }, features }
+//   decision_tree  { tree: { column, threshold, left, right } | {} leaf, leaves: { path: [n0, n1] }, alpha }
+//   ann            { committees: [{ networks: [{ weights, biases, batchNorm }] }] }
+//   bt             { coefficients, intercept, scaler, features }
+//   gbt            { base_score, trees: [{ column, threshold, gain, value, left, right } | { value }] }
+//   ensemble       { weights, calibration, stacking? }
+//   stacking       { members, context, coefficients, intercept } (stacking.js)
+// Tree, ANN, GBT and BT share nothing but the ensemble; a member whose parameters are
+// missing (artifacts from before they were serialized) is left out of the blend.
+
+const BN_EPS = 1e-6;
+
+const toFiniteNumber = (value, fallback = 0.5) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+export const safeProb = (value) => {
+  const num = toFiniteNumber(value, 0.5);
+  if (num < 0) return 0;
+  if (num > 1) return 1;
+  return num;
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Non-finite inputs are written to JSON as null; they score as missing (NaN),
+// as they did in training.
+const inputValue = (value) => (value === null ? NaN : Number(value ?? 0));
+
+/**
+ * Standardize a raw feature row with a fitted scaler.
+ * @param {Array<number|null>} row
+ * @param {{ mu: number[], sd: number[] }} [scaler]
+ * @returns {number[]}
+ */
+export function standardize(row, scaler) {
+  const values = (row || []).map(inputValue);
+  if (!scaler) return values;
+  const { mu = [], sd = [] } = scaler;
+  return values.map((v, j) => (v - mu[j]) / (sd[j] || 1));
+}
+
+function linearProb(weights, bias, x) {
+  const dim = Array.isArray(weights) ? weights.length : 0;
+  if (!dim) return 0.5;
+  let z = toFiniteNumber(bias, 0);
+  for (let j = 0; j < dim; j++) {
+    const weight = toFiniteNumber(weights[j], 0);
+    const feature = Number(x[j] ?? 0);
+    if (!Number.isFinite(feature)) continue;
+    z += weight * feature;
+  }
+  if (!Number.isFinite(z)) return 0.5;
+  const prob = sigmoid(z);
+  return Number.isFinite(prob) ? prob : 0.5;
+}
+
+/**
+ * Compact, JSON-safe copy of a CART tree (ml-cart toJSON root).
+ * @param {object|null} root
+ * @returns {object|null}
+ */
+export function serializeTree(root) {
+  if (!root) return null;
+  if (!root.left && !root.right) return {};
+  const column = root.splitColumn ?? root.attribute ?? root.index ?? root.feature;
+  const threshold = root.splitValue ?? root.threshold ?? root.split;
+  if (column == null || threshold == null) return {};
+  return {
+    column,
+    threshold,
+    left: serializeTree(root.left),
+    right: serializeTree(root.right)
+  };
+}
+
+/**
+ * Path ("L"/"R" per split) to the leaf a standardized row falls in.
+ * @param {object|null} node - serialized tree
+ * @param {number[]} x
+ * @returns {string}
+ */
+export function treeLeafPath(node, x) {
+  let path = "";
+  for (let guard = 0; guard < 256; guard++) {
+    if (!node || node.column == null) return path || "ROOT";
+    const goLeft = Number(x[node.column] ?? 0) <= Number(node.threshold);
+    path += goLeft ? "L" : "R";
+    node = goLeft ? node.left : node.right;
+  }
+  return path || "ROOT";
+}
+
+function predictTree(tree, x) {
+  const alpha = tree.alpha;
+  if (!tree.tree) {
+    const rec = tree.leaves?.ROOT;
+    const [n0, n1] = rec || [0, 0];
+    return (n1 + (rec ? alpha : 4)) / (n0 + n1 + 2 * (rec ? alpha : 4));
+  }
+  const rec = tree.leaves?.[treeLeafPath(tree.tree, x)];
+  if (!rec) return 0.5;
+  return (rec[1] + alpha) / (rec[0] + rec[1] + 2 * alpha);
+}
+
+/**
+ * JSON-safe copy of a trained ANN committee (trainANNCommittee result).
+ * @param {object} model
+ * @returns {{ committees: Array<{ networks: object[] }> }}
+ */
+export function serializeAnn(model) {
+  const committees = model?.committees?.length
+    ? model.committees
+    : model?.models?.length
+      ? [{ networks: model.models }]
+      : [];
+  return {
+    committees: committees.map((committee) => ({
+      networks: (committee.networks || []).map((net) => ({
+        weights: net.weights,
+        biases: net.biases,
+        batchNorm: (net.batchNorm || []).map((bn) =>
+          bn ? { gamma: bn.gamma, beta: bn.beta, runningMean: bn.runningMean, runningVar: bn.runningVar } : null
+        )
+      }))
+    }))
+  };
+}
+
+function forwardNetwork(network, x) {
+  const { weights, biases } = network;
+  let a = x;
+  const lastIdx = weights.length - 1;
+  const layer = (l) =>
+    weights[l].map((row, r) => {
+      let s = 0;
+      for (let i = 0; i < row.length; i++) s += row[i] * a[i];
+      return s + (biases[l][r] ?? 0);
+    });
+  for (let l = 0; l < lastIdx; l++) {
+    let z = layer(l);
+    const bn = network.batchNorm?.[l];
+    if (bn) {
+      z = z.map((value, i) => {
+        const invStd = 1 / Math.sqrt((bn.runningVar[i] ?? 1) + BN_EPS);
+        return bn.gamma[i] * ((value - bn.runningMean[i]) * invStd) + bn.beta[i];
+      });
+    }
+    a = z.map(Math.tanh);
+  }
+  return sigmoid(layer(lastIdx)[0]);
+}
+
+function predictAnn(ann, x) {
+  let score = 0;
+  let active = 0;
+  for (const committee of ann.committees) {
+    if (!committee.networks?.length) continue;
+    active += 1;
+    let sum = 0;
+    for (const net of committee.networks) sum += forwardNetwork(net, x);
+    score += sum / committee.networks.length;
+  }
+  return active ? score / active : 0.5;
+}
+
+// Missing and non-finite values go right, as model_gbt.js binned them in training.
+function gbtBranch(node, x) {
+  const v = x[node.column];
+  return Number.isFinite(v) && v <= node.threshold ? node.left : node.right;
+}
+
+function gbtLeaf(node, x) {
+  for (let guard = 0; guard < 256 && node.column != null; guard++) {
+    node = gbtBranch(node, x);
+  }
+  return node;
+}
+
+function predictGbt(gbt, x) {
+  let z = gbt.baseScore;
+  for (const tree of gbt.trees) z += gbtLeaf(tree, x).value;
+  const p = sigmoid(z);
+  return Number.isFinite(p) ? p : 0.5;
+}
+
+/**
+ * Per-feature share of a boosted model's decision for one row: the split gain
+ * of every node the row passes through, and the change in node value (logit)
+ * each of those splits made.
+ * @param {{ trees: object[] }} gbt - loadModel(...).gbt
+ * @param {number[]} x - standardized row
+ * @returns {Array<{ column: number, gain: number, value: number }>} by gain, largest first
+ */
+export function gbtPathGains(gbt, x) {
+  const byColumn = new Map();
+  for (const tree of gbt?.trees || []) {
+    let node = tree;
+    for (let guard = 0; guard < 256 && node.column != null; guard++) {
+      const next = gbtBranch(node, x);
+      const entry = byColumn.get(node.column) || { column: node.column, gain: 0, value: 0 };
+      entry.gain += toFiniteNumber(node.gain, 0);
+      entry.value += toFiniteNumber(next.value, 0) - toFiniteNumber(node.value, 0);
+      byColumn.set(node.column, entry);
+      node = next;
+    }
+  }
+  return [...byColumn.values()].sort((a, b) => b.gain - a.gain || a.column - b.column);
+}
+
+function applyIsotonic(prob, { xs, ys }) {
+  if (!xs?.length) return safeProb(prob);
+  const value = safeProb(prob);
+  if (value <= xs[0]) return ys[0];
+  if (value >= xs[xs.length - 1]) return ys[ys.length - 1];
+  let low = 0;
+  let high = xs.length - 1;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (xs[mid] <= value) low = mid;
+    else high = mid;
+  }
+  const span = xs[high] - xs[low] || 1;
+  const weight = (value - xs[low]) / span;
+  return ys[low] * (1 - weight) + ys[high] * weight;
+}
+
+/**
+ * Apply serialized ensemble calibration (calibrate.js meta).
+ * @param {object|null} meta
+ * @param {number} prob
+ * @returns {{ prob: number, applied: boolean }}
+ */
+export function calibrate(meta, prob) {
+  if (meta?.type === "platt") {
+    const eps = 1e-12;
+    const v = Math.min(Math.max(prob, eps), 1 - eps);
+    return { prob: safeProb(1 / (1 + Math.exp(-(Math.log(v / (1 - v)) + meta.beta)))), applied: true };
+  }
+  if (meta?.type === "isotonic" && Array.isArray(meta.xs)) {
+    return { prob: safeProb(applyIsotonic(prob, meta)), applied: true };
+  }
+  if (meta?.type === "league_prior") {
+    const lambda = Number.isFinite(meta.lambda) ? meta.lambda : 0.85;
+    const mean = Number.isFinite(meta.mean) ? meta.mean : 0.56;
+    return { prob: safeProb(lambda * safeProb(prob) + (1 - lambda) * mean), applied: true };
+  }
+  return { prob: safeProb(prob), applied: meta?.type === "identity" };
+}
+
+/**
+ * Weighted blend of member probabilities. Members without a probability are
+ * dropped and the remaining weights rescaled.
+ * @param {Record<string, number>} weights
+ * @param {Record<string, number|null>} probs
+ * @returns {number}
+ */
+export function blendProbabilities(weights, probs) {
+  let sum = 0;
+  let total = 0;
+  let missing = false;
+  for (const key of Object.keys(weights || {})) {
+    const w = toFiniteNumber(weights[key], 0);
+    const p = probs[key];
+    if (p == null || !Number.isFinite(p)) {
+      if (w) missing = true;
+      continue;
+    }
+    sum += w * safeProb(p);
+    total += w;
+  }
+  if (!missing) return sum;
+  return total > 0 ? sum / total : 0.5;
+}
+
+const STACK_EPS = 1e-6;
+
+const logit = (p) => {
+  const v = Math.min(1 - STACK_EPS, Math.max(STACK_EPS, p));
+  return Math.log(v / (1 - v));
+};
+
+/**
+ * Context values a stacked blend can condition on, from what every scored game
+ * has: its week and whether a market line exists.
+ * @param {{ week?: number, marketProb?: number|null }} game
+ * @returns {{ week: number, market: number }}
+ */
+export function stackingContext({ week, marketProb } = {}) {
+  return { week: toFiniteNumber(week, 0) / 18, market: marketProb == null ? 0 : 1 };
+}
+
+/**
+ * Meta-model input row: each member's logit (0 when the member has no
+ * probability), each context value, then every member logit times every
+ * context value. stackingFeatureNames gives the matching names.
+ * @param {{ members: string[], context?: string[] }} stacking
+ * @param {Record<string, number|null>} probs
+ * @param {Record<string, number>} context - stackingContext result
+ * @returns {number[]}
+ */
+export function stackingFeatures(stacking, probs, context = {}) {
+  const logits = stacking.members.map((key) => {
+    const p = probs[key];
+    return p == null || !Number.isFinite(p) ? 0 : logit(safeProb(p));
+  });
+  const ctx = (stacking.context || []).map((name) => toFiniteNumber(context[name], 0));
+  const row = [...logits, ...ctx];
+  for (const c of ctx) for (const z of logits) row.push(z * c);
+  return row;
+}
+
+/**
+ * @param {{ members: string[], context?: string[] }} stacking
+ * @returns {string[]}
+ */
+export function stackingFeatureNames(stacking) {
+  const context = stacking.context || [];
+  return [
+    ...stacking.members,
+    ...context,
+    ...context.flatMap((name) => stacking.members.map((key) => `${key}*${name}`))
+  ];
+}
+
+/**
+ * Stacked (meta-model) blend of member probabilities.
+ * @param {{ members: string[], context?: string[], coefficients: number[], intercept: number }} stacking
+ * @param {Record<string, number|null>} probs
+ * @param {Record<string, number>} context
+ * @returns {number}
+ */
+export function stackedProbability(stacking, probs, context) {
+  const row = stackingFeatures(stacking, probs, context);
+  let z = toFiniteNumber(stacking.intercept, 0);
+  for (let j = 0; j < row.length; j++) z += toFiniteNumber(stacking.coefficients?.[j], 0) * row[j];
+  return safeProb(sigmoid(z));
+}
+
+/**
+ * What a stacked blend does in a given context, as convex weights: each
+ * member's logit coefficient including its context interactions, negative ones
+ * cut to zero, rescaled to sum to one. Descriptive only; scoring uses the
+ * meta-model itself.
+ * @param {{ members: string[], context?: string[], coefficients: number[] }} stacking
+ * @param {Record<string, number>} context
+ * @returns {Record<string, number>}
+ */
+export function stackingWeights(stacking, context = {}) {
+  const { members } = stacking;
+  const names = stacking.context || [];
+  const raw = members.map((key, m) => {
+    let coef = toFiniteNumber(stacking.coefficients?.[m], 0);
+    names.forEach((name, k) => {
+      const index = members.length + names.length + k * members.length + m;
+      coef += toFiniteNumber(stacking.coefficients?.[index], 0) * toFiniteNumber(context[name], 0);
+    });
+    return Math.max(0, coef);
+  });
+  const total = raw.reduce((s, v) => s + v, 0);
+  return Object.fromEntries(members.map((key, m) => [key, total > 0 ? raw[m] / total : 1 / members.length]));
+}
+
+/**
+ * Rehydrate a model summary into the members scoreGame can run.
+ * @param {object} summary - model_<season>_W<week>.json payload
+ * @returns {object}
+ */
+export function loadModel(summary = {}) {
+  const logistic = summary.logistic;
+  const tree = summary.decision_tree;
+  const bt = summary.bt;
+  return {
+    season: summary.season ?? null,
+    week: summary.week ?? null,
+    features: Array.isArray(logistic?.features) ? logistic.features : [],
+    scaler: logistic?.scaler ?? null,
+    logistic: Array.isArray(logistic?.weights) ? { weights: logistic.weights, bias: logistic.bias } : null,
+    tree: tree?.leaves ? { tree: tree.tree ?? null, leaves: tree.leaves, alpha: tree.alpha } : null,
+    ann: summary.ann?.committees?.length ? { committees: summary.ann.committees } : null,
+    gbt: summary.gbt?.trees?.length ? { trees: summary.gbt.trees, baseScore: toFiniteNumber(summary.gbt.base_score, 0) } : null,
+    bt: Array.isArray(bt?.coefficients)
+      ? { weights: bt.coefficients, bias: bt.intercept, scaler: bt.scaler ?? null, features: bt.features ?? [] }
+      : null,
+    weights: summary.ensemble?.weights ?? {},
+    stacking: Array.isArray(summary.ensemble?.stacking?.coefficients) ? summary.ensemble.stacking : null,
+    calibration: summary.ensemble?.calibration ?? null
+  };
+}
+
+// BT's logit of an even matchup (all differences zero): the home edge a neutral
+// site takes out of the intercept (see btHomeEdge in model_bt.js).
+function btHomeEdge(bt) {
+  const mu = bt.scaler?.mu || [];
+  const sd = bt.scaler?.sd || [];
+  return bt.weights.reduce(
+    (z, w, j) => z - (toFiniteNumber(w, 0) * toFiniteNumber(mu[j], 0)) / (toFiniteNumber(sd[j], 1) || 1),
+    toFiniteNumber(bt.bias, 0)
+  );
+}
+
+function predictBt(bt, btFeatures, neutralSite) {
+  const x = standardize(btFeatures, bt.scaler);
+  const bias = neutralSite ? toFiniteNumber(bt.bias, 0) - btHomeEdge(bt) : bt.bias;
+  return linearProb(bt.weights, bias, x);
+}
+
+/**
+ * Score one game.
+ * @param {object} model - loadModel result
+ * @param {object} game
+ * @param {Array<number|null>} game.features - raw logistic row, host perspective
+ * @param {Array<number|null>} [game.mirrorFeatures] - raw row with the visitor as host (neutral sites)
+ * @param {Array<number>} [game.btFeatures] - raw BT row in model.bt.features order
+ * @param {number|null} [game.marketProb]
+ * @param {boolean} [game.neutralSite]
+ * @param {number} [game.week] - context for stacked blends; defaults to the model's week
+ * @returns {{ probs: object, pre: number, forecast: number, calibrated: boolean, weights: object, x: number[], missing: string[] }}
+ */
+export function scoreGame(model, { features, mirrorFeatures = null, btFeatures = null, marketProb = null, neutralSite = false, week = null }) {
+  const x = standardize(features, model.scaler);
+  const xMirror = mirrorFeatures ? standardize(mirrorFeatures, model.scaler) : null;
+  // Neutral sites average the host's row with the mirrored game.
+  const member = (predict) => {
+    const p = safeProb(predict(x));
+    return xMirror ? safeProb((p + (1 - safeProb(predict(xMirror)))) / 2) : p;
+  };
+
+  const probs = {};
+  if (model.logistic) probs.logistic = member((v) => linearProb(model.logistic.weights, model.logistic.bias, v));
+  if (model.tree) probs.tree = member((v) => predictTree(model.tree, v));
+  if (model.bt && btFeatures) probs.bt = safeProb(predictBt(model.bt, btFeatures, neutralSite));
+  if (model.ann) probs.ann = member((v) => predictAnn(model.ann, v));
+  if (model.gbt) probs.gbt = member((v) => predictGbt(model.gbt, v));
+
+  let pre;
+  let weights = model.weights;
+  let missing;
+  if (model.stacking) {
+    const context = stackingContext({ week: week ?? model.week, marketProb });
+    pre = stackedProbability(model.stacking, { ...probs, market: marketProb }, context);
+    weights = stackingWeights(model.stacking, context);
+    missing = model.stacking.members.filter((key) => key !== "market" && probs[key] == null);
+  } else {
+    pre = safeProb(blendProbabilities(model.weights, { ...probs, market: marketProb }));
+    missing = Object.keys(model.weights).filter(
+      (key) => key !== "market" && toFiniteNumber(model.weights[key], 0) && probs[key] == null
+    );
+  }
+  const calibrated = calibrate(model.calibration, pre);
+  return { probs, pre, forecast: calibrated.prob, calibrated: calibrated.applied, weights, x, missing };
+}
+
+export default {
+  safeProb,
+  standardize,
+  serializeTree,
+  treeLeafPath,
+  serializeAnn,
+  gbtPathGains,
+  calibrate,
+  blendProbabilities,
+  stackingContext,
+  stackingFeatures,
+  stackingFeatureNames,
+  stackedProbability,
+  stackingWeights,
+  loadModel,
+  scoreGame
+};
@@ -141,6 +141,22 @@ const predictLogit = (X, model = {}) => {
   });
 };
 
+/**
+ * Home-field log-odds of a trained model: its logit for two identical teams
+ * (every raw differential zero). Neutral-site rows have it taken out.
+ * @param {{ w?: number[], b?: number, scaler?: { mu: number[], sd: number[] } }} model
+ * @returns {number}
+ */
+export function btHomeEdge(model = {}) {
+  const weights = Array.isArray(model.w) ? model.w : [];
+  const mu = model.scaler?.mu || [];
+  const sd = model.scaler?.sd || [];
+  return weights.reduce(
+    (z, w, j) => z - (toFiniteNumber(w, 0) * toFiniteNumber(mu[j], 0)) / (toFiniteNumber(sd[j], 1) || 1),
+    toFiniteNumber(model.b, 0)
+  );
+}
+
 const rowsToMatrix = (rows) =>
   rows.map((r) => BT_FEATURES.map((k) => toFiniteNumber(r.features?.[k], 0)));
 
@@ -378,14 +394,16 @@ export function predictBT({
   const scaler = model.scaler;
   const coeffs = model.w;
   const rng = defaultRng(seed);
+  const homeEdge = btHomeEdge(model);
   const preds = [];
   for (const row of rows) {
+    const bias = model.b - (row.neutral_site === 1 ? homeEdge : 0);
     const base = (Array.isArray(model.features) ? model.features : BT_FEATURES).map((k) =>
       toFiniteNumber(row.features?.[k], 0)
     );
     const standardizedBase = applyScaler([base], scaler)[0];
     const baseProb = safeProb(
-      sigmoid(standardizedBase.reduce((s, v, idx) => s + v * coeffs[idx], 0) + model.b)
+      sigmoid(standardizedBase.reduce((s, v, idx) => s + v * coeffs[idx], 0) + bias)
     );
     const hHist = history.get(row.home_team) || [];
     const aHist = history.get(row.away_team) || [];
@@ -427,7 +445,7 @@ export function predictBT({
       while (featVec.length < expectedLen) featVec.push(0);
       if (featVec.length > expectedLen) featVec.length = expectedLen;
       const std = applyScaler([featVec], scaler)[0];
-      const prob = sigmoid(std.reduce((s, v, idx) => s + v * coeffs[idx], 0) + model.b);
+      const prob = sigmoid(std.reduce((s, v, idx) => s + v * coeffs[idx], 0) + bias);
       probs.push(safeProb(prob));
     }
     probs.sort((a, b) => a - b);
@@ -450,5 +468,9 @@ export function predictBTDeterministic(model, rows) {
   const X = rowsToMatrix(rows);
   const Xs = applyScaler(X, model.scaler);
   const probs = predictLogit(Xs, model);
-  return rows.map((row, i) => ({ game_id: row.game_id, prob: probs[i] }));
+  const neutral = { ...model, b: toFiniteNumber(model.b, 0) - btHomeEdge(model) };
+  return rows.map((row, i) => ({
+    game_id: row.game_id,
+    prob: row.neutral_site === 1 ? predictLogit([Xs[i]], neutral)[0] : probs[i]
+  }));
 }
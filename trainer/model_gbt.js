@@ -0,0 +1,271 @@
+// trainer/model_gbt.js
+// Gradient-boosted decision trees for the home-win probability: logistic loss
+// with second-order (gradient/hessian) leaf weights, shrinkage, row and column
+// subsampling, depth limits and early stopping on the most recent rows.
+//
+// Features are binned once into at most `bins` quantile buckets, so every split
+// search is a histogram pass over the node's rows. Trees are plain JSON from
+// the start: internal nodes { column, threshold, gain, value, left, right }
+// send x[column] <= threshold left (a missing value never is, so it goes
+// right); leaves are { value }. Node values already include the learning rate,
+// so a prediction is sigmoid(base_score + the leaf values it reaches).
+// modelRuntime.js scores the same structure (predictGbt); keep them in step.
+
+export const GBT_DEFAULTS = Object.freeze({
+  nEstimators: 200,
+  learningRate: 0.05,
+  maxDepth: 3,
+  subsample: 0.8,
+  colsample: 0.8,
+  minChildWeight: 1,
+  lambda: 1,
+  gamma: 0,
+  earlyStoppingRounds: 20,
+  validationFraction: 0.15,
+  bins: 32,
+  seed: 7
+});
+
+// Early stopping needs enough rows to hold some back.
+const MIN_ROWS_FOR_VALIDATION = 50;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+function makeRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (1664525 * state + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+function logLossOf(labels, margins) {
+  const eps = 1e-12;
+  let sum = 0;
+  for (let i = 0; i < labels.length; i++) {
+    const p = Math.min(1 - eps, Math.max(eps, sigmoid(margins[i])));
+    sum -= labels[i] ? Math.log(p) : Math.log(1 - p);
+  }
+  return labels.length ? sum / labels.length : Infinity;
+}
+
+/**
+ * Quantile cut points per feature; bin b holds values in (cuts[b-1], cuts[b]].
+ * @param {number[][]} X
+ * @param {number} maxBins
+ * @returns {number[][]}
+ */
+function buildCuts(X, maxBins) {
+  const dim = X[0]?.length || 0;
+  const cuts = [];
+  for (let j = 0; j < dim; j++) {
+    const values = [];
+    for (const row of X) {
+      const v = row[j];
+      if (Number.isFinite(v)) values.push(v);
+    }
+    values.sort((a, b) => a - b);
+    const unique = values.filter((v, i) => i === 0 || v !== values[i - 1]);
+    if (unique.length <= maxBins) {
+      cuts.push(unique);
+      continue;
+    }
+    const picked = [];
+    for (let k = 1; k <= maxBins; k++) {
+      const v = values[Math.min(values.length - 1, Math.ceil((k * values.length) / maxBins) - 1)];
+      if (!picked.length || v > picked[picked.length - 1]) picked.push(v);
+    }
+    cuts.push(picked);
+  }
+  return cuts;
+}
+
+// Column-major bin codes; missing values get the extra bin cuts.length.
+function binColumns(X, cuts) {
+  return cuts.map((edges, j) => {
+    const codes = new Uint16Array(X.length);
+    for (let i = 0; i < X.length; i++) {
+      const v = X[i][j];
+      if (!Number.isFinite(v)) {
+        codes[i] = edges.length;
+        continue;
+      }
+      let lo = 0;
+      let hi = edges.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (v <= edges[mid]) hi = mid;
+        else lo = mid + 1;
+      }
+      codes[i] = v <= edges[lo] ? lo : edges.length - 1;
+    }
+    return codes;
+  });
+}
+
+// Missing and non-finite values go right, as binning puts them past every cut.
+function treeValue(node, x) {
+  while (node.column != null) {
+    const v = x[node.column];
+    node = Number.isFinite(v) && v <= node.threshold ? node.left : node.right;
+  }
+  return node.value;
+}
+
+function growTree({ rows, grad, hess, columns, cuts, codes, params, importance }) {
+  const { maxDepth, minChildWeight, lambda, gamma, learningRate } = params;
+  const build = (idx, depth) => {
+    let G = 0;
+    let H = 0;
+    for (const i of idx) {
+      G += grad[i];
+      H += hess[i];
+    }
+    const value = (-G / (H + lambda)) * learningRate;
+    if (depth >= maxDepth || idx.length < 2 || H < 2 * minChildWeight) return { value };
+    const parentScore = (G * G) / (H + lambda);
+    let best = null;
+    for (const j of columns) {
+      const nb = cuts[j].length;
+      if (nb < 2) continue;
+      const histG = new Float64Array(nb + 1);
+      const histH = new Float64Array(nb + 1);
+      const col = codes[j];
+      for (const i of idx) {
+        histG[col[i]] += grad[i];
+        histH[col[i]] += hess[i];
+      }
+      let GL = 0;
+      let HL = 0;
+      for (let b = 0; b < nb - 1; b++) {
+        GL += histG[b];
+        HL += histH[b];
+        const GR = G - GL;
+        const HR = H - HL;
+        if (HL < minChildWeight || HR < minChildWeight) continue;
+        const gain = 0.5 * ((GL * GL) / (HL + lambda) + (GR * GR) / (HR + lambda) - parentScore) - gamma;
+        if (gain > 0 && (!best || gain > best.gain)) best = { column: j, bin: b, gain };
+      }
+    }
+    if (!best) return { value };
+    const col = codes[best.column];
+    const left = [];
+    const right = [];
+    for (const i of idx) (col[i] <= best.bin ? left : right).push(i);
+    importance[best.column] += best.gain;
+    return {
+      column: best.column,
+      threshold: cuts[best.column][best.bin],
+      gain: best.gain,
+      value,
+      left: build(left, depth + 1),
+      right: build(right, depth + 1)
+    };
+  };
+  return build(rows, 0);
+}
+
+function boost(X, y, params, { rounds, validation = null }) {
+  const n = X.length;
+  const dim = X[0]?.length || 0;
+  const rng = makeRng(params.seed);
+  const mean = Math.min(1 - 1e-6, Math.max(1e-6, y.reduce((s, v) => s + v, 0) / Math.max(1, n)));
+  const baseScore = Math.log(mean / (1 - mean));
+  const cuts = buildCuts(X, params.bins);
+  const codes = binColumns(X, cuts);
+  const importance = new Array(dim).fill(0);
+  const margin = new Float64Array(n).fill(baseScore);
+  const grad = new Float64Array(n);
+  const hess = new Float64Array(n);
+  const valMargin = validation ? new Float64Array(validation.X.length).fill(baseScore) : null;
+  const nCols = Math.max(1, Math.ceil(dim * params.colsample));
+  const trees = [];
+  let bestLoss = Infinity;
+  let bestRound = 0;
+  for (let round = 0; round < rounds; round++) {
+    for (let i = 0; i < n; i++) {
+      const p = sigmoid(margin[i]);
+      grad[i] = p - y[i];
+      hess[i] = Math.max(p * (1 - p), 1e-6);
+    }
+    const rows = [];
+    for (let i = 0; i < n; i++) if (params.subsample >= 1 || rng() < params.subsample) rows.push(i);
+    const order = [...Array(dim).keys()];
+    for (let k = 0; k < nCols; k++) {
+      const swap = k + Math.floor(rng() * (dim - k));
+      [order[k], order[swap]] = [order[swap], order[k]];
+    }
+    const tree = growTree({ rows, grad, hess, columns: order.slice(0, nCols), cuts, codes, params, importance });
+    trees.push(tree);
+    for (let i = 0; i < n; i++) margin[i] += treeValue(tree, X[i]);
+    if (!validation) continue;
+    for (let i = 0; i < validation.X.length; i++) valMargin[i] += treeValue(tree, validation.X[i]);
+    const loss = logLossOf(validation.y, valMargin);
+    if (loss < bestLoss - 1e-9) {
+      bestLoss = loss;
+      bestRound = round + 1;
+    } else if (round + 1 - bestRound >= params.earlyStoppingRounds) {
+      break;
+    }
+  }
+  return { trees, baseScore, importance, bestRound, bestLoss };
+}
+
+/**
+ * Train a boosted ensemble. With enough rows the most recent
+ * `validationFraction` (rows are expected oldest first) picks the number of
+ * trees by early stopping; the model is then refit on every row with that many.
+ * @param {number[][]} X - standardized feature rows
+ * @param {number[]} y - 0/1 labels
+ * @param {object} [options] - see GBT_DEFAULTS
+ * @returns {{ trees: object[], base_score: number, learning_rate: number, n_estimators: number, importance: number[], validation: object|null, params: object }}
+ */
+export function trainGBT(X, y, options = {}) {
+  const params = { ...GBT_DEFAULTS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value != null && key in GBT_DEFAULTS) params[key] = value;
+  }
+  const n = X.length;
+  let rounds = Math.max(1, Math.round(params.nEstimators));
+  let validation = null;
+  if (n >= MIN_ROWS_FOR_VALIDATION && params.validationFraction > 0 && params.earlyStoppingRounds > 0) {
+    const nVal = Math.max(1, Math.floor(n * params.validationFraction));
+    const holdout = boost(X.slice(0, n - nVal), y.slice(0, n - nVal), params, {
+      rounds,
+      validation: { X: X.slice(n - nVal), y: y.slice(n - nVal) }
+    });
+    rounds = Math.max(1, holdout.bestRound);
+    validation = { rows: nVal, best_iteration: holdout.bestRound, logloss: holdout.bestLoss };
+  }
+  const fit = boost(X, y, params, { rounds });
+  return {
+    trees: fit.trees,
+    base_score: fit.baseScore,
+    learning_rate: params.learningRate,
+    n_estimators: fit.trees.length,
+    importance: fit.importance,
+    validation,
+    params
+  };
+}
+
+/**
+ * Win probabilities for standardized rows.
+ * @param {{ trees: object[], base_score: number }} model
+ * @param {number[][]} X
+ * @returns {number[]}
+ */
+export function predictGBT(model, X) {
+  return X.map((x) => {
+    let z = model.base_score ?? 0;
+    for (const tree of model.trees || []) z += treeValue(tree, x);
+    const p = sigmoid(z);
+    return Number.isFinite(p) ? p : 0.5;
+  });
+}
+
+export default {
+  GBT_DEFAULTS,
+  trainGBT,
+  predictGBT
+};
@@ -0,0 +1,158 @@
+// trainer/model_margin.js
+// Ridge regression head for the home-minus-away final score margin, plus the
+// normal-approximation helpers used to turn it into intervals and cover odds.
+
+import { Matrix, solve } from "ml-matrix";
+
+// Long-run standard deviation of NFL final margins; used until enough
+// out-of-fold residuals exist to estimate it from the training data.
+export const DEFAULT_MARGIN_SD = 13.5;
+export const DEFAULT_MARGIN_INTERVAL = 0.8;
+const MIN_RESIDUALS_FOR_SD = 8;
+
+const toFinite = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+/**
+ * Fit a ridge regression on (already standardized) features.
+ * The intercept is left unpenalized by centering the target.
+ * @param {number[][]} X
+ * @param {number[]} y
+ * @param {{ l2?: number, featureLength?: number }} [options]
+ * @returns {{ w: number[], b: number, l2: number, neutral?: boolean }}
+ */
+export function trainMarginModel(X, y, { l2 = 10, featureLength } = {}) {
+  const n = X.length;
+  const observedDim = X[0]?.length || 0;
+  const dim = Number.isInteger(featureLength) && featureLength > 0 ? featureLength : observedDim;
+  const targets = y.map((v) => toFinite(v, 0));
+  const b = n ? targets.reduce((s, v) => s + v, 0) / n : 0;
+  if (!n || !dim) return { w: new Array(dim).fill(0), b, l2, neutral: true };
+
+  const rows = X.map((row = []) => Array.from({ length: dim }, (_, j) => toFinite(row[j], 0)));
+  const A = new Matrix(rows);
+  const centered = Matrix.columnVector(targets.map((v) => v - b));
+  const gram = A.transpose().mmul(A);
+  for (let j = 0; j < dim; j++) gram.set(j, j, gram.get(j, j) + l2);
+  let w;
+  try {
+    w = solve(gram, A.transpose().mmul(centered)).to1DArray();
+  } catch (err) {
+    w = new Array(dim).fill(0);
+  }
+  return { w: w.map((v) => toFinite(v, 0)), b, l2 };
+}
+
+/**
+ * Predict margins for standardized feature rows.
+ * @param {{ w: number[], b: number }} model
+ * @param {number[][]} X
+ * @returns {number[]}
+ */
+export function predictMargin(model = {}, X = []) {
+  const weights = Array.isArray(model.w) ? model.w : [];
+  const bias = toFinite(model.b, 0);
+  return X.map((row = []) => {
+    let z = bias;
+    for (let j = 0; j < weights.length; j++) z += toFinite(weights[j], 0) * toFinite(row[j], 0);
+    return Number.isFinite(z) ? z : bias;
+  });
+}
+
+/**
+ * Root-mean-square residual, falling back to the league prior on small samples.
+ * @param {number[]} actual
+ * @param {number[]} predicted
+ * @param {number} [fallback]
+ * @returns {number}
+ */
+export function residualSd(actual = [], predicted = [], fallback = DEFAULT_MARGIN_SD) {
+  let ss = 0;
+  let n = 0;
+  for (let i = 0; i < actual.length; i++) {
+    const a = Number(actual[i]);
+    const p = Number(predicted[i]);
+    if (!Number.isFinite(a) || !Number.isFinite(p)) continue;
+    ss += (a - p) * (a - p);
+    n += 1;
+  }
+  if (n < MIN_RESIDUALS_FOR_SD) return fallback;
+  const sd = Math.sqrt(ss / n);
+  return Number.isFinite(sd) && sd > 0 ? sd : fallback;
+}
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation).
+ * @param {number} z
+ * @returns {number}
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation).
+ * @param {number} p
+ * @returns {number}
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) return p <= 0 ? -Infinity : Infinity;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155211897];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425;
+  if (p < lo) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - lo) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Central interval for a normally distributed margin.
+ * @param {number} mean
+ * @param {number} sd
+ * @param {number} [level]
+ * @returns {{ lower: number, upper: number, level: number }}
+ */
+export function marginInterval(mean, sd, level = DEFAULT_MARGIN_INTERVAL) {
+  const z = normalQuantile(0.5 + level / 2);
+  return { lower: mean - z * sd, upper: mean + z * sd, level };
+}
+
+/**
+ * Probability the home side covers a spread quoted from the home perspective
+ * (negative when home is favoured, e.g. -3.5). Pushes are ignored under the
+ * continuous approximation.
+ * @param {number} mean
+ * @param {number} sd
+ * @param {number|null} spreadHome
+ * @returns {number|null}
+ */
+export function coverProbability(mean, sd, spreadHome) {
+  const line = Number(spreadHome);
+  if (spreadHome == null || !Number.isFinite(line) || !(sd > 0)) return null;
+  return 1 - normalCdf((-line - mean) / sd);
+}
+
+export default {
+  trainMarginModel,
+  predictMargin,
+  residualSd,
+  normalCdf,
+  normalQuantile,
+  marginInterval,
+  coverProbability
+};
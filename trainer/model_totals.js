@@ -0,0 +1,251 @@
+// trainer/model_totals.js
+// Combined-points (over/under) model built from PBP EPA aggregates, pace
+// proxies, and game-day weather. Reuses the ridge head from model_margin.js.
+
+import {
+  trainMarginModel,
+  predictMargin,
+  residualSd,
+  normalCdf,
+  marginInterval,
+  DEFAULT_MARGIN_INTERVAL
+} from "./model_margin.js";
+import { timeSeriesFolds } from "./hyperparamSearch.js";
+
+// Long-run standard deviation of NFL game totals around the closing number.
+export const DEFAULT_TOTAL_SD = 13.5;
+const DEFAULT_TOTAL_MEAN = 44;
+
+export const TOTALS_FEATURES = [
+  "off_epa_sum_s2d",
+  "off_epa_sum_w3",
+  "def_epa_allowed_sum_s2d",
+  "def_epa_allowed_sum_w3",
+  "off_success_sum_s2d",
+  "def_success_allowed_sum_s2d",
+  "home_pace",
+  "away_pace",
+  "pace_sum",
+  "pass_rate_mean",
+  "weather_temp_f",
+  "weather_wind_mph",
+  "weather_precip_pct",
+  "weather_impact_score",
+  "weather_extreme_flag",
+  "roof_dome"
+];
+
+const num = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Offensive snaps per game; the *_att_s2d counters are season-to-date sums.
+const paceOf = (row) => {
+  const plays = num(row.off_pass_att_s2d) + num(row.off_rush_att_s2d);
+  const games = Math.max(1, num(row.wins_s2d) + num(row.losses_s2d));
+  return plays / games;
+};
+
+/**
+ * Pair home and away team rows from buildFeatures into one row per game.
+ * @param {Array<object>} featureRows
+ * @returns {Array<object>}
+ */
+export function buildTotalsRows(featureRows = []) {
+  const awayIdx = new Map();
+  for (const row of featureRows) {
+    if (row?.home !== 0) continue;
+    awayIdx.set(`${row.season}-${row.week}-${row.opponent}-${row.team}`, row);
+  }
+  const out = [];
+  for (const home of featureRows) {
+    if (home?.home !== 1) continue;
+    const away = awayIdx.get(`${home.season}-${home.week}-${home.team}-${home.opponent}`);
+    if (!away) continue;
+    const homePace = paceOf(home);
+    const awayPace = paceOf(away);
+    out.push({
+      season: home.season,
+      week: home.week,
+      home_team: home.team,
+      away_team: home.opponent,
+      total_points: Number.isFinite(home.total_points) ? home.total_points : null,
+      features: {
+        off_epa_sum_s2d: num(home.off_epa_per_play_s2d) + num(away.off_epa_per_play_s2d),
+        off_epa_sum_w3: num(home.off_epa_per_play_w3) + num(away.off_epa_per_play_w3),
+        def_epa_allowed_sum_s2d: num(home.def_epa_per_play_allowed_s2d) + num(away.def_epa_per_play_allowed_s2d),
+        def_epa_allowed_sum_w3: num(home.def_epa_per_play_allowed_w3) + num(away.def_epa_per_play_allowed_w3),
+        off_success_sum_s2d: num(home.off_success_rate_s2d) + num(away.off_success_rate_s2d),
+        def_success_allowed_sum_s2d:
+          num(home.def_success_rate_allowed_s2d) + num(away.def_success_rate_allowed_s2d),
+        home_pace: homePace,
+        away_pace: awayPace,
+        pace_sum: homePace + awayPace,
+        pass_rate_mean: (num(home.off_neutral_pass_rate_s2d) + num(away.off_neutral_pass_rate_s2d)) / 2,
+        weather_temp_f: num(home.weather_temp_f, 65),
+        weather_wind_mph: num(home.weather_wind_mph),
+        weather_precip_pct: num(home.weather_precip_pct),
+        weather_impact_score: num(home.weather_impact_score),
+        weather_extreme_flag: num(home.weather_extreme_flag),
+        roof_dome: num(home.roof_dome)
+      }
+    });
+  }
+  return out;
+}
+
+const toMatrix = (rows) => rows.map((r) => TOTALS_FEATURES.map((k) => num(r.features?.[k])));
+
+function fitScaler(X) {
+  const d = TOTALS_FEATURES.length;
+  const n = Math.max(1, X.length);
+  const mu = new Array(d).fill(0);
+  const sd = new Array(d).fill(1);
+  for (let j = 0; j < d; j++) {
+    let s = 0;
+    for (const row of X) s += row[j];
+    mu[j] = s / n;
+    let v = 0;
+    for (const row of X) v += (row[j] - mu[j]) ** 2;
+    sd[j] = Math.sqrt(v / n) || 1;
+  }
+  return { mu, sd };
+}
+
+const applyScaler = (X, { mu, sd }) => X.map((row) => row.map((v, j) => (v - mu[j]) / (sd[j] || 1)));
+
+function fitRidge(rows, l2) {
+  const X = toMatrix(rows);
+  const scaler = fitScaler(X);
+  const model = trainMarginModel(applyScaler(X, scaler), rows.map((r) => r.total_points), {
+    l2,
+    featureLength: TOTALS_FEATURES.length
+  });
+  return { ...model, scaler };
+}
+
+/**
+ * Train the totals regression, with the spread of outcomes taken from residuals
+ * on time-ordered folds (each validates on a later period than it trains on;
+ * see timeSeriesFolds).
+ * @param {Array<object>} rows rows from buildTotalsRows with a finite total_points
+ * @param {{ l2?: number, k?: number }} [options] - k caps the number of folds
+ * @returns {{ w: number[], b: number, l2: number, scaler: object, sd: number, n: number, features: string[] }}
+ */
+export function trainTotalsModel(rows = [], { l2 = 10, k = 5 } = {}) {
+  const labelled = rows.filter((r) => Number.isFinite(r.total_points));
+  if (!labelled.length) {
+    return {
+      w: new Array(TOTALS_FEATURES.length).fill(0),
+      b: DEFAULT_TOTAL_MEAN,
+      l2,
+      scaler: null,
+      sd: DEFAULT_TOTAL_SD,
+      n: 0,
+      features: TOTALS_FEATURES.slice(),
+      neutral: true
+    };
+  }
+  const folds = timeSeriesFolds(
+    { seasons: labelled.map((r) => Number(r.season)), weeks: labelled.map((r) => Number(r.week)) },
+    { maxFolds: k }
+  );
+  const actual = [];
+  const oof = [];
+  for (const fold of folds) {
+    const train = fold.train.map((i) => labelled[i]);
+    const val = fold.valid.map((i) => labelled[i]);
+    const model = fitRidge(train, l2);
+    const preds = predictMargin(model, applyScaler(toMatrix(val), model.scaler));
+    for (let i = 0; i < val.length; i++) {
+      actual.push(val[i].total_points);
+      oof.push(preds[i]);
+    }
+  }
+  const full = fitRidge(labelled, l2);
+  return {
+    ...full,
+    sd: residualSd(actual, oof, DEFAULT_TOTAL_SD),
+    n: labelled.length,
+    features: TOTALS_FEATURES.slice()
+  };
+}
+
+/**
+ * Project combined points for game rows.
+ * @param {object} model
+ * @param {Array<object>} rows
+ * @returns {number[]}
+ */
+export function predictTotals(model, rows = []) {
+  if (!model || model.neutral || !model.scaler) return rows.map(() => num(model?.b, DEFAULT_TOTAL_MEAN));
+  return predictMargin(model, applyScaler(toMatrix(rows), model.scaler));
+}
+
+/**
+ * Over/under probabilities for a market total under a normal approximation.
+ * @param {number} mean
+ * @param {number} sd
+ * @param {number|null} line
+ * @returns {{ over: number, under: number }|null}
+ */
+export function overUnderProbabilities(mean, sd, line) {
+  const total = Number(line);
+  if (line == null || !Number.isFinite(total) || !(sd > 0)) return null;
+  const over = 1 - normalCdf((total - mean) / sd);
+  return { over, under: 1 - over };
+}
+
+/**
+ * Build the totals_<season>_W<week>.json payload for the target week.
+ * @param {{ trainRows: Array<object>, testRows: Array<object>, marketTotals?: Map<string, number>, l2?: number }} params
+ * @returns {{ model: object, games: Array<object> }}
+ */
+export function buildTotalsForecasts({ trainRows = [], testRows = [], marketTotals = new Map(), l2 } = {}) {
+  const model = trainTotalsModel(trainRows, { l2 });
+  const projected = predictTotals(model, testRows);
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const round3 = (v) => Math.round(v * 1000) / 1000;
+  const games = testRows.map((row, i) => {
+    const mean = num(projected[i], DEFAULT_TOTAL_MEAN);
+    const interval = marginInterval(mean, model.sd, DEFAULT_MARGIN_INTERVAL);
+    const marketTotal = marketTotals.get(`${row.week}|${row.home_team}|${row.away_team}`) ?? null;
+    const probs = overUnderProbabilities(mean, model.sd, marketTotal);
+    return {
+      game_id: `${row.season}-W${String(row.week).padStart(2, "0")}-${row.home_team}-${row.away_team}`,
+      season: row.season,
+      week: row.week,
+      home_team: row.home_team,
+      away_team: row.away_team,
+      projected_total: round1(mean),
+      total_interval: {
+        lower: round1(interval.lower),
+        upper: round1(interval.upper),
+        level: interval.level,
+        sd: Math.round(model.sd * 100) / 100
+      },
+      market_total: marketTotal,
+      over_prob: probs ? round3(probs.over) : null,
+      under_prob: probs ? round3(probs.under) : null,
+      inputs: {
+        pace_sum: round1(row.features.pace_sum),
+        off_epa_sum_s2d: round3(row.features.off_epa_sum_s2d),
+        def_epa_allowed_sum_s2d: round3(row.features.def_epa_allowed_sum_s2d),
+        weather_wind_mph: row.features.weather_wind_mph,
+        roof_dome: row.features.roof_dome
+      },
+      actual_total: row.total_points
+    };
+  });
+  return { model, games };
+}
+
+export default {
+  TOTALS_FEATURES,
+  buildTotalsRows,
+  trainTotalsModel,
+  predictTotals,
+  overUnderProbabilities,
+  buildTotalsForecasts
+};
@@ -0,0 +1,273 @@
+// trainer/model_wp.js
+// In-game win probability from play-by-play game state.
+//
+// A logistic model from the home team's perspective on the situation before
+// each snap: score, clock, possession, field position, down and distance and
+// timeouts. The pregame forecast enters as a prior whose weight decays with
+// the clock, so a kickoff reads as the pregame number and late-game states are
+// driven by the scoreboard.
+
+export const GAME_SECONDS = 3600;
+const PROB_FLOOR = 1e-4;
+
+export const WP_FEATURES = [
+  "score_diff",
+  "score_diff_time",
+  "time_elapsed",
+  "possession",
+  "field_position",
+  "late_down",
+  "distance",
+  "timeouts_diff",
+  "timeouts_late",
+  "prior_logit"
+];
+
+const finite = (value) => (value == null || value === "" || !Number.isFinite(Number(value)) ? null : Number(value));
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const logit = (p) => {
+  const clipped = Math.min(1 - PROB_FLOOR, Math.max(PROB_FLOOR, p));
+  return Math.log(clipped / (1 - clipped));
+};
+
+const round = (value, digits = 4) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+/**
+ * Feature vector (ordered as WP_FEATURES) for one home-perspective state.
+ * @param {object} state - entry of gameStates(...).states
+ * @param {number} [prior] - pregame home win probability
+ * @returns {number[]}
+ */
+export function wpFeatures(state, prior = 0.5) {
+  const seconds = Math.min(GAME_SECONDS, Math.max(0, finite(state.seconds_remaining) ?? 0));
+  const scoreDiff = (finite(state.home_score) ?? 0) - (finite(state.away_score) ?? 0);
+  const possession = finite(state.possession) ?? 0;
+  const yardline = finite(state.yardline_100);
+  const down = finite(state.down);
+  const ydstogo = finite(state.ydstogo);
+  const timeoutsDiff = (finite(state.home_timeouts) ?? 3) - (finite(state.away_timeouts) ?? 3);
+  const elapsed = 1 - seconds / GAME_SECONDS;
+  return [
+    scoreDiff,
+    scoreDiff / Math.sqrt(seconds / 60 + 1),
+    elapsed,
+    possession,
+    yardline == null ? 0 : (possession * (50 - yardline)) / 50,
+    down != null && down >= 3 ? possession : 0,
+    ydstogo == null ? 0 : (possession * Math.min(ydstogo, 30)) / 10,
+    timeoutsDiff,
+    timeoutsDiff * elapsed,
+    logit(finite(prior) ?? 0.5) * (1 - elapsed)
+  ];
+}
+
+/**
+ * Group play-by-play rows (loadPBP with `gameState: true`) into games and
+ * reconstruct the home-perspective state before every play. Scores before a
+ * play are the running totals after the previous one. A game is complete once the clock
+ * has reached zero (nflverse closes every game with an END GAME row).
+ * @param {Array<object>} plays
+ * @returns {Map<string, object>} game_id -> { game_id, season, week, home_team, away_team, spread_line, final, complete, states }
+ */
+export function gameStates(plays = []) {
+  const byGame = new Map();
+  for (const play of plays) {
+    if (!play?.game_id || !play.home_team || !play.away_team) continue;
+    if (!byGame.has(play.game_id)) byGame.set(play.game_id, []);
+    byGame.get(play.game_id).push(play);
+  }
+  const games = new Map();
+  for (const [gameId, rows] of byGame) {
+    rows.sort((a, b) => (finite(a.play_id) ?? 0) - (finite(b.play_id) ?? 0));
+    const first = rows[0];
+    const home = String(first.home_team).toUpperCase();
+    const away = String(first.away_team).toUpperCase();
+    let homeScore = 0;
+    let awayScore = 0;
+    let homeTimeouts = 3;
+    let awayTimeouts = 3;
+    const states = [];
+    for (const play of rows) {
+      const posteam = play.posteam ? String(play.posteam).toUpperCase() : null;
+      const possession = posteam === home ? 1 : posteam === away ? -1 : 0;
+      const posTimeouts = finite(play.posteam_timeouts_remaining);
+      const defTimeouts = finite(play.defteam_timeouts_remaining);
+      homeTimeouts =
+        finite(play.home_timeouts_remaining) ??
+        (possession === 1 ? posTimeouts : possession === -1 ? defTimeouts : null) ??
+        homeTimeouts;
+      awayTimeouts =
+        finite(play.away_timeouts_remaining) ??
+        (possession === -1 ? posTimeouts : possession === 1 ? defTimeouts : null) ??
+        awayTimeouts;
+      const seconds = finite(play.game_seconds_remaining);
+      if (seconds != null) {
+        states.push({
+          play_id: finite(play.play_id),
+          qtr: finite(play.qtr),
+          seconds_remaining: seconds,
+          home_score: homeScore,
+          away_score: awayScore,
+          posteam,
+          possession,
+          down: finite(play.down),
+          ydstogo: finite(play.ydstogo),
+          yardline_100: finite(play.yardline_100),
+          home_timeouts: homeTimeouts,
+          away_timeouts: awayTimeouts,
+          play_type: play.play_type ?? null
+        });
+      }
+      homeScore = finite(play.total_home_score) ?? homeScore;
+      awayScore = finite(play.total_away_score) ?? awayScore;
+    }
+    games.set(gameId, {
+      game_id: gameId,
+      season: finite(first.season),
+      week: finite(first.week),
+      home_team: home,
+      away_team: away,
+      spread_line: finite(first.spread_line),
+      final: { home_score: homeScore, away_score: awayScore },
+      complete: states.at(-1)?.seconds_remaining === 0,
+      states
+    });
+  }
+  return games;
+}
+
+/**
+ * Home result for a finished game: 1 win, 0 loss, 0.5 tie.
+ * @param {{ final: { home_score: number, away_score: number } }} game
+ * @returns {number}
+ */
+export function homeResult(game) {
+  const diff = game.final.home_score - game.final.away_score;
+  return diff > 0 ? 1 : diff < 0 ? 0 : 0.5;
+}
+
+/**
+ * Fit the win-probability model by full-batch gradient descent on
+ * standardized features. Labels may be fractional (ties count as 0.5).
+ * @param {number[][]} X - rows of wpFeatures(...)
+ * @param {number[]} y
+ * @param {{ steps?: number, lr?: number, l2?: number }} [options]
+ * @returns {{ features: string[], w: number[], b: number, scaler: { mu: number[], sd: number[] }, neutral?: boolean }}
+ */
+export function trainWPModel(X, y, { steps = 400, lr = 0.5, l2 = 1e-4 } = {}) {
+  const n = X.length;
+  const dim = WP_FEATURES.length;
+  const mu = new Array(dim).fill(0);
+  const sd = new Array(dim).fill(1);
+  if (!n) return { features: WP_FEATURES, w: new Array(dim).fill(0), b: 0, scaler: { mu, sd }, neutral: true };
+  for (const row of X) for (let j = 0; j < dim; j++) mu[j] += row[j] / n;
+  const variance = new Array(dim).fill(0);
+  for (const row of X) for (let j = 0; j < dim; j++) variance[j] += (row[j] - mu[j]) ** 2 / n;
+  for (let j = 0; j < dim; j++) sd[j] = variance[j] > 1e-12 ? Math.sqrt(variance[j]) : 1;
+  const Z = X.map((row) => row.map((v, j) => (v - mu[j]) / sd[j]));
+
+  const w = new Array(dim).fill(0);
+  let b = 0;
+  for (let t = 0; t < steps; t++) {
+    const gw = new Array(dim).fill(0);
+    let gb = 0;
+    for (let i = 0; i < n; i++) {
+      const row = Z[i];
+      let z = b;
+      for (let j = 0; j < dim; j++) z += w[j] * row[j];
+      const err = sigmoid(z) - y[i];
+      gb += err;
+      for (let j = 0; j < dim; j++) gw[j] += err * row[j];
+    }
+    b -= (lr * gb) / n;
+    for (let j = 0; j < dim; j++) w[j] -= lr * (gw[j] / n + l2 * w[j]);
+  }
+  return { features: WP_FEATURES, w, b, scaler: { mu, sd } };
+}
+
+/**
+ * Home win probabilities for feature rows.
+ * @param {{ w: number[], b: number, scaler: { mu: number[], sd: number[] } }} model
+ * @param {number[][]} X
+ * @returns {number[]}
+ */
+export function predictWP(model, X = []) {
+  const { w = [], b = 0, scaler = {} } = model ?? {};
+  const mu = scaler.mu ?? [];
+  const sd = scaler.sd ?? [];
+  return X.map((row) => {
+    let z = b;
+    for (let j = 0; j < w.length; j++) z += (w[j] * ((row[j] ?? 0) - (mu[j] ?? 0))) / (sd[j] || 1);
+    const p = sigmoid(z);
+    return Number.isFinite(p) ? p : 0.5;
+  });
+}
+
+/**
+ * Walk a game's plays and return its win-probability curve. Completed games
+ * end with a point at the final score and the actual result; games still in
+ * progress end at the latest state.
+ * @param {object} model - trainWPModel output
+ * @param {object} game - gameStates(...) entry
+ * @param {{ prior?: number, swings?: number }} [options]
+ * @returns {{ points: Array<object>, swings: Array<object> }}
+ */
+export function replayGame(model, game, { prior = 0.5, swings = 5 } = {}) {
+  const probs = predictWP(model, game.states.map((state) => wpFeatures(state, prior)));
+  const points = game.states.map((state, i) => ({
+    play_id: state.play_id,
+    qtr: state.qtr,
+    seconds_remaining: state.seconds_remaining,
+    home_score: state.home_score,
+    away_score: state.away_score,
+    posteam: state.posteam,
+    down: state.down,
+    ydstogo: state.ydstogo,
+    yardline_100: state.yardline_100,
+    home_wp: round(probs[i])
+  }));
+  if (game.complete) {
+    points.push({
+      play_id: null,
+      qtr: game.states.at(-1)?.qtr ?? null,
+      seconds_remaining: 0,
+      home_score: game.final.home_score,
+      away_score: game.final.away_score,
+      posteam: null,
+      down: null,
+      ydstogo: null,
+      yardline_100: null,
+      home_wp: homeResult(game)
+    });
+  }
+
+  // A play's swing is the change between the state before it and the next one.
+  const deltas = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    if (points[i].play_id == null) continue;
+    deltas.push({
+      play_id: points[i].play_id,
+      qtr: points[i].qtr,
+      seconds_remaining: points[i].seconds_remaining,
+      home_wp_delta: round(points[i + 1].home_wp - points[i].home_wp)
+    });
+  }
+  deltas.sort((a, b) => Math.abs(b.home_wp_delta) - Math.abs(a.home_wp_delta));
+  return { points, swings: deltas.slice(0, swings) };
+}
+
+export default {
+  GAME_SECONDS,
+  WP_FEATURES,
+  wpFeatures,
+  gameStates,
+  homeResult,
+  trainWPModel,
+  predictWP,
+  replayGame
+};
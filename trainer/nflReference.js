@@ -4,71 +4,25 @@
 // This module provides:
 // - Team division mappings (1999-2024+)
 // - Stadium locations for travel distance calculations
-// - Historical team relocations
 // - Conference and division structure
+//
+// Team identity (codes, relocations, names) lives in franchises.js.
+
+import { FRANCHISES, resolveFranchise } from "./franchises.js";
 
 /**
- * NFL Division structure (post-2002 realignment).
- * Note: Pre-2002 had different divisions, but we use current for simplicity.
+ * NFL Division structure (post-2002 realignment) by franchise code, derived
+ * from franchises.js. Pre-2002 had different divisions, but we use current
+ * for simplicity. Lookups below accept any code or name the franchise module
+ * knows (OAK, SD, STL, JAX, ...).
  */
-export const NFL_DIVISIONS = {
-  // AFC East
-  BUF: { conference: "AFC", division: "AFC East" },
-  MIA: { conference: "AFC", division: "AFC East" },
-  NE: { conference: "AFC", division: "AFC East" },
-  NYJ: { conference: "AFC", division: "AFC East" },
-
-  // AFC North
-  BAL: { conference: "AFC", division: "AFC North" },
-  CIN: { conference: "AFC", division: "AFC North" },
-  CLE: { conference: "AFC", division: "AFC North" },
-  PIT: { conference: "AFC", division: "AFC North" },
-
-  // AFC South
-  HOU: { conference: "AFC", division: "AFC South" },
-  IND: { conference: "AFC", division: "AFC South" },
-  JAC: { conference: "AFC", division: "AFC South" },
-  JAX: { conference: "AFC", division: "AFC South" }, // Alternate abbreviation
-  TEN: { conference: "AFC", division: "AFC South" },
-
-  // AFC West
-  DEN: { conference: "AFC", division: "AFC West" },
-  KC: { conference: "AFC", division: "AFC West" },
-  LV: { conference: "AFC", division: "AFC West" },
-  OAK: { conference: "AFC", division: "AFC West" }, // Pre-2020 Raiders
-  LAC: { conference: "AFC", division: "AFC West" },
-  SD: { conference: "AFC", division: "AFC West" }, // Pre-2017 Chargers
-
-  // NFC East
-  DAL: { conference: "NFC", division: "NFC East" },
-  NYG: { conference: "NFC", division: "NFC East" },
-  PHI: { conference: "NFC", division: "NFC East" },
-  WAS: { conference: "NFC", division: "NFC East" },
-
-  // NFC North
-  CHI: { conference: "NFC", division: "NFC North" },
-  DET: { conference: "NFC", division: "NFC North" },
-  GB: { conference: "NFC", division: "NFC North" },
-  MIN: { conference: "NFC", division: "NFC North" },
-
-  // NFC South
-  ATL: { conference: "NFC", division: "NFC South" },
-  CAR: { conference: "NFC", division: "NFC South" },
-  NO: { conference: "NFC", division: "NFC South" },
-  TB: { conference: "NFC", division: "NFC South" },
-
-  // NFC West
-  ARI: { conference: "NFC", division: "NFC West" },
-  LAR: { conference: "NFC", division: "NFC West" },
-  LA: { conference: "NFC", division: "NFC West" }, // 2016 Rams
-  STL: { conference: "NFC", division: "NFC West" }, // Pre-2016 Rams
-  SF: { conference: "NFC", division: "NFC West" },
-  SEA: { conference: "NFC", division: "NFC West" }
-};
+export const NFL_DIVISIONS = Object.fromEntries(
+  FRANCHISES.map(({ code, conference, division }) => [code, { conference, division }])
+);
 
 /**
- * Stadium locations for travel distance calculations.
- * Coordinates are approximate stadium centers (latitude, longitude).
+ * Current stadium per franchise code (approximate centers, latitude/longitude).
+ * Game-level travel uses venues.js, which knows where each game was played.
  */
 export const STADIUM_LOCATIONS = {
   // AFC East
@@ -87,16 +41,13 @@ export const STADIUM_LOCATIONS = {
   HOU: { city: "Houston, TX", lat: 29.6847, lon: -95.4107 },
   IND: { city: "Indianapolis, IN", lat: 39.7601, lon: -86.1639 },
   JAC: { city: "Jacksonville, FL", lat: 30.3240, lon: -81.6373 },
-  JAX: { city: "Jacksonville, FL", lat: 30.3240, lon: -81.6373 },
   TEN: { city: "Nashville, TN", lat: 36.1665, lon: -86.7713 },
 
   // AFC West
   DEN: { city: "Denver, CO", lat: 39.7439, lon: -105.0201 },
   KC: { city: "Kansas City, MO", lat: 39.0489, lon: -94.4839 },
   LV: { city: "Las Vegas, NV", lat: 36.0909, lon: -115.1833 },
-  OAK: { city: "Oakland, CA", lat: 37.7516, lon: -122.2005 },
   LAC: { city: "Inglewood, CA", lat: 33.9535, lon: -118.3390 },
-  SD: { city: "San Diego, CA", lat: 32.7831, lon: -117.1194 },
 
   // NFC East
   DAL: { city: "Arlington, TX", lat: 32.7473, lon: -97.0945 },
@@ -119,8 +70,6 @@ export const STADIUM_LOCATIONS = {
   // NFC West
   ARI: { city: "Glendale, AZ", lat: 33.5276, lon: -112.2626 },
   LAR: { city: "Inglewood, CA", lat: 33.9535, lon: -118.3390 },
-  LA: { city: "Los Angeles, CA", lat: 34.0141, lon: -118.2879 },
-  STL: { city: "St. Louis, MO", lat: 38.6328, lon: -90.1884 },
   SF: { city: "Santa Clara, CA", lat: 37.4032, lon: -121.9698 },
   SEA: { city: "Seattle, WA", lat: 47.5952, lon: -122.3316 }
 };
@@ -131,9 +80,8 @@ export const STADIUM_LOCATIONS = {
  * @returns {Object|null} Division info or null if not found
  */
 export function getTeamDivision(team) {
-  if (!team) return null;
-  const normalized = String(team).trim().toUpperCase();
-  return NFL_DIVISIONS[normalized] || null;
+  const franchise = resolveFranchise(team);
+  return franchise ? NFL_DIVISIONS[franchise.code] : null;
 }
 
 /**
@@ -172,9 +120,8 @@ export function isConferenceGame(team1, team2) {
  * @returns {Object|null} Stadium location or null if not found
  */
 export function getStadiumLocation(team) {
-  if (!team) return null;
-  const normalized = String(team).trim().toUpperCase();
-  return STADIUM_LOCATIONS[normalized] || null;
+  const franchise = resolveFranchise(team);
+  return franchise ? STADIUM_LOCATIONS[franchise.code] : null;
 }
 
 /**
@@ -204,7 +151,9 @@ export function calculateDistance(lat1, lon1, lat2, lon2) {
 }
 
 /**
- * Calculate travel distance between two teams.
+ * Calculate travel distance between two teams' current stadiums. For a
+ * specific game (relocations, international and neutral sites) use
+ * venueFeatures in venues.js.
  * @param {string} fromTeam - Away team abbreviation
  * @param {string} toTeam - Home team abbreviation
  * @returns {number|null} Distance in miles or null if locations not found
@@ -224,11 +173,11 @@ export function calculateTravelDistance(fromTeam, toTeam) {
  * @returns {Array<string>} List of division rival team abbreviations
  */
 export function getDivisionRivals(team) {
-  const teamDiv = getTeamDivision(team);
-  if (!teamDiv) return [];
+  const franchise = resolveFranchise(team);
+  if (!franchise) return [];
 
   return Object.entries(NFL_DIVISIONS)
-    .filter(([t, div]) => div.division === teamDiv.division && t !== team.toUpperCase())
+    .filter(([t, div]) => div.division === franchise.division && t !== franchise.code)
     .map(([t, _]) => t);
 }
 
@@ -0,0 +1,379 @@
+// trainer/postseason.js
+// Postseason rounds and playoff bracket predictions.
+//
+// Schedule rows tag playoff games through game_type (WC, DIV, CON, SB) or
+// season_type ("POST"); the helpers here classify them so the feature builders
+// can include the playoffs when postseason mode is enabled (see featureFlags.js).
+//
+// The bracket starts from the current seeds (standings.js), fixes completed
+// playoff games, uses the ensemble forecast for games already in the target
+// week's predictions and Bradley–Terry team ratings for everything else. The
+// higher seed hosts every game before the Super Bowl, which is played at a
+// neutral site. Advancement odds are exact: every bracket outcome is
+// enumerated, with re-seeding after the wild-card round. Writes
+// bracket_<season>_W<week>.json.
+//
+// Usage: node trainer/postseason.js --season 2024 --week 19
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { loadSchedules } from "./dataSources.js";
+import { normalizeTeam } from "./franchises.js";
+import { playoffFormat, playoffSeeds } from "./standings.js";
+import { teamRatingsFromBT, loadBtRows } from "./seasonSim.js";
+import { validateArtifact } from "./schemaValidator.js";
+import { artifactsRoot } from "./utils/paths.js";
+
+export const POSTSEASON_ROUNDS = ["WC", "DIV", "CON", "SB"];
+
+const ROUND_ALIASES = {
+  WC: "WC",
+  WILDCARD: "WC",
+  WILD_CARD: "WC",
+  DIV: "DIV",
+  DIVISIONAL: "DIV",
+  CON: "CON",
+  CONF: "CON",
+  CHAMPIONSHIP: "CON",
+  SB: "SB",
+  SUPERBOWL: "SB",
+  SUPER_BOWL: "SB"
+};
+
+const num = (v, d = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+const normTeam = (value) => normalizeTeam(value, { source: "postseason" });
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const round = (value, digits = 4) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+const pairKey = (a, b) => [a, b].sort().join("|");
+
+/**
+ * Week number of a postseason round: the wild-card round follows week 18 since
+ * 2021 and week 17 before that.
+ * @param {number} season
+ * @param {string} roundName - WC, DIV, CON or SB
+ * @returns {number|null}
+ */
+export function postseasonWeek(season, roundName) {
+  const idx = POSTSEASON_ROUNDS.indexOf(roundName);
+  if (idx < 0) return null;
+  return (Number(season) >= 2021 ? 19 : 18) + idx;
+}
+
+/**
+ * Postseason round for a week number, or null for regular-season weeks.
+ * @param {number} season
+ * @param {number} week
+ * @returns {string|null}
+ */
+export function roundForWeek(season, week) {
+  const idx = Number(week) - postseasonWeek(season, "WC");
+  return idx >= 0 && idx < POSTSEASON_ROUNDS.length ? POSTSEASON_ROUNDS[idx] : null;
+}
+
+/**
+ * Round of a schedule row: "REG", one of POSTSEASON_ROUNDS, or the raw tag
+ * upper-cased for anything else (e.g. "PRE"). Untagged rows count as "REG".
+ * @param {object} game - Schedule row
+ * @returns {string}
+ */
+export function gameRound(game) {
+  for (const raw of [game?.game_type, game?.season_type]) {
+    if (raw == null) continue;
+    const tag = String(raw).trim().toUpperCase().replace(/[\s-]+/g, "_");
+    if (!tag) continue;
+    if (tag.startsWith("REG")) return "REG";
+    if (ROUND_ALIASES[tag]) return ROUND_ALIASES[tag];
+    if (tag.startsWith("POST")) return roundForWeek(game.season, game.week) ?? "POST";
+    return tag;
+  }
+  return "REG";
+}
+
+/**
+ * @param {object} game - Schedule row
+ * @returns {boolean}
+ */
+export function isPostseasonGame(game) {
+  const tag = gameRound(game);
+  return tag === "POST" || POSTSEASON_ROUNDS.includes(tag);
+}
+
+/**
+ * Whether a schedule row belongs in the feature set: regular-season games
+ * always, playoff games only in postseason mode.
+ * @param {object} game - Schedule row
+ * @param {{ postseason?: boolean }} [options]
+ * @returns {boolean}
+ */
+export function includeScheduleGame(game, { postseason = false } = {}) {
+  const tag = gameRound(game);
+  return tag === "REG" || (postseason && isPostseasonGame(game));
+}
+
+/**
+ * Neutral-site games: rows flagged by the schedule plus every Super Bowl.
+ * @param {object} game - Schedule row
+ * @returns {boolean}
+ */
+export function isNeutralSite(game) {
+  if (String(game?.location ?? "").trim().toLowerCase() === "neutral") return true;
+  if (Number(game?.neutral_site) === 1 || game?.neutral_site === true) return true;
+  return gameRound(game) === "SB";
+}
+
+function finalWinner(game) {
+  const hs = game.home_score ?? game.home_points ?? game.home_pts;
+  const as = game.away_score ?? game.away_points ?? game.away_pts;
+  if (hs == null || as == null || hs === "" || as === "") return null;
+  const h = Number(hs);
+  const a = Number(as);
+  if (!Number.isFinite(h) || !Number.isFinite(a) || h === a) return null;
+  return h > a ? normTeam(game.home_team) : normTeam(game.away_team);
+}
+
+// Every combination of winners for a set of independent games.
+function roundOutcomes(pairs, play) {
+  let outcomes = [{ winners: [], prob: 1 }];
+  for (const [a, b] of pairs) {
+    const next = [];
+    for (const { winners, prob } of outcomes) {
+      for (const [team, p] of play(a, b)) {
+        if (p > 0) next.push({ winners: winners.concat(team), prob: prob * p });
+      }
+    }
+    outcomes = next;
+  }
+  return outcomes;
+}
+
+/**
+ * Advancement odds for one conference bracket.
+ * @param {string[]} seeds - Teams ordered by seed
+ * @param {{ teams: number, byes: number }} format
+ * @param {(home: string, away: string, ctx: { round: string, neutral: boolean }) => number} winProb
+ * @param {Map<string, string>} [results] - Completed games keyed by sorted team pair
+ * @returns {Map<string, { divisional: number, conference: number, super_bowl: number }>}
+ */
+export function conferenceBracket(seeds, format, winProb, results = new Map()) {
+  if (seeds.length !== format.teams) {
+    throw new Error(`Bracket needs ${format.teams} seeds, got ${seeds.length}`);
+  }
+  const seedOf = new Map(seeds.map((team, idx) => [team, idx + 1]));
+  const bySeed = (a, b) => seedOf.get(a) - seedOf.get(b);
+  const reach = new Map(seeds.map((team) => [team, { divisional: 0, conference: 0, super_bowl: 0 }]));
+  const play = (roundName) => (a, b) => {
+    const [home, away] = [a, b].sort(bySeed);
+    const winner = results.get(pairKey(home, away));
+    const p = winner ? (winner === home ? 1 : 0) : winProb(home, away, { round: roundName, neutral: false });
+    return [
+      [home, p],
+      [away, 1 - p]
+    ];
+  };
+
+  const byes = seeds.slice(0, format.byes);
+  const wildCard = [];
+  for (let i = format.byes, j = seeds.length - 1; i < j; i++, j--) wildCard.push([seeds[i], seeds[j]]);
+
+  for (const wc of roundOutcomes(wildCard, play("WC"))) {
+    const alive = byes.concat(wc.winners).sort(bySeed);
+    for (const team of alive) reach.get(team).divisional += wc.prob;
+    const divisional = [
+      [alive[0], alive[3]],
+      [alive[1], alive[2]]
+    ];
+    for (const div of roundOutcomes(divisional, play("DIV"))) {
+      const prob = wc.prob * div.prob;
+      for (const team of div.winners) reach.get(team).conference += prob;
+      for (const con of roundOutcomes([div.winners], play("CON"))) {
+        reach.get(con.winners[0]).super_bowl += prob * con.prob;
+      }
+    }
+  }
+  return reach;
+}
+
+/**
+ * Full bracket advancement probabilities from both conferences' seeds.
+ * @param {{ AFC: string[], NFC: string[] }} seeds
+ * @param {{ teams: number, byes: number }} format
+ * @param {(home: string, away: string, ctx: { round: string, neutral: boolean }) => number} winProb
+ * @param {Map<string, string>} [results]
+ * @returns {Array<object>}
+ */
+export function bracketProbabilities(seeds, format, winProb, results = new Map()) {
+  const afc = conferenceBracket(seeds.AFC, format, winProb, results);
+  const nfc = conferenceBracket(seeds.NFC, format, winProb, results);
+  const title = new Map([...afc.keys(), ...nfc.keys()].map((team) => [team, 0]));
+  for (const [a, ra] of afc) {
+    for (const [n, rn] of nfc) {
+      const both = ra.super_bowl * rn.super_bowl;
+      if (!both) continue;
+      const winner = results.get(pairKey(a, n));
+      const p = winner ? (winner === a ? 1 : 0) : winProb(a, n, { round: "SB", neutral: true });
+      title.set(a, title.get(a) + both * p);
+      title.set(n, title.get(n) + both * (1 - p));
+    }
+  }
+  const rows = [];
+  for (const [conference, reach] of [
+    ["AFC", afc],
+    ["NFC", nfc]
+  ]) {
+    seeds[conference].forEach((team, idx) => {
+      const r = reach.get(team);
+      rows.push({
+        team,
+        conference,
+        seed: idx + 1,
+        reach_divisional: round(r.divisional),
+        reach_conference: round(r.conference),
+        reach_super_bowl: round(r.super_bowl),
+        win_super_bowl: round(title.get(team))
+      });
+    });
+  }
+  return rows;
+}
+
+/**
+ * Bracket payload for a season/week.
+ * @param {{ season: number, week: number, schedules: Array<object>, predictions?: Array<object>, bt?: object, btRows?: Array<object> }} params
+ * @returns {object}
+ */
+export function buildBracket({ season, week, schedules = [], predictions = [], bt, btRows = [] }) {
+  const format = playoffFormat(season);
+  const seeds = playoffSeeds(schedules, season);
+  const { homeEdge, ratings } = teamRatingsFromBT(bt, btRows);
+
+  const results = new Map();
+  const completed = [];
+  for (const game of schedules || []) {
+    if (Number(game.season) !== Number(season) || !isPostseasonGame(game)) continue;
+    const winner = finalWinner(game);
+    const home = normTeam(game.home_team);
+    const away = normTeam(game.away_team);
+    if (!winner || !home || !away) continue;
+    results.set(pairKey(home, away), winner);
+    completed.push({ round: gameRound(game), home_team: home, away_team: away, winner });
+  }
+
+  // Only playoff weeks: a regular-season meeting of two playoff teams says
+  // nothing about who hosts them in January.
+  const ensemble = new Map();
+  for (const pred of roundForWeek(season, week) ? predictions || [] : []) {
+    if (Number(pred.week) !== Number(week)) continue;
+    const prob = num(pred.forecast_hybrid_v2 ?? pred.probs?.blended ?? pred.forecast, NaN);
+    if (Number.isFinite(prob)) ensemble.set(`${normTeam(pred.home_team)}|${normTeam(pred.away_team)}`, prob);
+  }
+  const winProb = (home, away, { neutral }) => {
+    if (ensemble.has(`${home}|${away}`)) return ensemble.get(`${home}|${away}`);
+    if (ensemble.has(`${away}|${home}`)) return 1 - ensemble.get(`${away}|${home}`);
+    return sigmoid((neutral ? 0 : homeEdge) + num(ratings.get(home)) - num(ratings.get(away)));
+  };
+  const playoffTeams = new Set([...seeds.AFC, ...seeds.NFC]);
+  const ensembleGames = [...ensemble.keys()].filter((key) =>
+    key.split("|").every((team) => playoffTeams.has(team))
+  ).length;
+
+  return {
+    season: Number(season),
+    week: Number(week),
+    round: roundForWeek(season, week),
+    generated_at: new Date().toISOString(),
+    playoff_format: { teams_per_conference: format.teams, byes: format.byes },
+    bt_home_edge: round(homeEdge),
+    seeds: { AFC: seeds.AFC, NFC: seeds.NFC },
+    games: { completed: completed.length, ensemble: ensembleGames },
+    completed,
+    teams: bracketProbabilities(seeds, format, winProb, results)
+  };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Build the bracket from the artifacts for a season/week and write
+ * bracket_<season>_W<week>.json.
+ * @param {{ season: number, week: number, schedules?: Array<object> }} options
+ * @returns {Promise<{ file: string, payload: object }>}
+ */
+export async function runBracketPredictions({ season, week, schedules } = {}) {
+  const artDir = artifactsRoot();
+  const stamp = `${season}_W${String(week).padStart(2, "0")}`;
+  const modelFile = path.join(artDir, `model_${stamp}.json`);
+  if (!fs.existsSync(modelFile)) {
+    throw new Error(`model_${stamp}.json not found in ${artDir}`);
+  }
+  const model = readJson(modelFile);
+  if (!model?.bt?.coefficients) throw new Error(`model_${stamp}.json has no BT coefficients`);
+  const predictionsFile = path.join(artDir, `predictions_${stamp}.json`);
+
+  const payload = buildBracket({
+    season,
+    week,
+    schedules: schedules ?? (await loadSchedules(season)),
+    predictions: fs.existsSync(predictionsFile) ? readJson(predictionsFile) : [],
+    bt: model.bt,
+    btRows: loadBtRows(artDir, season, week)
+  });
+  validateArtifact("bracket", payload);
+  const file = path.join(artDir, `bracket_${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+  return { file, payload };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      season: { type: "string" },
+      week: { type: "string" }
+    },
+    allowPositionals: true
+  });
+  const season = Number(values.season ?? process.env.SEASON);
+  const week = Number(values.week ?? process.env.WEEK);
+  if (!Number.isInteger(season) || !Number.isInteger(week) || week < 1) {
+    console.error("[postseason] Provide --season and --week (or SEASON / WEEK).");
+    process.exit(1);
+  }
+  runBracketPredictions({ season, week })
+    .then(({ file, payload }) => {
+      const favourite = [...payload.teams].sort((a, b) => b.win_super_bowl - a.win_super_bowl)[0];
+      console.log(
+        `[postseason] ${payload.completed.length} playoff games final, favourite ${favourite?.team} ` +
+          `(${favourite?.win_super_bowl}) -> ${path.basename(file)}`
+      );
+    })
+    .catch((err) => {
+      console.error(`[postseason] ${err?.message || err}`);
+      process.exit(1);
+    });
+}
+
+export default {
+  POSTSEASON_ROUNDS,
+  postseasonWeek,
+  roundForWeek,
+  gameRound,
+  isPostseasonGame,
+  includeScheduleGame,
+  isNeutralSite,
+  conferenceBracket,
+  bracketProbabilities,
+  buildBracket,
+  runBracketPredictions
+};
@@ -0,0 +1,401 @@
+// trainer/seasonSim.js
+// Monte Carlo season simulator: playoff odds and win totals for every team.
+//
+// Completed games are locked in from the schedule. The predicted week uses the
+// ensemble probabilities in predictions_<season>_W<week>.json, and every later
+// week is extrapolated from Bradley-Terry team ratings derived from the BT head
+// in model_<season>_W<week>.json. Writes season_sim_<season>_W<week>.json.
+//
+// Usage: node trainer/seasonSim.js --season 2025 --week 10 [--iterations 10000] [--seed 7]
+// (SEASON / WEEK / SIM_ITERATIONS environment variables work as well.)
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { loadSchedules } from "./dataSources.js";
+import { getTeamDivision, isDivisionalGame, isConferenceGame } from "./nflReference.js";
+import { createStandings, recordGame, seedConference, playoffFormat } from "./standings.js";
+import { normalizeTeam } from "./franchises.js";
+import { validateArtifact } from "./schemaValidator.js";
+import { artifactsRoot } from "./utils/paths.js";
+
+export { playoffFormat };
+
+export const DEFAULT_SIM_ITERATIONS = 10000;
+const DEFAULT_SEED = 7;
+
+const isReg = (v) => {
+  if (v == null) return true;
+  const s = String(v).trim().toUpperCase();
+  return s === "" || s.startsWith("REG");
+};
+
+const num = (v, d = 0) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : d;
+};
+
+const normTeam = (value) => normalizeTeam(value, { source: "seasonSim" });
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+const round = (value, digits = 4) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+function seededRng(seed = DEFAULT_SEED) {
+  let state = seed >>> 0;
+  return () => {
+    state = (1664525 * state + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+function finalScore(g) {
+  const hs = g.home_score ?? g.home_points ?? g.home_pts;
+  const as = g.away_score ?? g.away_points ?? g.away_pts;
+  if (hs == null || as == null || hs === "" || as === "") return null;
+  const h = Number(hs);
+  const a = Number(as);
+  return Number.isFinite(h) && Number.isFinite(a) ? { home: h, away: a } : null;
+}
+
+/**
+ * Per-team Bradley-Terry ratings from the BT head of a model summary.
+ *
+ * The BT logit is linear in standardized home-minus-away differentials, so it
+ * splits into a team term w_j * x_j / sd_j per feature plus a constant home
+ * edge. Team inputs come from the most recent home_context/away_context seen
+ * for each team in bt_features rows.
+ *
+ * @param {{ coefficients: number[], intercept: number, scaler: { mu: number[], sd: number[] }, features: string[] }} bt
+ * @param {Array<object>} btRows - bt_features rows, oldest first
+ * @returns {{ homeEdge: number, ratings: Map<string, number> }}
+ */
+export function teamRatingsFromBT(bt, btRows = []) {
+  const features = Array.isArray(bt?.features) ? bt.features : [];
+  const w = Array.isArray(bt?.coefficients) ? bt.coefficients : [];
+  const mu = bt?.scaler?.mu || [];
+  const sd = bt?.scaler?.sd || [];
+
+  let homeEdge = num(bt?.intercept);
+  const terms = [];
+  features.forEach((name, j) => {
+    const scale = num(sd[j], 1) || 1;
+    homeEdge -= (num(w[j]) * num(mu[j])) / scale;
+    // Trend features have no per-team level; they only shift the constant.
+    const key = String(name).replace(/^diff_/, "");
+    if (key === name || key.endsWith("_trend")) return;
+    terms.push({ key, coef: num(w[j]) / scale });
+  });
+
+  const latest = new Map();
+  for (const row of btRows) {
+    const home = normTeam(row?.home_team);
+    const away = normTeam(row?.away_team);
+    if (home && row.home_context) latest.set(home, row.home_context);
+    if (away && row.away_context) latest.set(away, row.away_context);
+  }
+
+  const ratings = new Map();
+  for (const [team, ctx] of latest) {
+    ratings.set(team, terms.reduce((s, { key, coef }) => s + coef * num(ctx[key]), 0));
+  }
+  // Centre ratings so an unknown team (rating 0) is league average.
+  const mean = ratings.size ? [...ratings.values()].reduce((s, v) => s + v, 0) / ratings.size : 0;
+  for (const [team, value] of ratings) ratings.set(team, value - mean);
+  return { homeEdge, ratings };
+}
+
+function percentileFromCounts(counts, total, pct) {
+  let cum = 0;
+  for (let w = 0; w < counts.length; w++) {
+    cum += counts[w];
+    if (cum / total >= pct) return w / 2;
+  }
+  return (counts.length - 1) / 2;
+}
+
+/**
+ * Simulate the rest of a regular season.
+ * @param {object} params
+ * @param {number} params.season
+ * @param {number} params.week - Predicted week; earlier games must be final
+ * @param {Array<object>} params.schedules - Schedule rows (loadSchedules)
+ * @param {Array<object>} [params.predictions] - Ensemble predictions for `week`
+ * @param {object} params.bt - BT block of model_<season>_W<week>.json
+ * @param {Array<object>} [params.btRows] - bt_features rows for the season to date
+ * @param {number} [params.iterations]
+ * @param {number} [params.seed]
+ * @returns {object} season_sim payload
+ */
+export function simulateSeason({
+  season,
+  week,
+  schedules = [],
+  predictions = [],
+  bt,
+  btRows = [],
+  iterations = DEFAULT_SIM_ITERATIONS,
+  seed = DEFAULT_SEED
+}) {
+  const format = playoffFormat(season);
+  const { homeEdge, ratings } = teamRatingsFromBT(bt, btRows);
+  const rng = seededRng(seed);
+
+  const ensemble = new Map();
+  for (const pred of predictions || []) {
+    if (Number(pred.week) !== Number(week)) continue;
+    const prob = num(pred.forecast_hybrid_v2 ?? pred.probs?.blended ?? pred.forecast, NaN);
+    if (Number.isFinite(prob)) ensemble.set(`${normTeam(pred.home_team)}|${normTeam(pred.away_team)}`, prob);
+  }
+
+  const games = (schedules || []).filter((g) => Number(g.season) === Number(season) && isReg(g.season_type ?? g.game_type));
+  const teams = new Set();
+  const base = new Map();
+  const completed = [];
+  const pending = [];
+  const sources = { completed: 0, ensemble: 0, bt: 0 };
+  for (const g of games) {
+    const home = normTeam(g.home_team);
+    const away = normTeam(g.away_team);
+    if (!home || !away) continue;
+    teams.add(home);
+    teams.add(away);
+    const score = finalScore(g);
+    if (score) {
+      sources.completed += 1;
+      const hw = score.home > score.away ? 1 : score.home === score.away ? 0.5 : 0;
+      base.set(home, num(base.get(home)) + hw);
+      base.set(away, num(base.get(away)) + (1 - hw));
+      completed.push({
+        home,
+        away,
+        homeScore: score.home,
+        awayScore: score.away,
+        division: isDivisionalGame(home, away),
+        conference: isConferenceGame(home, away)
+      });
+      continue;
+    }
+    const key = `${home}|${away}`;
+    let prob;
+    if (Number(g.week) <= Number(week) && ensemble.has(key)) {
+      prob = ensemble.get(key);
+      sources.ensemble += 1;
+    } else {
+      const neutral = g.location === "Neutral" || Number(g.neutral_site) === 1;
+      prob = sigmoid((neutral ? 0 : homeEdge) + num(ratings.get(home)) - num(ratings.get(away)));
+      sources.bt += 1;
+    }
+    pending.push({
+      home,
+      away,
+      prob,
+      homeScore: null,
+      awayScore: null,
+      division: isDivisionalGame(home, away),
+      conference: isConferenceGame(home, away)
+    });
+  }
+
+  const teamList = [...teams].sort();
+  const info = new Map(
+    teamList.map((team) => {
+      const div = getTeamDivision(team);
+      return [team, { conference: div?.conference ?? null, division: div?.division ?? null }];
+    })
+  );
+  const played = new Map(teamList.map((t) => [t, 0]));
+  for (const g of games) {
+    const home = normTeam(g.home_team);
+    const away = normTeam(g.away_team);
+    if (home && away) {
+      played.set(home, played.get(home) + 1);
+      played.set(away, played.get(away) + 1);
+    }
+  }
+
+  const maxHalfWins = 2 * Math.max(0, ...played.values());
+  const tallies = new Map(
+    teamList.map((t) => [
+      t,
+      {
+        winCounts: new Array(maxHalfWins + 1).fill(0),
+        winSum: 0,
+        division: 0,
+        playoffs: 0,
+        bye: 0,
+        seeds: new Array(format.teams).fill(0)
+      }
+    ])
+  );
+  const conferences = [...new Set(teamList.map((team) => info.get(team).conference).filter(Boolean))];
+
+  // Simulated games carry no margin, so points-based tiebreakers fall through
+  // to the coin toss (drawn from the simulation rng).
+  for (let it = 0; it < iterations; it++) {
+    const standings = createStandings();
+    for (const game of completed) recordGame(standings, game);
+    for (const game of pending) {
+      const homeWins = rng() < game.prob;
+      game.homeScore = homeWins ? 1 : 0;
+      game.awayScore = homeWins ? 0 : 1;
+      recordGame(standings, game);
+    }
+    for (const team of teamList) {
+      const rec = standings.teams.get(team);
+      const w = rec ? rec.wins + 0.5 * rec.ties : 0;
+      const tally = tallies.get(team);
+      tally.winCounts[Math.round(w * 2)] += 1;
+      tally.winSum += w;
+    }
+    for (const conference of conferences) {
+      const { divisionWinners, seeds } = seedConference(standings, conference, { format, rng });
+      for (const team of divisionWinners) tallies.get(team).division += 1;
+      seeds.forEach((team, idx) => {
+        const tally = tallies.get(team);
+        tally.playoffs += 1;
+        tally.seeds[idx] += 1;
+        if (idx < format.byes) tally.bye += 1;
+      });
+    }
+  }
+
+  const summary = teamList.map((team) => {
+    const tally = tallies.get(team);
+    const distribution = {};
+    tally.winCounts.forEach((count, halfWins) => {
+      if (count) distribution[String(halfWins / 2)] = round(count / iterations);
+    });
+    const baseWins = num(base.get(team));
+    return {
+      team,
+      conference: info.get(team).conference,
+      division: info.get(team).division,
+      rating: round(num(ratings.get(team))),
+      current_wins: baseWins,
+      games: played.get(team),
+      projected_wins: {
+        mean: round(tally.winSum / iterations, 2),
+        p10: percentileFromCounts(tally.winCounts, iterations, 0.1),
+        p50: percentileFromCounts(tally.winCounts, iterations, 0.5),
+        p90: percentileFromCounts(tally.winCounts, iterations, 0.9)
+      },
+      win_distribution: distribution,
+      division_title: round(tally.division / iterations),
+      playoffs: round(tally.playoffs / iterations),
+      bye: round(tally.bye / iterations),
+      seed_odds: Object.fromEntries(tally.seeds.map((count, idx) => [String(idx + 1), round(count / iterations)]))
+    };
+  });
+  summary.sort(
+    (a, b) =>
+      String(a.division).localeCompare(String(b.division)) ||
+      b.projected_wins.mean - a.projected_wins.mean ||
+      a.team.localeCompare(b.team)
+  );
+
+  return {
+    season: Number(season),
+    week: Number(week),
+    generated_at: new Date().toISOString(),
+    iterations,
+    seed,
+    playoff_format: { teams_per_conference: format.teams, byes: format.byes },
+    games: { ...sources, remaining: pending.length },
+    bt_home_edge: round(homeEdge),
+    teams: summary
+  };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * BT feature rows for weeks 1..week of a season from bt_features_<season>_W<week>.json.
+ * @param {string} artDir
+ * @param {number} season
+ * @param {number} week
+ * @returns {Array<object>}
+ */
+export function loadBtRows(artDir, season, week) {
+  const rows = [];
+  for (let w = 1; w <= week; w++) {
+    const file = path.join(artDir, `bt_features_${season}_W${String(w).padStart(2, "0")}.json`);
+    if (!fs.existsSync(file)) continue;
+    const data = readJson(file);
+    if (Array.isArray(data)) rows.push(...data);
+  }
+  return rows;
+}
+
+/**
+ * Run the simulator against the artifacts for a season/week and write
+ * season_sim_<season>_W<week>.json.
+ * @param {{ season: number, week: number, iterations?: number, seed?: number, schedules?: Array<object> }} options
+ * @returns {Promise<{ file: string, payload: object }>}
+ */
+export async function runSeasonSimulation({ season, week, iterations, seed, schedules } = {}) {
+  const artDir = artifactsRoot();
+  const stamp = `${season}_W${String(week).padStart(2, "0")}`;
+  const modelFile = path.join(artDir, `model_${stamp}.json`);
+  if (!fs.existsSync(modelFile)) {
+    throw new Error(`model_${stamp}.json not found in ${artDir}`);
+  }
+  const model = readJson(modelFile);
+  if (!model?.bt?.coefficients) throw new Error(`model_${stamp}.json has no BT coefficients`);
+  const predictionsFile = path.join(artDir, `predictions_${stamp}.json`);
+  const predictions = fs.existsSync(predictionsFile) ? readJson(predictionsFile) : [];
+
+  const payload = simulateSeason({
+    season,
+    week,
+    schedules: schedules ?? (await loadSchedules(season)),
+    predictions,
+    bt: model.bt,
+    btRows: loadBtRows(artDir, season, week),
+    iterations: iterations ?? DEFAULT_SIM_ITERATIONS,
+    seed: seed ?? DEFAULT_SEED
+  });
+  validateArtifact("season_sim", payload);
+  const file = path.join(artDir, `season_sim_${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+  return { file, payload };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      season: { type: "string" },
+      week: { type: "string" },
+      iterations: { type: "string" },
+      seed: { type: "string" }
+    },
+    allowPositionals: true
+  });
+  const season = Number(values.season ?? process.env.SEASON);
+  const week = Number(values.week ?? process.env.WEEK);
+  const iterations = Number(values.iterations ?? process.env.SIM_ITERATIONS ?? DEFAULT_SIM_ITERATIONS);
+  if (!Number.isInteger(season) || !Number.isInteger(week) || week < 1) {
+    console.error("[seasonSim] Provide --season and --week (or SEASON / WEEK).");
+    process.exit(1);
+  }
+  runSeasonSimulation({
+    season,
+    week,
+    iterations: Number.isInteger(iterations) && iterations > 0 ? iterations : DEFAULT_SIM_ITERATIONS,
+    seed: values.seed != null ? Number(values.seed) : undefined
+  })
+    .then(({ file, payload }) => {
+      console.log(
+        `[seasonSim] ${payload.iterations} seasons, ${payload.games.remaining} games remaining -> ${path.basename(file)}`
+      );
+    })
+    .catch((err) => {
+      console.error(`[seasonSim] ${err?.message || err}`);
+      process.exit(1);
+    });
+}
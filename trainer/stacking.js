@@ -0,0 +1,139 @@
+// trainer/stacking.js
+// Stacked blending: a ridge-penalized logistic meta-model fitted on the
+// members' out-of-fold probabilities, as an alternative to grid-searching
+// convex blend weights.
+//
+// Members enter as logits. Optional context features (STACKING_CONTEXT) enter
+// on their own and multiplied into every member logit, so how much a member
+// counts can change with the week or with whether a market line exists. The
+// fitted spec goes into the model artifact's ensemble block and is scored by
+// modelRuntime.js, which also owns the feature layout (stackingFeatures).
+
+import { Matrix, solve } from "ml-matrix";
+import { stackingFeatureNames, stackingFeatures, stackedProbability } from "./modelRuntime.js";
+
+export const BLEND_MODES = ["grid", "stacking"];
+export const STACKING_CONTEXT = ["week", "market"];
+export const STACKING_DEFAULTS = Object.freeze({ l2: 1, context: [], iterations: 50 });
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Validate and default the stacking settings.
+ * @param {{ context?: string[], l2?: number }} [settings]
+ * @returns {{ context: string[], l2: number }}
+ */
+export function resolveStackingSettings({ context, l2 } = {}) {
+  const names = context ?? STACKING_DEFAULTS.context;
+  const unknown = names.filter((name) => !STACKING_CONTEXT.includes(name));
+  if (unknown.length) {
+    throw new Error(`unknown stacking context ${unknown.join(", ")} (expected ${STACKING_CONTEXT.join(", ")})`);
+  }
+  const penalty = Number(l2 ?? STACKING_DEFAULTS.l2);
+  if (!Number.isFinite(penalty) || penalty < 0) throw new Error(`stacking l2 must be >= 0, got ${l2}`);
+  return { context: [...new Set(names)], l2: penalty };
+}
+
+/**
+ * Fit the meta-model by Newton (IRLS) steps; the intercept is not penalized.
+ * @param {object} options
+ * @param {string[]} options.members - blend members (and "market"), in feature order
+ * @param {string[]} [options.context] - STACKING_CONTEXT names
+ * @param {Array<Record<string, number|null>>} options.probs - out-of-fold member probabilities per row
+ * @param {Array<Record<string, number>>} options.contexts - stackingContext per row
+ * @param {number[]} options.labels
+ * @param {number} [options.l2]
+ * @param {number} [options.iterations]
+ * @returns {{ members: string[], context: string[], features: string[], coefficients: number[], intercept: number, l2: number, n: number }}
+ */
+export function fitStacking({ members, context = [], probs, contexts, labels, l2 = STACKING_DEFAULTS.l2, iterations = STACKING_DEFAULTS.iterations }) {
+  const spec = { members: [...members], context: [...context] };
+  const features = stackingFeatureNames(spec);
+  const dim = features.length + 1;
+  const rows = labels.map((_, i) => [1, ...stackingFeatures(spec, probs[i], contexts[i])]);
+  const beta = new Array(dim).fill(0);
+  const n = labels.length;
+  if (n) {
+    const mean = Math.min(1 - 1e-6, Math.max(1e-6, labels.reduce((s, v) => s + v, 0) / n));
+    beta[0] = Math.log(mean / (1 - mean));
+  }
+  for (let iter = 0; n && iter < iterations; iter++) {
+    const gradient = beta.map((b, j) => (j ? l2 * b : 0));
+    const hessian = Array.from({ length: dim }, (_, j) => Array.from({ length: dim }, (_, k) => (j === k && j ? l2 : 0)));
+    for (let i = 0; i < n; i++) {
+      const row = rows[i];
+      let z = 0;
+      for (let j = 0; j < dim; j++) z += beta[j] * row[j];
+      const p = sigmoid(z);
+      const w = Math.max(p * (1 - p), 1e-9);
+      for (let j = 0; j < dim; j++) {
+        gradient[j] += (p - labels[i]) * row[j];
+        for (let k = 0; k <= j; k++) hessian[j][k] += w * row[j] * row[k];
+      }
+    }
+    for (let j = 0; j < dim; j++) for (let k = j + 1; k < dim; k++) hessian[j][k] = hessian[k][j];
+    let step;
+    try {
+      step = solve(new Matrix(hessian), Matrix.columnVector(gradient)).to1DArray();
+    } catch (err) {
+      break;
+    }
+    if (!step.every(Number.isFinite)) break;
+    let largest = 0;
+    for (let j = 0; j < dim; j++) {
+      beta[j] -= step[j];
+      largest = Math.max(largest, Math.abs(step[j]));
+    }
+    if (largest < 1e-8) break;
+  }
+  return { ...spec, features, coefficients: beta.slice(1), intercept: beta[0], l2, n };
+}
+
+/**
+ * Out-of-fold meta-model probabilities: each fold is scored by a meta-model
+ * fitted on the other folds, so the ensemble's metrics and calibration are not
+ * fitted to the rows they are measured on.
+ * @param {object} options - fitStacking options plus `folds` (validation index sets)
+ * @returns {number[]}
+ */
+export function crossFitStacking({ folds = [], probs, contexts, labels, ...settings }) {
+  const out = new Array(labels.length).fill(0.5);
+  if (folds.length < 2) {
+    const model = fitStacking({ ...settings, probs, contexts, labels });
+    return labels.map((_, i) => stackedProbability(model, probs[i], contexts[i]));
+  }
+  for (const valIdx of folds) {
+    const held = new Set(valIdx);
+    const trainIdx = labels.map((_, i) => i).filter((i) => !held.has(i));
+    const model = fitStacking({
+      ...settings,
+      probs: trainIdx.map((i) => probs[i]),
+      contexts: trainIdx.map((i) => contexts[i]),
+      labels: trainIdx.map((i) => labels[i])
+    });
+    for (const i of valIdx) out[i] = stackedProbability(model, probs[i], contexts[i]);
+  }
+  return out;
+}
+
+/**
+ * Coefficients by feature name, for diagnostics.
+ * @param {{ features: string[], coefficients: number[], intercept: number }} model
+ * @returns {Record<string, number>}
+ */
+export function namedCoefficients(model) {
+  return Object.fromEntries([
+    ["intercept", model.intercept],
+    ...model.features.map((name, j) => [name, model.coefficients[j]])
+  ]);
+}
+
+export default {
+  BLEND_MODES,
+  STACKING_CONTEXT,
+  STACKING_DEFAULTS,
+  resolveStackingSettings,
+  fitStacking,
+  crossFitStacking,
+  namedCoefficients
+};
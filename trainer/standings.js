@@ -0,0 +1,424 @@
+// trainer/standings.js
+// Regular-season standings and the NFL tiebreaking procedure for division
+// titles, wild cards and playoff seeding, computed from schedule rows.
+//
+// Division ties (two or more clubs):
+//   head-to-head, division record, common games, conference record,
+//   strength of victory, strength of schedule, combined ranking (conference,
+//   then league) in points scored/allowed, net points in common games, net
+//   points in all games, coin toss.
+// Wild-card ties:
+//   only the highest-ranked club from each division takes part; then
+//   head-to-head (two clubs, if they met) or a sweep (three or more),
+//   conference record, common games (minimum of four), strength of victory,
+//   strength of schedule, combined ranking, net points in conference games,
+//   net points in all games, coin toss.
+// Whenever a step separates some but not all clubs, the survivors restart at
+// the first step. Net touchdowns are not available from schedule rows and are
+// skipped.
+
+import { getTeamDivision, isDivisionalGame, isConferenceGame } from "./nflReference.js";
+import { normalizeTeam } from "./franchises.js";
+
+const EPS = 1e-9;
+
+const isReg = (v) => {
+  if (v == null) return true;
+  const s = String(v).trim().toUpperCase();
+  return s === "" || s.startsWith("REG");
+};
+
+const normTeam = (value) => normalizeTeam(value, { source: "standings" });
+
+const score = (value) => {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Playoff field size by season: 7 clubs and one bye per conference since 2020,
+ * 6 clubs and two byes before that.
+ * @param {number} season
+ * @returns {{ teams: number, byes: number }}
+ */
+export function playoffFormat(season) {
+  return Number(season) >= 2020 ? { teams: 7, byes: 1 } : { teams: 6, byes: 2 };
+}
+
+/**
+ * Empty standings table.
+ * @returns {{ teams: Map<string, object> }}
+ */
+export function createStandings() {
+  return { teams: new Map() };
+}
+
+function ensureTeam(standings, team) {
+  let rec = standings.teams.get(team);
+  if (!rec) {
+    const info = getTeamDivision(team);
+    rec = {
+      team,
+      conference: info?.conference ?? null,
+      division: info?.division ?? null,
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      points_for: 0,
+      points_against: 0,
+      games: []
+    };
+    standings.teams.set(team, rec);
+  }
+  return rec;
+}
+
+/**
+ * Add one final score to the standings. Callers replaying the same games many
+ * times can pass precomputed division/conference flags.
+ * @param {{ teams: Map<string, object> }} standings
+ * @param {{ home: string, away: string, homeScore: number, awayScore: number, division?: boolean, conference?: boolean }} game
+ */
+export function recordGame(standings, { home, away, homeScore, awayScore, division: isDivision, conference: isConference }) {
+  const h = ensureTeam(standings, home);
+  const a = ensureTeam(standings, away);
+  const homeResult = homeScore > awayScore ? 1 : homeScore === awayScore ? 0.5 : 0;
+  const division = isDivision ?? isDivisionalGame(home, away);
+  const conference = isConference ?? isConferenceGame(home, away);
+  for (const [rec, opp, result, pf, pa] of [
+    [h, away, homeResult, homeScore, awayScore],
+    [a, home, 1 - homeResult, awayScore, homeScore]
+  ]) {
+    if (result === 1) rec.wins += 1;
+    else if (result === 0) rec.losses += 1;
+    else rec.ties += 1;
+    rec.points_for += pf;
+    rec.points_against += pa;
+    rec.games.push({ opponent: opp, result, pf, pa, division, conference });
+  }
+}
+
+/**
+ * Build standings from schedule rows, counting only regular-season games with
+ * final scores.
+ * @param {Array<object>} schedules - Schedule rows (loadSchedules)
+ * @param {{ season?: number }} [options]
+ * @returns {{ teams: Map<string, object> }}
+ */
+export function buildStandings(schedules = [], { season } = {}) {
+  const standings = createStandings();
+  for (const g of schedules || []) {
+    if (season != null && Number(g.season) !== Number(season)) continue;
+    if (!isReg(g.season_type ?? g.game_type)) continue;
+    const home = normTeam(g.home_team);
+    const away = normTeam(g.away_team);
+    const homeScore = score(g.home_score ?? g.home_points ?? g.home_pts);
+    const awayScore = score(g.away_score ?? g.away_points ?? g.away_pts);
+    if (!home || !away || homeScore == null || awayScore == null) continue;
+    recordGame(standings, { home, away, homeScore, awayScore });
+  }
+  return standings;
+}
+
+/**
+ * Won-lost-tied percentage with ties counted as half a win.
+ * @param {{ wins: number, losses: number, ties: number }} rec
+ * @returns {number}
+ */
+export function winPct(rec) {
+  const games = rec.wins + rec.losses + rec.ties;
+  return games ? (rec.wins + 0.5 * rec.ties) / games : 0;
+}
+
+const pctOf = (games) => (games.length ? games.reduce((s, g) => s + g.result, 0) / games.length : 0);
+
+function createContext(standings, rng) {
+  return { standings, rng, rankCache: new Map() };
+}
+
+const recOf = (ctx, team) => ctx.standings.teams.get(team);
+
+function gamesVs(ctx, team, opponents) {
+  return recOf(ctx, team).games.filter((g) => opponents.has(g.opponent));
+}
+
+function commonOpponents(ctx, group) {
+  const sets = group.map((team) => new Set(recOf(ctx, team).games.map((g) => g.opponent)));
+  const members = new Set(group);
+  return new Set([...sets[0]].filter((opp) => !members.has(opp) && sets.every((s) => s.has(opp))));
+}
+
+function combinedRecord(ctx, opponents) {
+  let won = 0;
+  let played = 0;
+  for (const opp of opponents) {
+    const rec = recOf(ctx, opp);
+    if (!rec) continue;
+    won += rec.wins + 0.5 * rec.ties;
+    played += rec.wins + rec.losses + rec.ties;
+  }
+  return played ? won / played : 0;
+}
+
+// Lower combined rank is better, so scores are negated.
+function combinedRanking(ctx, scope) {
+  if (ctx.rankCache.has(scope)) return ctx.rankCache.get(scope);
+  const out = new Map();
+  const byScope = new Map();
+  for (const rec of ctx.standings.teams.values()) {
+    const key = scope === "league" ? "league" : rec.conference;
+    if (!byScope.has(key)) byScope.set(key, []);
+    byScope.get(key).push(rec);
+  }
+  for (const recs of byScope.values()) {
+    const rank = (value) => {
+      const sorted = recs.map(value).sort((a, b) => b - a);
+      return (rec) => 1 + sorted.findIndex((v) => v === value(rec));
+    };
+    const scored = rank((r) => r.points_for);
+    const allowed = rank((r) => -r.points_against);
+    for (const rec of recs) out.set(rec.team, -(scored(rec) + allowed(rec)));
+  }
+  ctx.rankCache.set(scope, out);
+  return out;
+}
+
+const scoresBy = (group, fn) => new Map(group.map((team) => [team, fn(team)]));
+
+const STEPS = {
+  headToHead(group, ctx) {
+    const members = new Set(group);
+    const games = group.map((team) => gamesVs(ctx, team, members));
+    if (games.some((g) => !g.length)) return null;
+    return scoresBy(group, (team) => pctOf(gamesVs(ctx, team, members)));
+  },
+  headToHeadSweep(group, ctx) {
+    const beatAll = (team, wantResult) =>
+      group.every((other) => {
+        if (other === team) return true;
+        const games = gamesVs(ctx, team, new Set([other]));
+        return games.length > 0 && games.every((g) => g.result === wantResult);
+      });
+    const sweeper = group.find((team) => beatAll(team, 1));
+    if (sweeper) return scoresBy(group, (team) => (team === sweeper ? 1 : 0));
+    const swept = group.find((team) => beatAll(team, 0));
+    if (swept) return scoresBy(group, (team) => (team === swept ? 0 : 1));
+    return null;
+  },
+  division(group, ctx) {
+    return scoresBy(group, (team) => pctOf(recOf(ctx, team).games.filter((g) => g.division)));
+  },
+  conference(group, ctx) {
+    return scoresBy(group, (team) => pctOf(recOf(ctx, team).games.filter((g) => g.conference)));
+  },
+  commonGames(group, ctx) {
+    const common = commonOpponents(ctx, group);
+    return scoresBy(group, (team) => pctOf(gamesVs(ctx, team, common)));
+  },
+  commonGamesMinFour(group, ctx) {
+    const common = commonOpponents(ctx, group);
+    if (group.some((team) => gamesVs(ctx, team, common).length < 4)) return null;
+    return scoresBy(group, (team) => pctOf(gamesVs(ctx, team, common)));
+  },
+  strengthOfVictory(group, ctx) {
+    return scoresBy(group, (team) =>
+      combinedRecord(ctx, recOf(ctx, team).games.filter((g) => g.result === 1).map((g) => g.opponent))
+    );
+  },
+  strengthOfSchedule(group, ctx) {
+    return scoresBy(group, (team) => combinedRecord(ctx, recOf(ctx, team).games.map((g) => g.opponent)));
+  },
+  rankConference(group, ctx) {
+    const ranks = combinedRanking(ctx, "conference");
+    return scoresBy(group, (team) => ranks.get(team));
+  },
+  rankLeague(group, ctx) {
+    const ranks = combinedRanking(ctx, "league");
+    return scoresBy(group, (team) => ranks.get(team));
+  },
+  netPointsCommon(group, ctx) {
+    const common = commonOpponents(ctx, group);
+    return scoresBy(group, (team) => gamesVs(ctx, team, common).reduce((s, g) => s + g.pf - g.pa, 0));
+  },
+  netPointsConference(group, ctx) {
+    return scoresBy(group, (team) =>
+      recOf(ctx, team)
+        .games.filter((g) => g.conference)
+        .reduce((s, g) => s + g.pf - g.pa, 0)
+    );
+  },
+  netPointsAll(group, ctx) {
+    return scoresBy(group, (team) => recOf(ctx, team).points_for - recOf(ctx, team).points_against);
+  }
+};
+
+const DIVISION_STEPS = [
+  STEPS.headToHead,
+  STEPS.division,
+  STEPS.commonGames,
+  STEPS.conference,
+  STEPS.strengthOfVictory,
+  STEPS.strengthOfSchedule,
+  STEPS.rankConference,
+  STEPS.rankLeague,
+  STEPS.netPointsCommon,
+  STEPS.netPointsAll
+];
+
+const WILD_CARD_TAIL = [
+  STEPS.conference,
+  STEPS.commonGamesMinFour,
+  STEPS.strengthOfVictory,
+  STEPS.strengthOfSchedule,
+  STEPS.rankConference,
+  STEPS.rankLeague,
+  STEPS.netPointsConference,
+  STEPS.netPointsAll
+];
+const WILD_CARD_TWO = [STEPS.headToHead, ...WILD_CARD_TAIL];
+const WILD_CARD_MULTI = [STEPS.headToHeadSweep, ...WILD_CARD_TAIL];
+
+function coinToss(group, ctx) {
+  if (typeof ctx.rng === "function") return group[Math.floor(ctx.rng() * group.length) % group.length];
+  return [...group].sort()[0];
+}
+
+function bestOfDivisionTie(group, ctx) {
+  if (group.length === 1) return group[0];
+  for (const step of DIVISION_STEPS) {
+    const scores = step(group, ctx);
+    if (!scores) continue;
+    const top = Math.max(...scores.values());
+    const kept = group.filter((team) => scores.get(team) >= top - EPS);
+    if (kept.length < group.length) return bestOfDivisionTie(kept, ctx);
+  }
+  return coinToss(group, ctx);
+}
+
+// Only the highest-ranked club from each division takes part in a wild-card tie.
+function divisionLeaders(group, ctx) {
+  const byDivision = new Map();
+  for (const team of group) {
+    const div = recOf(ctx, team).division;
+    if (!byDivision.has(div)) byDivision.set(div, []);
+    byDivision.get(div).push(team);
+  }
+  return [...byDivision.values()].map((members) => bestOfDivisionTie(members, ctx));
+}
+
+function bestOfWildCardTie(group, ctx) {
+  const leaders = divisionLeaders(group, ctx);
+  if (leaders.length === 1) return leaders[0];
+  const steps = leaders.length === 2 ? WILD_CARD_TWO : WILD_CARD_MULTI;
+  for (const step of steps) {
+    const scores = step(leaders, ctx);
+    if (!scores) continue;
+    const top = Math.max(...scores.values());
+    const kept = leaders.filter((team) => scores.get(team) >= top - EPS);
+    if (kept.length < leaders.length) return bestOfWildCardTie(kept, ctx);
+  }
+  return coinToss(leaders, ctx);
+}
+
+function rankWith(teams, ctx, pickBest, limit = teams.length) {
+  const byPct = [...teams].sort((a, b) => winPct(recOf(ctx, b)) - winPct(recOf(ctx, a)));
+  const out = [];
+  let i = 0;
+  while (i < byPct.length && out.length < limit) {
+    const pct = winPct(recOf(ctx, byPct[i]));
+    let j = i;
+    while (j < byPct.length && Math.abs(winPct(recOf(ctx, byPct[j])) - pct) < EPS) j += 1;
+    const tied = byPct.slice(i, j);
+    while (tied.length && out.length < limit) {
+      const best = tied.length === 1 ? tied[0] : pickBest(tied, ctx);
+      out.push(best);
+      tied.splice(tied.indexOf(best), 1);
+    }
+    i = j;
+  }
+  return out;
+}
+
+/**
+ * Order the clubs of one division using the division tiebreakers.
+ * @param {{ teams: Map<string, object> }} standings
+ * @param {string[]} teams
+ * @param {{ rng?: () => number }} [options] - rng replaces the coin toss (default: alphabetical)
+ * @returns {string[]}
+ */
+export function rankDivision(standings, teams, { rng } = {}) {
+  return rankWith(teams, createContext(standings, rng), bestOfDivisionTie);
+}
+
+/**
+ * Order clubs from different divisions of one conference using the wild-card
+ * tiebreakers (also used to seed division winners).
+ * @param {{ teams: Map<string, object> }} standings
+ * @param {string[]} teams
+ * @param {{ rng?: () => number, limit?: number }} [options]
+ * @returns {string[]}
+ */
+export function rankWildCard(standings, teams, { rng, limit } = {}) {
+  return rankWith(teams, createContext(standings, rng), bestOfWildCardTie, limit ?? teams.length);
+}
+
+/**
+ * Division winners and playoff seeds for one conference.
+ * @param {{ teams: Map<string, object> }} standings
+ * @param {string} conference - "AFC" or "NFC"
+ * @param {{ format?: { teams: number }, rng?: () => number }} [options]
+ * @returns {{ divisionWinners: string[], seeds: string[] }}
+ */
+export function seedConference(standings, conference, { format = playoffFormat(2020), rng } = {}) {
+  const ctx = createContext(standings, rng);
+  const divisions = new Map();
+  for (const rec of standings.teams.values()) {
+    if (rec.conference !== conference) continue;
+    if (!divisions.has(rec.division)) divisions.set(rec.division, []);
+    divisions.get(rec.division).push(rec.team);
+  }
+  const divisionWinners = [...divisions.values()].map(
+    (members) => rankWith(members, ctx, bestOfDivisionTie, 1)[0]
+  );
+  const winners = new Set(divisionWinners);
+  const others = [...standings.teams.values()]
+    .filter((rec) => rec.conference === conference && !winners.has(rec.team))
+    .map((rec) => rec.team);
+  const wildCards = rankWith(others, ctx, bestOfWildCardTie, Math.max(0, format.teams - divisionWinners.length));
+  return {
+    divisionWinners,
+    seeds: [...rankWith(divisionWinners, ctx, bestOfWildCardTie), ...wildCards]
+  };
+}
+
+/**
+ * Playoff seeds for both conferences of a completed (or partial) season.
+ * @param {Array<object>} schedules - Schedule rows
+ * @param {number} season
+ * @param {{ rng?: () => number }} [options]
+ * @returns {{ AFC: string[], NFC: string[], division_winners: { AFC: string[], NFC: string[] } }}
+ */
+export function playoffSeeds(schedules, season, { rng } = {}) {
+  const standings = buildStandings(schedules, { season });
+  const format = playoffFormat(season);
+  const afc = seedConference(standings, "AFC", { format, rng });
+  const nfc = seedConference(standings, "NFC", { format, rng });
+  return {
+    AFC: afc.seeds,
+    NFC: nfc.seeds,
+    division_winners: { AFC: afc.divisionWinners, NFC: nfc.divisionWinners }
+  };
+}
+
+export default {
+  playoffFormat,
+  createStandings,
+  recordGame,
+  buildStandings,
+  winPct,
+  rankDivision,
+  rankWildCard,
+  seedConference,
+  playoffSeeds
+};
@@ -1,5 +1,7 @@
 import { loadSchedules, listDatasetSeasons } from "./dataSources.js";
 import { isStrictBatch, clampSeasonsToStrictBounds } from "./lib/strictBatch.js";
+import { loadFeatureFlags } from "./featureFlags.js";
+import { includeScheduleGame } from "./postseason.js";
 
 const MIN_SEASON = 1999;
 
@@ -8,12 +10,6 @@ function normaliseSeason(value) {
   return Number.isFinite(num) ? num : null;
 }
 
-function isRegularSeason(value) {
-  if (value == null) return true;
-  const str = String(value).trim().toUpperCase();
-  return str === "" || str.startsWith("REG");
-}
-
 function parseScore(value) {
   if (value == null) return null;
   const str = String(value).trim();
@@ -85,9 +81,10 @@ export async function buildSeasonCoverageFromRaw({
     }
     const schedules = await loadSchedules(season).catch(() => []);
     if (!Array.isArray(schedules) || !schedules.length) continue;
+    const postseason = loadFeatureFlags().postseason === true;
     const weeks = new Set();
     for (const game of schedules) {
-      if (!isRegularSeason(game.season_type ?? game.game_type ?? game.game_type2)) continue;
+      if (!includeScheduleGame(game, { postseason })) continue;
       const weekRaw = normaliseSeason(game.week ?? game.week_id);
       if (weekRaw == null || weekRaw <= 0) continue;
       if (!hasFinalScore(game)) continue;
@@ -0,0 +1,128 @@
+// trainer/teamState.js
+// Latest per-team feature state, written alongside model_<season>_W<week>.json
+// so the Worker's POST /predict can rebuild a feature row for any matchup
+// without re-running the feature pipeline.
+//
+// Each team carries its own side of every logistic feature, taken from its most
+// recent feature row. Relative features (`*_minus_opp`, `elo_diff`,
+// `rest_diff`, `diff_*`) hold the team's own component, so a matchup row is the
+// host's value minus the visitor's. Game-context features (roof, weather,
+// market) are not team properties; `context_defaults` gives the neutral value a
+// custom matchup uses unless the caller supplies one.
+
+const RELATIVE_BASE = {
+  elo_diff: "elo_pre",
+  rest_diff: "rest_days"
+};
+
+const CONTEXT_PATTERN = /^(roof_|weather_|market_)/;
+
+// Values a row carries when the game has no market line (see attachMarketFeatures).
+const CONTEXT_FIXED = {
+  market_implied_prob: 0.5,
+  market_available: 0
+};
+
+const finite = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+export const isContextFeature = (feature) => CONTEXT_PATTERN.test(feature);
+
+export const isRelativeFeature = (feature) =>
+  feature in RELATIVE_BASE || feature.endsWith("_minus_opp") || feature.startsWith("diff_");
+
+/**
+ * The team's own component of a feature in one of its feature rows.
+ * @param {object} row - featureBuild row (team perspective, `home` 1 or 0)
+ * @param {string} feature
+ * @returns {number|null}
+ */
+export function teamSideValue(row, feature) {
+  if (feature in RELATIVE_BASE) return finite(row[RELATIVE_BASE[feature]]);
+  if (feature.endsWith("_minus_opp")) return finite(row[feature.slice(0, -"_minus_opp".length)]);
+  if (feature.startsWith("diff_")) {
+    // attachAdvWeeklyDiff stores both sides as home_<k>/away_<k> on every row.
+    const side = row.home === 1 ? "home" : "away";
+    return finite(row[`${side}_${feature.slice("diff_".length)}`]);
+  }
+  return finite(row[feature]);
+}
+
+const latestBy = (rows, keyOf) => {
+  const latest = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!key) continue;
+    const prev = latest.get(key);
+    if (!prev || row.season > prev.season || (row.season === prev.season && row.week >= prev.week)) {
+      latest.set(key, row);
+    }
+  }
+  return latest;
+};
+
+/**
+ * Build the team_state artifact payload.
+ * @param {object} options
+ * @param {number} options.season
+ * @param {number} options.week
+ * @param {string[]} options.features - logistic feature order (FEATS_ENR)
+ * @param {{ mu: number[] }} options.scaler - logistic scaler; context defaults use its means
+ * @param {Array<object>} options.featureRows - team-perspective feature rows
+ * @param {Array<object>} [options.btRows] - BT rows with home_context/away_context
+ * @param {string} [options.featureHash]
+ * @returns {object}
+ */
+export function buildTeamState({ season, week, features, scaler, featureRows = [], btRows = [], featureHash = null }) {
+  const inScope = (row) => row.season < season || (row.season === season && row.week <= week);
+  const rows = latestBy(featureRows.filter(inScope), (row) => row.team);
+
+  const btContexts = new Map();
+  for (const row of btRows.filter(inScope)) {
+    for (const [team, context] of [[row.home_team, row.home_context], [row.away_team, row.away_context]]) {
+      const prev = btContexts.get(team);
+      if (!context || (prev && (prev.season > row.season || (prev.season === row.season && prev.week > row.week)))) continue;
+      btContexts.set(team, { season: row.season, week: row.week, context });
+    }
+  }
+
+  const contextDefaults = {};
+  features.forEach((feature, idx) => {
+    if (!isContextFeature(feature)) return;
+    contextDefaults[feature] = CONTEXT_FIXED[feature] ?? finite(scaler?.mu?.[idx]) ?? 0;
+  });
+
+  const teams = {};
+  for (const [team, row] of [...rows.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const values = {};
+    for (const feature of features) {
+      if (feature === "home" || isContextFeature(feature)) continue;
+      values[feature] = teamSideValue(row, feature);
+    }
+    const bt = btContexts.get(team);
+    teams[team] = {
+      season: row.season,
+      week: row.week,
+      features: values,
+      bt_context: bt ? { ...bt.context } : {}
+    };
+  }
+
+  return {
+    season,
+    week,
+    generated_at: new Date().toISOString(),
+    feature_hash: featureHash,
+    context_defaults: contextDefaults,
+    teams
+  };
+}
+
+export default {
+  isContextFeature,
+  isRelativeFeature,
+  teamSideValue,
+  buildTeamState
+};
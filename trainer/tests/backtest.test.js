@@ -0,0 +1,235 @@
+// trainer/tests/backtest.test.js
+// Walk-forward backtest over a synthetic two-season fixture served from the
+// offline season cache (per-season data snapshots).
+
+import assert from "assert/strict";
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  completedWeeks,
+  createSeasonCache,
+  hyperparamOptions,
+  loadTrainer,
+  pairWithProduction,
+  prepareWorkDir,
+  resolveTrainSeasons,
+  runBacktest,
+  scorePredictions
+} from "../backtest.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, "../..");
+const root = path.join(repoRoot, ".test_artifacts", `backtest-${process.pid}-${Date.now()}`);
+const originalArtifactsDir = process.env.ARTIFACTS_DIR;
+const modelParamsPath = path.join(repoRoot, "config", "modelParams.json");
+
+function fixture(season) {
+  const games = [
+    [1, "NE", "BUF", 24, 20],
+    [1, "KC", "PHI", 17, 21],
+    [2, "NE", "KC", 30, 27],
+    [2, "BUF", "PHI", 10, 14],
+    [3, "NE", "PHI", 28, 31],
+    [3, "BUF", "KC", 24, 17],
+    [4, "KC", "NE", null, null]
+  ];
+  const schedules = games.map(([week, home, away, homeScore, awayScore]) => ({
+    season,
+    week,
+    game_id: `${season}-${week}-${home}-${away}`,
+    home_team: home,
+    away_team: away,
+    home_score: homeScore,
+    away_score: awayScore,
+    season_type: "REG"
+  }));
+  const teamWeekly = [];
+  const teamGame = [];
+  for (const game of schedules.filter((g) => g.home_score != null)) {
+    const base = 350 + game.week * 10 + (season - 2022) * 5;
+    for (const [team, opponent, yards, turnovers, sacks] of [
+      [game.home_team, game.away_team, base, 1, 2],
+      [game.away_team, game.home_team, base - 30, 2, 3]
+    ]) {
+      teamWeekly.push({
+        season,
+        week: game.week,
+        team,
+        opponent,
+        passing_yards: yards - 130,
+        rushing_yards: 130,
+        penalty_yards: 50,
+        turnovers,
+        time_of_possession: "30:00",
+        def_interceptions: 2 - turnovers,
+        def_fumbles: 1
+      });
+      teamGame.push({
+        season,
+        week: game.week,
+        team,
+        third_down_att: 12 + game.week,
+        third_down_conv: 5 + turnovers,
+        red_zone_att: 5,
+        red_zone_td: 3,
+        pass_att: 32,
+        rush_att: 28,
+        sacks_taken: sacks
+      });
+    }
+  }
+  return {
+    schedules,
+    teamWeekly,
+    teamGame,
+    prevTeamWeekly: [],
+    pbp: [],
+    playerWeekly: [],
+    weather: [],
+    injuries: [],
+    snapCounts: [],
+    depthCharts: [],
+    markets: [],
+    availability: { injuries: false }
+  };
+}
+
+async function main() {
+  assert.deepEqual(resolveTrainSeasons(2015, { window: "rolling", windowSize: 3 }), [2012, 2013, 2014]);
+  assert.deepEqual(resolveTrainSeasons(2016, { window: "expanding", trainFrom: 2013 }), [2013, 2014, 2015]);
+  assert.deepEqual(resolveTrainSeasons(2000, { window: "rolling", windowSize: 5 }), [1999]);
+  assert.throws(() => resolveTrainSeasons(2015, { window: "sliding" }), /unknown window/);
+  assert.deepEqual(completedWeeks(fixture(2023).schedules, 2023), [1, 2, 3]);
+
+  const fixed = hyperparamOptions("fixed", { ann: { maxEpochs: 40, dropout: 0.2 }, bt: { gd: { l2: 1e-4 } } });
+  assert.deepEqual(fixed, {
+    tuneHyperparams: false,
+    hyperparams: { bt: { l2: 1e-4 }, ann: { maxEpochs: 40, dropout: 0.2 } }
+  });
+  assert.deepEqual(hyperparamOptions("tuned"), { tuneHyperparams: true });
+
+  // Production pairs only cover games both sides scored.
+  const scored = scorePredictions([
+    { game_id: "a", actual: 1, probs: { logistic: 0.7, tree: 0.6, bt: 0.55, ann: 0.5, blended: 0.65 } },
+    { game_id: "b", actual: 0, probs: { logistic: 0.3, tree: 0.4, bt: 0.45, ann: 0.5, blended: 0.35 } },
+    { game_id: "c", actual: null, probs: { blended: 0.5 } }
+  ]);
+  assert.equal(scored.per_model.blended.n, 2);
+  assert.equal(scored.per_model.decision_tree.accuracy, 1);
+  const pairs = pairWithProduction(scored, [{ game_id: "b", probs: { blended: 0.2 } }]);
+  assert.deepEqual(pairs, { labels: [0], backtest: [0.35], production: [0.2] });
+
+  const cacheDir = path.join(root, "cache");
+  const productionDir = path.join(root, "production");
+  const workDir = path.join(root, "work");
+  mkdirSync(productionDir, { recursive: true });
+  writeFileSync(
+    path.join(productionDir, "predictions_2023_W02.json"),
+    JSON.stringify([
+      { game_id: "2023-W02-NE-KC", probs: { blended: 0.6 } },
+      { game_id: "2023-W02-BUF-PHI", probs: { blended: 0.4 } }
+    ])
+  );
+  const modelParamsBefore = readFileSync(modelParamsPath, "utf8");
+
+  try {
+    // Only a directory a backtest created is ever cleared.
+    const precious = path.join(root, "precious");
+    mkdirSync(precious, { recursive: true });
+    writeFileSync(path.join(precious, "keep.txt"), "keep");
+    assert.throws(() => prepareWorkDir(precious), /not empty and was not created by a backtest/);
+    assert.ok(existsSync(path.join(precious, "keep.txt")));
+    prepareWorkDir(workDir);
+    writeFileSync(path.join(workDir, "model_2023_W01.json"), "{}");
+    prepareWorkDir(workDir);
+    assert.deepEqual(readdirSync(workDir), [".backtest-workdir"]);
+
+    const trainer = await loadTrainer(workDir);
+
+    // The first pass records each season into its own data snapshot; the
+    // backtest then replays the season loader against it offline. The loader
+    // stands in for loadSeasonData, so it only reports which mode it ran under.
+    const { getDataSnapshot } = await import("../dataSources.js");
+    const modes = [];
+    const fetchSeason = async (season) => {
+      const mode = getDataSnapshot();
+      modes.push([season, mode?.recorder ? "record" : mode?.snapshot ? path.basename(mode.snapshot.dir) : "live"]);
+      return fixture(season);
+    };
+    const online = createSeasonCache({ dir: cacheDir, fetchSeason });
+    await online(2022);
+    await online(2023);
+    assert.equal(getDataSnapshot(), null);
+    assert.deepEqual(JSON.parse(readFileSync(path.join(cacheDir, "season_2023", "manifest.json"), "utf8")).seasons, [2023]);
+    const loadSeason = createSeasonCache({ dir: cacheDir, offline: true, fetchSeason });
+    assert.deepEqual(await loadSeason(2023), fixture(2023));
+    assert.deepEqual(modes, [[2022, "record"], [2023, "record"], [2023, "season_2023"]]);
+    await assert.rejects(loadSeason(2021), /no cached data for season 2021/);
+    assert.equal(getDataSnapshot(), null);
+
+    const report = await runBacktest({
+      startSeason: 2023,
+      endSeason: 2023,
+      window: "rolling",
+      windowSize: 1,
+      hyperparams: "fixed",
+      models: { logistic: true, cart: true, bt: true, ann: false },
+      weeks: [2, 3],
+      loadSeason,
+      trainer,
+      productionDir,
+      modelParams: { ann: { maxEpochs: 20, dropout: 0.3 } },
+      trainingOptions: { btBootstrapSamples: 20, annSeeds: 2, annCvMaxEpochs: 10, annCvSeeds: 2, weightStep: 0.1 }
+    });
+
+    assert.equal(report.config.window, "rolling");
+    assert.deepEqual(report.config.fixed_hyperparams, { ann: { maxEpochs: 20, dropout: 0.3 } });
+    assert.equal(report.weeks.length, 2);
+    for (const week of report.weeks) {
+      assert.equal(week.error, undefined, week.error);
+      assert.deepEqual(week.train_seasons, [2022]);
+      assert.equal(week.games, 2);
+      // Three weeks of 2022 plus the earlier weeks of 2023.
+      assert.equal(week.train_rows, 6 + 2 * (week.week - 1));
+      assert.equal(week.blend_weights.ann, 0, "disabled member kept blend weight");
+      assert.ok(Number.isFinite(week.per_model.blended.logloss));
+    }
+    const [w2, w3] = report.weeks;
+    assert.equal(w2.production.n, 2);
+    assert.equal(w2.production.production.logloss, -(Math.log(0.6) + Math.log(0.6)) / 2);
+    assert.equal(w2.production.delta.logloss, w2.production.backtest.logloss - w2.production.production.logloss);
+    assert.equal(w3.production, null);
+
+    const [season] = report.seasons;
+    assert.equal(season.games, 4);
+    assert.deepEqual(season.failed_weeks, []);
+    assert.equal(season.per_model.blended.n, 4);
+    assert.equal(season.production.n, 2);
+    assert.deepEqual(report.comparison, [
+      {
+        season: 2023,
+        games: 2,
+        backtest: season.production.backtest,
+        production: season.production.production,
+        delta: season.production.delta
+      }
+    ]);
+    // Trainer artifacts land in the work directory, config is left alone.
+    assert.ok(readFileSync(path.join(workDir, "predictions_2023_W03.json"), "utf8").length);
+    assert.equal(readFileSync(modelParamsPath, "utf8"), modelParamsBefore);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+    if (originalArtifactsDir === undefined) delete process.env.ARTIFACTS_DIR;
+    else process.env.ARTIFACTS_DIR = originalArtifactsDir;
+  }
+
+  console.log("backtest tests passed");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
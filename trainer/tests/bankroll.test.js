@@ -0,0 +1,77 @@
+import assert from "assert/strict";
+import {
+  resolveMoneylinePrices,
+  kellyFraction,
+  stakeFraction,
+  maxDrawdown,
+  simulateBankroll,
+  simulateKellyStrategies
+} from "../analysis.js";
+
+const market = (home, away, books = {}) => ({
+  moneyline_home: home,
+  moneyline_away: away,
+  books
+});
+
+function makeFixture() {
+  const predictions = [
+    // Home edge at +150 (p=0.5, EV=+25%); home wins.
+    { game_id: "g1", season: 2024, week: 1, home_team: "KC", away_team: "BAL", probs: { blended: 0.5 }, forecast: 0.5, actual: 1 },
+    // Away edge: model 30% home vs -200 home favourite; away wins.
+    { game_id: "g2", season: 2024, week: 2, home_team: "BUF", away_team: "MIA", probs: { blended: 0.3 }, forecast: 0.3, actual: 0 },
+    // No edge at fair prices; skipped.
+    { game_id: "g3", season: 2024, week: 2, home_team: "DAL", away_team: "NYG", probs: { blended: 0.5 }, forecast: 0.5, actual: 1 },
+    // Unresolved game is ignored.
+    { game_id: "g4", season: 2024, week: 3, home_team: "SF", away_team: "SEA", probs: { blended: 0.9 }, forecast: 0.9, actual: null }
+  ];
+  const markets = [
+    { season: 2024, week: 1, home_team: "KC", away_team: "BAL", market: market(130, -150, { dk: { moneyline: { home: 150, away: -170 } } }) },
+    { season: 2024, week: 2, home_team: "BUF", away_team: "MIA", market: market(-200, 170) },
+    { season: 2024, week: 2, home_team: "DAL", away_team: "NYG", market: market(-110, -110) },
+    { season: 2024, week: 3, home_team: "SF", away_team: "SEA", market: market(-300, 250) }
+  ];
+  return { predictions, markets };
+}
+
+(function runTests() {
+  const prices = resolveMoneylinePrices(market(130, -150, { dk: { moneyline: { home: 150, away: -170 } } }));
+  assert.equal(prices.home.price, 150, "best mode shops the longest home price");
+  assert.equal(prices.home.book, "dk");
+  assert.equal(prices.away.price, -170, "book quotes take precedence over the consensus line");
+  assert.equal(resolveMoneylinePrices(market(130, -150), "best").away.book, null, "consensus is the fallback");
+  assert.equal(resolveMoneylinePrices(market(130, null)), null, "both sides need a price");
+
+  assert.ok(Math.abs(kellyFraction(0.5, 2.5) - 1 / 6) < 1e-9, "kelly at +150 with p=0.5");
+  assert.equal(kellyFraction(0.4, 2), 0, "negative edge stakes nothing");
+  assert.equal(stakeFraction(0.2, { staking: "full" }), 0.2);
+  assert.ok(Math.abs(stakeFraction(0.2, { staking: "fractional", fraction: 0.5 }) - 0.1) < 1e-12);
+  assert.equal(stakeFraction(0.2, { staking: "capped", fraction: 0.5, cap: 0.05 }), 0.05);
+  assert.ok(Math.abs(maxDrawdown([100, 120, 90, 130]) - 0.25) < 1e-12, "drawdown from the running peak");
+
+  const { predictions, markets } = makeFixture();
+  const full = simulateBankroll(predictions, markets, { staking: "full", minEdge: 0 });
+  assert.equal(full.seasons.length, 1);
+  const season = full.seasons[0];
+  assert.equal(season.games, 3, "unresolved games are excluded");
+  assert.equal(season.bets, 2, "bets only where the model has edge");
+  assert.deepEqual(season.bet_log.map((b) => b.side), ["home", "away"], "bets either side");
+  assert.equal(season.wins, 2);
+  // Week 1: 1/6 of 1000 at +150 wins 250/6; week 2: Kelly on MIA at +170.
+  const afterW1 = 1000 + (1000 / 6) * 1.5;
+  assert.ok(Math.abs(season.curve[1].bankroll - Math.round(afterW1 * 100) / 100) < 0.01);
+  assert.equal(season.curve[0].week, 0);
+  assert.equal(season.curve.length, 3, "starting point plus one point per resolved week");
+  assert.equal(season.max_drawdown, 0);
+  assert.ok(season.final_bankroll > afterW1);
+
+  const strategies = simulateKellyStrategies(predictions, markets, { minEdge: 0 });
+  assert.deepEqual(Object.keys(strategies), ["full", "fractional", "capped"]);
+  assert.ok(
+    strategies.capped.seasons[0].staked <= strategies.fractional.seasons[0].staked,
+    "capping never stakes more than fractional Kelly"
+  );
+  assert.throws(() => simulateBankroll(predictions, markets, { staking: "martingale" }));
+
+  console.log("bankroll tests passed");
+})();
@@ -0,0 +1,72 @@
+import assert from "assert/strict";
+import { lineMovement, moneylineClv, spreadClv, buildClvReport } from "../clv.js";
+
+const market = (overrides = {}) => ({
+  open_spread: -3,
+  close_spread: -4.5,
+  open_moneyline_home: -150,
+  open_moneyline_away: 130,
+  moneyline_home: -200,
+  moneyline_away: 170,
+  open_total: 44,
+  total: 45.5,
+  opened_at: "2024-09-02T12:00:00Z",
+  fetched_at: "2024-09-08T16:00:00Z",
+  snapshots: 4,
+  ...overrides
+});
+
+(function runTests() {
+  const lines = lineMovement(market());
+  assert.equal(lines.spread_move, -1.5);
+  assert.equal(lines.total_move, 1.5);
+  assert.equal(lines.snapshots, 4);
+  assert.ok(lines.close_prob_home > lines.open_prob_home, "home steamed toward the favourite");
+
+  const homePick = moneylineClv(0.7, market());
+  assert.equal(homePick.side, "home");
+  assert.ok(homePick.clv_prob > 0 && homePick.clv_ev > 0 && homePick.beat_close, "home pick beat the close");
+
+  const awayPick = moneylineClv(0.3, market());
+  assert.equal(awayPick.side, "away", "picks either side");
+  assert.ok(awayPick.clv_ev < 0 && !awayPick.beat_close, "away pick lost value as the line moved to the home side");
+
+  assert.equal(moneylineClv(0.58, market()), null, "no edge at the open, no pick");
+
+  const homeSpread = spreadClv(6, market());
+  assert.deepEqual(
+    [homeSpread.side, homeSpread.open_line, homeSpread.close_line, homeSpread.clv_points, homeSpread.beat_close],
+    ["home", -3, -4.5, 1.5, true]
+  );
+  const awaySpread = spreadClv(-2, market());
+  assert.deepEqual([awaySpread.side, awaySpread.open_line, awaySpread.clv_points], ["away", 3, -1.5]);
+  assert.equal(spreadClv(3, market()), null, "margin exactly on the open number is no pick");
+
+  const predictions = [
+    { game_id: "a", season: 2024, week: 1, home_team: "KC", away_team: "BAL", probs: { blended: 0.7 }, predicted_margin: 6, actual: 1 },
+    { game_id: "b", season: 2024, week: 2, home_team: "BUF", away_team: "MIA", probs: { blended: 0.3 }, predicted_margin: -2, actual: null },
+    { game_id: "c", season: 2024, week: 3, home_team: "SF", away_team: "SEA", probs: { blended: 0.6 }, predicted_margin: 1 },
+    { game_id: "d", season: 2024, week: 2, home_team: "DAL", away_team: "NYG", probs: { blended: 0.7 }, predicted_margin: 6 },
+    { game_id: "e", season: 2024, week: 2, home_team: "LV", away_team: "DEN", probs: { blended: 0.7 }, predicted_margin: 6 }
+  ];
+  // Fetched once: the "opening" line is the closing quote, so no CLV.
+  const oneSnapshot = market({ open_spread: -4.5, open_moneyline_home: -200, open_moneyline_away: 170, opened_at: "2024-09-08T16:00:00Z", snapshots: 1 });
+  const marketRows = [
+    { season: 2024, week: 1, home_team: "KC", away_team: "BAL", market: market() },
+    { season: 2024, week: 2, home_team: "BUF", away_team: "MIA", market: market() },
+    { season: 2024, week: 3, home_team: "SF", away_team: "SEA", market: market() },
+    { season: 2024, week: 2, home_team: "DAL", away_team: "NYG", market: oneSnapshot },
+    { season: 2024, week: 2, home_team: "LV", away_team: "DEN", market: market({ opened_at: null }) }
+  ];
+  const report = buildClvReport({ season: 2024, week: 2, predictions, marketRows });
+  assert.deepEqual(report.picks.map((p) => p.game_id), ["a", "b"], "later weeks and markets without an opening snapshot are excluded");
+  assert.deepEqual(report.weeks.map((w) => w.week), [1, 2]);
+  assert.equal(report.picks[0].won, true);
+  assert.equal(report.picks[1].won, null, "unsettled games still carry CLV");
+  assert.equal(report.season_summary.moneyline.picks, 2);
+  assert.equal(report.season_summary.moneyline.beat_close_rate, 0.5);
+  assert.equal(report.season_summary.spread.mean_clv_points, 0);
+  assert.equal(report.season_summary.spread.unchanged_line_rate, 0);
+
+  console.log("clv tests passed");
+})();
@@ -0,0 +1,110 @@
+// trainer/tests/conformal.test.js
+// Conformal quantiles, coverage of the fitted intervals on fresh synthetic
+// games, the season coverage report and its Worker route.
+
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  buildCoverageReport,
+  conformalIntervals,
+  conformalQuantile,
+  fitConformal,
+  probabilityInterval
+} from "../conformal.js";
+import { validateArtifact } from "../schemaValidator.js";
+import worker from "../../worker/worker.js";
+
+function rng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (1664525 * state + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+// Calibrated probabilities and a margin with normal-ish noise around the prediction.
+function synthetic(n, seed) {
+  const next = rng(seed);
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const p = 0.2 + 0.6 * next();
+    const predicted = (p - 0.5) * 30;
+    const noise = (next() + next() + next() + next() - 2) * 14;
+    rows.push({ week: 1 + (i % 17), p, predicted, y: next() < p ? 1 : 0, margin: predicted + noise });
+  }
+  return rows;
+}
+
+(async function runTests() {
+  // ceil((n + 1) * level)-th smallest score; too few scores is unbounded.
+  assert.equal(conformalQuantile([5, 1, 4, 2, 3, 9, 8, 7, 6, 10], 0.8), 9);
+  assert.equal(conformalQuantile([1, 2, 3], 0.9), Infinity);
+  assert.equal(conformalQuantile([], 0.9), Infinity);
+  assert.deepEqual(probabilityInterval(0.7, 0.5), [0.2, 1]);
+  assert.deepEqual(probabilityInterval(0.7, Infinity), [0, 1]);
+  assert.throws(() => fitConformal({ labels: [1], level: 1 }), /level must be in \(0, 1\)/);
+
+  // Intervals fitted on one sample hold at least the level on another.
+  const calibration = synthetic(1500, 3);
+  const fit = fitConformal({
+    probs: { blended: calibration.map((r) => r.p) },
+    labels: calibration.map((r) => r.y),
+    margin: { predicted: calibration.map((r) => r.predicted), actual: calibration.map((r) => r.margin) },
+    level: 0.9
+  });
+  assert.equal(fit.n, 1500);
+  assert.equal(fit.n_margin, 1500);
+  assert.ok(fit.quantiles.margin > 10 && fit.quantiles.margin < 40, `margin q=${fit.quantiles.margin}`);
+
+  const fresh = synthetic(1500, 4);
+  const rows = fresh.map((r) => ({
+    week: r.week,
+    conformal: conformalIntervals(fit, { probs: { blended: r.p, logistic: r.p }, margin: r.predicted }),
+    actual: { home_win: r.y, margin: r.margin }
+  }));
+  assert.deepEqual(Object.keys(rows[0].conformal.probs), ["blended"], "keys without a fitted width are skipped");
+  const report = buildCoverageReport({ season: 2024, rows });
+  validateArtifact("coverage", report);
+  assert.equal(report.target_level, 0.9);
+  assert.equal(report.n_games, 1500);
+  for (const key of ["blended", "margin"]) {
+    const { coverage, gap } = report.summary[key];
+    assert.ok(coverage >= 0.87 && coverage <= 0.95, `${key} coverage ${coverage}`);
+    assert.equal(gap, Math.round((coverage - 0.9) * 10000) / 10000);
+  }
+  assert.equal(report.weeks.length, 17);
+  assert.equal(report.weeks.reduce((s, w) => s + w.n_games, 0), 1500);
+  assert.equal(report.weeks[0].coverage.margin.n, report.weeks[0].n_games);
+
+  // A window too small for the level leaves the margin unbounded: always covered, no width.
+  const tiny = fitConformal({ labels: [1, 0], probs: { blended: [0.6, 0.4] }, margin: { predicted: [3], actual: [7] } });
+  const open = conformalIntervals(tiny, { probs: { blended: 0.6 }, margin: 3 });
+  assert.deepEqual(open.probs.blended, [0, 1]);
+  assert.deepEqual(open.margin, [null, null]);
+  const unbounded = buildCoverageReport({ season: 2024, rows: [{ week: 1, conformal: open, actual: { home_win: 0, margin: -30 } }] });
+  assert.deepEqual(unbounded.summary.margin, { n: 1, covered: 1, coverage: 1, mean_width: null, gap: 0.1 });
+
+  // Served by season from the artifact store.
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "conformal-"));
+  try {
+    fs.writeFileSync(path.join(root, "coverage_2023.json"), JSON.stringify({ ...report, season: 2023 }));
+    fs.writeFileSync(path.join(root, "coverage_2024.json"), JSON.stringify(report));
+    const env = { ARTIFACT_STORE: "fs", ARTIFACTS_DIR: root };
+    const latest = await worker.fetch(new Request("https://worker.test/analysis/coverage"), env);
+    assert.equal(latest.status, 200);
+    const body = await latest.json();
+    assert.equal(body.season, 2024);
+    assert.equal(body.data.summary.blended.n, 1500);
+    const older = await worker.fetch(new Request("https://worker.test/analysis/coverage?season=2023"), env);
+    assert.equal((await older.json()).data.season, 2023);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  console.log("conformal tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
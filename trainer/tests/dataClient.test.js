@@ -0,0 +1,121 @@
+// trainer/tests/dataClient.test.js
+// The dashboard's data client in both modes: static artifact files and the
+// Worker API (ETag revalidation against the Worker's 304s, paginated filtered
+// endpoints, error handling), resolving the same payloads from one directory.
+
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { writeManifest } from "../../scripts/buildIndex.js";
+import worker from "../../worker/worker.js";
+
+await import("../../frontend/dataClient.js");
+const { createDataClient, DataClientError } = globalThis;
+
+const write = (dir, name, payload) => fs.writeFileSync(path.join(dir, name), JSON.stringify(payload));
+
+(async function runTests() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "data-client-"));
+  try {
+    const games = [
+      { game_id: "2024-W03-KC-ATL", home_team: "KC", away_team: "ATL", probs: { blended: 0.7 } },
+      { game_id: "2024-W03-BUF-JAC", home_team: "BUF", away_team: "JAC", probs: { blended: 0.6 } }
+    ];
+    write(root, "predictions_2024_W03.json", games);
+    write(root, "diagnostics_2024_W03.json", { season: 2024, week: 3 });
+    write(root, "roi_analysis_2024_W03.json", { bankroll: { fractional: { starting_bankroll: 1000, seasons: [] } } });
+    write(root, "metrics_2024.json", { season: 2024, latest_completed_week: 2, weeks: [] });
+    write(root, "context_2024_W03.json", games.map(({ game_id, home_team, away_team }) => ({ game_id, home_team, away_team })));
+    write(root, "injuries_2024_W03.json", [
+      ...Array.from({ length: 520 }, (_, i) => ({ team: "KC", player: `Player ${i}` })),
+      { team: "ATL", player: "Falcon" }
+    ]);
+    writeManifest({ dir: root });
+
+    const env = { ARTIFACT_STORE: "fs", ARTIFACTS_DIR: root };
+    const calls = [];
+    const apiFetch = async (url, init = {}) => {
+      calls.push({ url, headers: init.headers || {} });
+      return worker.fetch(new Request(url, init), env);
+    };
+    const staticFetch = async (url) => {
+      calls.push({ url });
+      const file = path.join(root, url.replace("../artifacts/", ""));
+      return fs.existsSync(file) ? new Response(fs.readFileSync(file)) : new Response("", { status: 404 });
+    };
+
+    const api = createDataClient({ apiBase: "https://worker.test/", fetch: apiFetch });
+    const files = createDataClient({ fetch: staticFetch });
+    assert.equal(api.mode, "api");
+    assert.equal(api.apiBase, "https://worker.test");
+    assert.equal(files.mode, "static");
+    assert.throws(() => createDataClient({ mode: "api" }), DataClientError);
+
+    for (const client of [api, files]) {
+      const manifest = await client.loadManifest();
+      assert.deepEqual(manifest.latest, { season: 2024, week: 3 });
+      assert.deepEqual(client.manifestSeason(2024).prediction_weeks, [3]);
+      // The season's file list is fetched once, on first use.
+      calls.length = 0;
+      assert.deepEqual(await client.predictions(2024, 3), games);
+      assert.deepEqual(await client.predictions(2024, 3), games);
+      assert.equal(calls.filter((call) => /manifest/.test(call.url)).length, 1);
+      assert.equal((await client.seasonManifest(2024)).weeks[0].artifacts.predictions.file, "predictions_2024_W03.json");
+      assert.deepEqual(await client.diagnostics(2024, 3), { season: 2024, week: 3 });
+      assert.equal((await client.roiAnalysis(2024, 3)).bankroll.fractional.starting_bankroll, 1000);
+      assert.equal((await client.seasonMetrics(2024)).latest_completed_week, 2);
+      assert.equal(await client.hasArtifact("explain", 2024, 3), false);
+      assert.equal(await client.hasArtifact("diagnostics", 2024, 3), true);
+      assert.deepEqual((await client.context(2024, 3, "JAC")).map((g) => g.game_id), ["2024-W03-BUF-JAC"]);
+      assert.equal((await client.injuries(2024, 3)).length, 521);
+      assert.deepEqual((await client.injuries(2024, 3, "ATL")).map((r) => r.player), ["Falcon"]);
+    }
+
+    // Nothing is requested for artifacts the manifest does not list.
+    calls.length = 0;
+    assert.equal(await api.explanations(2024, 3), null);
+    assert.equal(await files.weekMetrics(2024, 3), null);
+    assert.equal(await api.predictions(2024, 9), null);
+    assert.equal(await files.predictions(2019, 1), null);
+    assert.equal(calls.length, 0);
+
+    // A repeat request revalidates with the ETag and reuses the cached payload on 304.
+    const etagged = await worker.fetch(new Request("https://worker.test/predictions?season=2024&week=3"), env);
+    const etag = etagged.headers.get("ETag");
+    assert.ok(etag);
+    assert.match(etagged.headers.get("access-control-expose-headers"), /ETag/);
+    const conditional = await worker.fetch(
+      new Request("https://worker.test/predictions?season=2024&week=3", { headers: { "If-None-Match": etag } }),
+      env
+    );
+    assert.equal(conditional.status, 304);
+    const stale = await worker.fetch(
+      new Request("https://worker.test/predictions?season=2024&week=3", { headers: { "If-None-Match": '"other"' } }),
+      env
+    );
+    assert.equal(stale.status, 200);
+    const again = await api.predictions(2024, 3);
+    assert.equal(calls.at(-1).headers["If-None-Match"], etag);
+    assert.deepEqual(again, games);
+
+    // Worker errors surface as DataClientError with the status and message.
+    const unmanaged = createDataClient({ apiBase: "https://worker.test", fetch: apiFetch });
+    await assert.rejects(
+      () => unmanaged.predictions("20x4", 3),
+      (err) => err instanceof DataClientError && err.status === 400 && /season must be an integer/.test(err.message)
+    );
+    const offline = createDataClient({ apiBase: "https://worker.test", fetch: async () => { throw new Error("offline"); } });
+    await assert.rejects(() => offline.loadManifest(), (err) => err instanceof DataClientError && /offline/.test(err.message));
+    // Without a manifest, conventional names are requested and 404s are null.
+    assert.equal(await unmanaged.explanations(2024, 3), null);
+    assert.deepEqual(await createDataClient({ fetch: staticFetch }).predictions(2024, 3), games);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  console.log("dashboard data client tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
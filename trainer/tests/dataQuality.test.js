@@ -0,0 +1,196 @@
+// trainer/tests/dataQuality.test.js
+// Declarative dataset expectations, the per-season collector the loaders feed,
+// drift against the previous season's profile and the weekly report.
+
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  DataQualityError,
+  buildDataQualityReport,
+  checkDataset,
+  compareProfiles,
+  criticalFailures,
+  dataQualityFile,
+  dataQualityGateEnabled,
+  loadDataQualityReport,
+  previousSeasonProfiles,
+  profileDataset,
+  recordDataset,
+  recordRowCount,
+  recordedDatasets,
+  resetDataQuality,
+  writeDataQualityReport
+} from "../dataQuality.js";
+import { TEAM_CODES, normalizeTeam, teamWarnings } from "../franchises.js";
+import { validateArtifact } from "../schemaValidator.js";
+
+// A full regular-season week: every franchise plays once.
+function scheduleWeek(season, week, games = 16, overrides = {}) {
+  return Array.from({ length: games }, (_, i) => ({
+    game_id: `${season}_${String(week).padStart(2, "0")}_${TEAM_CODES[2 * i + 1]}_${TEAM_CODES[2 * i]}`,
+    season,
+    week,
+    game_type: "REG",
+    home_team: TEAM_CODES[2 * i],
+    away_team: TEAM_CODES[2 * i + 1],
+    spread_line: -3 + (i % 7),
+    total_line: 44 + (i % 5),
+    ...overrides
+  }));
+}
+
+const failed = (checks, type) => checks.filter((c) => c.check === type && !c.passed);
+
+(async function runTests() {
+  // Clean data passes every check.
+  const clean = [...scheduleWeek(2024, 1), ...scheduleWeek(2024, 2, 14)];
+  const cleanChecks = checkDataset("schedules", clean, { season: 2024 });
+  assert.ok(cleanChecks.length > 0);
+  assert.ok(cleanChecks.every((c) => c.passed), JSON.stringify(cleanChecks.filter((c) => !c.passed)));
+
+  // Each kind of problem is caught with its severity.
+  const broken = [
+    ...scheduleWeek(2024, 1),
+    ...scheduleWeek(2024, 2, 12),
+    { ...scheduleWeek(2024, 3, 1)[0], home_team: "XYZ", spread_line: 55 },
+    { season: 2024, week: 3, game_type: "REG", home_team: "KC", away_team: "BUF", game_id: "" }
+  ];
+  const checks = checkDataset("schedules", broken, { season: 2024 });
+  const perWeek = failed(checks, "games_per_week");
+  assert.equal(perWeek.length, 1);
+  assert.equal(perWeek[0].severity, "critical");
+  assert.deepEqual(perWeek[0].weeks.map((w) => [w.week, w.games]), [[2, 12], [3, 2]]);
+  const teams = failed(checks, "teams");
+  assert.deepEqual(teams.map((c) => [c.column, c.invalid, c.severity]), [["home_team", ["XYZ"], "critical"]]);
+  const range = failed(checks, "range");
+  assert.deepEqual(range.map((c) => [c.column, c.examples, c.severity]), [["spread_line", [55], "warning"]]);
+  assert.deepEqual(failed(checks, "null_rate").map((c) => c.column), ["game_id"]);
+
+  // Any-of columns, missing columns and empty datasets.
+  assert.equal(failed(checkDataset("playerWeekly", [{ season: 2024, week: 1, recent_team: "KC" }]), "columns").length, 0);
+  const missing = failed(checkDataset("teamWeekly", [{ season: 2024, week: 1 }]), "columns");
+  assert.deepEqual(missing.map((c) => [c.missing, c.severity]), [[["team"], "critical"]]);
+  assert.equal(checkDataset("schedules", [])[0].severity, "critical");
+  assert.equal(checkDataset("injuries", [])[0].severity, "warning");
+  assert.equal(
+    checkDataset("custom", [{ value: 3 }], { expectations: { ranges: { value: { min: 0, max: 1, severity: "critical" } } } })[0].severity,
+    "critical"
+  );
+
+  // Profiles and drift against the previous season.
+  const profile = profileDataset([{ epa: 1, team: "KC" }, { epa: 3, team: null }]);
+  assert.deepEqual(profile.columns.epa, { null_rate: 0, count: 2, mean: 2, std: 1, min: 1, max: 3 });
+  assert.deepEqual(profile.columns.team, { null_rate: 0.5 });
+  const rows = (mean, nulls) =>
+    Array.from({ length: 100 }, (_, i) => ({ epa: mean + (i % 2 ? 1 : -1), air_yards: i < nulls ? null : 5, week: i }));
+  const previousProfile = profileDataset(rows(0, 0));
+  assert.deepEqual(compareProfiles(profileDataset(rows(0.2, 10)), previousProfile), []);
+  const alerts = compareProfiles(profileDataset(rows(2, 50).map(({ week, ...rest }) => ({ ...rest, cpoe: 1 }))), previousProfile);
+  assert.deepEqual(alerts.map((a) => `${a.column}:${a.kind}`).sort(), [
+    "air_yards:null_rate",
+    "cpoe:column_added",
+    "epa:mean_shift",
+    "week:column_removed"
+  ]);
+
+  // The collector: datasets loaded without a season are split by season, and a
+  // cache hit with the same rows is not recorded twice.
+  resetDataQuality();
+  const allSchedules = [...scheduleWeek(2023, 1), ...scheduleWeek(2024, 1, 12)];
+  assert.equal(recordDataset("schedules", allSchedules).length, 2);
+  assert.equal(recordDataset("schedules", allSchedules), recordDataset("schedules", allSchedules));
+  recordDataset("nextGenStats", [], { season: 2024, statType: "passing" });
+  recordRowCount("pbp", 10, 1000, { season: 2024 });
+  recordRowCount("teamWeekly", 10, 1000, { season: 2022 });
+  assert.deepEqual(recordedDatasets(2024).map((e) => `${e.dataset}:${e.season}`), ["nextGenStats/passing:2024", "schedules:2024"]);
+
+  const report = buildDataQualityReport({
+    season: 2024,
+    week: 1,
+    previousProfiles: previousSeasonProfiles(2024),
+    now: new Date("2024-09-10T00:00:00Z")
+  });
+  validateArtifact("data_quality", report);
+  assert.equal(report.status, "fail");
+  assert.deepEqual(report.datasets.map((d) => [d.dataset, d.status]), [
+    ["nextGenStats/passing", "warn"],
+    ["schedules", "fail"],
+    ["pbp", "fail"]
+  ]);
+  assert.equal(report.datasets[1].drift.baseline_season, 2023);
+  assert.equal(report.datasets[0].drift, null);
+  assert.deepEqual(criticalFailures(report).map((f) => `${f.dataset}:${f.check}`), ["schedules:games_per_week", "pbp:row_count"]);
+  assert.deepEqual(report.summary, { datasets: 3, checks: report.summary.checks, critical_failures: 2, warnings: 1, drift_alerts: 0, unknown_teams: 0 });
+
+  // The previous season's report is the drift baseline when it was not loaded this run.
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "data-quality-"));
+  try {
+    resetDataQuality();
+    recordDataset("schedules", scheduleWeek(2023, 1));
+    const lastSeason = buildDataQualityReport({ season: 2023, week: 18 });
+    assert.equal(lastSeason.status, "pass");
+    assert.deepEqual(criticalFailures(lastSeason), []);
+    fs.writeFileSync(path.join(dir, dataQualityFile(2023, 18)), JSON.stringify(lastSeason));
+    assert.equal(dataQualityFile(2023, 18), "data_quality_2023_W18.json");
+    assert.deepEqual(loadDataQualityReport(2023, 18, dir), lastSeason);
+    assert.equal(loadDataQualityReport(2024, 1, dir), null);
+
+    resetDataQuality();
+    recordDataset("schedules", scheduleWeek(2024, 1), { season: 2024 });
+    const baseline = previousSeasonProfiles(2024, { dir });
+    assert.deepEqual(Object.keys(baseline), ["schedules"]);
+    const next = buildDataQualityReport({ season: 2024, week: 1, previousProfiles: baseline });
+    validateArtifact("data_quality", next);
+    assert.equal(next.status, "pass");
+    assert.deepEqual(next.datasets[0].drift, { baseline_season: 2023, alerts: [] });
+
+    // The trainers' gate: the report is written either way, and only an
+    // enabled gate throws on critical failures.
+    assert.equal(dataQualityGateEnabled({}), false);
+    assert.equal(dataQualityGateEnabled({ DATA_QUALITY_FAIL: "1" }), true);
+    recordDataset("schedules", scheduleWeek(2024, 2, 12), { season: 2024 });
+    assert.equal(writeDataQualityReport({ season: 2024, week: 2, dir, fail: false }).status, "fail");
+    fs.rmSync(path.join(dir, dataQualityFile(2024, 2)));
+    assert.throws(
+      () => writeDataQualityReport({ season: 2024, week: 2, dir, fail: true }),
+      (err) => err instanceof DataQualityError && err.failures.length === 1 && err.file === dataQualityFile(2024, 2)
+    );
+    assert.equal(loadDataQualityReport(2024, 2, dir).status, "fail");
+
+    // Team strings the franchise table could not resolve turn a clean report
+    // into a warning. They stay with the dataset that raised them, so a later
+    // week reusing the cached rows still lists them.
+    resetDataQuality();
+    normalizeTeam("Gotham", { source: "injuries" });
+    const injuries = [{ season: 2024, week: 3, team: "GOTHAM", player: "A", position: "QB", status: "Out" }];
+    recordDataset("injuries", injuries, { season: 2024 });
+    assert.deepEqual(teamWarnings(), []);
+    recordDataset("schedules", scheduleWeek(2024, 3), { season: 2024 });
+    const unknown = writeDataQualityReport({ season: 2024, week: 3, dir, fail: true });
+    assert.equal(unknown.status, "warn");
+    assert.equal(unknown.summary.unknown_teams, 1);
+    assert.deepEqual(unknown.unknown_teams, [{ value: "GOTHAM", source: "injuries", reason: "Unknown", count: 1 }]);
+    recordDataset("injuries", injuries, { season: 2024 });
+    const nextWeek = writeDataQualityReport({ season: 2024, week: 4, dir });
+    assert.deepEqual(nextWeek.unknown_teams, unknown.unknown_teams);
+    // Warnings raised outside a dataset load are reported too.
+    normalizeTeam("Metropolis", { source: "markets" });
+    assert.deepEqual(
+      buildDataQualityReport({ season: 2024, week: 4 }).unknown_teams.map((w) => w.value),
+      ["GOTHAM", "METROPOLIS"]
+    );
+    resetDataQuality();
+    recordDataset("schedules", scheduleWeek(2024, 3), { season: 2024 });
+    assert.equal(writeDataQualityReport({ season: 2024, week: 3, dir }).status, "pass");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resetDataQuality();
+  }
+
+  console.log("data quality tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
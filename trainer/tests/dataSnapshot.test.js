@@ -0,0 +1,118 @@
+// trainer/tests/dataSnapshot.test.js
+// Records loader downloads into a data snapshot against a stubbed fetch, then
+// replays them with the network switched off.
+
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// The stub answers 404 for release discovery; don't back off and retry those.
+process.env.DATA_RETRY_ATTEMPTS = "1";
+const { listDatasetSeasons, loadSchedules, loadSnapCounts, loadTeamWeekly, setDataSnapshot } = await import("../dataSources.js");
+const { DataSnapshotError, openSnapshot, verifySnapshot } = await import("../dataSnapshot.js");
+const { snapshotSeasons } = await import("../../scripts/snapshotData.js");
+
+const realFetch = globalThis.fetch;
+
+const TEAM_WEEKLY_CSV = [
+  "season,week,team,opponent,passing_yards,rushing_yards,total_yards",
+  "2023,1,KC,DET,226,118,344",
+  "2023,1,DET,KC,253,118,371"
+].join("\n");
+
+const SCHEDULES_CSV = [
+  "game_id,season,week,home_team,away_team,home_score,away_score,game_type",
+  "2023_01_DET_KC,2023,1,KC,DET,20,21,REG"
+].join("\n");
+
+const csvResponse = (text) => ({
+  ok: true,
+  status: 200,
+  arrayBuffer: async () => new TextEncoder().encode(text).buffer
+});
+
+const notFound = () => ({ ok: false, status: 404, statusText: "Not Found", text: async () => "Not Found" });
+
+const requested = [];
+async function stubFetch(url) {
+  requested.push(String(url));
+  if (String(url).includes("stats_team_week_2023.csv")) return csvResponse(TEAM_WEEKLY_CSV);
+  if (String(url).endsWith("/games.csv")) return csvResponse(SCHEDULES_CSV);
+  // Release discovery and snap counts are 404s: static URLs are used and the
+  // snap counts are recorded as unavailable.
+  return notFound();
+}
+
+const loaders = { schedules: loadSchedules, teamWeekly: loadTeamWeekly, snapCounts: loadSnapCounts };
+
+(async function runTests() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "data-snapshot-"));
+  try {
+    globalThis.fetch = stubFetch;
+    const live = await loadTeamWeekly(2023);
+    const { dir, manifest } = await snapshotSeasons({ start: 2023, end: 2023, root, loaders, globalLoaders: {} });
+
+    assert.equal(manifest.version, 1);
+    assert.deepEqual(manifest.seasons, [2023]);
+    assert.match(path.basename(dir), new RegExp(`^nflverse_2023-2023_${manifest.id}$`));
+    const teamUrl = manifest.resolutions["teamWeekly|2023"].url;
+    assert.match(teamUrl, /stats_team_week_2023\.csv$/);
+    assert.equal(manifest.files[teamUrl].bytes, Buffer.byteLength(TEAM_WEEKLY_CSV));
+    const snapUrl = manifest.resolutions["snapCounts|2023"].url;
+    assert.deepEqual(manifest.files[snapUrl], { status: 404 });
+    assert.ok(fs.existsSync(path.join(root, "blobs", manifest.files[teamUrl].sha256.slice(0, 2), manifest.files[teamUrl].sha256)));
+
+    // The same data gives the same version id, and identical files share a blob.
+    const again = await snapshotSeasons({ start: 2023, end: 2023, root, loaders, globalLoaders: {}, name: "again" });
+    assert.equal(again.manifest.id, manifest.id);
+    assert.equal(fs.readdirSync(path.join(root, "blobs")).length, 2);
+
+    // A loader failure leaves no manifest behind.
+    await assert.rejects(
+      snapshotSeasons({ start: 2023, end: 2023, root, name: "broken", globalLoaders: {}, loaders: { teamWeekly: async () => { throw new Error("boom"); } } }),
+      /snapshot incomplete[\s\S]*teamWeekly 2023: boom/
+    );
+    assert.ok(!fs.existsSync(path.join(root, "broken", "manifest.json")));
+
+    // Replay: no network at all.
+    globalThis.fetch = async (url) => {
+      requested.push(String(url));
+      throw new Error(`network disabled: ${url}`);
+    };
+    const fetchesBefore = requested.length;
+    setDataSnapshot({ snapshot: openSnapshot(dir) });
+    assert.deepEqual(await loadTeamWeekly(2023), live);
+    assert.deepEqual(await loadSnapCounts(2023), []);
+    assert.equal((await loadSchedules(2023)).length, 1);
+    assert.deepEqual(await listDatasetSeasons("teamWeekly"), [2023]);
+    await assert.rejects(loadTeamWeekly(2022), (err) => {
+      assert.ok(err instanceof DataSnapshotError);
+      assert.equal(err.code, "missing");
+      assert.match(err.message, /dataset teamWeekly season 2022 is not in data snapshot .*\(covers 2023-2023\)/);
+      return true;
+    });
+    assert.equal(requested.length, fetchesBefore);
+
+    // Tampered blobs fail their checksum.
+    const blob = path.join(root, "blobs", manifest.files[teamUrl].sha256.slice(0, 2), manifest.files[teamUrl].sha256);
+    fs.writeFileSync(blob, TEAM_WEEKLY_CSV.replace("226", "999"));
+    setDataSnapshot({ snapshot: openSnapshot(dir) });
+    await assert.rejects(loadTeamWeekly(2023), (err) => err instanceof DataSnapshotError && err.code === "checksum");
+    const verified = verifySnapshot(dir);
+    assert.equal(verified.files, 2);
+    assert.equal(verified.problems.length, 1);
+    assert.match(verified.problems[0], /does not match its checksum/);
+
+    assert.throws(() => openSnapshot(path.join(root, "nope")), /manifest not found/);
+  } finally {
+    globalThis.fetch = realFetch;
+    setDataSnapshot(null);
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  console.log("data snapshot tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
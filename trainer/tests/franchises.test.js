@@ -0,0 +1,111 @@
+// trainer/tests/franchises.test.js
+// Franchise identity: codes, nicknames and names resolve to one franchise code,
+// relocations and ambiguous cities follow the season, and unknown strings are
+// passed through and reported rather than dropped.
+
+import assert from "assert/strict";
+import {
+  FRANCHISES,
+  TEAM_CODES,
+  franchiseDisplay,
+  normalizeTeam,
+  resetTeamWarnings,
+  resolveFranchise,
+  sameFranchise,
+  teamCodeForSeason,
+  teamWarnings
+} from "../franchises.js";
+import { NFL_DIVISIONS, getDivisionRivals, getTeamDivision, isDivisionalGame } from "../nflReference.js";
+import { teamHomeVenue } from "../venues.js";
+
+const warn = console.warn;
+const warned = [];
+console.warn = (msg) => warned.push(String(msg));
+
+try {
+  // 32 franchises, 8 divisions of 4, one entry per code.
+  assert.equal(FRANCHISES.length, 32);
+  assert.equal(new Set(TEAM_CODES).size, 32);
+  const perDivision = new Map();
+  for (const f of FRANCHISES) perDivision.set(f.division, (perDivision.get(f.division) ?? 0) + 1);
+  assert.equal(perDivision.size, 8);
+  assert.ok([...perDivision.values()].every((n) => n === 4));
+  assert.deepEqual(Object.keys(NFL_DIVISIONS).sort(), [...TEAM_CODES].sort());
+
+  // Historical codes, alternates, nicknames, cities and full names.
+  const cases = {
+    OAK: "LV", oak: "LV", LVR: "LV", SD: "LAC", SDG: "LAC", STL: "LAR", LA: "LAR", JAX: "JAC",
+    WSH: "WAS", ARZ: "ARI", GNB: "GB", KAN: "KC", NWE: "NE", TAM: "TB", SFO: "SF", NOR: "NO",
+    "49ers": "SF", Niners: "SF", Bucs: "TB", Jaguars: "JAC", Raiders: "LV", Redskins: "WAS",
+    "Green Bay": "GB", Oakland: "LV", "St. Louis": "LAR", "San Diego Chargers": "LAC",
+    "Washington Football Team": "WAS", "Los Angeles Rams": "LAR", " new york jets ": "NYJ"
+  };
+  for (const [value, code] of Object.entries(cases)) {
+    assert.equal(normalizeTeam(value), code, value);
+  }
+  assert.equal(normalizeTeam(null), null);
+  assert.equal(normalizeTeam("  "), null);
+  assert.deepEqual(["OAK", "JAX", "LA"].map(normalizeTeam), ["LV", "JAC", "LAR"], "map index is not an options object");
+
+  // Shared cities need a season, and only settle when one franchise played there.
+  assert.equal(resolveFranchise("New York"), null);
+  assert.equal(resolveFranchise("Los Angeles"), null);
+  assert.equal(resolveFranchise("Los Angeles", { season: 2016 }).code, "LAR");
+  assert.equal(resolveFranchise("Los Angeles", { season: 2020 }), null);
+  assert.equal(resolveFranchise("Las Vegas", { season: 2019 }), null);
+  assert.equal(normalizeTeam("Las Vegas", { season: 2021 }), "LV");
+
+  // Season codes and display names follow relocations and renames.
+  assert.equal(teamCodeForSeason("LV", 2019), "OAK");
+  assert.equal(teamCodeForSeason("OAK", 2020), "LV");
+  assert.equal(teamCodeForSeason("LAR", 2015), "STL");
+  assert.equal(teamCodeForSeason("JAC", 2024), "JAX");
+  assert.equal(teamCodeForSeason("XYZ", 2024), null);
+  assert.equal(franchiseDisplay("WAS", 2019).name, "Washington Redskins");
+  assert.equal(franchiseDisplay("WAS", 2021).name, "Washington Football Team");
+  assert.equal(franchiseDisplay("WAS").name, "Washington Commanders");
+  assert.deepEqual(franchiseDisplay("SD", 2010), {
+    code: "LAC",
+    season_code: "SD",
+    name: "San Diego Chargers",
+    city: "San Diego",
+    nickname: "Chargers",
+    conference: "AFC",
+    division: "AFC West",
+    color: "#0080C6"
+  });
+  assert.equal(franchiseDisplay("HOU", 1999).name, "Houston Texans");
+  assert.ok(sameFranchise("STL", "Los Angeles Rams"));
+  assert.ok(!sameFranchise("NYG", "NYJ"));
+  assert.ok(!sameFranchise("XYZ", "XYZ"));
+
+  // Unknown strings pass through upper-cased and are reported once per source.
+  resetTeamWarnings();
+  warned.length = 0;
+  assert.equal(normalizeTeam("xyz", { source: "test_feed" }), "XYZ");
+  assert.equal(normalizeTeam("XYZ", { source: "test_feed" }), "XYZ");
+  assert.equal(normalizeTeam("XYZ", { source: "other_feed" }), "XYZ");
+  assert.equal(normalizeTeam("New York", { source: "test_feed" }), "NEW YORK");
+  assert.deepEqual(teamWarnings(), [
+    { value: "XYZ", source: "test_feed", reason: "Unknown", count: 2 },
+    { value: "XYZ", source: "other_feed", reason: "Unknown", count: 1 },
+    { value: "NEW YORK", source: "test_feed", reason: "Ambiguous", count: 1 }
+  ]);
+  assert.equal(warned.length, 3);
+  assert.match(warned[0], /Unknown team "XYZ" from test_feed/);
+  resetTeamWarnings();
+  assert.deepEqual(teamWarnings(), []);
+
+  // Reference lookups and venues accept any known alias.
+  assert.equal(getTeamDivision("OAK").division, "AFC West");
+  assert.equal(getTeamDivision("Jaguars").division, "AFC South");
+  assert.equal(getTeamDivision("XYZ"), null);
+  assert.ok(isDivisionalGame("STL", "SF"));
+  assert.deepEqual(getDivisionRivals("JAX").sort(), ["HOU", "IND", "TEN"]);
+  assert.equal(teamHomeVenue("Jacksonville Jaguars", 2020).id, "JAX00");
+  assert.equal(teamHomeVenue("Rams", 2015).id, "STL00");
+} finally {
+  console.warn = warn;
+}
+
+console.log("franchise identity tests passed");
@@ -0,0 +1,102 @@
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  HISTORY_INDEX_FILE,
+  buildHistory,
+  matchupHistoryFile,
+  teamHistoryFile,
+  updateHistoryIndex,
+  writeHistoryIndex
+} from "../historyIndex.js";
+
+const game = (season, week, home, away, forecast, extra = {}) => ({
+  game_id: `${season}-W${String(week).padStart(2, "0")}-${home}-${away}`,
+  home_team: home,
+  away_team: away,
+  season,
+  week,
+  forecast,
+  probs: { blended: forecast },
+  natural_language: "long narrative",
+  top_drivers: [{ feature: "elo_pre" }],
+  ...extra
+});
+
+const writeWeek = (dir, season, week, rows) =>
+  fs.writeFileSync(path.join(dir, `predictions_${season}_W${String(week).padStart(2, "0")}.json`), JSON.stringify(rows));
+
+const readJson = (dir, name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+
+(function runTests() {
+  // Grouping: every game lands in both teams' histories and one matchup
+  // history shared by both venues, with the fields the Worker's scan returns.
+  const history = buildHistory([
+    { season: 2024, week: 2, predictions: [game(2024, 2, "BUF", "KC", 0.4)] },
+    { season: 2023, week: 5, predictions: [game(2023, 5, "KC", "BUF", 0.6, { actual: 1 }), game(2023, 5, "NE", "NYJ", 0.5)] }
+  ]);
+  assert.deepEqual(history.seasons, [2023, 2024]);
+  assert.deepEqual(history.teams.get("KC").map((g) => g.season), [2023, 2024]);
+  assert.equal(history.matchups.get("BUF_KC").length, 2);
+  assert.equal(history.teams.get("NYJ").length, 1);
+  const entry = history.teams.get("KC")[0];
+  assert.equal(entry.actual, 1);
+  assert.equal(entry.natural_language, "long narrative");
+  assert.deepEqual(entry.top_drivers, [{ feature: "elo_pre" }]);
+  assert.equal(matchupHistoryFile("KC", "BUF"), "history_matchup_BUF_KC.json");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-index-"));
+  try {
+    writeWeek(dir, 2023, 5, [game(2023, 5, "KC", "BUF", 0.6, { actual: 1 })]);
+    writeWeek(dir, 2024, 1, [game(2024, 1, "KC", "BAL", 0.55)]);
+    fs.writeFileSync(path.join(dir, "predictions_2024_W01_hybrid_v2.json"), JSON.stringify([game(2024, 1, "KC", "DEN", 0.5)]));
+
+    // Without a manifest an update rebuilds everything on disk.
+    const first = updateHistoryIndex({ season: 2024, week: 1, predictions: [game(2024, 1, "KC", "BAL", 0.55)], artDir: dir });
+    assert.deepEqual(first.seasons, [2023, 2024]);
+    assert.deepEqual(first.teams, { BAL: 1, BUF: 1, KC: 2 });
+    assert.deepEqual(first.matchups, { BAL_KC: 1, BUF_KC: 1 });
+    assert.ok(!fs.existsSync(path.join(dir, teamHistoryFile("DEN"))));
+
+    // Re-running a week replaces its games; other weeks are kept.
+    const rerun = [game(2024, 1, "KC", "BAL", 0.7, { actual: 0 })];
+    writeWeek(dir, 2024, 1, rerun);
+    const second = updateHistoryIndex({ season: 2024, week: 1, predictions: rerun, artDir: dir });
+    assert.equal(second.teams.KC, 2);
+    const kc = readJson(dir, teamHistoryFile("KC"));
+    assert.equal(kc.team, "KC");
+    assert.deepEqual(kc.games.map((g) => [g.season, g.week, g.forecast, g.actual]), [[2023, 5, 0.6, 1], [2024, 1, 0.7, 0]]);
+
+    // A new week only touches its teams and matchups.
+    const week2 = [game(2024, 2, "BUF", "KC", 0.45)];
+    writeWeek(dir, 2024, 2, week2);
+    const third = updateHistoryIndex({ season: 2024, week: 2, predictions: week2, artDir: dir });
+    assert.equal(third.matchups.BUF_KC, 2);
+    assert.deepEqual(readJson(dir, matchupHistoryFile("BUF", "KC")).teams, ["BUF", "KC"]);
+    assert.equal(readJson(dir, teamHistoryFile("BAL")).games.length, 1);
+
+    // A full rebuild agrees with the incremental result.
+    const rebuilt = writeHistoryIndex({ artDir: dir });
+    assert.deepEqual(rebuilt.teams, third.teams);
+    assert.deepEqual(rebuilt.matchups, third.matchups);
+    assert.deepEqual(readJson(dir, HISTORY_INDEX_FILE).seasons, [2023, 2024]);
+
+    // Scoring a week writes its outcomes; refreshing the index fills in the
+    // actuals the predictions were written without.
+    fs.writeFileSync(
+      path.join(dir, "outcomes_2024_W02.json"),
+      JSON.stringify([{ game_id: week2[0].game_id, actual: { home_points: 20, away_points: 17, home_win: 1 } }])
+    );
+    updateHistoryIndex({ season: 2024, week: 2, predictions: week2, artDir: dir });
+    const scored = readJson(dir, matchupHistoryFile("BUF", "KC")).games.find((g) => g.week === 2);
+    assert.equal(scored.actual, 1);
+    assert.equal(scored.natural_language, "long narrative");
+    writeHistoryIndex({ artDir: dir });
+    assert.equal(readJson(dir, teamHistoryFile("BUF")).games.find((g) => g.week === 2).actual, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("historyIndex tests passed");
+})();
@@ -0,0 +1,242 @@
+// trainer/tests/hyperparamSearch.test.js
+// Search spaces, time-series folds, successive halving, ledger resume and the
+// promote step, on synthetic data; tuning data filled into an empty season
+// cache through the loaders against a stubbed fetch, then read offline.
+
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import {
+  SEARCH_SPACES,
+  createRng,
+  halvingBudgets,
+  loadTuningData,
+  openTrialLedger,
+  promoteBest,
+  runSearch,
+  sampleParams,
+  searchDefinition,
+  storedParams,
+  timeSeriesFolds
+} from "../hyperparamSearch.js";
+
+// The stub answers 404 for release discovery; don't back off and retry those.
+process.env.DATA_RETRY_ATTEMPTS = "1";
+const { tuningAdapters } = await import("../train_multi.js");
+const { caches, loadSchedules, loadTeamWeekly } = await import("../dataSources.js");
+
+const realFetch = globalThis.fetch;
+const TEAM_WEEKLY_CSV = [
+  "season,week,team,opponent,passing_yards,rushing_yards",
+  "2023,1,KC,DET,226,118",
+  "2023,1,DET,KC,253,118"
+].join("\n");
+const SCHEDULES_CSV = [
+  "game_id,season,week,home_team,away_team,home_score,away_score,game_type",
+  "2023_01_DET_KC,2023,1,KC,DET,20,21,REG"
+].join("\n");
+
+const networkRequests = [];
+async function stubFetch(url) {
+  networkRequests.push(String(url));
+  const csv = String(url).includes("stats_team_week_2023.csv")
+    ? TEAM_WEEKLY_CSV
+    : String(url).endsWith("/games.csv") ? SCHEDULES_CSV : null;
+  if (!csv) return { ok: false, status: 404, statusText: "Not Found", text: async () => "Not Found" };
+  return { ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(csv).buffer };
+}
+
+// Stands in for train_multi.js: the season loader goes through dataSources.js.
+const tuningTrainer = {
+  loadSeasonData: async (season) => ({
+    schedules: await loadSchedules(season),
+    teamWeekly: await loadTeamWeekly(season)
+  }),
+  buildSeasonTrainingRows: async (season, data) => ({
+    featureRows: data.teamWeekly.map((row) => ({ season, team: row.team, games: data.schedules.length })),
+    btRows: []
+  }),
+  buildTuningDataset: ({ featureRows, btRows }) => ({ featureRows, btRows })
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+function syntheticData() {
+  const rng = createRng(11);
+  const data = { X: [], y: [], seasons: [], weeks: [] };
+  for (const season of [2019, 2020, 2021, 2022]) {
+    for (let i = 0; i < 60; i++) {
+      const x = [rng() * 4 - 2, rng() * 4 - 2, rng() * 4 - 2];
+      data.X.push(x);
+      data.y.push(rng() < sigmoid(2 * x[0] - x[1]) ? 1 : 0);
+      data.seasons.push(season);
+      data.weeks.push(1 + (i % 10));
+    }
+  }
+  return data;
+}
+
+// Scores a single parameter: the closer x is to 0.7, the sharper (and better)
+// the predictions. Counts fits so resumed searches can be checked.
+function toyAdapter() {
+  const adapter = {
+    fits: 0,
+    fit(train, params) {
+      adapter.fits += 1;
+      return params;
+    },
+    predict(params, valid) {
+      const edge = 0.45 - Math.abs(params.x - 0.7) * 0.4;
+      return valid.y.map((y) => (y ? 0.5 + edge : 0.5 - edge));
+    }
+  };
+  return adapter;
+}
+
+const TOY_SPACE = { x: { type: "float", min: 0, max: 1 } };
+
+(async function runTests() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "hyperparam-search-"));
+  try {
+    // Sampling is seeded and stays inside every declared space.
+    for (const [model, space] of Object.entries(SEARCH_SPACES)) {
+      const a = createRng(5);
+      const b = createRng(5);
+      for (let i = 0; i < 20; i++) {
+        const params = sampleParams(space, a);
+        assert.deepEqual(sampleParams(space, b), params);
+        for (const [key, spec] of Object.entries(space)) {
+          assert.ok(params[key] >= spec.min * 0.999 && params[key] <= spec.max * 1.001, `${model}.${key}=${params[key]}`);
+          if (spec.type === "int") assert.ok(Number.isInteger(params[key]));
+        }
+      }
+    }
+
+    // Folds only ever train on earlier periods.
+    const data = syntheticData();
+    const folds = timeSeriesFolds(data, { maxFolds: 2 });
+    assert.deepEqual(folds.map((f) => f.label), ["2021", "2022"]);
+    for (const fold of folds) {
+      const validSeason = data.seasons[fold.valid[0]];
+      assert.ok(fold.valid.every((i) => data.seasons[i] === validSeason));
+      assert.ok(fold.train.every((i) => data.seasons[i] < validSeason));
+    }
+    assert.equal(folds[1].train.length, 180);
+    const oneSeason = timeSeriesFolds({ seasons: [2023, 2023, 2023, 2023], weeks: [1, 2, 3, 3] });
+    assert.deepEqual(oneSeason.map((f) => [f.label, f.train, f.valid]), [
+      ["2023_W02", [0], [1]],
+      ["2023_W03", [0, 1], [2, 3]]
+    ]);
+
+    assert.deepEqual(halvingBudgets(3), [0.1111, 0.3333, 1]);
+
+    // Successive halving: 9 configurations, then 3, then 1 at full budget.
+    const ledgerFile = path.join(root, "tuning", "hyperparam_trials_toy.json");
+    const search = { model: "logistic", strategy: "halving", trials: 9, eta: 3, seed: 3, space: TOY_SPACE, folds };
+    const definition = searchDefinition({ ...search, data });
+    const adapter = toyAdapter();
+    const first = runSearch({ ...search, adapter, data, ledger: openTrialLedger(ledgerFile, definition) });
+    assert.equal(first.evaluated, 13);
+    assert.equal(adapter.fits, 13 * folds.length);
+    const saved = JSON.parse(fs.readFileSync(ledgerFile, "utf8"));
+    assert.equal(saved.trials.length, 13);
+    assert.deepEqual(saved.trials.map((t) => t.rung).filter((r) => r === 2), [2]);
+    assert.equal(first.best.budget, 1);
+    const rung0 = saved.trials.filter((t) => t.rung === 0).sort((a, b) => a.logloss - b.logloss);
+    assert.equal(first.best.config_id, rung0[0].config_id, "best configuration dropped by halving");
+    assert.ok(first.best.folds.every((f) => f.n === 60));
+
+    // An interrupted search resumes: completed trials are not rerun.
+    saved.trials = saved.trials.slice(0, 5);
+    fs.writeFileSync(ledgerFile, JSON.stringify(saved));
+    const resumedAdapter = toyAdapter();
+    const resumed = runSearch({ ...search, adapter: resumedAdapter, data, ledger: openTrialLedger(ledgerFile, definition) });
+    assert.equal(resumed.reused, 5);
+    assert.equal(resumed.evaluated, 8);
+    assert.deepEqual(resumed.best.params, first.best.params);
+    assert.throws(() => openTrialLedger(ledgerFile, { ...definition, seed: 4 }), /different search/);
+    assert.equal(openTrialLedger(ledgerFile, { ...definition, seed: 4 }, { fresh: true }).payload.trials.length, 0);
+
+    // Promotion: held-out seasons decide, and only a better challenger is written.
+    const adapters = tuningAdapters();
+    const searchData = {
+      ...data,
+      X: data.X.slice(0, 180),
+      y: data.y.slice(0, 180),
+      seasons: data.seasons.slice(0, 180),
+      weeks: data.weeks.slice(0, 180)
+    };
+    const logisticSearch = { model: "logistic", strategy: "random", trials: 4, seed: 2, folds: timeSeriesFolds(searchData) };
+    const logisticLedger = openTrialLedger(
+      path.join(root, "hyperparam_trials_logistic.json"),
+      searchDefinition({ ...logisticSearch, data: searchData })
+    );
+    runSearch({ ...logisticSearch, adapter: adapters.logistic, data: searchData, ledger: logisticLedger });
+    const modelParamsPath = path.join(root, "modelParams.json");
+    fs.writeFileSync(
+      modelParamsPath,
+      JSON.stringify({ logistic: { steps: 20, learningRate: 1e-3, l2: 0.01 }, ann: { batchSize: 32 } })
+    );
+    const promotion = promoteBest({
+      model: "logistic",
+      adapter: adapters.logistic,
+      data,
+      holdoutSeasons: [2022],
+      ledger: logisticLedger,
+      modelParamsPath
+    });
+    assert.equal(promotion.promoted, true);
+    assert.ok(promotion.challenger.logloss < promotion.incumbent.logloss);
+    const written = JSON.parse(fs.readFileSync(modelParamsPath, "utf8"));
+    assert.deepEqual(storedParams("logistic", written), logisticLedger.best().params);
+    assert.deepEqual(written.ann, { batchSize: 32 });
+
+    // The promoted parameters are now the incumbent; a tie keeps them.
+    const rerun = promoteBest({
+      model: "logistic",
+      adapter: adapters.logistic,
+      data,
+      holdoutSeasons: [2022],
+      ledger: logisticLedger,
+      modelParamsPath
+    });
+    assert.equal(rerun.promoted, false);
+    assert.equal(JSON.parse(fs.readFileSync(logisticLedger.file, "utf8")).promotions.length, 2);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  // `npm run tune` fills an empty cache from the loaders, then runs offline.
+  const cacheRoot = fs.mkdtempSync(path.join(os.tmpdir(), "tuning-cache-"));
+  try {
+    globalThis.fetch = stubFetch;
+    const cacheDir = path.join(cacheRoot, "cache");
+    const online = await loadTuningData({ trainer: tuningTrainer, start: 2023, end: 2023, cacheDir });
+    assert.deepEqual(online.featureRows.map((row) => [row.team, row.games]), [["KC", 1], ["DET", 1]]);
+    assert.ok(networkRequests.some((url) => url.includes("stats_team_week_2023.csv")));
+
+    for (const store of Object.values(caches)) store.clear();
+    globalThis.fetch = async (url) => {
+      networkRequests.push(String(url));
+      throw new Error(`network disabled: ${url}`);
+    };
+    const requestsBefore = networkRequests.length;
+    const offline = await loadTuningData({ trainer: tuningTrainer, start: 2023, end: 2023, cacheDir, offline: true });
+    assert.deepEqual(offline, online);
+    assert.equal(networkRequests.length, requestsBefore);
+    await assert.rejects(
+      loadTuningData({ trainer: tuningTrainer, start: 2022, end: 2022, cacheDir, offline: true }),
+      /season 2022/
+    );
+    assert.equal(networkRequests.length, requestsBefore);
+  } finally {
+    globalThis.fetch = realFetch;
+    fs.rmSync(cacheRoot, { recursive: true, force: true });
+  }
+
+  console.log("hyperparameter search tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
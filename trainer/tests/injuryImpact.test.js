@@ -0,0 +1,205 @@
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// loadInjuries reads Rotowire artifacts from a directory fixed when
+// dataSources is first imported (featureBuild pulls it in).
+const rotowireDir = fs.mkdtempSync(path.join(os.tmpdir(), "injuries-"));
+process.env.ROTOWIRE_ARTIFACTS_DIR = rotowireDir;
+process.env.DATA_RETRY_ATTEMPTS = "1";
+const { buildInjuryImpactIndex, getTeamInjuryImpact, injuryUnit, playerNameKey, ZERO_IMPACT } = await import(
+  "../injuryIndex.js"
+);
+const { buildFeatures, FEATS } = await import("../featureBuild.js");
+const { computeExplainArtifact } = await import("../explainRubric.js");
+const { loadInjuries } = await import("../dataSources.js");
+
+const NFLVERSE_INJURIES_CSV = [
+  "season,game_type,team,week,gsis_id,position,full_name,first_name,last_name,report_primary_injury,report_secondary_injury,report_status,practice_primary_injury,practice_secondary_injury,practice_status,date_modified",
+  "2025,REG,KC,3,00-0033873,QB,Patrick Mahomes,Patrick,Mahomes,Ankle,,Out,Ankle,,Did Not Participate In Practice,2025-09-19T20:00:00Z",
+  "2025,REG,BUF,4,00-0034857,QB,Josh Allen,Josh,Allen,Foot,,Doubtful,Foot,,Limited Participation in Practice,2025-09-26T20:00:00Z"
+].join("\n");
+
+const close = (actual, expected, tol = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+const injury = (team, player, position, status, week = 4) => ({ season: 2025, week, team, player, position, status });
+const snaps = (team, player, week, offense, defense = 0) => ({
+  season: 2025,
+  week,
+  team,
+  player,
+  offense_pct: offense,
+  defense_pct: defense
+});
+
+(async function runTests() {
+  assert.equal(injuryUnit("qb"), "qb");
+  assert.equal(injuryUnit("LT"), "ol");
+  assert.equal(injuryUnit("OLB"), "front7");
+  assert.equal(injuryUnit("LS"), null);
+  assert.equal(playerNameKey("Michael Pittman Jr."), playerNameKey("Michael Pittman"));
+  assert.equal(playerNameKey("B.J. Ojulari"), playerNameKey("BJ Ojulari"));
+
+  // A long snapper being out costs nothing; the starting QB costs the most,
+  // weighted by the snaps he has actually been playing.
+  const snapCounts = [1, 2, 3].flatMap((week) => [
+    snaps("KC", "Patrick Mahomes", week, 1),
+    snaps("KC", "Backup Tackle", week, 0.1),
+    snaps("KC", "Starting Corner", week, 0, week === 3 ? 0 : 0.9),
+    snaps("BUF", "Somebody Else", week, 1),
+    ...(week === 1 ? [snaps("BUF", "Benched Receiver", week, 0)] : [])
+  ]);
+  const index = buildInjuryImpactIndex(
+    [
+      injury("KC", "Patrick Mahomes", "QB", "Out"),
+      injury("KC", "James Winchester", "LS", "Out"),
+      injury("KC", "Backup Tackle", "T", "Questionable"),
+      injury("KC", "Starting Corner", "CB", "Doubtful"),
+      injury("KC", "Starting Corner", "CB", "Questionable"),
+      injury("BUF", "Rookie Receiver", "WR", "Out"),
+      injury("BUF", "Benched Receiver", "WR", "Out"),
+      injury("BUF", "Charted Linebacker", "LB", "Out"),
+      injury("BUF", "Unknown Safety", "S", "IR")
+    ],
+    2025,
+    {
+      snapCounts,
+      depthCharts: [
+        { season: 2025, team: "BUF", player_name: "Charted Linebacker", pos_abb: "MLB", pos_rank: 2, dt: "2025-09-20" }
+      ]
+    }
+  );
+
+  const kc = getTeamInjuryImpact(index, 2025, 4, "KC");
+  close(kc.qb, 2);
+  close(kc.ol, 0.4 * 0.1 * 0.6);
+  // Worst designation wins; the corner sat out week 3 so his share is 0.6.
+  close(kc.secondary, 0.6 * 0.6 * 0.45);
+  assert.equal(kc.players.length, 3);
+  assert.ok(!kc.players.some((p) => p.position === "LS"));
+  assert.equal(kc.players[0].player, "Patrick Mahomes");
+  close(kc.total, kc.qb + kc.ol + kc.secondary);
+
+  // BUF has snap counts, but only the benched receiver is on file (share 0);
+  // names the snap counts do not list fall back to the depth chart or default.
+  const buf = getTeamInjuryImpact(index, 2025, 4, "BUF");
+  const bufSources = Object.fromEntries(buf.players.map((p) => [p.player, [p.share_source, p.snap_share]]));
+  assert.deepEqual(bufSources, {
+    "Benched Receiver": ["snap_counts", 0],
+    "Rookie Receiver": ["default", 0.5],
+    "Charted Linebacker": ["depth_chart", 0.35],
+    "Unknown Safety": ["default", 0.5]
+  });
+  assert.ok(buf.total > 0);
+
+  // Week 1 has no earlier snaps: fall back to the depth chart, then a default.
+  const early = buildInjuryImpactIndex(
+    [injury("BUF", "Charted Linebacker", "LB", "Out", 1), injury("BUF", "Unknown Safety", "S", "Out", 1)],
+    2025,
+    {
+      snapCounts,
+      depthCharts: [{ season: 2025, week: 1, club_code: "BUF", full_name: "Charted Linebacker", position: "LB", depth_team: "2" }]
+    }
+  );
+  const bufEarly = getTeamInjuryImpact(early, 2025, 1, "BUF");
+  close(bufEarly.front7, 0.35 * 0.35);
+  close(bufEarly.secondary, 0.5 * 0.35);
+  assert.deepEqual(
+    bufEarly.players.map((p) => p.share_source).sort(),
+    ["default", "depth_chart"]
+  );
+  assert.deepEqual(getTeamInjuryImpact(index, 2025, 5, "KC"), { ...ZERO_IMPACT, players: [] });
+
+  // Feature rows carry the unit values and the difference to the opponent.
+  for (const unit of ["qb", "ol", "skill", "front7", "secondary", "total"]) {
+    assert.ok(FEATS.includes(`lost_snap_value_${unit}`));
+  }
+  const schedules = [1, 2, 3, 4].map((week) => ({
+    season: 2025,
+    week,
+    game_type: "REG",
+    home_team: "KC",
+    away_team: "BUF",
+    home_score: week === 4 ? null : 20,
+    away_score: week === 4 ? null : 17,
+    game_date: `2025-09-${String(week * 7).padStart(2, "0")}`
+  }));
+  const teamWeekly = schedules.flatMap((g) =>
+    [g.home_team, g.away_team].map((team) => ({
+      season: 2025,
+      week: g.week,
+      team,
+      opponent: team === g.home_team ? g.away_team : g.home_team,
+      passing_yards: 200,
+      rushing_yards: 100
+    }))
+  );
+  const rows = buildFeatures({
+    teamWeekly,
+    schedules,
+    season: 2025,
+    injuries: [injury("KC", "Patrick Mahomes", "QB", "Out")],
+    snapCounts
+  });
+  const kcRow = rows.find((row) => row.week === 4 && row.team === "KC");
+  const bufRow = rows.find((row) => row.week === 4 && row.team === "BUF");
+  close(kcRow.lost_snap_value_qb, 2);
+  close(kcRow.lost_snap_value_total_minus_opp, 2);
+  close(bufRow.lost_snap_value_total_minus_opp, -2);
+  assert.ok(rows.filter((row) => row.week < 4).every((row) => row.lost_snap_value_total === 0));
+
+  // Explain output votes on the net lost value when the context carries it.
+  const lost = (impact) => ({ ...impact, top_players: impact.players });
+  const explain = computeExplainArtifact({
+    season: 2025,
+    week: 4,
+    predictions: [{ game_id: "g", home_team: "KC", away_team: "BUF", probs: { blended: 0.4 } }],
+    context: [
+      {
+        game_id: "g",
+        context: { injuries: { home_lost_snap_value: lost(kc), away_lost_snap_value: lost(buf) } }
+      }
+    ]
+  });
+  const factor = explain.games[0].factors.find((f) => f.name === "injuries");
+  assert.equal(factor.vote, 1);
+  assert.match(factor.reason, /opponent qb hit hardest/);
+
+  // Historical weeks come from the nflverse reports; a week with a Rotowire
+  // artifact keeps the Rotowire rows only.
+  fs.writeFileSync(
+    path.join(rotowireDir, "injuries_2025_W04.json"),
+    JSON.stringify([{ season: 2025, week: 4, team: "BUF", player: "Josh Allen", position: "QB", status: "Questionable" }])
+  );
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url) =>
+    String(url).endsWith("/injuries/injuries_2025.csv")
+      ? { ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(NFLVERSE_INJURIES_CSV).buffer }
+      : { ok: false, status: 404, statusText: "Not Found", text: async () => "Not Found" };
+  try {
+    const reports = await loadInjuries(2025);
+    assert.deepEqual(
+      reports.map((r) => [r.week, r.team, r.player, r.status, r.source]),
+      [
+        [4, "BUF", "Josh Allen", "Questionable", "rotowire"],
+        [3, "KC", "Patrick Mahomes", "Out", "nflverse"]
+      ]
+    );
+    const backfilled = reports[1];
+    assert.equal(backfilled.position, "QB");
+    assert.equal(backfilled.notes, "Ankle | Did Not Participate In Practice");
+    const reportIdx = buildInjuryImpactIndex(reports, 2025, { snapCounts });
+    close(getTeamInjuryImpact(reportIdx, 2025, 3, "KC").qb, 2);
+    assert.equal(getTeamInjuryImpact(reportIdx, 2025, 4, "BUF").players[0].status, "questionable");
+  } finally {
+    globalThis.fetch = realFetch;
+    fs.rmSync(rotowireDir, { recursive: true, force: true });
+  }
+
+  console.log("injuryImpact tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
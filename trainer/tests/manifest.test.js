@@ -0,0 +1,111 @@
+// trainer/tests/manifest.test.js
+// Artifact manifest: every season, week and artifact type with hashes and
+// generation times, the listing and per-season files it is written as, the
+// season index derived from it, and the /manifest route.
+
+import assert from "assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { buildManifest, seasonIndexFromManifest, splitManifest, writeManifest } from "../../scripts/buildIndex.js";
+import { validateArtifact } from "../schemaValidator.js";
+import worker from "../../worker/worker.js";
+
+const write = (dir, name, payload) =>
+  fs.writeFileSync(path.join(dir, name), typeof payload === "string" ? payload : JSON.stringify(payload));
+
+(async function runTests() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  try {
+    write(root, "predictions_2023_W18.json", [{ game_id: "2023-W18-BUF-MIA" }]);
+    write(root, "predictions_2024_W01.json", [{ game_id: "2024-W01-KC-BAL" }]);
+    write(root, "predictions_2024_W01_hybrid_v2.json", []);
+    write(root, "outcomes_2024_W01.json", []);
+    write(root, "predictions_2024_W20.json", []);
+    write(root, "model_2024_W20.json", { generated_at: "2025-01-20T12:00:00.000Z" });
+    write(root, "metrics_2024.json", { season: 2024 });
+    write(root, "calibration_history_2024.csv", "week,brier\n1,0.2\n");
+    write(root, "context_current.json", { season: 2024 });
+    write(root, "context_2024_to_W01.json", []);
+    write(root, "context_2024_to_W07.json", []);
+    write(root, "notes.txt", "ignored");
+    write(root, "manifest.json", { stale: true });
+    write(root, "manifest_2019.json", { stale: true });
+
+    const manifest = buildManifest({ dir: root, now: new Date("2025-02-01T00:00:00Z") });
+    assert.equal(manifest.generated_at, "2025-02-01T00:00:00.000Z");
+    assert.deepEqual(manifest.latest, { season: 2024, week: 20 });
+    assert.deepEqual(manifest.seasons.map((s) => s.season), [2023, 2024]);
+    assert.deepEqual(Object.keys(manifest.artifacts), ["context_current"], "manifest.json and non-artifacts skipped");
+
+    // Weeks past 18 (postseason) are listed, not just one season's regular season.
+    const season = manifest.seasons[1];
+    assert.deepEqual(season.weeks.map((w) => w.week), [1, 20]);
+    assert.equal(season.latest_week, 20);
+    assert.equal(season.latest_completed_week, 1);
+    assert.deepEqual(Object.keys(season.weeks[0].artifacts).sort(), ["outcomes", "predictions", "predictions_hybrid_v2"]);
+    assert.deepEqual(Object.keys(season.artifacts).sort(), ["calibration_history_csv", "context_through", "metrics"]);
+    // Season-to-date packs belong to their season, the latest one winning.
+    assert.equal(season.artifacts.context_through.file, "context_2024_to_W07.json");
+    assert.equal(season.artifacts.context_through.through_week, 7);
+
+    // Written as a small listing plus one file per season.
+    const { listing, seasons } = splitManifest(manifest);
+    validateArtifact("manifest", listing);
+    assert.deepEqual(listing.latest, manifest.latest);
+    assert.deepEqual(listing.seasons[1], {
+      season: 2024,
+      latest_week: 20,
+      latest_completed_week: 1,
+      manifest: "manifest_2024.json",
+      artifact_types: ["calibration_history_csv", "context_through", "metrics", "model", "outcomes", "predictions", "predictions_hybrid_v2"],
+      prediction_weeks: [1, 20]
+    });
+    assert.deepEqual(seasons.map((s) => s.file), ["manifest_2023.json", "manifest_2024.json"]);
+    seasons.forEach(({ payload }) => validateArtifact("manifest_season", payload));
+    assert.deepEqual(seasons[1].payload, { generated_at: manifest.generated_at, ...season });
+
+    // Hashes match the file bytes; payload timestamps win over mtimes.
+    const file = season.weeks[0].artifacts.predictions;
+    const bytes = fs.readFileSync(path.join(root, "predictions_2024_W01.json"));
+    assert.equal(file.file, "predictions_2024_W01.json");
+    assert.equal(file.bytes, bytes.length);
+    assert.equal(file.sha256, crypto.createHash("sha256").update(bytes).digest("hex"));
+    assert.equal(season.weeks[1].artifacts.model.generated_at, "2025-01-20T12:00:00.000Z");
+    assert.ok(!Number.isNaN(Date.parse(file.generated_at)));
+
+    const index = seasonIndexFromManifest(manifest, 2024);
+    validateArtifact("season_index", index);
+    assert.deepEqual(index.weeks.map((w) => w.week), [1, 20]);
+    assert.equal(index.weeks[0].outcomes.filename, "outcomes_2024_W01.json");
+    assert.equal(index.weeks[1].outcomes, undefined);
+    assert.deepEqual(seasonIndexFromManifest(manifest, 1999).weeks, []);
+    assert.equal(buildManifest({ dir: path.join(root, "missing") }).latest, null);
+
+    // writeManifest writes both and drops season files for seasons that are gone.
+    writeManifest({ dir: root });
+    assert.ok(!fs.existsSync(path.join(root, "manifest_2019.json")));
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(root, "manifest_2023.json"), "utf8")).weeks.map((w) => w.week), [18]);
+
+    // The listing, or one season's manifest.
+    const env = { ARTIFACT_STORE: "fs", ARTIFACTS_DIR: root };
+    const full = await worker.fetch(new Request("https://worker.test/manifest"), env);
+    assert.equal(full.status, 200);
+    assert.deepEqual((await full.json()).latest, { season: 2024, week: 20 });
+    const one = await worker.fetch(new Request("https://worker.test/manifest?season=2023"), env);
+    const body = await one.json();
+    assert.equal(body.season, 2023);
+    assert.equal(body.data.latest_week, 18);
+    assert.equal(body.data.weeks[0].artifacts.predictions.file, "predictions_2023_W18.json");
+    const missing = await worker.fetch(new Request("https://worker.test/manifest?season=2010"), env);
+    assert.equal(missing.status, 404);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  console.log("artifact manifest tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
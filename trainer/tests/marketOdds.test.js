@@ -0,0 +1,119 @@
+// trainer/tests/marketOdds.test.js
+// Market odds conversion, vig removal and probability resolution, the market
+// member of the blend weight grid, its edge diagnostics, and the hybrid
+// calibrator's weight normalisation with a market weight.
+
+import assert from "assert/strict";
+import {
+  americanToDecimal,
+  americanToImplied,
+  devigMoneyline,
+  resolveMarketProbability,
+  spreadToWinProb
+} from "../marketOdds.js";
+import { enumerateWeights, marketEdgeReport } from "../train_multi.js";
+import { normaliseWeights } from "../hybrid_v2.js";
+import { brier, logLoss } from "../metrics.js";
+
+const close = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${actual} !== ${expected}`);
+const sum = (weights) => Object.values(weights).reduce((s, w) => s + w, 0);
+
+(async function runTests() {
+  // American odds.
+  assert.equal(americanToDecimal(150), 2.5);
+  assert.equal(americanToDecimal("-200"), 1.5);
+  for (const bad of [null, undefined, 0, "", "even", NaN]) {
+    assert.equal(americanToDecimal(bad), null, String(bad));
+  }
+  close(americanToImplied(-110), 110 / 210);
+  assert.equal(americanToImplied(null), null);
+
+  // De-vig: proportional scaling removes the overround.
+  const fair = devigMoneyline(-110, -110);
+  close(fair.home, 0.5);
+  close(fair.overround, 220 / 210);
+  const favourite = devigMoneyline(-200, 170);
+  close(favourite.home + favourite.away, 1);
+  close(favourite.home, (2 / 3) / (2 / 3 + 100 / 270));
+  assert.ok(favourite.overround > 1);
+  assert.equal(devigMoneyline(-200, null), null);
+
+  // Spreads: a pick'em is a coin flip and a home favourite is above one.
+  close(spreadToWinProb(0), 0.5, 1e-7);
+  assert.ok(spreadToWinProb(-7) > 0.65 && spreadToWinProb(-7) < 0.75);
+  close(spreadToWinProb(-3) + spreadToWinProb(3), 1, 1e-7);
+  assert.equal(spreadToWinProb("pk"), null);
+
+  // Resolution order: closing moneyline, opening moneyline, closing spread
+  // (close_spread, spread_home, spread), opening spread.
+  const full = {
+    moneyline_home: -200,
+    moneyline_away: 170,
+    open_moneyline_home: -150,
+    open_moneyline_away: 130,
+    close_spread: -4.5,
+    open_spread: -3
+  };
+  assert.deepEqual(resolveMarketProbability(full), { prob: favourite.home, source: "closing_moneyline" });
+  const opening = resolveMarketProbability({ ...full, moneyline_away: null });
+  assert.equal(opening.source, "opening_moneyline");
+  close(opening.prob, devigMoneyline(-150, 130).home);
+  assert.deepEqual(resolveMarketProbability({ close_spread: -4.5, spread: 7, open_spread: -3 }), {
+    prob: spreadToWinProb(-4.5),
+    source: "closing_spread"
+  });
+  assert.equal(resolveMarketProbability({ spread_home: 3 }).prob, spreadToWinProb(3));
+  assert.equal(resolveMarketProbability({ open_spread: -3 }).source, "opening_spread");
+  assert.equal(resolveMarketProbability({ moneyline_home: -120 }), null);
+  assert.equal(resolveMarketProbability(null), null);
+
+  // The blend grid gains a market weight only in market-aware runs; every
+  // candidate sums to one and members left out stay at zero.
+  const members = ["logistic", "bt"];
+  const plain = enumerateWeights(0.25, { members });
+  assert.equal(plain.length, 5);
+  assert.ok(plain.every((w) => !("market" in w) && w.tree === 0 && w.ann === 0 && w.gbt === 0));
+  const withMarket = enumerateWeights(0.25, { market: true, members });
+  assert.equal(withMarket.length, 15);
+  assert.ok(withMarket.every((w) => Math.abs(sum(w) - 1) < 1e-9));
+  assert.deepEqual(
+    [...new Set(withMarket.map((w) => w.market))].sort((a, b) => a - b),
+    [0, 0.25, 0.5, 0.75, 1]
+  );
+  assert.ok(withMarket.some((w) => w.market === 1 && w.logistic === 0 && w.bt === 0));
+  assert.deepEqual(enumerateWeights(0.25, { market: true, members: [] }), []);
+
+  // Edge diagnostics: only games with a market price count, and a member
+  // sharper than the market has a positive edge.
+  const labels = [1, 0, 1, 0, 1];
+  const marketProbs = [0.6, 0.4, 0.55, null, 0.5];
+  const sharp = [0.9, 0.1, 0.8, 0.9, 0.7];
+  const coin = [0.5, 0.5, 0.5, 0.5, 0.5];
+  const report = marketEdgeReport(labels, { sharp, coin }, marketProbs);
+  assert.equal(report.n, 4);
+  const y = [1, 0, 1, 1];
+  const market = [0.6, 0.4, 0.55, 0.5];
+  close(report.market.logloss, logLoss(y, market));
+  close(report.market.brier, brier(y, market));
+  assert.equal(report.market.accuracy, 1);
+  close(report.models.sharp.logloss_edge, logLoss(y, market) - logLoss(y, [0.9, 0.1, 0.8, 0.7]));
+  close(report.models.sharp.brier_edge, brier(y, market) - brier(y, [0.9, 0.1, 0.8, 0.7]));
+  assert.ok(report.models.sharp.logloss_edge > 0 && report.models.sharp.brier_edge > 0);
+  assert.ok(report.models.coin.logloss_edge < 0 && report.models.coin.brier_edge < 0);
+  assert.deepEqual(marketEdgeReport([1, 0], { coin: [0.5, 0.5] }, [null, null]), { n: 0, market: null, models: {} });
+
+  // Hybrid weight normalisation keeps the market (and gbt) weight, and falls
+  // back to a uniform blend over whichever members the artifact has.
+  const normalised = normaliseWeights({ logistic: 2, tree: 0, bt: 1, ann: -1, market: 1 });
+  assert.deepEqual(normalised, { logistic: 0.5, tree: 0, bt: 0.25, ann: 0, market: 0.25 });
+  const uniform = normaliseWeights({ logistic: 0, tree: -1, bt: 0, ann: 0, gbt: 0, market: 0 });
+  assert.deepEqual(Object.keys(uniform), ["logistic", "tree", "bt", "ann", "gbt", "market"]);
+  assert.ok(Object.values(uniform).every((w) => w === 1 / 6));
+  assert.deepEqual(normaliseWeights(null), { logistic: 0.25, tree: 0.25, bt: 0.25, ann: 0.25 });
+
+  console.log("market odds tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
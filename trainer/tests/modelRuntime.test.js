@@ -0,0 +1,200 @@
+// trainer/tests/modelRuntime.test.js
+// Replays trained weeks from their model_ and scoring_inputs_ artifacts through
+// the portable runtime: every member, the blend and the calibrated forecast
+// must equal the unrounded outputs scoring_inputs recorded, bit for bit, and
+// the 3-decimal predictions must come back unchanged.
+// fixtures/runtime holds one committed week, so a change to the runtime that
+// the trainer also picks up still fails against outputs written before it. It
+// is the synthetic league below, not a real NFL week (the files are named
+// `synthetic_`); regenerate it with UPDATE_RUNTIME_FIXTURES=1 when a change is
+// intended.
+
+import assert from "assert/strict";
+import { copyFileSync, mkdirSync, readFileSync, readdirSync, rmSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifactsDir = path.join(path.resolve(__dirname, "../.."), ".test_artifacts", `runtime-${process.pid}-${Date.now()}`);
+const originalArtifactsDir = process.env.ARTIFACTS_DIR;
+process.env.ARTIFACTS_DIR = artifactsDir;
+
+const { runTraining, writeArtifacts } = await import("../train_multi.js");
+const { trainANNCommittee, predictANNCommittee } = await import("../model_ann.js");
+const { loadModel, scoreGame, serializeAnn } = await import("../modelRuntime.js");
+
+const fixtureDir = path.join(__dirname, "fixtures", "runtime");
+const round3 = (x) => Math.round(x * 1000) / 1000;
+const readJson = (name, dir = artifactsDir) => JSON.parse(readFileSync(path.join(dir, name), "utf8"));
+
+// Scores every game of a week from its artifacts and compares each member, the
+// blend and the calibrated forecast with the recorded outputs and the stored
+// predictions.
+function replayWeek(summary, inputs, predictions) {
+  assert.equal(inputs.length, predictions.length);
+  const model = loadModel(summary);
+  return inputs.map((game, i) => {
+    const stored = predictions[i];
+    assert.equal(game.game_id, stored.game_id);
+    const scored = scoreGame(model, {
+      features: game.features,
+      mirrorFeatures: game.mirror_features,
+      btFeatures: game.bt_features,
+      marketProb: game.market_prob,
+      neutralSite: game.neutral_site
+    });
+    assert.deepEqual(scored.missing, []);
+    assert.deepEqual(
+      { probs: scored.probs, pre: scored.pre, forecast: scored.forecast },
+      game.scored,
+      `${stored.game_id} unrounded outputs`
+    );
+    for (const member of ["logistic", "tree", "bt", "ann", "gbt"]) {
+      assert.equal(round3(scored.probs[member]), stored.probs[member], `${stored.game_id} ${member}`);
+    }
+    assert.equal(round3(scored.pre), stored.calibration.pre, `${stored.game_id} pre`);
+    assert.equal(round3(scored.forecast), stored.forecast, `${stored.game_id} forecast`);
+    return scored;
+  });
+}
+
+function fixture(season) {
+  const games = [
+    [1, "NE", "BUF", 24, 20],
+    [1, "KC", "PHI", 17, 21],
+    [2, "NE", "KC", 30, 27],
+    [2, "BUF", "PHI", 10, 14],
+    [3, "NE", "PHI", 28, 31],
+    [3, "BUF", "KC", 24, 17, "Neutral"]
+  ];
+  const schedules = games.map(([week, home, away, homeScore, awayScore, location]) => ({
+    season,
+    week,
+    game_id: `${season}-${week}-${home}-${away}`,
+    home_team: home,
+    away_team: away,
+    home_score: homeScore,
+    away_score: awayScore,
+    season_type: "REG",
+    ...(location ? { location } : {})
+  }));
+  const teamWeekly = [];
+  const teamGame = [];
+  for (const game of schedules) {
+    const base = 350 + game.week * 10;
+    for (const [team, opponent, yards, turnovers, sacks] of [
+      [game.home_team, game.away_team, base, 1, 2],
+      [game.away_team, game.home_team, base - 30, 2, 3]
+    ]) {
+      teamWeekly.push({
+        season,
+        week: game.week,
+        team,
+        opponent,
+        passing_yards: yards - 130,
+        rushing_yards: 130,
+        penalty_yards: 50,
+        turnovers,
+        time_of_possession: "30:00",
+        def_interceptions: 2 - turnovers,
+        def_fumbles: 1
+      });
+      teamGame.push({
+        season,
+        week: game.week,
+        team,
+        third_down_att: 12 + game.week,
+        third_down_conv: 5 + turnovers,
+        red_zone_att: 5,
+        red_zone_td: 3,
+        pass_att: 32,
+        rush_att: 28,
+        sacks_taken: sacks
+      });
+    }
+  }
+  return { schedules, teamWeekly, teamGame, prevTeamWeekly: [] };
+}
+
+async function main() {
+  // The runtime's forward pass matches the training code's on a JSON round trip.
+  const X = Array.from({ length: 24 }, (_, i) => [Math.sin(i), Math.cos(i * 0.7), (i % 5) / 5]);
+  const y = X.map((x) => (x[0] + x[1] > 0 ? 1 : 0));
+  const ann = trainANNCommittee(X, y, { seeds: 2, maxEpochs: 5, architecture: [4, 3], committeeSize: 1, committees: 2 });
+  const annModel = loadModel({ ann: JSON.parse(JSON.stringify(serializeAnn(ann))), ensemble: { weights: { ann: 1 } } });
+  const expected = predictANNCommittee(ann, X);
+  X.forEach((x, i) => assert.equal(scoreGame(annModel, { features: x }).probs.ann, expected[i]));
+
+  const season = 2023;
+  const data = fixture(season);
+  const options = {
+    btBootstrapSamples: 20,
+    annSeeds: 2,
+    annMaxEpochs: 20,
+    annCvMaxEpochs: 10,
+    annCvSeeds: 2,
+    annArchitecture: [8],
+    weightStep: 0.1,
+    skipSeasonDB: true
+  };
+  rmSync(artifactsDir, { recursive: true, force: true });
+  mkdirSync(artifactsDir, { recursive: true });
+  try {
+    for (const week of [2, 3]) {
+      const result = await runTraining({ season, week, data, options });
+      result.context = [];
+      await writeArtifacts(result);
+
+      const stamp = `${season}_W0${week}`;
+      const summary = readJson(`model_${stamp}.json`);
+      const inputs = readJson(`scoring_inputs_${stamp}.json`);
+      const predictions = readJson(`predictions_${stamp}.json`);
+      assert.ok(
+        summary.decision_tree.leaves && summary.bt.coefficients && summary.ann.committees.length && summary.gbt.trees.length,
+        `week ${week}: members not serialized`
+      );
+
+      const scored = replayWeek(summary, inputs, predictions);
+      // The in-memory result was scored from the same members before rounding.
+      scored.forEach((game, i) => assert.equal(game.forecast, result.scoringInputs[i].scored.forecast));
+      if (week === 3) {
+        assert.ok(inputs.some((game) => game.neutral_site && game.mirror_features));
+        if (process.env.UPDATE_RUNTIME_FIXTURES === "1") {
+          rmSync(fixtureDir, { recursive: true, force: true });
+          mkdirSync(fixtureDir, { recursive: true });
+          for (const prefix of ["model", "scoring_inputs", "predictions"]) {
+            copyFileSync(
+              path.join(artifactsDir, `${prefix}_${stamp}.json`),
+              path.join(fixtureDir, `${prefix}_synthetic_${stamp}.json`)
+            );
+          }
+        }
+      }
+    }
+  } finally {
+    rmSync(artifactsDir, { recursive: true, force: true });
+    if (originalArtifactsDir === undefined) delete process.env.ARTIFACTS_DIR;
+    else process.env.ARTIFACTS_DIR = originalArtifactsDir;
+  }
+
+  // The committed week replays from its files alone, BT included.
+  const committed = readdirSync(fixtureDir).find((name) => name.startsWith("model_"));
+  const committedStamp = committed.replace(/^model_|\.json$/g, "");
+  const committedSummary = readJson(committed, fixtureDir);
+  assert.ok(Array.isArray(committedSummary.bt.coefficients));
+  const replayed = replayWeek(
+    committedSummary,
+    readJson(`scoring_inputs_${committedStamp}.json`, fixtureDir),
+    readJson(`predictions_${committedStamp}.json`, fixtureDir)
+  );
+  assert.ok(replayed.length > 0);
+
+  console.log("modelRuntime replay tests passed");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,87 @@
+// trainer/tests/model_gbt.test.js
+// Boosted trees on synthetic data: they learn a nonlinear signal, stop early on
+// noise, are reproducible, and score identically through the portable runtime.
+
+import assert from "assert/strict";
+import { trainGBT, predictGBT } from "../model_gbt.js";
+import { gbtPathGains, loadModel, scoreGame } from "../modelRuntime.js";
+import { logLoss } from "../metrics.js";
+
+function rng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (1664525 * state + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+// The label depends on x0 through a threshold and on x1 only through |x1|;
+// x2 is noise.
+function synthetic(n, seed) {
+  const next = rng(seed);
+  const X = [];
+  const y = [];
+  for (let i = 0; i < n; i++) {
+    const x = [next() * 4 - 2, next() * 4 - 2, next() * 4 - 2];
+    const z = (x[0] > 0.3 ? 1.5 : -1.5) + (Math.abs(x[1]) > 1 ? 1 : -1);
+    X.push(x);
+    y.push(next() < 1 / (1 + Math.exp(-z)) ? 1 : 0);
+  }
+  return { X, y };
+}
+
+const train = synthetic(600, 3);
+const test = synthetic(300, 4);
+const options = { nEstimators: 120, learningRate: 0.1, maxDepth: 3 };
+
+const model = trainGBT(train.X, train.y, options);
+const probs = predictGBT(model, test.X);
+const base = test.y.map(() => train.y.reduce((s, v) => s + v, 0) / train.y.length);
+assert.ok(probs.every((p) => p > 0 && p < 1));
+assert.ok(logLoss(test.y, probs) < logLoss(test.y, base) - 0.1, "boosting did not beat the base rate");
+
+// Split gain lands on the informative features, not the noise column.
+assert.ok(model.importance[0] > model.importance[2] && model.importance[1] > model.importance[2]);
+
+// Early stopping picked the number of trees the final fit uses.
+assert.ok(model.validation && model.validation.best_iteration >= 1);
+assert.equal(model.n_estimators, model.validation.best_iteration);
+assert.ok(model.n_estimators <= options.nEstimators);
+
+// Pure noise stops well short of the round limit.
+const noise = synthetic(400, 9);
+const shuffled = rng(12);
+const noiseModel = trainGBT(noise.X, noise.y.map(() => (shuffled() < 0.5 ? 1 : 0)), { ...options, earlyStoppingRounds: 10 });
+assert.ok(noiseModel.n_estimators < 60, `noise kept ${noiseModel.n_estimators} trees`);
+
+// Seeded subsampling makes training reproducible.
+assert.deepEqual(trainGBT(train.X, train.y, options).trees, model.trees);
+assert.notDeepEqual(trainGBT(train.X, train.y, { ...options, seed: 8 }).trees, model.trees);
+
+// Depth limit and missing values: NaN takes the right branch.
+const stump = trainGBT(train.X, train.y, { nEstimators: 5, maxDepth: 1, earlyStoppingRounds: 0 });
+assert.equal(stump.n_estimators, 5);
+for (const tree of stump.trees) {
+  assert.ok(tree.left.column == null && tree.right.column == null);
+}
+const [withNaN] = predictGBT(stump, [[NaN, NaN, NaN]]);
+const expected = stump.trees.reduce((z, tree) => z + tree.right.value, stump.base_score);
+assert.equal(withNaN, 1 / (1 + Math.exp(-expected)));
+// null and infinities are missing too, in the trainer and the runtime alike
+// (a null used to be read as 0 and could go left).
+const stumpRuntime = loadModel({ gbt: JSON.parse(JSON.stringify(stump)), ensemble: { weights: { gbt: 1 } } });
+for (const missing of [null, Infinity, -Infinity]) {
+  const row = [missing, missing, missing];
+  assert.equal(predictGBT(stump, [row])[0], withNaN, String(missing));
+  assert.equal(scoreGame(stumpRuntime, { features: row }).probs.gbt, withNaN, String(missing));
+}
+
+// The serialized model scores the same through modelRuntime.js, and its path
+// gains cover the features the game's splits used.
+const runtime = loadModel({ gbt: JSON.parse(JSON.stringify(model)), ensemble: { weights: { gbt: 1 } } });
+test.X.forEach((x, i) => assert.equal(scoreGame(runtime, { features: x }).probs.gbt, probs[i]));
+const gains = gbtPathGains(runtime.gbt, test.X[0]);
+assert.ok(gains.length >= 1 && gains.every((g, i) => i === 0 || gains[i - 1].gain >= g.gain));
+assert.ok(gains.every((g) => [0, 1, 2].includes(g.column) && Number.isFinite(g.value)));
+
+console.log("gradient-boosted trees tests passed");
@@ -0,0 +1,45 @@
+import assert from "assert/strict";
+import {
+  trainMarginModel,
+  predictMargin,
+  residualSd,
+  marginInterval,
+  coverProbability,
+  DEFAULT_MARGIN_SD
+} from "../model_margin.js";
+
+function makeDataset() {
+  const X = [];
+  const y = [];
+  for (let i = 0; i < 60; i++) {
+    const a = (i % 7) - 3;
+    const b = (i % 5) - 2;
+    X.push([a, b]);
+    y.push(3 * a - 2 * b + 1.5);
+  }
+  return { X, y };
+}
+
+(function runTests() {
+  const { X, y } = makeDataset();
+  const model = trainMarginModel(X, y, { l2: 1e-3 });
+  const preds = predictMargin(model, X);
+  assert.strictEqual(preds.length, X.length, "prediction length mismatch");
+  assert(Math.abs(model.w[0] - 3) < 0.05 && Math.abs(model.w[1] + 2) < 0.05, "ridge weights should recover signal");
+  assert(residualSd(y, preds) < 0.5, "residual sd should be small on noiseless data");
+  assert.strictEqual(residualSd([1, 2], [1, 2]), DEFAULT_MARGIN_SD, "small samples fall back to league prior");
+
+  const neutral = trainMarginModel([], [], { featureLength: 2 });
+  assert(neutral.neutral, "empty training set should produce a neutral model");
+
+  const interval = marginInterval(3, 13.5, 0.8);
+  assert(Math.abs(interval.upper - 3 - 13.5 * 1.28155) < 1e-3, "80% interval should use z=1.2816");
+  assert(Math.abs(3 - interval.lower - (interval.upper - 3)) < 1e-9, "interval should be symmetric");
+
+  assert(Math.abs(coverProbability(3, 13.5, -3) - 0.5) < 1e-6, "margin equal to line should be a coin flip");
+  assert(coverProbability(7, 13.5, -3) > 0.5, "beating the spread should favour a cover");
+  assert(coverProbability(-2, 13.5, 2.5) > 0.5, "home underdog within the line should favour a cover");
+  assert.strictEqual(coverProbability(3, 13.5, null), null, "missing spread yields null");
+
+  console.log("model_margin tests passed");
+})();
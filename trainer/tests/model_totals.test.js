@@ -0,0 +1,150 @@
+// trainer/tests/model_totals.test.js
+// The combined-points model on a synthetic league: home/away rows pair into
+// games, the ridge fit recovers the totals, and the weekly payload carries
+// intervals from residuals on time-ordered folds and over/under
+// probabilities against the market total.
+
+import assert from "assert/strict";
+import {
+  DEFAULT_TOTAL_SD,
+  TOTALS_FEATURES,
+  buildTotalsForecasts,
+  buildTotalsRows,
+  overUnderProbabilities,
+  predictTotals,
+  trainTotalsModel
+} from "../model_totals.js";
+import { residualSd } from "../model_margin.js";
+import { validateArtifact } from "../schemaValidator.js";
+
+const TEAMS = ["BUF", "MIA", "KC", "LV", "DAL", "PHI", "SF", "SEA"];
+
+// Combined points driven by both offences' EPA, pace and wind, with a small
+// deterministic wobble so the residual spread is not zero.
+function fixtureRows(season, weeks) {
+  const rows = [];
+  for (const week of weeks) {
+    for (let g = 0; g < TEAMS.length / 2; g++) {
+      const home = TEAMS[(2 * g + week) % TEAMS.length];
+      const away = TEAMS[(2 * g + 1 + week) % TEAMS.length];
+      const i = week * 4 + g;
+      const homeEpa = ((i * 7) % 11) / 50 - 0.1;
+      const awayEpa = ((i * 5) % 13) / 60 - 0.1;
+      const homePlays = 600 + ((i * 3) % 9) * 20;
+      const awayPlays = 580 + ((i * 11) % 7) * 25;
+      const wind = (i * 13) % 20;
+      const games = week - 1;
+      const pace = (homePlays + awayPlays) / Math.max(1, games);
+      const total = 44 + 40 * (homeEpa + awayEpa) + 0.15 * (pace - 130) - 0.3 * wind + ((i % 3) - 1);
+      const team = (code, opponent, isHome, epa, plays) => ({
+        season,
+        week,
+        team: code,
+        opponent,
+        home: isHome,
+        off_epa_per_play_s2d: epa,
+        off_pass_att_s2d: plays * 0.6,
+        off_rush_att_s2d: plays * 0.4,
+        wins_s2d: Math.floor(games / 2),
+        losses_s2d: games - Math.floor(games / 2),
+        weather_wind_mph: wind,
+        total_points: total
+      });
+      rows.push(team(home, away, 1, homeEpa, homePlays), team(away, home, 0, awayEpa, awayPlays));
+    }
+  }
+  return rows;
+}
+
+(async function runTests() {
+  // Pairing: one row per game, keyed from the home side, with summed inputs.
+  const featureRows = fixtureRows(2023, [2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+  const rows = buildTotalsRows(featureRows);
+  assert.equal(rows.length, featureRows.length / 2);
+  const [first] = rows;
+  const homeRow = featureRows.find((r) => r.home === 1 && r.team === first.home_team && r.week === first.week);
+  const awayRow = featureRows.find((r) => r.home === 0 && r.team === first.away_team && r.week === first.week);
+  assert.equal(first.away_team, homeRow.opponent);
+  assert.equal(first.total_points, homeRow.total_points);
+  assert.equal(first.features.off_epa_sum_s2d, homeRow.off_epa_per_play_s2d + awayRow.off_epa_per_play_s2d);
+  assert.equal(
+    first.features.home_pace,
+    (homeRow.off_pass_att_s2d + homeRow.off_rush_att_s2d) / (homeRow.wins_s2d + homeRow.losses_s2d)
+  );
+  assert.equal(first.features.pace_sum, first.features.home_pace + first.features.away_pace);
+  assert.equal(first.features.weather_temp_f, 65);
+  assert.deepEqual(Object.keys(first.features), TOTALS_FEATURES);
+  assert.equal(buildTotalsRows(featureRows.filter((r) => r.home === 1)).length, 0);
+
+  // Fitted totals track the generating formula, and the spread comes from the
+  // out-of-fold residuals rather than the league prior.
+  const train = rows.filter((r) => r.week < 11);
+  const test = rows.filter((r) => r.week === 11);
+  const model = trainTotalsModel(train, { l2: 0.01 });
+  assert.equal(model.n, train.length);
+  assert.deepEqual(model.features, TOTALS_FEATURES);
+  const fitted = predictTotals(model, train);
+  const rmse = Math.sqrt(fitted.reduce((s, p, i) => s + (p - train[i].total_points) ** 2, 0) / train.length);
+  assert.ok(rmse < 1.5, `in-sample rmse ${rmse}`);
+  assert.ok(model.sd > 0.5 && model.sd < 4, `residual sd ${model.sd}`);
+  // The residuals come from walking forward: each of the last k weeks is
+  // predicted by a fit on the weeks before it only.
+  const walkActual = [];
+  const walkPred = [];
+  for (const week of [6, 7, 8, 9, 10]) {
+    const val = train.filter((r) => r.week === week);
+    walkActual.push(...val.map((r) => r.total_points));
+    walkPred.push(...predictTotals(trainTotalsModel(train.filter((r) => r.week < week), { l2: 0.01 }), val));
+  }
+  assert.equal(model.sd, residualSd(walkActual, walkPred, DEFAULT_TOTAL_SD));
+  const heavy = trainTotalsModel(train, { l2: 1e6 });
+  const meanTotal = train.reduce((s, r) => s + r.total_points, 0) / train.length;
+  assert.ok(predictTotals(heavy, test).every((p) => Math.abs(p - meanTotal) < 1), "heavy ridge shrinks to the mean");
+
+  // With nothing labelled the model is the league prior.
+  const neutral = trainTotalsModel(train.map((r) => ({ ...r, total_points: null })));
+  assert.equal(neutral.neutral, true);
+  assert.equal(neutral.sd, DEFAULT_TOTAL_SD);
+  assert.deepEqual(predictTotals(neutral, test), test.map(() => 44));
+
+  // Over/under against a line under the normal approximation.
+  assert.ok(Math.abs(overUnderProbabilities(44, 10, 44).over - 0.5) < 1e-6);
+  const lean = overUnderProbabilities(50, 10, 44);
+  assert.ok(lean.over > 0.7 && Math.abs(lean.over + lean.under - 1) < 1e-12);
+  assert.equal(overUnderProbabilities(44, 10, null), null);
+  assert.equal(overUnderProbabilities(44, 0, 44), null);
+
+  // The weekly payload: one game per test row, an 80% interval around the
+  // projection, and probabilities only where the market has a total.
+  const [priced, unpriced] = test;
+  const marketTotals = new Map([[`${priced.week}|${priced.home_team}|${priced.away_team}`, 41.5]]);
+  const { model: fittedModel, games } = buildTotalsForecasts({ trainRows: train, testRows: test, marketTotals, l2: 0.01 });
+  validateArtifact("totals", games);
+  assert.equal(games.length, test.length);
+  assert.equal(fittedModel.n, train.length);
+  const projected = predictTotals(fittedModel, test);
+  games.forEach((game, i) => {
+    assert.equal(game.game_id, `2023-W11-${test[i].home_team}-${test[i].away_team}`);
+    assert.equal(game.projected_total, Math.round(projected[i] * 10) / 10);
+    assert.ok(Math.abs(projected[i] - test[i].total_points) < 3, `${game.game_id} projected ${projected[i]}`);
+    assert.equal(game.actual_total, test[i].total_points);
+    const { lower, upper, level, sd } = game.total_interval;
+    assert.equal(level, 0.8);
+    assert.equal(sd, Math.round(fittedModel.sd * 100) / 100);
+    assert.ok(lower < game.projected_total && game.projected_total < upper);
+    assert.ok(Math.abs(upper - lower - 2 * 1.2816 * fittedModel.sd) < 0.2);
+  });
+  const pricedGame = games.find((g) => g.home_team === priced.home_team);
+  const expected = overUnderProbabilities(projected[test.indexOf(priced)], fittedModel.sd, 41.5);
+  assert.equal(pricedGame.market_total, 41.5);
+  assert.equal(pricedGame.over_prob, Math.round(expected.over * 1000) / 1000);
+  assert.ok(Math.abs(pricedGame.over_prob + pricedGame.under_prob - 1) < 1e-3);
+  assert.equal(pricedGame.over_prob > 0.5, pricedGame.projected_total > 41.5);
+  const unpricedGame = games.find((g) => g.home_team === unpriced.home_team);
+  assert.deepEqual([unpricedGame.market_total, unpricedGame.over_prob, unpricedGame.under_prob], [null, null, null]);
+
+  console.log("model_totals tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,179 @@
+import assert from "assert/strict";
+import path from "node:path";
+import zlib from "node:zlib";
+import { fileURLToPath } from "node:url";
+import { loadPBP } from "../dataSources.js";
+import { gameStates, predictWP, replayGame, wpFeatures, WP_FEATURES } from "../model_wp.js";
+import { fitWinProbability, loadPregameForecasts, pregamePrior } from "../wpReplay.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifactsDir = path.resolve(__dirname, "../../artifacts");
+
+const close = (actual, expected, tol = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Synthetic play-by-play: possessions of four plays alternate between the
+// teams, and each possession ends in a touchdown with a probability set by the
+// home side's strength, which also sets the pregame forecast.
+function simulateGame(id, rng) {
+  const strength = (rng() - 0.5) * 2;
+  const prior = 1 / (1 + Math.exp(-strength));
+  const rows = [];
+  let home = 0;
+  let away = 0;
+  const plays = 80;
+  for (let i = 0; i < plays; i++) {
+    const posteam = Math.floor(i / 4) % 2 === 0 ? "KC" : "BUF";
+    const defteam = posteam === "KC" ? "BUF" : "KC";
+    if (i % 4 === 3) {
+      const scoreProb = posteam === "KC" ? 0.3 + 0.15 * strength : 0.3 - 0.15 * strength;
+      if (rng() < scoreProb) {
+        if (posteam === "KC") home += 7;
+        else away += 7;
+      }
+    }
+    rows.push({
+      game_id: id,
+      season: 2023,
+      week: 1,
+      play_id: i + 1,
+      home_team: "KC",
+      away_team: "BUF",
+      posteam,
+      defteam,
+      qtr: Math.min(4, Math.floor(i / 20) + 1),
+      game_seconds_remaining: 3600 - (i * 3600) / plays,
+      down: (i % 4) + 1,
+      ydstogo: 10,
+      yardline_100: 75 - (i % 4) * 15,
+      posteam_timeouts_remaining: 3,
+      defteam_timeouts_remaining: 3,
+      total_home_score: home,
+      total_away_score: away
+    });
+  }
+  rows.push({
+    game_id: id,
+    season: 2023,
+    week: 1,
+    play_id: plays + 1,
+    home_team: "KC",
+    away_team: "BUF",
+    qtr: 4,
+    game_seconds_remaining: 0,
+    total_home_score: home,
+    total_away_score: away
+  });
+  return { rows, prior };
+}
+
+(async function runTests() {
+  // Kickoff carries the full prior, the final whistle none of it.
+  const kickoff = wpFeatures({ seconds_remaining: 3600, home_score: 0, away_score: 0 }, 0.75);
+  assert.equal(kickoff.length, WP_FEATURES.length);
+  close(kickoff[WP_FEATURES.indexOf("prior_logit")], Math.log(3));
+  const whistle = wpFeatures({ seconds_remaining: 0, home_score: 10, away_score: 3 }, 0.75);
+  close(whistle[WP_FEATURES.indexOf("prior_logit")], 0);
+  close(whistle[WP_FEATURES.indexOf("score_diff_time")], 7);
+  const awayBall = wpFeatures({ seconds_remaining: 1800, possession: -1, yardline_100: 20, down: 3, ydstogo: 5 });
+  close(awayBall[WP_FEATURES.indexOf("field_position")], -0.6);
+  close(awayBall[WP_FEATURES.indexOf("late_down")], -1);
+
+  // State reconstruction: scores before each play, timeouts by side.
+  const games = gameStates([
+    { game_id: "g1", season: 2023, week: 1, play_id: 2, home_team: "KC", away_team: "BUF", posteam: "BUF", game_seconds_remaining: 3500, posteam_timeouts_remaining: 2, defteam_timeouts_remaining: 3, total_home_score: 0, total_away_score: 7 },
+    { game_id: "g1", season: 2023, week: 1, play_id: 1, home_team: "KC", away_team: "BUF", posteam: "KC", game_seconds_remaining: 3600, total_home_score: 0, total_away_score: 0 },
+    { game_id: "g1", season: 2023, week: 1, play_id: 3, home_team: "KC", away_team: "BUF", posteam: "KC", game_seconds_remaining: 3400, total_home_score: 3, total_away_score: 7 }
+  ]);
+  const g1 = games.get("g1");
+  assert.deepEqual(g1.states.map((s) => [s.home_score, s.away_score]), [[0, 0], [0, 0], [0, 7]]);
+  assert.deepEqual(g1.states.map((s) => s.possession), [1, -1, 1]);
+  assert.equal(g1.states[1].away_timeouts, 2);
+  assert.equal(g1.states[2].away_timeouts, 2);
+  assert.deepEqual(g1.final, { home_score: 3, away_score: 7 });
+  assert.equal(g1.complete, false);
+
+  // Fit on simulated games: leads matter more late and the prior early.
+  const rng = mulberry32(7);
+  const priors = new Map();
+  const plays = [];
+  for (let i = 0; i < 400; i++) {
+    const { rows, prior } = simulateGame(`sim${i}`, rng);
+    priors.set(`sim${i}`, prior);
+    plays.push(...rows);
+  }
+  const simulated = gameStates(plays);
+  const fit = fitWinProbability(simulated.values(), (game) => priors.get(game.game_id));
+  assert.equal(fit.games, 400);
+  assert.ok(fit.log_loss < Math.log(2), `log loss ${fit.log_loss}`);
+  const wp = (state, prior = 0.5) => predictWP(fit.model, [wpFeatures(state, prior)])[0];
+  const late = { seconds_remaining: 120, possession: -1, yardline_100: 75, down: 1, ydstogo: 10 };
+  const early = { ...late, seconds_remaining: 3000 };
+  assert.ok(wp({ ...late, home_score: 14, away_score: 0 }) > 0.9);
+  assert.ok(wp({ ...late, home_score: 14, away_score: 0 }) > wp({ ...early, home_score: 14, away_score: 0 }));
+  assert.ok(wp({ ...late, home_score: 0, away_score: 7 }) < 0.2);
+  const start = { seconds_remaining: 3600, home_score: 0, away_score: 0 };
+  assert.ok(wp(start, 0.8) > 0.65 && wp(start, 0.2) < 0.35);
+
+  // Replay: one point per play plus the final result; in-progress games stop
+  // at the latest state.
+  const sim0 = simulated.get("sim0");
+  const curve = replayGame(fit.model, sim0, { prior: priors.get("sim0") });
+  assert.equal(curve.points.length, sim0.states.length + 1);
+  const last = curve.points.at(-1);
+  assert.equal(last.home_wp, sim0.final.home_score > sim0.final.away_score ? 1 : sim0.final.home_score < sim0.final.away_score ? 0 : 0.5);
+  assert.equal(curve.swings.length, 5);
+  assert.ok(curve.points.every((p) => p.home_wp >= 0 && p.home_wp <= 1));
+  assert.equal(replayGame(fit.model, g1).points.length, g1.states.length);
+
+  // Priors: ensemble forecast from the committed artifacts, then the spread.
+  const forecasts = loadPregameForecasts(artifactsDir, 2024);
+  const atl = pregamePrior({ season: 2024, week: 5, home_team: "ATL", away_team: "TB", spread_line: 2.5 }, forecasts);
+  assert.deepEqual(atl, { prior: 0.928, source: "ensemble" });
+  const spread = pregamePrior({ season: 2030, week: 1, home_team: "ATL", away_team: "TB", spread_line: 3 }, forecasts);
+  assert.equal(spread.source, "spread");
+  assert.ok(spread.prior > 0.55 && spread.prior < 0.65);
+  assert.equal(pregamePrior({ season: 2030, week: 1, home_team: "ATL", away_team: "TB" }, forecasts).source, "none");
+
+  // The game-state columns are only loaded when asked for; the feature
+  // builders get the lean rows.
+  const pbpCsv = [
+    "game_id,season,week,season_type,home_team,away_team,posteam,defteam,play_id,play_type,qtr,down,ydstogo,yardline_100,game_seconds_remaining,total_home_score,total_away_score,epa,success",
+    "2019_01_BUF_NYJ,2019,1,REG,NYJ,BUF,BUF,NYJ,42,pass,1,1,10,75,3600,0,0,0.4,1"
+  ].join("\n");
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url) =>
+    String(url).startsWith("https://api.github.com/")
+      ? { ok: true, status: 200, json: async () => ({ tag_name: "pbp", assets: [] }) }
+      : { ok: true, status: 200, arrayBuffer: async () => new Uint8Array(zlib.gzipSync(pbpCsv)).buffer };
+  try {
+    const [lean] = await loadPBP(2019);
+    assert.equal(lean.posteam, "BUF");
+    assert.equal(lean.epa, 0.4);
+    for (const key of ["game_id", "home_team", "play_type", "play_id", "game_seconds_remaining", "total_home_score"]) {
+      assert.ok(!(key in lean), key);
+    }
+    const [state] = await loadPBP(2019, { gameState: true });
+    assert.equal(state.game_id, "2019_01_BUF_NYJ");
+    assert.deepEqual([state.play_id, state.yardline_100, state.game_seconds_remaining], [42, 75, 3600]);
+    assert.equal(gameStates([state]).get("2019_01_BUF_NYJ").states.length, 1);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  console.log("model_wp tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+import assert from "assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  gameRound,
+  includeScheduleGame,
+  isNeutralSite,
+  postseasonWeek,
+  roundForWeek,
+  conferenceBracket,
+  bracketProbabilities,
+  buildBracket
+} from "../postseason.js";
+import { buildFeatures } from "../featureBuild.js";
+import { buildBTFeatures } from "../featureBuild_bt.js";
+import { btHomeEdge, predictBTDeterministic } from "../model_bt.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifactsDir = path.resolve(__dirname, "../../artifacts");
+
+const close = (actual, expected, tol = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < tol, `expected ${expected}, got ${actual}`);
+
+// Full 2023 schedule (regular season and playoffs) from the committed weekly
+// prediction artifacts, with 1-0 scores for the winner.
+function schedule2023() {
+  const rows = [];
+  for (let week = 1; week <= 22; week++) {
+    const file = path.join(artifactsDir, `predictions_2023_W${String(week).padStart(2, "0")}.json`);
+    for (const pred of JSON.parse(fs.readFileSync(file, "utf8"))) {
+      rows.push({
+        season: 2023,
+        week,
+        game_type: roundForWeek(2023, week) ?? "REG",
+        location: week === 22 ? "Neutral" : "Home",
+        home_team: pred.home_team,
+        away_team: pred.away_team,
+        home_score: pred.actual === 1 ? 1 : 0,
+        away_score: pred.actual === 0 ? 1 : 0
+      });
+    }
+  }
+  return rows;
+}
+
+(function runTests() {
+  // Round classification.
+  assert.equal(gameRound({ game_type: "REG" }), "REG");
+  assert.equal(gameRound({}), "REG");
+  assert.equal(gameRound({ game_type: "WC" }), "WC");
+  assert.equal(gameRound({ season_type: "POST", season: 2023, week: 21 }), "CON");
+  assert.equal(gameRound({ season_type: "POST", game_type: "SB", season: 2023, week: 22 }), "SB");
+  assert.equal(gameRound({ game_type: "PRE" }), "PRE");
+  assert.equal(postseasonWeek(2023, "WC"), 19);
+  assert.equal(postseasonWeek(2019, "SB"), 21);
+  assert.equal(roundForWeek(2023, 18), null);
+  assert.equal(includeScheduleGame({ game_type: "DIV" }), false);
+  assert.equal(includeScheduleGame({ game_type: "DIV" }, { postseason: true }), true);
+  assert.equal(includeScheduleGame({ game_type: "PRE" }, { postseason: true }), false);
+  assert.equal(isNeutralSite({ game_type: "SB", location: "Home" }), true);
+  assert.equal(isNeutralSite({ game_type: "REG", location: "Neutral" }), true);
+  assert.equal(isNeutralSite({ game_type: "CON", location: "Home" }), false);
+
+  // Coin-flip bracket: byes reach the divisional round for sure, the top seed
+  // needs three wins for the title and everyone else four.
+  const seeds = {
+    AFC: ["A1", "A2", "A3", "A4", "A5", "A6", "A7"],
+    NFC: ["N1", "N2", "N3", "N4", "N5", "N6", "N7"]
+  };
+  const format = { teams: 7, byes: 1 };
+  const flat = bracketProbabilities(seeds, format, () => 0.5);
+  const byTeam = new Map(flat.map((row) => [row.team, row]));
+  close(byTeam.get("A1").reach_divisional, 1);
+  close(byTeam.get("A1").win_super_bowl, 0.125);
+  close(byTeam.get("A7").reach_divisional, 0.5);
+  close(byTeam.get("N4").win_super_bowl, 0.0625);
+  close(flat.reduce((s, row) => s + row.win_super_bowl, 0), 1);
+
+  // Re-seeding: when 7 beats 2, the 1 seed hosts the 7 seed.
+  const hosts = [];
+  const results = new Map([["A2|A7", "A7"]]);
+  conferenceBracket(seeds.AFC, format, (home, away, { round }) => {
+    if (round === "DIV") hosts.push(`${home}-${away}`);
+    return 0.5;
+  }, results);
+  assert.ok(hosts.includes("A1-A7"));
+  assert.ok(!hosts.some((game) => game.includes("A2")));
+
+  // The Super Bowl is neutral: only the team ratings matter.
+  const sbCalls = [];
+  bracketProbabilities(seeds, format, (home, away, ctx) => {
+    if (ctx.round === "SB") sbCalls.push(ctx.neutral);
+    return 0.5;
+  });
+  assert.ok(sbCalls.length > 0 && sbCalls.every(Boolean));
+
+  // 2023 from the committed artifacts: seeds from the regular season and, with
+  // every playoff result in, KC as champion.
+  const schedule = schedule2023();
+  const bt = { features: [], coefficients: [], intercept: 0.1, scaler: { mu: [], sd: [] } };
+  const before = buildBracket({ season: 2023, week: 19, schedules: schedule.filter((g) => g.week <= 18), bt });
+  assert.deepEqual(before.seeds.AFC, ["BAL", "BUF", "KC", "HOU", "CLE", "MIA", "PIT"]);
+  assert.equal(before.round, "WC");
+  close(before.teams.reduce((s, row) => s + row.win_super_bowl, 0), 1, 1e-3);
+  const after = buildBracket({ season: 2023, week: 22, schedules: schedule, bt });
+  assert.equal(after.games.completed, 13);
+  assert.equal(after.teams.find((row) => row.team === "KC").win_super_bowl, 1);
+  assert.equal(after.teams.find((row) => row.team === "SF").reach_super_bowl, 1);
+
+  // Feature builders: playoff weeks only in postseason mode, byes carry
+  // season-to-date totals forward, and the Super Bowl is flagged neutral.
+  const game = (week, home, away, extra = {}) => ({
+    season: 2023,
+    week,
+    game_type: "REG",
+    home_team: home,
+    away_team: away,
+    home_score: 20,
+    away_score: 10,
+    game_date: `2023-09-${String(week).padStart(2, "0")}`,
+    ...extra
+  });
+  const teamRow = (week, team, opponent) => ({
+    season: 2023,
+    week,
+    team,
+    opponent,
+    passing_yards: 200,
+    rushing_yards: 100,
+    passing_first_downs: 10,
+    rushing_first_downs: 5,
+    turnovers: 1
+  });
+  const games = [
+    game(1, "KC", "BUF"),
+    game(1, "SF", "DAL"),
+    game(2, "BUF", "DAL"),
+    game(22, "KC", "SF", { game_type: "SB", location: "Neutral" })
+  ];
+  const teamWeekly = games.flatMap((g) => [teamRow(g.week, g.home_team, g.away_team), teamRow(g.week, g.away_team, g.home_team)]);
+  const regular = buildFeatures({ teamWeekly, schedules: games, season: 2023 });
+  assert.ok(regular.every((row) => row.week < 22));
+  const withPlayoffs = buildFeatures({ teamWeekly, schedules: games, season: 2023, postseason: true });
+  const sb = withPlayoffs.filter((row) => row.week === 22);
+  assert.equal(sb.length, 2);
+  assert.ok(sb.every((row) => row.neutral_site === 1));
+  const kc = sb.find((row) => row.team === "KC");
+  assert.equal(kc.home, 1);
+  assert.equal(kc.wins_s2d, 2);
+  assert.equal(kc.off_total_yds_s2d, 600);
+  assert.ok(withPlayoffs.filter((row) => row.week < 22).every((row) => row.neutral_site === 0));
+
+  const btRows = buildBTFeatures({ teamWeekly, schedules: games, season: 2023, postseason: true });
+  const btSb = btRows.find((row) => row.week === 22);
+  assert.equal(btSb.neutral_site, 1);
+  const model = {
+    w: new Array(10).fill(0),
+    b: 0.4,
+    scaler: { mu: new Array(10).fill(0), sd: new Array(10).fill(1) }
+  };
+  close(btHomeEdge(model), 0.4);
+  const [homeGame, neutralGame] = predictBTDeterministic(model, [{ ...btSb, neutral_site: 0 }, btSb]);
+  close(homeGame.prob, 1 / (1 + Math.exp(-0.4)));
+  close(neutralGame.prob, 0.5);
+
+  console.log("postseason tests passed");
+})();
@@ -0,0 +1,139 @@
+import assert from "assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import worker from "../../worker/worker.js";
+import { buildMatchupRow, predictMatchup } from "../../worker/predict.js";
+import { calibrate } from "../modelRuntime.js";
+import { buildTeamState, teamSideValue } from "../teamState.js";
+
+const FEATURES = ["elo_pre", "elo_diff", "off_total_yds_s2d", "off_total_yds_s2d_minus_opp", "home", "diff_pass_times_sacked", "roof_dome"];
+
+const featureRow = (team, opponent, week, home, values) => ({ season: 2024, week, team, opponent, home, ...values });
+
+const rows = [
+  featureRow("KC", "BUF", 1, 1, { elo_pre: 1600, off_total_yds_s2d: 380, home_pass_times_sacked: 2, away_pass_times_sacked: 4, roof_dome: 0 }),
+  featureRow("BUF", "KC", 1, 0, { elo_pre: 1550, off_total_yds_s2d: 350, home_pass_times_sacked: 2, away_pass_times_sacked: 4, roof_dome: 0 }),
+  featureRow("KC", "DEN", 2, 0, { elo_pre: 1610, off_total_yds_s2d: 390, home_pass_times_sacked: 1, away_pass_times_sacked: 3, roof_dome: 1 })
+];
+
+const btRows = [
+  { season: 2024, week: 1, home_team: "KC", away_team: "BUF", home_context: { elo_pre: 1600 }, away_context: { elo_pre: 1550 } }
+];
+
+const model = {
+  season: 2024,
+  week: 2,
+  logistic: {
+    features: FEATURES,
+    weights: [0, 0.5, 0, 0.25, 0.3, -0.2, 0.1],
+    bias: 0.05,
+    scaler: { mu: [1500, 0, 350, 0, 0.5, 0, 0.4], sd: [100, 50, 30, 40, 0.5, 2, 0.5] }
+  },
+  bt: {
+    features: ["diff_elo_pre"],
+    coefficients: [0.4],
+    intercept: 0.2,
+    scaler: { mu: [10], sd: [60] }
+  },
+  decision_tree: { params: { depth: 6 } },
+  ann: { committee_size: 3 },
+  ensemble: {
+    weights: { logistic: 0.5, tree: 0.2, bt: 0.2, ann: 0.1 },
+    calibration: { type: "platt", beta: 0.1, source: "platt" }
+  }
+};
+
+async function call(env, route, init = {}) {
+  const resp = await worker.fetch(new Request(`https://worker.test${route}`, init), env);
+  return { status: resp.status, body: await resp.json(), headers: resp.headers };
+}
+
+const post = (body, headers = {}) => ({
+  method: "POST",
+  headers: { "content-type": "application/json", ...headers },
+  body: JSON.stringify(body)
+});
+
+(async function runTests() {
+  // Team state keeps each side's own component of relative features.
+  assert.equal(teamSideValue(rows[1], "elo_diff"), 1550);
+  assert.equal(teamSideValue(rows[1], "diff_pass_times_sacked"), 4);
+  assert.equal(teamSideValue(rows[0], "off_total_yds_s2d_minus_opp"), 380);
+
+  const state = buildTeamState({ season: 2024, week: 2, features: FEATURES, scaler: model.logistic.scaler, featureRows: rows, btRows });
+  assert.equal(state.teams.KC.week, 2);
+  assert.equal(state.teams.KC.features.diff_pass_times_sacked, 3);
+  assert.equal(state.teams.BUF.features.elo_pre, 1550);
+  assert.ok(!("home" in state.teams.KC.features) && !("roof_dome" in state.teams.KC.features));
+  assert.deepEqual(state.context_defaults, { roof_dome: 0.4 });
+  assert.deepEqual(state.teams.BUF.bt_context, { elo_pre: 1550 });
+
+  // The matchup row differences relative features host minus visitor.
+  const row = buildMatchupRow(FEATURES, state.teams.KC, state.teams.BUF, state.context_defaults);
+  assert.deepEqual(row, [1610, 60, 390, 40, 1, -1, 0.4]);
+
+  // Tree and ANN parameters are not in the summary: their weight is spread
+  // over logistic and BT before calibration.
+  const result = predictMatchup({ model, teamState: state, home: "kc", away: "BUF" });
+  const logit = 1 / (1 + Math.exp(-(0.05 + 0.5 * 1.2 + 0.25 * 1 + 0.3 * 1 - 0.2 * -0.5)));
+  const bt = 1 / (1 + Math.exp(-(0.2 + 0.4 * ((50 - 10) / 60))));
+  const pre = (0.5 * logit + 0.2 * bt) / 0.7;
+  assert.equal(result.home_team, "KC");
+  assert.deepEqual(result.unavailable_members, ["tree", "ann"]);
+  assert.deepEqual(result.blend_weights, { logistic: 0.714, bt: 0.286 });
+  assert.equal(result.calibration.pre, Math.round(pre * 1000) / 1000);
+  assert.equal(result.forecast, Math.round(calibrate(model.ensemble.calibration, pre).prob * 1000) / 1000);
+  assert.ok(result.forecast > result.calibration.pre);
+  assert.deepEqual(result.top_drivers.map((d) => d.source), ["logit", "logit", "logit", "bt"]);
+  assert.equal(result.top_drivers[0].feature, "elo_diff");
+
+  // A neutral site averages both hosting orientations, so swapping the teams
+  // gives the complement.
+  const neutral = predictMatchup({ model, teamState: state, home: "KC", away: "BUF", neutralSite: true });
+  const swapped = predictMatchup({ model, teamState: state, home: "BUF", away: "KC", neutralSite: true });
+  assert.ok(Math.abs(neutral.calibration.pre + swapped.calibration.pre - 1) < 0.002);
+  assert.ok(neutral.probs.logistic < result.probs.logistic);
+
+  const roofed = predictMatchup({ model, teamState: state, home: "KC", away: "BUF", context: { roof_dome: 1 } });
+  assert.ok(roofed.probs.logistic > result.probs.logistic);
+  assert.throws(() => predictMatchup({ model, teamState: state, home: "KC", away: "NYJ" }), /no team state for NYJ/);
+  assert.throws(() => predictMatchup({ model, teamState: state, home: "KC", away: "BUF", context: { elo_pre: 1 } }), /unknown context/);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "predict-endpoint-"));
+  try {
+    fs.writeFileSync(path.join(dir, "model_2024_W02.json"), JSON.stringify(model));
+    fs.writeFileSync(path.join(dir, "team_state_2024_W02.json"), JSON.stringify(state));
+    // A newer model without a team state is skipped.
+    fs.writeFileSync(path.join(dir, "model_2024_W03.json"), JSON.stringify({ ...model, week: 3 }));
+    const env = { ARTIFACT_STORE: "fs", ARTIFACTS_DIR: dir, PREDICT_API_KEY: "s3cret" };
+    const matchup = { home_team: "KC", away_team: "BUF" };
+
+    const disabled = await call({ ...env, PREDICT_API_KEY: "" }, "/predict", post(matchup, { "x-api-key": "s3cret" }));
+    assert.equal(disabled.status, 503);
+    assert.equal((await call(env, "/predict", post(matchup))).status, 401);
+    assert.equal((await call(env, "/predict", post(matchup, { "x-api-key": "nope" }))).status, 403);
+    assert.equal((await call(env, "/predict", { headers: { "x-api-key": "s3cret" } })).status, 405);
+
+    const ok = await call(env, "/predict", post(matchup, { authorization: "Bearer s3cret" }));
+    assert.equal(ok.status, 200, JSON.stringify(ok.body));
+    assert.equal(ok.body.model, "model_2024_W02.json");
+    assert.equal(ok.body.week, 2);
+    assert.equal(ok.body.forecast, result.forecast);
+    assert.equal(ok.headers.get("cache-control"), "no-store");
+    assert.match(ok.headers.get("access-control-allow-methods"), /POST/);
+
+    const unknown = await call(env, "/predict", post({ home_team: "KC", away_team: "XXX" }, { "x-api-key": "s3cret" }));
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /no team state for XXX/);
+    const badBody = await call(env, "/predict", { method: "POST", headers: { "x-api-key": "s3cret" }, body: "{" });
+    assert.equal(badBody.status, 400);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("predict endpoint tests passed");
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
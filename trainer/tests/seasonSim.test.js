@@ -0,0 +1,86 @@
+import assert from "assert/strict";
+import { NFL_DIVISIONS } from "../nflReference.js";
+import { normalizeTeam } from "../franchises.js";
+import { teamRatingsFromBT, simulateSeason, playoffFormat } from "../seasonSim.js";
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+function divisions() {
+  const byDiv = new Map();
+  for (const code of Object.keys(NFL_DIVISIONS)) {
+    const team = normalizeTeam(code) || code;
+    const div = NFL_DIVISIONS[code].division;
+    if (!byDiv.has(div)) byDiv.set(div, new Set());
+    byDiv.get(div).add(team);
+  }
+  return [...byDiv.entries()].map(([division, teams]) => ({ division, teams: [...teams].sort() }));
+}
+
+(function runTests() {
+  // Ratings reproduce the BT logit: sigmoid(edge + r_home - r_away).
+  const bt = {
+    features: ["diff_total_yards", "diff_turnovers", "diff_inj_out_trend"],
+    coefficients: [0.4, -0.2, 0.1],
+    intercept: 0.25,
+    scaler: { mu: [5, -1, 0.5], sd: [50, 2, 1.5] }
+  };
+  const rows = [
+    { home_team: "KC", away_team: "BUF", home_context: { total_yards: 380, turnovers: 1 }, away_context: { total_yards: 340, turnovers: 2 } },
+    { home_team: "DEN", away_team: "LV", home_context: { total_yards: 300, turnovers: 2 }, away_context: { total_yards: 310, turnovers: 1 } }
+  ];
+  const { homeEdge, ratings } = teamRatingsFromBT(bt, rows);
+  const z = bt.intercept +
+    bt.coefficients[0] * ((380 - 340) - 5) / 50 +
+    bt.coefficients[1] * ((1 - 2) + 1) / 2 +
+    bt.coefficients[2] * (0 - 0.5) / 1.5;
+  const direct = sigmoid(z);
+  const viaRatings = sigmoid(homeEdge + ratings.get("KC") - ratings.get("BUF"));
+  assert.ok(Math.abs(direct - viaRatings) < 1e-12, "team ratings decompose the BT logit");
+  const meanRating = [...ratings.values()].reduce((s, v) => s + v, 0) / ratings.size;
+  assert.ok(Math.abs(meanRating) < 1e-12, "ratings are centred");
+
+  assert.deepEqual(playoffFormat(2023), { teams: 7, byes: 1 });
+  assert.deepEqual(playoffFormat(2019), { teams: 6, byes: 2 });
+
+  // Every division plays a round robin where the alphabetically first team
+  // sweeps, the second goes 2-1, and so on.
+  const schedules = [];
+  for (const { teams } of divisions()) {
+    for (let i = 0; i < teams.length; i++) {
+      for (let j = i + 1; j < teams.length; j++) {
+        schedules.push({ season: 2023, week: 1, season_type: "REG", home_team: teams[i], away_team: teams[j], home_score: 21, away_score: 10 });
+      }
+    }
+  }
+  schedules.push({ season: 2023, week: 2, season_type: "REG", home_team: "NE", away_team: "NYJ" });
+  schedules.push({ season: 2023, week: 3, season_type: "REG", home_team: "SF", away_team: "SEA" });
+  const predictions = [{ season: 2023, week: 2, home_team: "NE", away_team: "NYJ", probs: { blended: 1 }, forecast: 1 }];
+
+  const sim = simulateSeason({ season: 2023, week: 2, schedules, predictions, bt, btRows: rows, iterations: 400, seed: 11 });
+  assert.equal(sim.teams.length, 32);
+  assert.deepEqual(sim.games, { completed: 48, ensemble: 1, bt: 1, remaining: 2 });
+  const byTeam = new Map(sim.teams.map((t) => [t.team, t]));
+  assert.equal(byTeam.get("BUF").division_title, 1, "division sweeper wins the title");
+  assert.equal(byTeam.get("NE").projected_wins.mean, 2, "ensemble probability of 1 always adds the win");
+  assert.deepEqual(byTeam.get("NE").win_distribution, { 2: 1 });
+  // SF is 0-3 in the round robin, so the BT-projected week 3 game decides 0 or 1 wins.
+  const sf = byTeam.get("SF").win_distribution;
+  assert.ok(Math.abs(sf["0"] + sf["1"] - 1) < 1e-9 && sf["0"] > 0 && sf["1"] > 0, "BT-projected game is uncertain");
+
+  for (const conference of ["AFC", "NFC"]) {
+    const confTeams = sim.teams.filter((t) => t.conference === conference);
+    const sum = (key) => confTeams.reduce((s, t) => s + t[key], 0);
+    assert.ok(Math.abs(sum("playoffs") - 7) < 1e-9, `${conference} sends seven teams`);
+    assert.ok(Math.abs(sum("bye") - 1) < 1e-9, `${conference} has one bye`);
+    assert.ok(Math.abs(sum("division_title") - 4) < 1e-9, `${conference} has four division winners`);
+    for (const t of confTeams) {
+      const seedTotal = Object.values(t.seed_odds).reduce((s, v) => s + v, 0);
+      assert.ok(Math.abs(seedTotal - t.playoffs) < 1e-9, "seed odds sum to playoff odds");
+    }
+  }
+
+  const again = simulateSeason({ season: 2023, week: 2, schedules, predictions, bt, btRows: rows, iterations: 400, seed: 11 });
+  assert.deepEqual(again.teams, sim.teams, "seeded runs are reproducible");
+
+  console.log("season simulator tests passed");
+})();
@@ -1,7 +1,7 @@
 // trainer/tests/smoke.js
 // Synthetic smoke test to ensure pipeline produces artifacts with required keys.
 
-import { existsSync, mkdirSync, readFileSync, rmSync } from "node:fs";
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { artp } from "../utils/paths.js";
@@ -159,10 +159,24 @@ async function main() {
       throw new Error("Smoke test: predictions missing");
     }
     const sample = result.predictions[0];
-    const required = ["probs", "blend_weights", "calibration", "ci", "top_drivers", "natural_language"];
+    const required = [
+      "probs",
+      "blend_weights",
+      "calibration",
+      "ci",
+      "top_drivers",
+      "natural_language",
+      "predicted_margin",
+      "margin_interval",
+      "conformal"
+    ];
     for (const key of required) {
       if (!(key in sample)) throw new Error(`Smoke test: prediction missing ${key}`);
     }
+    if (!Number.isFinite(sample.predicted_margin)) throw new Error("Smoke test: predicted margin must be finite");
+    if (!Array.isArray(sample.conformal.probs?.blended)) throw new Error("Smoke test: blended conformal interval missing");
+    if (!Array.isArray(result.totals) || result.totals.length !== result.predictions.length)
+      throw new Error("Smoke test: totals projections missing");
     if (!result.modelSummary?.bt?.coefficients) throw new Error("Smoke test: BT coefficients missing");
     if (!result.diagnostics?.metrics?.ensemble) throw new Error("Smoke test: diagnostics missing ensemble metrics");
     if (!Array.isArray(result.btDebug) || !result.btDebug.length)
@@ -170,8 +184,23 @@ async function main() {
 
     result.context = [];
     await writeArtifacts(result);
+    // A game predicted before the boosted trees joined the blend has no gbt
+    // probability; it must drop out of the gbt metrics, not score as the forecast.
+    const predictionsPath = artp(`predictions_${season}_W03.json`);
+    const written = JSON.parse(readFileSync(predictionsPath, "utf8"));
+    delete written[0].probs.gbt;
+    writeFileSync(predictionsPath, JSON.stringify(written));
     await updateHistoricalArtifacts({ season, schedules });
 
+    const weekMetrics = JSON.parse(readFileSync(artp(`metrics_${season}_W03.json`), "utf8"));
+    if (weekMetrics.per_model.gbt.n !== weekMetrics.per_model.blended.n - 1)
+      throw new Error("Smoke test: legacy game without gbt counted in gbt metrics");
+    const weekOutcomes = JSON.parse(readFileSync(artp(`outcomes_${season}_W03.json`), "utf8"));
+    if ("gbt" in weekOutcomes.find((o) => o.game_id === written[0].game_id).predicted)
+      throw new Error("Smoke test: outcome invented a gbt probability");
+
+    if (!existsSync(artp(`totals_${season}_W03.json`))) throw new Error("Smoke test: totals artifact missing");
+
     const indexPath = artp(`season_index_${season}.json`);
     if (!existsSync(indexPath)) throw new Error("Smoke test: season index missing");
     const indexData = JSON.parse(readFileSync(indexPath, "utf8"));
@@ -183,6 +212,11 @@ async function main() {
     if (!week3Meta.metrics?.exists || !week3Meta.outcomes?.exists)
       throw new Error("Smoke test: week 3 metadata missing artifacts");
 
+    const coveragePath = artp(`coverage_${season}.json`);
+    if (!existsSync(coveragePath)) throw new Error("Smoke test: coverage report missing");
+    const coverageData = JSON.parse(readFileSync(coveragePath, "utf8"));
+    if (!(coverageData.summary?.blended?.n >= 2)) throw new Error("Smoke test: coverage report missing blended intervals");
+
     const summaryPath = artp(`season_summary_${season}.json`);
     if (!existsSync(summaryPath)) throw new Error("Smoke test: season summary missing");
     const summaryData = JSON.parse(readFileSync(summaryPath, "utf8"));
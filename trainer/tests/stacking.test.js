@@ -0,0 +1,198 @@
+// trainer/tests/stacking.test.js
+// The stacked meta-model on synthetic member probabilities (recovered
+// coefficients, context interactions, cross-fitting), then a stacking-mode
+// training week replayed through the portable runtime.
+
+import assert from "assert/strict";
+import { mkdirSync, rmSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifactsDir = path.join(path.resolve(__dirname, "../.."), ".test_artifacts", `stacking-${process.pid}-${Date.now()}`);
+const originalArtifactsDir = process.env.ARTIFACTS_DIR;
+process.env.ARTIFACTS_DIR = artifactsDir;
+
+const { crossFitStacking, fitStacking, namedCoefficients, resolveStackingSettings } = await import("../stacking.js");
+const { loadModel, scoreGame, stackedProbability, stackingContext, stackingWeights } = await import("../modelRuntime.js");
+const { runTraining } = await import("../train_multi.js");
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+const logit = (p) => Math.log(p / (1 - p));
+
+function rng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (1664525 * state + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+// "sharp" is informative early in the season and "late" later on; "noise" never is.
+function synthetic(n, seed) {
+  const next = rng(seed);
+  const probs = [];
+  const contexts = [];
+  const labels = [];
+  for (let i = 0; i < n; i++) {
+    const week = 1 + (i % 18);
+    const row = { sharp: 0.05 + 0.9 * next(), late: 0.05 + 0.9 * next(), noise: 0.05 + 0.9 * next() };
+    const share = week / 18;
+    const z = (1 - share) * 1.2 * logit(row.sharp) + share * 1.2 * logit(row.late);
+    probs.push(row);
+    contexts.push(stackingContext({ week, marketProb: null }));
+    labels.push(next() < sigmoid(z) ? 1 : 0);
+  }
+  return { probs, contexts, labels };
+}
+
+function fixture(season) {
+  const games = [];
+  const teams = ["NE", "BUF", "KC", "PHI"];
+  for (let week = 1; week <= 4; week++) {
+    games.push([week, teams[week % 4], teams[(week + 1) % 4], 20 + week, 17], [week, teams[(week + 2) % 4], teams[(week + 3) % 4], 14, 21 + week]);
+  }
+  const schedules = games.map(([week, home, away, homeScore, awayScore]) => ({
+    season,
+    week,
+    game_id: `${season}-${week}-${home}-${away}`,
+    home_team: home,
+    away_team: away,
+    home_score: homeScore,
+    away_score: awayScore,
+    season_type: "REG"
+  }));
+  const teamWeekly = [];
+  const teamGame = [];
+  for (const game of schedules) {
+    const base = 340 + game.week * 12;
+    for (const [team, opponent, yards, turnovers] of [
+      [game.home_team, game.away_team, base, 1],
+      [game.away_team, game.home_team, base - 25, 2]
+    ]) {
+      teamWeekly.push({
+        season,
+        week: game.week,
+        team,
+        opponent,
+        passing_yards: yards - 120,
+        rushing_yards: 120,
+        penalty_yards: 45,
+        turnovers,
+        time_of_possession: "30:00",
+        def_interceptions: 2 - turnovers,
+        def_fumbles: 1
+      });
+      teamGame.push({
+        season,
+        week: game.week,
+        team,
+        third_down_att: 12,
+        third_down_conv: 5 + turnovers,
+        red_zone_att: 4,
+        red_zone_td: 2,
+        pass_att: 33,
+        rush_att: 27,
+        sacks_taken: 2
+      });
+    }
+  }
+  return { schedules, teamWeekly, teamGame, prevTeamWeekly: [] };
+}
+
+async function main() {
+  assert.deepEqual(resolveStackingSettings(), { context: [], l2: 1 });
+  assert.throws(() => resolveStackingSettings({ context: ["weather"] }), /unknown stacking context weather/);
+  assert.throws(() => resolveStackingSettings({ l2: -1 }), /l2 must be >= 0/);
+
+  // Without context the meta-model learns a single weight per member.
+  const train = synthetic(3000, 5);
+  const plain = fitStacking({ members: ["sharp", "late", "noise"], ...train, l2: 1 });
+  const coef = namedCoefficients(plain);
+  assert.ok(coef.sharp > 0.3 && coef.late > 0.3, JSON.stringify(coef));
+  assert.ok(Math.abs(coef.noise) < 0.15, JSON.stringify(coef));
+  assert.ok(stackingWeights(plain).noise < 0.1);
+
+  // With week as context, the weights move from "sharp" to "late" over the season.
+  const situational = fitStacking({ members: ["sharp", "late", "noise"], context: ["week"], ...train, l2: 1 });
+  assert.deepEqual(situational.features.slice(3), ["week", "sharp*week", "late*week", "noise*week"]);
+  const named = namedCoefficients(situational);
+  assert.ok(named["sharp*week"] < 0 && named["late*week"] > 0, JSON.stringify(named));
+  const early = stackingWeights(situational, stackingContext({ week: 1 }));
+  const late = stackingWeights(situational, stackingContext({ week: 18 }));
+  assert.ok(early.sharp > early.late && late.late > late.sharp);
+
+  // Cross-fitted predictions come from models that never saw the row.
+  const small = synthetic(60, 9);
+  const folds = [0, 1, 2].map((k) => small.labels.map((_, i) => i).filter((i) => i % 3 === k));
+  const oof = crossFitStacking({ members: ["sharp", "late"], ...small, folds, l2: 1 });
+  const heldOut = fitStacking({
+    members: ["sharp", "late"],
+    probs: small.probs.filter((_, i) => i % 3 !== 0),
+    contexts: small.contexts.filter((_, i) => i % 3 !== 0),
+    labels: small.labels.filter((_, i) => i % 3 !== 0),
+    l2: 1
+  });
+  assert.equal(oof[0], stackedProbability(heldOut, small.probs[0], small.contexts[0]));
+
+  // A stacking-mode week: coefficients in diagnostics, the spec in the model
+  // artifact, and the runtime reproduces the forecasts from it.
+  rmSync(artifactsDir, { recursive: true, force: true });
+  mkdirSync(artifactsDir, { recursive: true });
+  try {
+    const result = await runTraining({
+      season: 2023,
+      week: 4,
+      data: fixture(2023),
+      options: {
+        btBootstrapSamples: 20,
+        annSeeds: 2,
+        annMaxEpochs: 20,
+        annCvMaxEpochs: 10,
+        annCvSeeds: 2,
+        skipSeasonDB: true,
+        blendMode: "stacking",
+        stackingContext: ["week"],
+        models: { ann: false }
+      }
+    });
+    const { stacking } = result.diagnostics;
+    assert.equal(result.diagnostics.blend_mode, "stacking");
+    assert.deepEqual(stacking.members, ["logistic", "tree", "bt", "gbt"]);
+    assert.deepEqual(Object.keys(stacking.coefficients), ["intercept", "logistic", "tree", "bt", "gbt", "week", "logistic*week", "tree*week", "bt*week", "gbt*week"]);
+    assert.equal(result.diagnostics.blend_weights.ann, 0);
+    const summary = JSON.parse(JSON.stringify(result.modelSummary));
+    assert.equal(summary.ensemble.blend_mode, "stacking");
+    const model = loadModel(summary);
+    assert.ok(result.predictions.length);
+    for (const [i, pred] of result.predictions.entries()) {
+      const inputs = result.scoringInputs[i];
+      const scored = scoreGame(model, {
+        features: inputs.features,
+        mirrorFeatures: inputs.mirror_features,
+        btFeatures: inputs.bt_features,
+        marketProb: inputs.market_prob,
+        neutralSite: inputs.neutral_site
+      });
+      assert.equal(Math.round(scored.forecast * 1000) / 1000, pred.forecast);
+      assert.ok(Math.abs(Object.values(pred.blend_weights).reduce((s, w) => s + w, 0) - 1) < 0.01);
+    }
+    await assert.rejects(
+      runTraining({ season: 2023, week: 4, data: fixture(2023), options: { skipSeasonDB: true, blendMode: "vote" } }),
+      /unknown blend mode vote/
+    );
+  } finally {
+    rmSync(artifactsDir, { recursive: true, force: true });
+    if (originalArtifactsDir === undefined) delete process.env.ARTIFACTS_DIR;
+    else process.env.ARTIFACTS_DIR = originalArtifactsDir;
+  }
+
+  console.log("stacking tests passed");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
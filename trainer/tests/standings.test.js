@@ -0,0 +1,129 @@
+import assert from "assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  buildStandings,
+  rankDivision,
+  rankWildCard,
+  playoffSeeds,
+  playoffFormat,
+  winPct
+} from "../standings.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const artifactsDir = path.resolve(__dirname, "../../artifacts");
+
+// Regular-season results from the committed weekly prediction artifacts. Only
+// winners are recorded there, so every game is scored 1-0 (0-0 for a tie).
+function historicalSchedule(season) {
+  const rows = [];
+  for (let week = 1; week <= 18; week++) {
+    const file = path.join(artifactsDir, `predictions_${season}_W${String(week).padStart(2, "0")}.json`);
+    if (!fs.existsSync(file)) continue;
+    for (const pred of JSON.parse(fs.readFileSync(file, "utf8"))) {
+      rows.push({
+        season,
+        week,
+        season_type: "REG",
+        home_team: pred.home_team,
+        away_team: pred.away_team,
+        home_score: pred.actual === 1 ? 1 : 0,
+        away_score: pred.actual === 0 ? 1 : 0
+      });
+    }
+  }
+  return rows;
+}
+
+const game = (week, home, away, homeScore, awayScore) => ({
+  season: 2023,
+  week,
+  season_type: "REG",
+  home_team: home,
+  away_team: away,
+  home_score: homeScore,
+  away_score: awayScore
+});
+
+(function runTests() {
+  assert.deepEqual(playoffFormat(2021), { teams: 7, byes: 1 });
+
+  // Known seedings. Every season has ties on record that the procedure has to
+  // break: e.g. 2023 SF/DAL/DET at 12-5 (three-way, then DAL over DET
+  // head-to-head), 2024 LAR over SEA for the NFC West, and the 2021/2022
+  // regular-season ties (PIT-DET, HOU-IND, NYG-WAS) counting as half a win.
+  const expected = {
+    2021: {
+      AFC: ["TEN", "KC", "BUF", "CIN", "LV", "NE", "PIT"],
+      NFC: ["GB", "TB", "DAL", "LAR", "ARI", "SF", "PHI"]
+    },
+    2022: {
+      AFC: ["KC", "BUF", "CIN", "JAC", "LAC", "BAL", "MIA"],
+      NFC: ["PHI", "SF", "MIN", "TB", "DAL", "NYG", "SEA"]
+    },
+    2023: {
+      AFC: ["BAL", "BUF", "KC", "HOU", "CLE", "MIA", "PIT"],
+      NFC: ["SF", "DAL", "DET", "TB", "PHI", "LAR", "GB"]
+    },
+    2024: {
+      AFC: ["KC", "BUF", "BAL", "HOU", "LAC", "PIT", "DEN"],
+      NFC: ["DET", "PHI", "TB", "LAR", "MIN", "WAS", "GB"]
+    }
+  };
+  for (const [season, seeds] of Object.entries(expected)) {
+    const schedule = historicalSchedule(Number(season));
+    assert.ok(schedule.length >= 271, `${season} schedule incomplete`);
+    const result = playoffSeeds(schedule, Number(season));
+    assert.deepEqual(result.AFC, seeds.AFC, `${season} AFC seeds`);
+    assert.deepEqual(result.NFC, seeds.NFC, `${season} NFC seeds`);
+  }
+
+  const standings2022 = buildStandings(historicalSchedule(2022), { season: 2022 });
+  const nyg = standings2022.teams.get("NYG");
+  assert.equal(nyg.ties, 1);
+  assert.equal(winPct(nyg), (nyg.wins + 0.5) / 17);
+
+  // Three-way division tie where head-to-head goes round in a circle: division
+  // record drops NYJ, then BUF and MIA restart at head-to-head (BUF swept MIA)
+  // instead of moving on to common games, where MIA would be ahead.
+  const division = buildStandings([
+    game(1, "BUF", "MIA", 1, 0),
+    game(2, "MIA", "BUF", 0, 1),
+    game(3, "MIA", "NYJ", 1, 0),
+    game(4, "NYJ", "MIA", 0, 1),
+    game(5, "NYJ", "BUF", 1, 0),
+    game(6, "BUF", "NYJ", 0, 1),
+    game(7, "BUF", "NE", 1, 0),
+    game(8, "NE", "BUF", 0, 1),
+    game(9, "MIA", "NE", 1, 0),
+    game(10, "NE", "MIA", 0, 1),
+    game(11, "NYJ", "NE", 1, 0),
+    game(12, "NE", "NYJ", 1, 0),
+    game(13, "NYJ", "KC", 1, 0),
+    game(14, "KC", "BUF", 1, 0),
+    game(15, "KC", "MIA", 1, 0)
+  ]);
+  ["BUF", "MIA", "NYJ"].forEach((team) => assert.equal(winPct(division.teams.get(team)), 4 / 7));
+  assert.deepEqual(rankDivision(division, ["NE", "NYJ", "MIA", "BUF"]), ["BUF", "MIA", "NYJ", "NE"]);
+
+  // Wild-card sweep: CLE beat both HOU and LV, so it ranks first even though
+  // LV has the better strength of victory; HOU then beats LV head-to-head.
+  const sweep = buildStandings([
+    game(1, "CLE", "HOU", 1, 0),
+    game(2, "CLE", "LV", 1, 0),
+    game(3, "HOU", "LV", 1, 0),
+    game(4, "KC", "CLE", 1, 0),
+    game(5, "DEN", "CLE", 1, 0),
+    game(6, "HOU", "KC", 1, 0),
+    game(7, "DEN", "HOU", 1, 0),
+    game(8, "LV", "KC", 1, 0),
+    game(9, "LV", "DEN", 1, 0),
+    game(10, "KC", "SEA", 1, 0),
+    game(11, "DEN", "SEA", 1, 0)
+  ]);
+  ["CLE", "HOU", "LV"].forEach((team) => assert.equal(winPct(sweep.teams.get(team)), 0.5));
+  assert.deepEqual(rankWildCard(sweep, ["LV", "HOU", "CLE"]), ["CLE", "HOU", "LV"]);
+
+  console.log("standings tests passed");
+})();
@@ -0,0 +1,100 @@
+// trainer/tests/venues.test.js
+// Venue resolution (pinned games, stadium ids and names, dated team homes) and
+// the travel, time-zone and altitude features derived from it.
+
+import assert from "assert/strict";
+import { GAME_VENUES, TEAM_VENUES, VENUES, resolveGameVenue, teamHomeVenue, utcOffsetHours, venueFeatures } from "../venues.js";
+
+process.env.FEATURE_TRAVEL_DISTANCE = "true";
+const { enhanceFeatures } = await import("../featureBuild_enhanced.js");
+
+// Every referenced venue exists and carries what the features need.
+for (const [id, venue] of Object.entries(VENUES)) {
+  assert.ok(venue.names.length && Number.isFinite(venue.lat) && Number.isFinite(venue.lon), id);
+  assert.ok(Number.isFinite(venue.altitude_ft) && venue.surface && venue.roof, id);
+  assert.doesNotThrow(() => utcOffsetHours(venue.tz, new Date()), id);
+}
+for (const [team, tenancy] of Object.entries(TEAM_VENUES)) {
+  assert.ok(tenancy.every(([, id]) => VENUES[id]), team);
+  assert.ok(tenancy.every(([from], i) => i === 0 || from > tenancy[i - 1][0]), team);
+}
+assert.ok(GAME_VENUES.every((g) => VENUES[g.venue] && TEAM_VENUES[g.home]));
+
+// Relocations resolve by season, under either code.
+assert.equal(teamHomeVenue("OAK", 2019).id, "OAK00");
+assert.equal(teamHomeVenue("LV", 2019).id, "OAK00");
+assert.equal(teamHomeVenue("LV", 2020).id, "VEG00");
+assert.equal(teamHomeVenue("SD", 2016).city, "San Diego, CA");
+assert.equal(teamHomeVenue("LAC", 2018).id, "LAX97");
+assert.equal(teamHomeVenue("STL", 2015).id, "STL00");
+assert.equal(teamHomeVenue("LA", 2021).id, "LAX01");
+assert.equal(teamHomeVenue("HOU", 2001), null);
+assert.equal(teamHomeVenue("XYZ", 2020), null);
+
+// Stadium id first, then the stadium name, then the home team's venue.
+const wembley = resolveGameVenue({ season: 2023, week: 5, home_team: "JAX", away_team: "BUF", stadium_id: "LON00" });
+assert.equal(wembley.name, "Wembley Stadium");
+assert.equal(wembley.source, "stadium_id");
+assert.ok(wembley.neutral && wembley.international);
+const byName = resolveGameVenue({ season: 2022, week: 4, home_team: "NO", away_team: "MIN", stadium: "Tottenham Hotspur Stadium" });
+assert.equal(byName.id, "LON02");
+assert.equal(byName.source, "stadium");
+const home = resolveGameVenue({ season: 2012, week: 2, home_team: "BUF", away_team: "KC", surface: "a_turf", roof: "outdoors" });
+assert.equal(home.id, "BUF00");
+assert.equal(home.source, "team");
+assert.equal(home.surface, "turf");
+assert.equal(home.neutral, false);
+assert.equal(resolveGameVenue({ season: 2020, week: 2, home_team: "LV", away_team: "NO", stadium_id: "VEG00", roof: "closed" }).roof, "closed");
+// Pinned games hold without any stadium fields (e.g. live schedule fallbacks).
+const saoPaulo = resolveGameVenue({ season: 2024, week: 1, home_team: "PHI", away_team: "GB" });
+assert.equal(saoPaulo.city, "São Paulo");
+assert.equal(saoPaulo.source, "game");
+assert.deepEqual(
+  [
+    { season: 2024, week: 7, home_team: "JAX", away_team: "NE" },
+    { season: 2024, week: 10, home_team: "NYG", away_team: "CAR" },
+    { season: 2025, week: 4, home_team: "PIT", away_team: "MIN" },
+    { season: 2025, week: 10, home_team: "IND", away_team: "ATL" },
+    { season: 2025, week: 11, home_team: "MIA", away_team: "WAS" }
+  ].map((g) => resolveGameVenue(g).city),
+  ["London", "Munich", "Dublin", "Berlin", "Madrid"]
+);
+assert.equal(resolveGameVenue({ season: 2025, week: 4, home_team: "PIT", away_team: "MIN" }).tz, "Europe/Dublin");
+assert.equal(resolveGameVenue({ season: 2025, week: 5, home_team: "PIT", away_team: "NYJ" }).id, "PIT00");
+assert.equal(resolveGameVenue({ season: 2005, week: 2, home_team: "NO", away_team: "NYG", location: "Neutral", stadium: "Giants Stadium" }).id, "NYC00");
+
+// Offsets follow daylight saving: London is UTC+1 in September, UTC+0 in November.
+assert.equal(utcOffsetHours("Europe/London", new Date("2024-09-15T17:00:00Z")), 1);
+assert.equal(utcOffsetHours("Europe/London", new Date("2024-11-10T17:00:00Z")), 0);
+assert.equal(utcOffsetHours("America/Phoenix", new Date("2024-09-15T17:00:00Z")), -7);
+assert.equal(utcOffsetHours("America/Phoenix", new Date("2024-12-15T17:00:00Z")), -7);
+
+// A Mexico City game: both teams travel, shift time zones and climb.
+const mexico = venueFeatures({ season: 2022, week: 11, home_team: "ARI", away_team: "SF", gameday: "2022-11-21", stadium_id: "MEX00" });
+assert.ok(mexico.home_travel_miles > 600 && mexico.travel_distance_miles > 1500);
+assert.equal(mexico.venue_altitude_ft, 7350);
+assert.equal(mexico.away_altitude_gain_ft, 7340);
+assert.equal(mexico.away_tz_shift_hours, 2);
+assert.equal(mexico.home_tz_shift_hours, 1);
+assert.equal(mexico.is_international, 1);
+
+// The same matchup a season apart: OAK→LV changes the visitor's trip.
+const atOakland = venueFeatures({ season: 2019, week: 6, home_team: "KC", away_team: "OAK", gameday: "2019-10-13" });
+const atVegas = venueFeatures({ season: 2020, week: 5, home_team: "KC", away_team: "LV", gameday: "2020-10-11" });
+assert.ok(atOakland.travel_distance_miles > atVegas.travel_distance_miles + 300);
+assert.equal(atOakland.home_travel_miles, 0);
+assert.equal(atVegas.away_tz_shift_hours, 2);
+assert.equal(venueFeatures({ season: 2020, week: 1, home_team: "XYZ", away_team: "ABC" }).travel_distance_miles, 0);
+
+// Enhanced feature rows use the game's venue when the schedule row is passed.
+const row = { season: 2024, week: 1, team: "PHI", opponent: "GB", home: 1 };
+const game = { season: 2024, week: 1, home_team: "PHI", away_team: "GB", gameday: "2024-09-06", stadium_id: "SAO00" };
+const enhanced = enhanceFeatures(row, "PHI", "GB", null, null, game);
+assert.equal(enhanced.travel_distance_category, 2);
+assert.equal(enhanced.is_international, 1);
+assert.ok(enhanced.home_travel_miles > 4000);
+const domestic = enhanceFeatures({ season: 2024, week: 2, team: "PHI", opponent: "DAL", home: 1 }, "PHI", "DAL");
+assert.equal(domestic.home_travel_miles, 0);
+assert.equal(domestic.away_tz_shift_hours, 1);
+
+console.log("venue registry tests passed");
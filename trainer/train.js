@@ -15,6 +15,7 @@ import { DecisionTreeClassifier as CART } from "ml-cart";
 import { Matrix } from "ml-matrix";
 import { resolveSeasonList } from "./databases.js";
 import { loadLogisticWarmStart } from "./modelWarmStart.js";
+import { writeDataQualityReport } from "./dataQuality.js";
 import {
   loadTrainingState,
   shouldRunHistoricalBootstrap,
@@ -256,6 +257,9 @@ function round3(x){ return Math.round(Number(x)*1000)/1000; }
     };
   });
 
+  // Throws with DATA_QUALITY_FAIL=1 before the week's artifacts are written.
+  writeDataQualityReport({ season: TARGET_SEASON, week: TARGET_WEEK, dir: ART_DIR });
+
   const predPath = `${ART_DIR}/predictions_${TARGET_SEASON}_W${String(TARGET_WEEK).padStart(2,"0")}.json`;
   const modelPath = `${ART_DIR}/model_${TARGET_SEASON}_W${String(TARGET_WEEK).padStart(2,"0")}.json`;
   writeFileSync(predPath, JSON.stringify(results, null, 2));
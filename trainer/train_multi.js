@@ -22,17 +22,48 @@ import {
   loadWeather,
   loadNextGenStats,
   loadParticipation,
+  loadMarkets,
   listDatasetSeasons
 } from "./dataSources.js";
 import { buildContextForWeek } from "./contextPack.js";
 import { writeExplainArtifact, calibrateThresholds } from "./explainRubric.js";
-import { buildFeatures, FEATS as FEATS_BASE } from "./featureBuild.js";
+import { buildFeatures, attachMarketFeatures, FEATS as FEATS_BASE, MARKET_FEATS } from "./featureBuild.js";
 import { buildBTFeatures, BT_FEATURES } from "./featureBuild_bt.js";
 import { trainBTModel, predictBT, predictBTDeterministic } from "./model_bt.js";
 import { trainANNCommittee, predictANNCommittee, gradientANNCommittee } from "./model_ann.js";
-import { loadFeatureFlags, loadAnalysisFlags, loadABTestingConfig } from "./featureFlags.js";
+import { trainGBT, predictGBT, GBT_DEFAULTS } from "./model_gbt.js";
+import {
+  trainMarginModel,
+  predictMargin,
+  residualSd,
+  marginInterval,
+  coverProbability,
+  DEFAULT_MARGIN_INTERVAL
+} from "./model_margin.js";
+import { buildTotalsRows, buildTotalsForecasts } from "./model_totals.js";
+import { buildClvReport } from "./clv.js";
+import { CONFORMAL_LEVEL, buildCoverageReport, conformalIntervals, fitConformal } from "./conformal.js";
+import { updateHistoryIndex } from "./historyIndex.js";
+import { buildTeamState } from "./teamState.js";
+import { DataSnapshotError } from "./dataSnapshot.js";
+import { runSearch, timeSeriesFolds } from "./hyperparamSearch.js";
+import { BLEND_MODES, crossFitStacking, fitStacking, namedCoefficients, resolveStackingSettings } from "./stacking.js";
+import {
+  blendProbabilities as blendComponents,
+  gbtPathGains,
+  loadModel,
+  scoreGame,
+  serializeAnn,
+  serializeTree,
+  stackedProbability,
+  stackingContext,
+  stackingWeights
+} from "./modelRuntime.js";
+import { includeScheduleGame } from "./postseason.js";
+import { resolveFranchise } from "./franchises.js";
+import { loadFeatureFlags, loadAnalysisFlags, loadABTestingConfig, loadModelFlags } from "./featureFlags.js";
 import { enhanceFeatures, getEnabledEnhancedFeatures, getTotalFeatureCount } from "./featureBuild_enhanced.js";
-import { generateSegmentedReport, calculateROI, analyzeErrors, calculateCalibrationError, trackFeatureImportance } from "./analysis.js";
+import { generateSegmentedReport, calculateROI, simulateKellyStrategies, analyzeErrors, calculateCalibrationError, trackFeatureImportance } from "./analysis.js";
 import { generateCalibrationPlot, generateConfusionMatrix, generateFeatureImportancePlot, saveVisualization } from "./visualizations.js";
 import { isABTestingEnabled, saveVariantPredictions } from "./abTesting.js";
 import { isStrictBatch, getStrictBounds, clampSeasonsToStrictBounds } from "./lib/strictBatch.js";
@@ -53,6 +84,7 @@ import {
 import { ensureTrainingStateCurrent } from "./bootstrapState.js";
 import { loadLogisticWarmStart, shouldRetrain } from "./modelWarmStart.js";
 import { validateArtifact } from "./schemaValidator.js";
+import { writeDataQualityReport } from "./dataQuality.js";
 import { promote } from "./promotePreviousSeason.js";
 import { resolveCalibration, hashCalibrationMeta } from "./calibrate.js";
 import {
@@ -134,14 +166,19 @@ const ANN_CONFIG = (() => {
   return { ...ANN_BASE_CONFIG };
 })();
 
-const { values: cliOverrides } = parseArgs({
-  options: {
-    start: { type: "string" },
-    end: { type: "string" },
-    artifactsDir: { type: "string" }
-  },
-  allowPositionals: true
-});
+// Only when run directly: CLIs that import the trainer (trainer/backtest.js)
+// have flags of their own.
+const { values: cliOverrides } =
+  import.meta.url === `file://${process.argv[1]}`
+    ? parseArgs({
+        options: {
+          start: { type: "string" },
+          end: { type: "string" },
+          artifactsDir: { type: "string" }
+        },
+        allowPositionals: true
+      })
+    : { values: {} };
 
 if (cliOverrides.start) process.env.BATCH_START = cliOverrides.start;
 if (cliOverrides.end) process.env.BATCH_END = cliOverrides.end;
@@ -609,30 +646,6 @@ function loadModelParamsFile() {
   }
 }
 
-function deepMerge(target, source) {
-  if (typeof target !== "object" || target === null) return source;
-  if (typeof source !== "object" || source === null) return target;
-  const out = Array.isArray(target) ? target.slice() : { ...target };
-  for (const [key, value] of Object.entries(source)) {
-    if (value && typeof value === "object" && !Array.isArray(value)) {
-      out[key] = deepMerge(out[key] ?? {}, value);
-    } else {
-      out[key] = value;
-    }
-  }
-  return out;
-}
-
-async function persistModelParams(updates = {}) {
-  const current = loadModelParamsFile();
-  const merged = deepMerge(current, updates);
-  try {
-  await fsp.writeFile(MODEL_PARAMS_PATH, JSON.stringify(merged, null, JSON_SPACE));
-  } catch (err) {
-    console.warn(`[train] unable to persist model params: ${err?.message || err}`);
-  }
-}
-
 const toFiniteNumber = (value, fallback = 0.5) => {
   const num = Number(value);
   return Number.isFinite(num) ? num : fallback;
@@ -853,124 +866,137 @@ function kfoldIndices(n, k) {
   return folds;
 }
 
-const ANN_EPOCH_OPTIONS = [100, 200, 300, 400, 500];
-const ANN_DROPOUT_OPTIONS = [0.2, 0.35, 0.5];
-const BT_LR_OPTIONS = [1e-3, 2.5e-3, 5e-3, 1e-2];
-const BT_L2_OPTIONS = [1e-5, 5e-5, 1e-4, 1e-3];
-
-async function tuneAnnHyperparams(trainStd, labels, folds, options = {}) {
-  if (CI_FAST) return null;
-  if (!Array.isArray(folds) || !folds.length || !trainStd?.length) return null;
-  const seeds = Math.max(2, Math.min(options.annSeeds ?? 5, 5));
-  let best = null;
-  for (const epochs of ANN_EPOCH_OPTIONS) {
-    for (const dropout of ANN_DROPOUT_OPTIONS) {
-      const losses = [];
-      for (const valIdx of folds) {
-        const trainIdx = new Set(Array.from({ length: trainStd.length }, (_, i) => i).filter((i) => !valIdx.includes(i)));
-        const Xtr = [];
-        const ytr = [];
-        const Xva = [];
-        const yva = [];
-        for (let i = 0; i < trainStd.length; i++) {
-          if (trainIdx.has(i)) {
-            Xtr.push(trainStd[i]);
-            ytr.push(labels[i]);
-          } else {
-            Xva.push(trainStd[i]);
-            yva.push(labels[i]);
-          }
-        }
-        if (!Xtr.length || !Xva.length) continue;
-        const model = trainANNCommittee(Xtr, ytr, {
-          seeds: Math.min(seeds, 3),
-          maxEpochs: epochs,
-          dropout,
-          lr: 1e-3,
-          patience: 8,
-          batchSize: options.annBatchSize ?? 32,
-          l2: options.annL2 ?? 1e-4,
-          timeLimitMs: options.annTuningTimeLimit ?? 20000,
-          architecture: options.annArchitecture
-        });
-        const preds = predictANNCommittee(model, Xva);
-        const loss = logLoss(yva, preds);
-        if (Number.isFinite(loss)) losses.push(loss);
-      }
-      if (!losses.length) continue;
-      const avg = losses.reduce((a, b) => a + b, 0) / losses.length;
-      if (!best || avg < best.loss) {
-        best = { loss: avg, epochs, dropout };
-      }
+// Parameters each member trains with: explicit runTraining options first, then
+// options.hyperparams (per member, shaped like config/modelParams.json), then
+// config/modelParams.json itself, where hyperparamSearch.js promotes search
+// winners. Unset logistic steps and CART sizes keep their size-based defaults.
+function resolveMemberParams(modelParamsFile = {}, options = {}) {
+  const member = (name, stored) => ({ ...(stored || {}), ...(options.hyperparams?.[name] || {}) });
+  const logistic = member("logistic", modelParamsFile.logistic);
+  const cart = member("cart", modelParamsFile.cart);
+  const bt = member("bt", modelParamsFile.bt?.gd);
+  const ann = member("ann", modelParamsFile.ann);
+  const gbt = member("gbt", modelParamsFile.gbt);
+  return {
+    logistic: {
+      steps: logistic.steps ?? null,
+      learningRate: logistic.learningRate ?? (FAST_MODE ? 3e-3 : 4e-3),
+      l2: logistic.l2 ?? 2e-4
+    },
+    cart: {
+      maxDepth: cart.maxDepth ?? null,
+      minSamples: cart.minSamples ?? null,
+      alpha: cart.alpha ?? null
+    },
+    bt: {
+      steps: Number(options.hyperparams?.bt?.steps ?? process.env.BT_GD_STEPS ?? bt.steps ?? 2000),
+      learningRate: options.btLearningRate ?? bt.learningRate ?? 5e-3,
+      l2: options.btL2 ?? bt.l2 ?? 1e-4
+    },
+    ann: {
+      maxEpochs: options.annMaxEpochs ?? ann.maxEpochs ?? Number(process.env.ANN_MAX_EPOCHS ?? 250),
+      dropout: options.annDropout ?? ann.dropout ?? 0.3,
+      l2: options.annL2 ?? ann.l2 ?? 1e-4,
+      learningRate: ann.learningRate ?? 1e-3,
+      batchSize: options.annBatchSize ?? ann.batchSize ?? 32
+    },
+    gbt: {
+      nEstimators: gbt.nEstimators ?? GBT_DEFAULTS.nEstimators,
+      learningRate: gbt.learningRate ?? GBT_DEFAULTS.learningRate,
+      maxDepth: gbt.maxDepth ?? GBT_DEFAULTS.maxDepth,
+      subsample: gbt.subsample ?? GBT_DEFAULTS.subsample,
+      colsample: gbt.colsample ?? GBT_DEFAULTS.colsample,
+      minChildWeight: gbt.minChildWeight ?? GBT_DEFAULTS.minChildWeight,
+      lambda: gbt.lambda ?? GBT_DEFAULTS.lambda
     }
-  }
-  if (best) {
-    await persistModelParams({ ann: { maxEpochs: best.epochs, dropout: best.dropout } });
-  }
-  return best;
+  };
 }
 
-async function tuneBTHyperparams(btTrainRows, folds, baseSteps) {
-  if (CI_FAST) return null;
-  if (!Array.isArray(folds) || !folds.length || !btTrainRows?.length) return null;
-  let best = null;
-  for (const lr of BT_LR_OPTIONS) {
-    for (const l2 of BT_L2_OPTIONS) {
-      const losses = [];
-      for (const valIdx of folds) {
-        const trainIdx = new Set(Array.from({ length: btTrainRows.length }, (_, i) => i).filter((i) => !valIdx.includes(i)));
-        const trainSubset = [];
-        const valSubset = [];
-        for (let i = 0; i < btTrainRows.length; i++) {
-          if (trainIdx.has(i)) trainSubset.push(btTrainRows[i]);
-          else valSubset.push(btTrainRows[i]);
-        }
-        if (!trainSubset.length || !valSubset.length) continue;
-        const model = trainBTModel(trainSubset, { steps: baseSteps, lr, l2 });
-        const preds = predictBTDeterministic(model, valSubset).map((p) => safeProb(p?.prob));
-        const labels = valSubset.map((r) => Number(r.label_win));
-        const loss = logLoss(labels, preds);
-        if (Number.isFinite(loss)) losses.push(loss);
-      }
-      if (!losses.length) continue;
-      const avg = losses.reduce((a, b) => a + b, 0) / losses.length;
-      if (!best || avg < best.loss) {
-        best = { loss: avg, lr, l2 };
-      }
-    }
-  }
-  if (best) {
-    await persistModelParams({ bt: { gd: { learningRate: best.lr, l2: best.l2 } } });
-  }
-  return best;
+const logisticSteps = (params = {}, { cv = false } = {}) =>
+  params.steps ?? (cv ? (FAST_MODE ? 900 : 2500) : FAST_MODE ? 1400 : 3500);
+
+function fitTree(X, y, params = {}) {
+  const auto = chooseTreeParams(X.length);
+  const treeParams = { depth: params.maxDepth ?? auto.depth, minSamples: params.minSamples ?? auto.minSamples };
+  const cart = new CART({ maxDepth: treeParams.depth, minNumSamples: treeParams.minSamples, gainFunction: "gini" });
+  if (X.length) cart.train(X, y);
+  const leafStats = buildLeafFreq(cart, X, y, params.alpha ?? laplaceAlpha(X.length));
+  return { cart, leafStats, params: treeParams };
 }
 
-function enumerateWeights(step = 0.05) {
+// featureFlags.js model names and the blend member each one switches.
+const MODEL_FLAG_MEMBERS = { logistic: "logistic", cart: "tree", bt: "bt", ann: "ann", gbt: "gbt" };
+const BLEND_MEMBERS = Object.values(MODEL_FLAG_MEMBERS);
+
+// Every blend of `members` on the weight grid; members left out get zero weight
+// and the last member takes whatever the others leave.
+export function enumerateWeights(step = 0.05, { market = false, members = BLEND_MEMBERS } = {}) {
   const stepSize = Math.max(step, ANN_CONFIG.weightStep ?? step);
   const weights = [];
-  for (let wl = 0; wl <= 1; wl += stepSize) {
-    for (let wt = 0; wt <= 1 - wl; wt += stepSize) {
-      for (let wb = 0; wb <= 1 - wl - wt; wb += stepSize) {
-        const wa = 1 - wl - wt - wb;
-        if (wa < -1e-9) continue;
-        weights.push({ logistic: wl, tree: wt, bt: wb, ann: wa });
-      }
+  const marketSteps = market ? [...Array(Math.floor(1 / stepSize + 1e-9) + 1).keys()].map((i) => i * stepSize) : [0];
+  const zero = Object.fromEntries(BLEND_MEMBERS.map((member) => [member, 0]));
+  const fill = (entry, k, rest, wm) => {
+    if (k === members.length - 1) {
+      if (rest < -1e-9) return;
+      weights.push({ ...entry, [members[k]]: rest, ...(market ? { market: wm } : {}) });
+      return;
     }
-  }
+    for (let w = 0; w <= rest; w += stepSize) fill({ ...entry, [members[k]]: w }, k + 1, rest - w, wm);
+  };
+  if (!members.length) return weights;
+  for (const wm of marketSteps) fill(zero, 0, 1 - wm, wm);
   return weights;
 }
 
+function disabledMembers(flags = {}) {
+  return Object.entries(MODEL_FLAG_MEMBERS)
+    .filter(([flag]) => flags[flag] === false)
+    .map(([, member]) => member);
+}
+
 function clampWeights(weights, weeks) {
   const w = { ...weights };
   if (weeks < 4) w.ann *= 0.5;
   if (weeks < 3) w.logistic *= 0.8;
-  const total = w.logistic + w.tree + w.bt + w.ann;
-  if (!total) return { logistic: 0.25, tree: 0.25, bt: 0.25, ann: 0.25 };
-  return {
+  const total = w.logistic + w.tree + w.bt + w.ann + (w.gbt ?? 0) + (w.market ?? 0);
+  if (!total) return defaultWeights();
+  const out = {
     logistic: w.logistic / total,
     tree: w.tree / total,
     bt: w.bt / total,
-    ann: w.ann / total
+    ann: w.ann / total,
+    gbt: (w.gbt ?? 0) / total
+  };
+  if (w.market != null) out.market = w.market / total;
+  return out;
+}
+
+// Each member's out-of-fold log loss and Brier against the de-vigged market on
+// the training games that have a market price; positive edges beat the market.
+export function marketEdgeReport(labels, oofByModel, marketProbs) {
+  const idx = labels.map((_, i) => i).filter((i) => marketProbs[i] != null);
+  if (!idx.length) return { n: 0, market: null, models: {} };
+  const y = idx.map((i) => labels[i]);
+  const market = idx.map((i) => marketProbs[i]);
+  const marketLoss = logLoss(y, market);
+  const marketBrier = brier(y, market);
+  const models = {};
+  for (const [name, preds] of Object.entries(oofByModel)) {
+    const p = idx.map((i) => safeProb(preds[i]));
+    const loss = logLoss(y, p);
+    const br = brier(y, p);
+    models[name] = {
+      logloss: loss,
+      brier: br,
+      accuracy: accuracy(y, p),
+      logloss_edge: marketLoss - loss,
+      brier_edge: marketBrier - br
+    };
+  }
+  return {
+    n: idx.length,
+    market: { logloss: marketLoss, brier: marketBrier, accuracy: accuracy(y, market) },
+    models
   };
 }
 
@@ -1061,7 +1087,14 @@ const FEATURE_LABELS = {
   weather_wind_mph: "Forecast wind (mph)",
   weather_precip_pct: "Precipitation chance (%)",
   weather_impact_score: "Weather impact score",
-  weather_extreme_flag: "Weather extreme flag"
+  weather_extreme_flag: "Weather extreme flag",
+  lost_snap_value_qb: "Lost snap value: QB",
+  lost_snap_value_ol: "Lost snap value: offensive line",
+  lost_snap_value_skill: "Lost snap value: skill players",
+  lost_snap_value_front7: "Lost snap value: front seven",
+  lost_snap_value_secondary: "Lost snap value: secondary",
+  lost_snap_value_total: "Lost snap value (total)",
+  lost_snap_value_total_minus_opp: "Lost snap value vs opponent"
 };
 
 function humanizeFeature(key) {
@@ -1154,14 +1187,14 @@ function buildNarrative(game, probs, btFeatures, row, leagueMeans) {
   const neutralStmt = describeNeutralPassRate(neutralPass, league.off_neutral_pass_rate_s2d, 0.05);
   if (neutralStmt) advClauses.push(neutralStmt);
 
-  const header = `${game.home_team} vs ${game.away_team}: logistic ${round3(probs.logistic * 100)}%, tree ${round3(probs.tree * 100)}%, BT ${round3(probs.bt * 100)}%, ANN ${round3(probs.ann * 100)}%, blended ${round3(probs.blended * 100)}%.`;
+  const header = `${game.home_team} vs ${game.away_team}: logistic ${round3(probs.logistic * 100)}%, tree ${round3(probs.tree * 100)}%, BT ${round3(probs.bt * 100)}%, ANN ${round3(probs.ann * 100)}%, GBT ${round3(probs.gbt * 100)}%, blended ${round3(probs.blended * 100)}%.`;
   const sections = [];
   if (diffClauses.length) sections.push(`Key differentials: ${diffClauses.join("; ")}.`);
   if (advClauses.length) sections.push(`Trend watch: ${advClauses.join(" ")}`);
   return `${header} ${sections.join(" ")}`.trim();
 }
 
-function buildTopDrivers({ logisticContribs, treeInfo, btContribs, annGrad }) {
+function buildTopDrivers({ logisticContribs, treeInfo, btContribs, annGrad, gbtGains = [] }) {
   const drivers = [];
   logisticContribs
     .map((v) => ({ feature: humanizeFeature(v.feature), direction: v.value >= 0 ? "positive" : "negative", magnitude: Math.abs(v.value), source: "logit" }))
@@ -1186,11 +1219,20 @@ function buildTopDrivers({ logisticContribs, treeInfo, btContribs, annGrad }) {
     .sort((a, b) => b.magnitude - a.magnitude)
     .slice(0, 2)
     .forEach((d) => drivers.push(d));
+  // Boosted trees: the features whose splits carried the most gain on this
+  // game's paths, as a share of that gain; the sign is the logit they moved.
+  const gbtTotal = gbtGains.reduce((s, v) => s + v.gain, 0);
+  gbtGains
+    .slice(0, 2)
+    .filter((v) => v.gain > 0)
+    .forEach((v) =>
+      drivers.push({ feature: humanizeFeature(v.feature), direction: v.value >= 0 ? "positive" : "negative", magnitude: v.gain / gbtTotal, source: "gbt" })
+    );
   return drivers;
 }
 
 function defaultWeights() {
-  return { logistic: 0.25, tree: 0.25, bt: 0.25, ann: 0.25 };
+  return { logistic: 0.2, tree: 0.2, bt: 0.2, ann: 0.2, gbt: 0.2 };
 }
 
 function ensureArray(arr, len, fill = 0.5) {
@@ -1203,8 +1245,12 @@ function ensureArray(arr, len, fill = 0.5) {
 const makeGameId = (row) =>
   `${row.season}-W${String(row.week).padStart(2, "0")}-${row.team}-${row.opponent}`;
 
+// Franchise code when the value names a known team (schedules say "LA" and
+// "JAX" where feature rows say "LAR" and "JAC"); otherwise any 2-4 letter code.
 const normalizeTeamCode = (value) => {
   if (!value) return null;
+  const franchise = resolveFranchise(value);
+  if (franchise) return franchise.code;
   const str = String(value).trim().toUpperCase();
   if (str.length < 2) return null;
   return /^[A-Z]{2,4}$/.test(str) ? str : null;
@@ -1237,11 +1283,8 @@ const resolveTeamCode = (primary, fallback, gameId, role) => {
   return "UNK";
 };
 
-const isRegularSeason = (value) => {
-  if (value == null) return true;
-  const str = String(value).trim().toUpperCase();
-  return str === "" || str.startsWith("REG");
-};
+const inFeatureSeason = (game) =>
+  includeScheduleGame(game, { postseason: loadFeatureFlags().postseason === true });
 
 const scheduleGameId = (season, week, home, away) =>
   `${season}-W${String(week).padStart(2, "0")}-${home}-${away}`;
@@ -1261,6 +1304,35 @@ const scheduleScores = (game) => {
   return { hs, as };
 };
 
+// Index market rows by game key so the margin and totals heads can look up
+// the home spread and the game total.
+function buildMarketIndex(marketRows = []) {
+  const index = new Map();
+  for (const row of marketRows || []) {
+    const home = normalizeTeamCode(row?.home_team);
+    const away = normalizeTeamCode(row?.away_team);
+    const week = Number(row?.week);
+    if (!home || !away || !Number.isFinite(week)) continue;
+    const market = row.market || {};
+    const spread = toFiniteNumber(market.spread_home ?? market.spread ?? market.close_spread, NaN);
+    const total = toFiniteNumber(market.total ?? market.total_points, NaN);
+    if (!Number.isFinite(spread) && !Number.isFinite(total)) continue;
+    index.set(`${week}|${home}|${away}`, {
+      spread_home: Number.isFinite(spread) ? spread : null,
+      total: Number.isFinite(total) ? total : null
+    });
+  }
+  return index;
+}
+
+const marketField = (index, field) => {
+  const out = new Map();
+  for (const [key, entry] of index.entries()) {
+    if (entry[field] != null) out.set(key, entry[field]);
+  }
+  return out;
+};
+
 const metricBlock = (actuals, preds) => ({
   logloss: logLoss(actuals, preds),
   brier: brier(actuals, preds),
@@ -1281,6 +1353,120 @@ function expandFeats(baseFeats, sampleRows){
   return Array.from(new Set([...baseFeats, ...Array.from(extra)]));
 }
 
+/**
+ * Home-team training rows paired with their BT rows, oldest first, in the
+ * shape hyperparamSearch.js scores configurations on.
+ * @param {{ featureRows: Array<object>, btRows: Array<object> }} rows - see buildSeasonTrainingRows
+ * @returns {{ features: string[], X: number[][], y: number[], bt: Array<object>, seasons: number[], weeks: number[] }}
+ */
+export function buildTuningDataset({ featureRows = [], btRows = [] } = {}) {
+  const marketAware = loadFeatureFlags().marketAware === true;
+  const features = expandFeats(marketAware ? FEATS_BASE.concat(MARKET_FEATS) : FEATS_BASE, featureRows);
+  const btById = new Map(btRows.filter((r) => r.label_win === 0 || r.label_win === 1).map((r) => [r.game_id, r]));
+  const games = featureRows
+    .filter((r) => r.home === 1 && (r.win === 0 || r.win === 1))
+    .map((row) => ({ row, bt: btById.get(makeGameId(row)) }))
+    .filter((g) => g.bt)
+    .sort((a, b) => a.row.season - b.row.season || a.row.week - b.row.week);
+  const rows = games.map((g) => g.row);
+  return {
+    features,
+    X: matrixFromRows(rows, features),
+    y: rows.map((r) => Number(r.win)),
+    bt: games.map((g) => g.bt),
+    seasons: rows.map((r) => r.season),
+    weeks: rows.map((r) => r.week)
+  };
+}
+
+/**
+ * Fit/predict pairs hyperparamSearch.js scores each member with. `budget`
+ * (0-1] scales the training effort for successive halving: gradient steps for
+ * logistic and BT, epochs for the ANN, boosting rounds for GBT, and the most
+ * recent share of the rows for CART. Parameters left out fall back to
+ * resolveMemberParams defaults.
+ * @param {{ annSeeds?: number, annTimeLimitMs?: number }} [options]
+ * @returns {Record<"logistic"|"cart"|"bt"|"ann"|"gbt", { fit: Function, predict: Function }>}
+ */
+export function tuningAdapters({ annSeeds = 2, annTimeLimitMs = 20000 } = {}) {
+  const defaults = resolveMemberParams();
+  const scaled = (value, budget) => Math.max(1, Math.round(value * budget));
+  const standardize = (X) => {
+    const scaler = fitScaler(X);
+    return { scaler, X: applyScaler(X, scaler) };
+  };
+  return {
+    logistic: {
+      fit(train, params, budget = 1) {
+        const p = { ...defaults.logistic, ...params };
+        const { scaler, X } = standardize(train.X);
+        const model = trainLogisticGD(X, train.y, {
+          steps: scaled(logisticSteps(p, { cv: true }), budget),
+          lr: p.learningRate,
+          l2: p.l2
+        });
+        return { scaler, model };
+      },
+      predict: ({ scaler, model }, valid) => predictLogit(applyScaler(valid.X, scaler), model)
+    },
+    cart: {
+      fit(train, params, budget = 1) {
+        const keep = Math.max(2, Math.ceil(train.X.length * budget));
+        const { scaler, X } = standardize(train.X.slice(-keep));
+        return { scaler, ...fitTree(X, train.y.slice(-keep), params) };
+      },
+      predict: ({ scaler, cart, leafStats }, valid) => predictTree(cart, leafStats, applyScaler(valid.X, scaler))
+    },
+    bt: {
+      fit(train, params, budget = 1) {
+        const p = { ...defaults.bt, ...params };
+        return trainBTModel(train.bt, { steps: scaled(p.steps, budget), lr: p.learningRate, l2: p.l2 });
+      },
+      predict: (model, valid) => predictBTDeterministic(model, valid.bt).map((p) => safeProb(p?.prob))
+    },
+    ann: {
+      fit(train, params, budget = 1) {
+        const p = { ...defaults.ann, ...params };
+        const { scaler, X } = standardize(train.X);
+        const model = trainANNCommittee(X, train.y, {
+          seeds: annSeeds,
+          maxEpochs: scaled(p.maxEpochs, budget),
+          dropout: p.dropout,
+          lr: p.learningRate,
+          l2: p.l2,
+          patience: 8,
+          batchSize: p.batchSize,
+          timeLimitMs: annTimeLimitMs
+        });
+        return { scaler, model };
+      },
+      predict: ({ scaler, model }, valid) => predictANNCommittee(model, applyScaler(valid.X, scaler))
+    },
+    gbt: {
+      fit(train, params, budget = 1) {
+        const p = { ...defaults.gbt, ...params };
+        const { scaler, X } = standardize(train.X);
+        return { scaler, model: trainGBT(X, train.y, { ...p, nEstimators: scaled(p.nEstimators, budget) }) };
+      },
+      predict: ({ scaler, model }, valid) => predictGBT(model, applyScaler(valid.X, scaler))
+    }
+  };
+}
+
+// In-run search behind runTraining's tuneHyperparams option: a short random
+// search per member over time-series folds, kept in memory.
+function searchMemberParams(data, { members, seed, trials = 8, strategy = "random", annSeeds } = {}) {
+  const folds = timeSeriesFolds(data);
+  if (!folds.length) return {};
+  const adapters = tuningAdapters({ annSeeds: Math.max(2, Math.min(annSeeds ?? 2, 3)) });
+  const out = {};
+  for (const model of members) {
+    const { best } = runSearch({ model, adapter: adapters[model], data, folds, strategy, trials, seed });
+    if (best) out[model] = best.params;
+  }
+  return out;
+}
+
 export async function runTraining({ season, week, data = {}, options = {} } = {}) {
   const resolvedSeason = Number(season ?? process.env.SEASON ?? new Date().getFullYear());
   let resolvedWeek = Number(week ?? process.env.WEEK ?? 6);
@@ -1378,6 +1564,46 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     }
   }
 
+  // Snap counts and depth charts only weigh injury reports, so skip the fetch
+  // when there are none.
+  let snapCounts = [];
+  let depthCharts = [];
+  if (injuryRows.length) {
+    if (data.snapCounts !== undefined) {
+      snapCounts = data.snapCounts;
+    } else {
+      try {
+        snapCounts = await loadSnapCounts(resolvedSeason);
+      } catch (e) {
+        snapCounts = [];
+      }
+    }
+    if (data.depthCharts !== undefined) {
+      depthCharts = data.depthCharts;
+    } else {
+      try {
+        depthCharts = await loadDepthCharts(resolvedSeason);
+      } catch (e) {
+        depthCharts = [];
+      }
+    }
+  }
+
+  let marketRows;
+  if (data.markets !== undefined) {
+    marketRows = Array.isArray(data.markets) ? data.markets : [];
+  } else {
+    try {
+      marketRows = await loadMarkets(resolvedSeason);
+    } catch (e) {
+      marketRows = [];
+    }
+  }
+  const marketIndex = buildMarketIndex(marketRows);
+  const spreadIndex = marketField(marketIndex, "spread_home");
+  const marketAware = options.marketAware ?? loadFeatureFlags().marketAware === true;
+  const postseason = options.postseason ?? loadFeatureFlags().postseason === true;
+
   const featureRows = buildFeatures({
     teamWeekly,
     teamGame,
@@ -1387,7 +1613,10 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     pbp: pbpData,
     playerWeekly,
     weather: weatherRows,
-    injuries: injuryRows
+    injuries: injuryRows,
+    snapCounts,
+    depthCharts,
+    postseason
   });
 
   // --- Apply enhanced features if enabled ---
@@ -1404,7 +1633,7 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
                ((g.home_team === row.team && row.home === 1) || (g.away_team === row.team && row.home === 0))
       );
       if (game) {
-        featureRows[i] = enhanceFeatures(row, game.home_team, game.away_team, null, null);
+        featureRows[i] = enhanceFeatures(row, game.home_team, game.away_team, null, null, game);
       }
     }
 
@@ -1416,7 +1645,7 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
                ((g.home_team === row.team && row.home === 1) || (g.away_team === row.team && row.home === 0))
       );
       if (game) {
-        historicalFeatureRows[i] = enhanceFeatures(row, game.home_team, game.away_team, null, null);
+        historicalFeatureRows[i] = enhanceFeatures(row, game.home_team, game.away_team, null, null, game);
       }
     }
 
@@ -1430,7 +1659,8 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     schedules,
     season: resolvedSeason,
     prevTeamWeekly,
-    injuries: injuryRows
+    injuries: injuryRows,
+    postseason
   });
 
   // --- Enrich feature rows with PFR advanced weekly differentials ---
@@ -1446,8 +1676,19 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     }
   }
 
+  if (marketAware) {
+    attachMarketFeatures(featureRows, marketRows);
+    attachMarketFeatures(
+      historicalFeatureRows.filter((r) => r.market_available === undefined),
+      []
+    );
+  }
+
   // Determine the final FEATS list (union of base + discovered diff_*):
-  const FEATS_ENR = expandFeats(FEATS_BASE, featureRows.concat(historicalFeatureRows));
+  const FEATS_ENR = expandFeats(
+    marketAware ? FEATS_BASE.concat(MARKET_FEATS) : FEATS_BASE,
+    featureRows.concat(historicalFeatureRows)
+  );
 
   const warmStart = await loadLogisticWarmStart({ season: resolvedSeason, week: resolvedWeek, features: FEATS_ENR });
   if (warmStart?.meta) {
@@ -1523,21 +1764,79 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
   const leagueMeans = computeLeagueMeans(trainRows);
 
   const labels = trainRows.map((r) => Number(r.win));
+  const marketProbOf = (row) =>
+    marketAware && row.market_available === 1 ? safeProb(row.market_implied_prob) : null;
+  const trainMarketProbs = trainRows.map(marketProbOf);
+  const blendWithMarket = marketAware && trainMarketProbs.some((p) => p != null);
   const weeksSeen = new Set(trainRows.map((r) => r.week)).size;
   const trainMatrix = matrixFromRows(trainRows, FEATS_ENR);
   const scaler = fitScaler(trainMatrix.length ? trainMatrix : [new Array(FEATS_ENR.length).fill(0)]);
   const trainStd = applyScaler(trainMatrix, scaler);
 
   const nTrain = trainRows.length;
+  // Members switched off in featureFlags.js (or options.models) still train and
+  // report their probabilities but only blends that give them no weight are searched.
+  const modelFlags = { ...loadModelFlags(), ...(options.models || {}) };
+  const excludedMembers = disabledMembers(modelFlags);
+  if (excludedMembers.length === Object.keys(MODEL_FLAG_MEMBERS).length) {
+    throw new Error("[train] every ensemble member is disabled");
+  }
+
+  // Member parameters come from config/modelParams.json, which
+  // hyperparamSearch.js promotes into. tuneHyperparams: true searches the
+  // enabled members on this run's training rows instead, for this run only.
+  const modelParamsFile = loadModelParamsFile();
+  const tunedParams =
+    options.tuneHyperparams === true && !CI_FAST && nTrain >= 2
+      ? searchMemberParams(
+          {
+            X: trainMatrix,
+            y: labels,
+            bt: btTrainRows,
+            seasons: trainRows.map((r) => r.season),
+            weeks: trainRows.map((r) => r.week)
+          },
+          {
+            members: Object.keys(MODEL_FLAG_MEMBERS).filter((flag) => modelFlags[flag] !== false),
+            seed: resolvedSeason * 100 + resolvedWeek,
+            trials: options.tuneTrials,
+            strategy: options.tuneStrategy,
+            annSeeds: options.annCvSeeds ?? options.annSeeds
+          }
+        )
+      : {};
+  const memberParams = resolveMemberParams(modelParamsFile, {
+    ...options,
+    hyperparams: { ...(options.hyperparams || {}), ...tunedParams }
+  });
+
+  // Blending: a grid search over convex member weights, or (blendMode
+  // "stacking") a logistic meta-model on the out-of-fold probabilities.
+  const blendMode = options.blendMode ?? modelParamsFile.blend?.mode ?? "grid";
+  if (!BLEND_MODES.includes(blendMode)) {
+    throw new Error(`[train] unknown blend mode ${blendMode} (expected ${BLEND_MODES.join(", ")})`);
+  }
+  const stackingSettings = resolveStackingSettings({
+    context: options.stackingContext ?? modelParamsFile.blend?.stacking?.context,
+    l2: options.stackingL2 ?? modelParamsFile.blend?.stacking?.l2
+  });
+
+  const gbtParams = {
+    ...memberParams.gbt,
+    nEstimators: CI_FAST ? Math.min(memberParams.gbt.nEstimators, 60) : memberParams.gbt.nEstimators
+  };
+
   let folds = [];
   let oofLogit = [];
   let oofTree = [];
+  let oofGbt = [];
   if (nTrain >= 2) {
     const baseK = Math.min(5, Math.max(2, Math.floor(nTrain / 6)));
     const k = Math.min(baseK, ANN_CONFIG.kfold ?? baseK);
     folds = kfoldIndices(nTrain, k);
     oofLogit = new Array(nTrain).fill(0.5);
     oofTree = new Array(nTrain).fill(0.5);
+    oofGbt = new Array(nTrain).fill(0.5);
     for (const valIdx of folds) {
       const trainIdx = new Set(Array.from({ length: nTrain }, (_, i) => i).filter((i) => !valIdx.includes(i)));
       const Xtr = [];
@@ -1557,44 +1856,31 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
       const XtrS = applyScaler(Xtr, scalerFold);
       const XvaS = applyScaler(Xva, scalerFold);
       const logitModel = trainLogisticGD(XtrS, ytr, {
-        steps: FAST_MODE ? 900 : 2500,
-        lr: FAST_MODE ? 3e-3 : 4e-3,
-        l2: 2e-4,
+        steps: logisticSteps(memberParams.logistic, { cv: true }),
+        lr: memberParams.logistic.learningRate,
+        l2: memberParams.logistic.l2,
         featureLength: FEATS_ENR.length,
         init: warmStart ? { w: warmStart.w, b: warmStart.b } : undefined
       });
-      const params = chooseTreeParams(XtrS.length);
-      const cart = new CART({ maxDepth: params.depth, minNumSamples: params.minSamples, gainFunction: "gini" });
-      if (XtrS.length) cart.train(XtrS, ytr);
-      const leafStats = buildLeafFreq(cart, XtrS, ytr, laplaceAlpha(XtrS.length));
+      const { cart, leafStats } = fitTree(XtrS, ytr, memberParams.cart);
       const pLog = predictLogit(XvaS, logitModel);
       const pTree = predictTree(cart, leafStats, XvaS);
+      const pGbt = predictGBT(trainGBT(XtrS, ytr, gbtParams), XvaS);
       for (let j = 0; j < iva.length; j++) {
         oofLogit[iva[j]] = safeProb(pLog[j]);
         oofTree[iva[j]] = safeProb(pTree[j]);
+        oofGbt[iva[j]] = safeProb(pGbt[j]);
       }
     }
   } else {
     oofLogit = ensureArray([], nTrain, 0.5);
     oofTree = ensureArray([], nTrain, 0.5);
+    oofGbt = ensureArray([], nTrain, 0.5);
   }
 
-  const modelParamsFile = loadModelParamsFile();
-  const annEpochFallback =
-    options.annMaxEpochs ?? modelParamsFile?.ann?.maxEpochs ?? Number(process.env.ANN_MAX_EPOCHS ?? 250);
-  const annTuning = CI_FAST
-    ? null
-    : await tuneAnnHyperparams(trainStd, labels, folds, {
-        annSeeds: options.annCvSeeds ?? options.annSeeds,
-        annBatchSize: modelParamsFile?.ann?.batchSize ?? 32,
-        annL2: options.annL2,
-        annArchitecture: options.annArchitecture
-      });
-  const tunedAnnEpochs = annTuning?.epochs ?? annEpochFallback;
-  const tunedAnnDropout =
-    annTuning?.dropout ?? options.annDropout ?? modelParamsFile?.ann?.dropout ?? 0.3;
-
-  const annMaxEpochs = Math.min(tunedAnnEpochs, ANN_CONFIG.maxEpochs ?? tunedAnnEpochs);
+  const annMaxEpochs = Math.min(memberParams.ann.maxEpochs, ANN_CONFIG.maxEpochs ?? memberParams.ann.maxEpochs);
+  const annDropout = memberParams.ann.dropout;
+  const annLearningRate = memberParams.ann.learningRate;
   const annSeedsConfigured = options.annSeeds ?? ANN_CONFIG.seeds ?? 5;
   const annSeeds = CI_FAST ? ANN_CONFIG.seeds : annSeedsConfigured;
   const annCvSeeds = CI_FAST
@@ -1604,18 +1890,14 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
   const annFullPatience = CI_FAST
     ? ANN_CONFIG.patience
     : Math.max(ANN_CONFIG.patience ?? 10, 12);
-  const annBatchSize = options.annBatchSize ?? modelParamsFile?.ann?.batchSize ?? 32;
-  const annL2 = options.annL2 ?? 1e-4;
+  const annBatchSize = memberParams.ann.batchSize;
+  const annL2 = memberParams.ann.l2;
 
-  const btStepsConfigured = Number(
-    process.env.BT_GD_STEPS ?? modelParamsFile?.bt?.gd?.steps ?? 2000
-  );
   const btStepsBase = CI_FAST
-    ? Math.min(btStepsConfigured, Number(process.env.CI_FAST_BT_STEPS ?? 1200))
-    : btStepsConfigured;
-  const btTuning = await tuneBTHyperparams(btTrainRows, folds, btStepsBase);
-  const tunedBtLr = btTuning?.lr ?? options.btLearningRate ?? modelParamsFile?.bt?.gd?.learningRate ?? 5e-3;
-  const tunedBtL2 = btTuning?.l2 ?? options.btL2 ?? modelParamsFile?.bt?.gd?.l2 ?? 1e-4;
+    ? Math.min(memberParams.bt.steps, Number(process.env.CI_FAST_BT_STEPS ?? 1200))
+    : memberParams.bt.steps;
+  const btLearningRate = memberParams.bt.learningRate;
+  const btL2 = memberParams.bt.l2;
 
   // --- BEGIN: robust ANN OOF ---
   const annOOF = new Array(nTrain).fill(0.5);
@@ -1637,9 +1919,9 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
       const annModel = trainANNCommittee(XtrS, ytr, {
         seeds: annCvSeeds,
         maxEpochs: Math.min(annMaxEpochs, options.annCvMaxEpochs ?? annMaxEpochs),
-        lr: 1e-3,
+        lr: annLearningRate,
         patience: annPatience,
-        dropout: tunedAnnDropout,
+        dropout: annDropout,
         batchSize: annBatchSize,
         l2: annL2,
         timeLimitMs: CI_FAST ? 12000 : options.annCvTimeLimit ?? 25000,
@@ -1666,50 +1948,72 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
           iva.push(i);
         }
       }
-      const model = trainBTModel(btTr, { steps: btStepsBase, lr: tunedBtLr, l2: tunedBtL2 });
+      const model = trainBTModel(btTr, { steps: btStepsBase, lr: btLearningRate, l2: btL2 });
       const preds = predictBTDeterministic(model, btVa);
       for (let j = 0; j < iva.length; j++) btOOF[iva[j]] = safeProb(preds[j]?.prob);
     }
   }
 
-  const weightStep = options.weightStep ?? ANN_CONFIG.weightStep ?? 0.05;
-  const weightsGrid = enumerateWeights(weightStep);
-  const metrics = [];
-  const gridTopLimit = Number.isFinite(ANN_CONFIG.gridTopN)
-    ? Math.max(1, ANN_CONFIG.gridTopN)
-    : Number.POSITIVE_INFINITY;
-  for (const w of weightsGrid) {
-    const wLog = toFiniteNumber(w.logistic, 0);
-    const wTree = toFiniteNumber(w.tree, 0);
-    const wBt = toFiniteNumber(w.bt, 0);
-    const wAnn = toFiniteNumber(w.ann, 0);
-    const blend = labels
-      .map(
-        (_, i) =>
-          wLog * safeProb(oofLogit[i]) +
-          wTree * safeProb(oofTree[i]) +
-          wBt * safeProb(btOOF[i]) +
-          wAnn * safeProb(annOOF[i])
-      )
-      .map(safeProb);
-    const entry = { weights: w, loss: logLoss(labels, blend) ?? Infinity };
-    if (gridTopLimit !== Number.POSITIVE_INFINITY) {
-      metrics.push(entry);
-      metrics.sort((a, b) => a.loss - b.loss);
-      if (metrics.length > gridTopLimit) metrics.length = gridTopLimit;
-    } else {
-      metrics.push(entry);
+  const activeMembers = BLEND_MEMBERS.filter((member) => !excludedMembers.includes(member));
+  const oofRows = labels.map((_, i) => ({
+    logistic: oofLogit[i],
+    tree: oofTree[i],
+    bt: btOOF[i],
+    ann: annOOF[i],
+    gbt: oofGbt[i],
+    market: trainMarketProbs[i]
+  }));
+  const oofComponents = (i) => oofRows[i];
+  const trainContexts = trainRows.map((r, i) => stackingContext({ week: r.week, marketProb: trainMarketProbs[i] }));
+  let stacking = null;
+  let stackingMeanContext = null;
+  let blendWeights;
+  let oofBlendRaw;
+  if (blendMode === "stacking") {
+    const stackingOptions = {
+      ...stackingSettings,
+      members: [...activeMembers, ...(blendWithMarket ? ["market"] : [])],
+      probs: oofRows,
+      contexts: trainContexts,
+      labels
+    };
+    stacking = fitStacking(stackingOptions);
+    // Ensemble metrics and calibration see cross-fitted meta predictions.
+    oofBlendRaw = crossFitStacking({ ...stackingOptions, folds });
+    stackingMeanContext = Object.fromEntries(
+      Object.keys(stackingContext()).map((key) => [
+        key,
+        trainContexts.reduce((sum, c) => sum + c[key], 0) / Math.max(1, trainContexts.length)
+      ])
+    );
+    // Reported weights are the meta-model's at the average training context.
+    blendWeights = {
+      ...Object.fromEntries(BLEND_MEMBERS.map((member) => [member, 0])),
+      ...stackingWeights(stacking, stackingMeanContext)
+    };
+  } else {
+    const weightStep = options.weightStep ?? ANN_CONFIG.weightStep ?? 0.05;
+    const weightsGrid = enumerateWeights(weightStep, { market: blendWithMarket, members: activeMembers });
+    const metrics = [];
+    const gridTopLimit = Number.isFinite(ANN_CONFIG.gridTopN)
+      ? Math.max(1, ANN_CONFIG.gridTopN)
+      : Number.POSITIVE_INFINITY;
+    for (const w of weightsGrid) {
+      const blend = labels.map((_, i) => blendComponents(w, oofComponents(i))).map(safeProb);
+      const entry = { weights: w, loss: logLoss(labels, blend) ?? Infinity };
+      if (gridTopLimit !== Number.POSITIVE_INFINITY) {
+        metrics.push(entry);
+        metrics.sort((a, b) => a.loss - b.loss);
+        if (metrics.length > gridTopLimit) metrics.length = gridTopLimit;
+      } else {
+        metrics.push(entry);
+      }
     }
+    if (gridTopLimit === Number.POSITIVE_INFINITY) metrics.sort((a, b) => a.loss - b.loss);
+    const bestWeights = metrics[0]?.weights ?? defaultWeights();
+    blendWeights = clampWeights(bestWeights, weeksSeen || 1);
+    oofBlendRaw = labels.map((_, i) => blendComponents(blendWeights, oofComponents(i)));
   }
-  if (gridTopLimit === Number.POSITIVE_INFINITY) metrics.sort((a, b) => a.loss - b.loss);
-  const bestWeights = metrics[0]?.weights ?? defaultWeights();
-  const clampedWeights = clampWeights(bestWeights, weeksSeen || 1);
-  const oofBlendRaw = labels.map((_, i) =>
-    toFiniteNumber(clampedWeights.logistic, 0) * safeProb(oofLogit[i]) +
-    toFiniteNumber(clampedWeights.tree, 0) * safeProb(oofTree[i]) +
-    toFiniteNumber(clampedWeights.bt, 0) * safeProb(btOOF[i]) +
-    toFiniteNumber(clampedWeights.ann, 0) * safeProb(annOOF[i])
-  );
   const oofBlend = oofBlendRaw.map(safeProb);
   const calibration = await resolveCalibration({
     probs: oofBlend,
@@ -1720,40 +2024,167 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
   const oofBlendCal = oofBlend.map((p) => safeProb(calibration.apply(p)));
 
   const logitModelFull = trainLogisticGD(trainStd, labels, {
-    steps: FAST_MODE ? 1400 : 3500,
-    lr: FAST_MODE ? 3e-3 : 4e-3,
-    l2: 2e-4,
+    steps: logisticSteps(memberParams.logistic),
+    lr: memberParams.logistic.learningRate,
+    l2: memberParams.logistic.l2,
     featureLength: FEATS_ENR.length,
     init: warmStart ? { w: warmStart.w, b: warmStart.b } : undefined
   });
-  const treeParams = chooseTreeParams(trainStd.length);
-  const cartFull = new CART({ maxDepth: treeParams.depth, minNumSamples: treeParams.minSamples, gainFunction: "gini" });
-  if (trainStd.length) cartFull.train(trainStd, labels);
-  const leafStatsFull = buildLeafFreq(cartFull, trainStd, labels, laplaceAlpha(trainStd.length));
+  const { cart: cartFull, leafStats: leafStatsFull, params: treeParams } = fitTree(trainStd, labels, memberParams.cart);
   // --- BEGIN: robust ANN full fit ---
   const annModelFull = trainANNCommittee(trainStd, labels, {
     seeds: annSeeds,
     maxEpochs: annMaxEpochs,
-    lr: 1e-3,
+    lr: annLearningRate,
     patience: annFullPatience,
-    dropout: tunedAnnDropout,
+    dropout: annDropout,
     batchSize: annBatchSize,
     l2: annL2,
     timeLimitMs: CI_FAST ? 20000 : options.annTimeLimit ?? 70000,
     architecture: options.annArchitecture
   });
   // --- END: robust ANN full fit ---
+  const gbtModelFull = trainGBT(trainStd, labels, gbtParams);
   const btModelFull = trainBTModel(btTrainRows, {
     steps: btStepsBase,
-    lr: tunedBtLr,
-    l2: tunedBtL2
+    lr: btLearningRate,
+    l2: btL2
   });
 
+  // --- Margin regression head (home minus away final score) ---
+  const marginL2 = options.marginL2 ?? modelParamsFile?.margin?.l2 ?? 10;
+  const marginTargets = trainRows.map((r) => (r.margin == null ? NaN : Number(r.margin)));
+  const marginIdx = marginTargets.map((m, i) => (Number.isFinite(m) ? i : -1)).filter((i) => i >= 0);
+  const marginOofActual = [];
+  const marginOofPred = [];
+  if (marginIdx.length >= 2 && folds.length) {
+    for (const valIdx of folds) {
+      const valSet = new Set(valIdx);
+      const trIdx = marginIdx.filter((i) => !valSet.has(i));
+      const vaIdx = marginIdx.filter((i) => valSet.has(i));
+      if (!trIdx.length || !vaIdx.length) continue;
+      const Xtr = trIdx.map((i) => trainMatrix[i]);
+      const scalerFold = fitScaler(Xtr);
+      const foldModel = trainMarginModel(applyScaler(Xtr, scalerFold), trIdx.map((i) => marginTargets[i]), {
+        l2: marginL2,
+        featureLength: FEATS_ENR.length
+      });
+      const preds = predictMargin(foldModel, applyScaler(vaIdx.map((i) => trainMatrix[i]), scalerFold));
+      for (let j = 0; j < vaIdx.length; j++) {
+        marginOofActual.push(marginTargets[vaIdx[j]]);
+        marginOofPred.push(preds[j]);
+      }
+    }
+  }
+  const marginSd = residualSd(marginOofActual, marginOofPred);
+
+  // Interval half-widths from the same out-of-fold predictions (cross-conformal).
+  const conformal = fitConformal({
+    probs: { logistic: oofLogit, tree: oofTree, bt: btOOF, ann: annOOF, gbt: oofGbt, blended: oofBlendCal },
+    labels,
+    margin: { predicted: marginOofPred, actual: marginOofActual },
+    level: options.conformalLevel ?? modelParamsFile?.conformal?.level ?? CONFORMAL_LEVEL
+  });
+  const marginModelFull = trainMarginModel(
+    marginIdx.map((i) => trainStd[i]),
+    marginIdx.map((i) => marginTargets[i]),
+    { l2: marginL2, featureLength: FEATS_ENR.length }
+  );
+
   const testMatrix = matrixFromRows(testRows, FEATS_ENR);
   const testStd = applyScaler(testMatrix, scaler);
-  const logitTest = predictLogit(testStd, logitModelFull).map(safeProb);
-  const treeTest = predictTree(cartFull, leafStatsFull, testStd).map(safeProb);
-  const annTest = predictANNCommittee(annModelFull, testStd).map(safeProb);
+
+  // Neutral sites (every Super Bowl): the models only ever see the host's row,
+  // so average it with the mirrored game (the other team's row as host) to take
+  // the home-field edge out.
+  const mirrorRows = testRows.map((row) => {
+    if (row.neutral_site !== 1) return null;
+    const other = featureRows.find(
+      (r) => r.season === row.season && r.week === row.week && r.team === row.opponent && r.opponent === row.team
+    );
+    return other ? { ...other, home: 1 } : null;
+  });
+  const mirrorIdx = mirrorRows.flatMap((row, i) => (row ? [i] : []));
+  const mirrorStd = mirrorIdx.length
+    ? applyScaler(matrixFromRows(mirrorIdx.map((i) => mirrorRows[i]), FEATS_ENR), scaler)
+    : [];
+  const neutralize = (preds, predictMirror, combine) => {
+    if (!mirrorIdx.length) return preds;
+    const mirrored = predictMirror(mirrorStd);
+    const out = preds.slice();
+    mirrorIdx.forEach((i, j) => {
+      out[i] = combine(preds[i], mirrored[j]);
+    });
+    return out;
+  };
+
+  const marginTest = neutralize(
+    predictMargin(marginModelFull, testStd),
+    (X) => predictMargin(marginModelFull, X),
+    (m, mirrored) => (m - mirrored) / 2
+  );
+
+  // --- Totals (combined points) model ---
+  const totalsRows = buildTotalsRows(
+    historicalFeatureRows.concat(
+      featureRows.filter((r) => r.season === resolvedSeason && r.week <= resolvedWeek)
+    )
+  );
+  const totalsResult = buildTotalsForecasts({
+    trainRows: totalsRows.filter((r) => !(r.season === resolvedSeason && r.week >= resolvedWeek)),
+    testRows: totalsRows.filter((r) => r.season === resolvedSeason && r.week === resolvedWeek),
+    marketTotals: marketField(marketIndex, "total"),
+    l2: options.totalsL2 ?? modelParamsFile?.totals?.l2
+  });
+
+  // The test week is scored from the serialized members through the portable
+  // runtime, so model_<season>_W<week>.json plus scoring_inputs replay it exactly.
+  const logisticSummary = {
+    weights: logitModelFull.neutral ? [] : logitModelFull.w,
+    bias: logitModelFull.b,
+    scaler,
+    features: FEATS_ENR
+  };
+  const treeSummary = {
+    params: treeParams,
+    alpha: leafStatsFull.alpha,
+    tree: serializeTree(leafStatsFull.root),
+    leaves: Object.fromEntries([...leafStatsFull.freq].map(([leaf, rec]) => [leaf, [rec.n0, rec.n1]]))
+  };
+  const btSummary = {
+    coefficients: btModelFull.w,
+    intercept: btModelFull.b,
+    scaler: btModelFull.scaler,
+    features: BT_FEATURES,
+    hyperparams: {
+      steps: btStepsBase,
+      learningRate: btLearningRate,
+      l2: btL2
+    }
+  };
+  const annCommittees = serializeAnn(annModelFull).committees;
+  const gbtSummary = {
+    base_score: gbtModelFull.base_score,
+    learning_rate: gbtModelFull.learning_rate,
+    n_estimators: gbtModelFull.n_estimators,
+    params: gbtModelFull.params,
+    validation: gbtModelFull.validation,
+    importance: Object.fromEntries(
+      FEATS_ENR.map((feature, j) => [feature, gbtModelFull.importance[j]]).filter(([, gain]) => gain > 0)
+    ),
+    trees: gbtModelFull.trees
+  };
+  const runtimeModel = loadModel({
+    season: resolvedSeason,
+    week: resolvedWeek,
+    logistic: logisticSummary,
+    decision_tree: treeSummary,
+    bt: btSummary,
+    ann: { committees: annCommittees },
+    gbt: gbtSummary,
+    ensemble: { weights: blendWeights, stacking, calibration: calibration.meta }
+  });
+  const mirrorMatrix = mirrorRows.map((row) => (row ? matrixFromRows([row], FEATS_ENR)[0] : null));
   const btBootstrap = options.btBootstrapSamples ?? Number(process.env.BT_B ?? 1000);
   const btPreds = predictBT({
     model: btModelFull,
@@ -1766,27 +2197,31 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
   const btMapPred = new Map(btPreds.map((p) => [p.game_id, p]));
 
   const predictions = [];
+  const scoringInputs = [];
   for (let i = 0; i < testRows.length; i++) {
     const row = testRows[i];
     const btRow = btTestRows[i];
     const btInfo = btMapPred.get(btRow.game_id) || { prob: 0.5, ci90: [0.25, 0.75], features: btRow.features };
+    const marketProb = marketProbOf(row);
+    // BT enters the blend from its coefficients, as it did out of fold; the
+    // bootstrap over team history only sets its bt90 interval.
+    const gameInputs = {
+      features: testMatrix[i],
+      mirrorFeatures: mirrorMatrix[i],
+      btFeatures: BT_FEATURES.map((k) => toFiniteNumber(btRow.features?.[k], 0)),
+      marketProb,
+      neutralSite: row.neutral_site === 1
+    };
+    const scored = scoreGame(runtimeModel, gameInputs);
     const probs = {
-      logistic: safeProb(logitTest[i]),
-      tree: safeProb(treeTest[i]),
-      bt: safeProb(btInfo.prob),
-      ann: safeProb(annTest[i])
+      logistic: scored.probs.logistic,
+      tree: scored.probs.tree,
+      bt: scored.probs.bt,
+      ann: scored.probs.ann,
+      gbt: scored.probs.gbt
     };
-    const weightLogistic = toFiniteNumber(clampedWeights.logistic, 0);
-    const weightTree = toFiniteNumber(clampedWeights.tree, 0);
-    const weightBt = toFiniteNumber(clampedWeights.bt, 0);
-    const weightAnn = toFiniteNumber(clampedWeights.ann, 0);
-    const preBlendRaw =
-      weightLogistic * probs.logistic +
-      weightTree * probs.tree +
-      weightBt * probs.bt +
-      weightAnn * probs.ann;
-    const preBlend = safeProb(preBlendRaw);
-    const blended = safeProb(calibration.apply(preBlend));
+    const preBlend = scored.pre;
+    const blended = scored.forecast;
     probs.blended = blended;
 
     const contribLogit = logitModelFull.w.map((w, idx) => ({
@@ -1804,17 +2239,24 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     const contribBT = btModelFull.w.map((w, idx) => ({ feature: BT_FEATURES[idx], value: (w || 0) * (btStd[idx] ?? 0) }));
     const gradAnn = gradientANNCommittee(annModelFull, testStd[i] || []);
     const contribAnn = gradAnn.map((g, idx) => ({ feature: FEATS_ENR[idx], value: g }));
+    const gbtGains = gbtPathGains(runtimeModel.gbt, testStd[i] || []).map((v) => ({ ...v, feature: FEATS_ENR[v.column] }));
     const drivers = buildTopDrivers({
       logisticContribs: contribLogit,
       treeInfo: { path, winrate: leafWin },
       btContribs: contribBT,
-      annGrad: contribAnn
+      annGrad: contribAnn,
+      gbtGains
     });
 
     const { home: gidHome, away: gidAway } = parseGameIdTeams(btRow.game_id);
     const homeTeam = resolveTeamCode(row.team, gidHome, btRow.game_id, "home");
     const awayTeam = resolveTeamCode(row.opponent, gidAway, btRow.game_id, "away");
 
+    const predictedMargin = toFiniteNumber(marginTest[i], 0);
+    const interval = marginInterval(predictedMargin, marginSd, DEFAULT_MARGIN_INTERVAL);
+    const spreadHome = spreadIndex.get(`${row.week}|${homeTeam}|${awayTeam}`) ?? null;
+    const coverProb = coverProbability(predictedMargin, marginSd, spreadHome);
+
     predictions.push({
       game_id: btRow.game_id,
       home_team: homeTeam,
@@ -1827,14 +2269,17 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
         tree: round3(probs.tree),
         bt: round3(probs.bt),
         ann: round3(probs.ann),
+        gbt: round3(probs.gbt),
+        ...(marketProb != null ? { market: round3(marketProb) } : {}),
         blended: round3(blended)
       },
-      blend_weights: {
-        logistic: round3(clampedWeights.logistic, 0),
-        tree: round3(clampedWeights.tree, 0),
-        bt: round3(clampedWeights.bt, 0),
-        ann: round3(clampedWeights.ann, 0)
-      },
+      // Stacked blends report the weights the meta-model gives this game's context.
+      blend_weights: Object.fromEntries(
+        [...BLEND_MEMBERS, ...(scored.weights.market != null ? ["market"] : [])].map((key) => [
+          key,
+          round3(scored.weights[key] ?? 0, 0)
+        ])
+      ),
       calibration: {
         pre: round3(preBlend),
         post: round3(blended)
@@ -1850,7 +2295,30 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
         leagueMeans
       ),
       top_drivers: drivers,
-      actual: btRow.label_win
+      predicted_margin: Math.round(predictedMargin * 10) / 10,
+      margin_interval: {
+        lower: Math.round(interval.lower * 10) / 10,
+        upper: Math.round(interval.upper * 10) / 10,
+        level: interval.level,
+        sd: Math.round(marginSd * 100) / 100
+      },
+      conformal: conformalIntervals(conformal, { probs, margin: predictedMargin }),
+      market_spread_home: spreadHome,
+      cover_prob: coverProb == null ? null : round3(coverProb),
+      actual: btRow.label_win,
+      actual_margin: Number.isFinite(row.margin) ? row.margin : null
+    });
+    scoringInputs.push({
+      game_id: btRow.game_id,
+      home_team: homeTeam,
+      away_team: awayTeam,
+      neutral_site: gameInputs.neutralSite,
+      features: gameInputs.features,
+      mirror_features: gameInputs.mirrorFeatures,
+      bt_features: gameInputs.btFeatures,
+      market_prob: marketProb,
+      // Unrounded runtime outputs; a replay reproduces them bit for bit.
+      scored: { probs: scored.probs, pre: scored.pre, forecast: scored.forecast }
     });
   }
 
@@ -1879,6 +2347,12 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
       auc: aucRoc(labels, annOOF),
       accuracy: accuracy(labels, annOOF)
     },
+    gbt: {
+      logloss: logLoss(labels, oofGbt),
+      brier: brier(labels, oofGbt),
+      auc: aucRoc(labels, oofGbt),
+      accuracy: accuracy(labels, oofGbt)
+    },
     ensemble: {
       logloss: logLoss(labels, oofBlendCal),
       brier: brier(labels, oofBlendCal),
@@ -1891,7 +2365,8 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     season: resolvedSeason,
     week: resolvedWeek,
     metrics: metricsSummary,
-    blend_weights: clampedWeights,
+    blend_mode: blendMode,
+    blend_weights: blendWeights,
     calibration_beta: calibration.meta?.beta ?? 0,
     calibration_meta: calibration.meta,
     calibration_hash: hashCalibrationMeta(calibration.meta),
@@ -1901,6 +2376,17 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     training_weeks: [...new Set(trainRows.map((r) => r.week))].sort((a, b) => a - b)
   };
 
+  if (marketAware) {
+    diagnostics.market_edge = {
+      market_in_blend: blendWithMarket,
+      ...marketEdgeReport(
+        labels,
+        { logistic: oofLogit, tree: oofTree, bt: btOOF, ann: annOOF, gbt: oofGbt, ensemble: oofBlendCal },
+        trainMarketProbs
+      )
+    };
+  }
+
   diagnostics.ann_details = {
     committee_size: annModelFull?.models?.length ?? null,
     seeds: annModelFull?.seeds ?? null
@@ -1913,28 +2399,76 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
       return { mean: m, var: v };
     })()
   };
+  if (stacking) {
+    diagnostics.stacking = {
+      members: stacking.members,
+      context: stacking.context,
+      l2: stacking.l2,
+      n_train_rows: stacking.n,
+      // Member entries are logit coefficients; "<member>*<context>" entries
+      // shift them as the context value moves.
+      coefficients: namedCoefficients(stacking),
+      mean_context: stackingMeanContext,
+      oof_logloss: logLoss(labels, oofBlend)
+    };
+  }
   diagnostics.hyperparams = {
-    ann: { epochs: annMaxEpochs, dropout: tunedAnnDropout },
-    bt: { learningRate: tunedBtLr, l2: tunedBtL2, steps: btStepsBase }
+    logistic: {
+      steps: logisticSteps(memberParams.logistic),
+      learningRate: memberParams.logistic.learningRate,
+      l2: memberParams.logistic.l2
+    },
+    cart: { ...treeParams, alpha: leafStatsFull.alpha },
+    ann: { epochs: annMaxEpochs, dropout: annDropout, learningRate: annLearningRate, l2: annL2 },
+    bt: { learningRate: btLearningRate, l2: btL2, steps: btStepsBase },
+    gbt: { ...gbtParams, trees: gbtModelFull.n_estimators },
+    margin: { l2: marginL2 }
+  };
+  diagnostics.margin = {
+    n_train_rows: marginIdx.length,
+    n_oof: marginOofPred.length,
+    residual_sd: marginSd,
+    mae: marginOofPred.length
+      ? marginOofPred.reduce((s, p, i) => s + Math.abs(marginOofActual[i] - p), 0) / marginOofPred.length
+      : null,
+    markets_matched: predictions.filter((p) => p.market_spread_home != null).length
+  };
+  diagnostics.conformal = {
+    method: conformal.method,
+    level: conformal.level,
+    n_train_rows: conformal.n,
+    n_margin_rows: conformal.n_margin,
+    // Interval half-widths; null when the window is too small for the level.
+    quantiles: Object.fromEntries(
+      Object.entries(conformal.quantiles).map(([key, q]) => [key, Number.isFinite(q) ? q : null])
+    )
+  };
+  diagnostics.totals = {
+    n_train_rows: totalsResult.model.n,
+    residual_sd: totalsResult.model.sd,
+    markets_matched: totalsResult.games.filter((g) => g.market_total != null).length
   };
 
   const trainLogitFull = predictLogit(trainStd, logitModelFull).map(safeProb);
   const trainTreeFull = predictTree(cartFull, leafStatsFull, trainStd).map(safeProb);
   const trainAnnFull = predictANNCommittee(annModelFull, trainStd).map(safeProb);
+  const trainGbtFull = predictGBT(gbtModelFull, trainStd).map(safeProb);
   const trainBtFull = btTrainRows.length
     ? predictBTDeterministic(btModelFull, btTrainRows).map((p) => safeProb(p?.prob))
     : new Array(labels.length).fill(0.5);
-  const weightLogistic = toFiniteNumber(clampedWeights.logistic, 0);
-  const weightTree = toFiniteNumber(clampedWeights.tree, 0);
-  const weightBt = toFiniteNumber(clampedWeights.bt, 0);
-  const weightAnn = toFiniteNumber(clampedWeights.ann, 0);
-  const trainBlendRawFull = labels.map(
-    (_, i) =>
-      weightLogistic * trainLogitFull[i] +
-      weightTree * trainTreeFull[i] +
-      weightBt * trainBtFull[i] +
-      weightAnn * trainAnnFull[i]
-  );
+  const trainBlendRawFull = labels.map((_, i) => {
+    const components = {
+      logistic: trainLogitFull[i],
+      tree: trainTreeFull[i],
+      bt: trainBtFull[i],
+      ann: trainAnnFull[i],
+      gbt: trainGbtFull[i],
+      market: trainMarketProbs[i]
+    };
+    return stacking
+      ? stackedProbability(stacking, components, trainContexts[i])
+      : blendComponents(blendWeights, components);
+  });
   const trainBlendFull = trainBlendRawFull
     .map(safeProb)
     .map((p) => safeProb(calibration.apply(p)));
@@ -1980,36 +2514,40 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     week: resolvedWeek,
     generated_at: new Date().toISOString(),
     feature_hash: featureHash,
-    logistic: {
-      weights: logitModelFull.w,
-      bias: logitModelFull.b,
-      scaler,
-      features: FEATS_ENR
-    },
-    decision_tree: {
-      params: treeParams,
-      alpha: leafStatsFull.alpha
-    },
-    bt: {
-      coefficients: btModelFull.w,
-      intercept: btModelFull.b,
-      scaler: btModelFull.scaler,
-      features: BT_FEATURES,
-      hyperparams: {
-        steps: btStepsBase,
-        learningRate: tunedBtLr,
-        l2: tunedBtL2
-      }
-    },
+    logistic: logisticSummary,
+    decision_tree: treeSummary,
+    bt: btSummary,
     ann: {
       seeds: annModelFull.seeds,
       architecture: annModelFull.architecture,
       committee_size: annModelFull.models.length,
       max_epochs: annMaxEpochs,
-      dropout: tunedAnnDropout
+      dropout: annDropout,
+      committees: annCommittees
+    },
+    gbt: gbtSummary,
+    margin: {
+      weights: marginModelFull.w,
+      intercept: marginModelFull.b,
+      l2: marginL2,
+      residual_sd: marginSd,
+      interval_level: DEFAULT_MARGIN_INTERVAL,
+      // Shares the logistic scaler and feature order.
+      scaler_source: "logistic",
+      features: FEATS_ENR
+    },
+    totals: {
+      weights: totalsResult.model.w,
+      intercept: totalsResult.model.b,
+      l2: totalsResult.model.l2,
+      scaler: totalsResult.model.scaler,
+      residual_sd: totalsResult.model.sd,
+      features: totalsResult.model.features
     },
     ensemble: {
-      weights: clampedWeights,
+      weights: blendWeights,
+      blend_mode: blendMode,
+      ...(stacking ? { stacking } : {}),
       calibration: calibration.meta,
       calibration_beta: calibration.meta?.beta ?? 0,
       calibration_hash: hashCalibrationMeta(calibration.meta),
@@ -2023,6 +2561,16 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     }
   };
 
+  const teamState = buildTeamState({
+    season: resolvedSeason,
+    week: resolvedWeek,
+    features: FEATS_ENR,
+    scaler,
+    featureRows,
+    btRows,
+    featureHash
+  });
+
   const btDebug = btTestRows.map((row) => ({
     game_id: row.game_id,
     season: row.season,
@@ -2054,23 +2602,54 @@ export async function runTraining({ season, week, data = {}, options = {} } = {}
     season: resolvedSeason,
     week: resolvedWeek,
     predictions,
+    totals: totalsResult.games,
     modelSummary,
+    scoringInputs,
+    teamState,
     diagnostics,
     btDebug,
     schedules,
+    markets: marketRows,
     featureHash,
     trainingMetadata
   };
 }
 
+// Earlier weeks of the season come from their predictions artifacts so the
+// CLV report and bankroll simulation cover the season to date, not just the
+// current week.
+async function loadSeasonPredictionsToDate(season, week, current = []) {
+  const out = [];
+  for (let w = 1; w < Number(week); w++) {
+    const file = path.join(ART_DIR, `predictions_${season}_W${String(w).padStart(2, "0")}.json`);
+    try {
+      const rows = JSON.parse(await fsp.readFile(file, "utf8"));
+      if (Array.isArray(rows)) out.push(...rows);
+    } catch (err) {
+      if (err?.code !== "ENOENT") {
+        console.warn(`[writeArtifacts] skipping ${path.basename(file)}: ${err?.message || err}`);
+      }
+    }
+  }
+  return out.concat(Array.isArray(current) ? current : []);
+}
+
 export async function writeArtifacts(result) {
   const stamp = `${result.season}_W${String(result.week).padStart(2, "0")}`;
   await ensureArtifactsDir();
+  // Checks recorded as this run loaded its datasets (see dataQuality.js); with
+  // DATA_QUALITY_FAIL=1 a critical failure throws before anything else is written.
+  writeDataQualityReport({ season: result.season, week: result.week, dir: ART_DIR });
   validateArtifact("predictions", result.predictions);
   await fsp.writeFile(
     path.join(ART_DIR, `predictions_${stamp}.json`),
     JSON.stringify(result.predictions, null, JSON_SPACE)
   );
+  try {
+    updateHistoryIndex({ season: result.season, week: result.week, predictions: result.predictions, artDir: ART_DIR });
+  } catch (err) {
+    console.warn(`[writeArtifacts] history index not updated: ${err?.message || err}`);
+  }
   // 1) Build & write context pack
   const skipContext = process.env.TRAINER_SMOKE_TEST === "1";
   const context = Array.isArray(result.context)
@@ -2102,6 +2681,20 @@ export async function writeArtifacts(result) {
     path.join(ART_DIR, `model_${stamp}.json`),
     JSON.stringify(modelSummaryPayload, null, JSON_SPACE)
   );
+  if (Array.isArray(result.scoringInputs)) {
+    validateArtifact("scoring_inputs", result.scoringInputs);
+    await fsp.writeFile(
+      path.join(ART_DIR, `scoring_inputs_${stamp}.json`),
+      JSON.stringify(result.scoringInputs, null, JSON_SPACE)
+    );
+  }
+  if (result.teamState) {
+    validateArtifact("team_state", result.teamState);
+    await fsp.writeFile(
+      path.join(ART_DIR, `team_state_${stamp}.json`),
+      JSON.stringify(result.teamState, null, JSON_SPACE)
+    );
+  }
   const diagnosticsPayload = {
     ...result.diagnostics,
     training_metadata: result.trainingMetadata ?? null
@@ -2116,12 +2709,42 @@ export async function writeArtifacts(result) {
     path.join(ART_DIR, `bt_features_${stamp}.json`),
     JSON.stringify(result.btDebug, null, JSON_SPACE)
   );
+  if (Array.isArray(result.totals)) {
+    validateArtifact("totals", result.totals);
+    await fsp.writeFile(
+      path.join(ART_DIR, `totals_${stamp}.json`),
+      JSON.stringify(result.totals, null, JSON_SPACE)
+    );
+  }
 
-  // --- Generate enhanced analysis artifacts if enabled ---
-  const analysisFlags = loadAnalysisFlags();
   const predictions = Array.isArray(result.predictions)
     ? result.predictions
     : result.predictions?.games || result.predictions;
+  const seasonPredictions = await loadSeasonPredictionsToDate(result.season, result.week, predictions);
+  let marketRows = Array.isArray(result.markets) ? result.markets : null;
+  if (!marketRows) {
+    try {
+      marketRows = await loadMarkets(result.season);
+    } catch (err) {
+      console.warn(`[writeArtifacts] markets unavailable: ${err?.message || err}`);
+      marketRows = [];
+    }
+  }
+
+  const clvReport = buildClvReport({
+    season: result.season,
+    week: result.week,
+    predictions: seasonPredictions,
+    marketRows
+  });
+  validateArtifact("clv", clvReport);
+  await fsp.writeFile(
+    path.join(ART_DIR, `clv_${stamp}.json`),
+    JSON.stringify(clvReport, null, JSON_SPACE)
+  );
+
+  // --- Generate enhanced analysis artifacts if enabled ---
+  const analysisFlags = loadAnalysisFlags();
 
   if (analysisFlags.enableROIMetrics) {
     console.log("[writeArtifacts] Generating ROI analysis...");
@@ -2130,6 +2753,7 @@ export async function writeArtifacts(result) {
     for (const threshold of roiThresholds) {
       roiAnalysis[`threshold_${Math.round(threshold * 100)}`] = calculateROI(predictions, threshold);
     }
+    roiAnalysis.bankroll = simulateKellyStrategies(seasonPredictions, marketRows);
     await fsp.writeFile(
       path.join(ART_DIR, `roi_analysis_${stamp}.json`),
       JSON.stringify(roiAnalysis, null, JSON_SPACE)
@@ -2209,7 +2833,7 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
   await ensureArtifactsDir();
   if (!Array.isArray(schedules) || !schedules.length) return;
   const seasonGames = schedules.filter(
-    (game) => Number(game.season) === Number(season) && isRegularSeason(game.season_type)
+    (game) => Number(game.season) === Number(season) && inFeatureSeason(game)
   );
   if (!seasonGames.length) return;
 
@@ -2223,10 +2847,13 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
     decision_tree: [],
     bt: [],
     ann: [],
+    gbt: [],
+    gbtActual: [],
     blended: []
   };
   const weeklySummaries = [];
   const weekMetadata = [];
+  const coverageRows = [];
   let latestCompletedWeek = 0;
 
   for (const week of weeks) {
@@ -2310,8 +2937,12 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
       decision_tree: [],
       bt: [],
       ann: [],
+      gbt: [],
       blended: []
     };
+    // Weeks predicted before the boosted trees joined the blend carry no gbt
+    // probability; gbt is scored on the games that have one, with their labels.
+    const gbtLabels = [];
 
     for (const pred of preds) {
       const actual = actualMap.get(pred.game_id);
@@ -2321,13 +2952,25 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
       const tree = Number(probs.tree ?? probs.decision_tree ?? pred.forecast ?? 0.5);
       const bt = Number(probs.bt ?? pred.forecast ?? 0.5);
       const ann = Number(probs.ann ?? pred.forecast ?? 0.5);
+      const gbt = probs.gbt == null ? null : Number(probs.gbt);
       const blended = Number(probs.blended ?? pred.forecast ?? 0.5);
       labels.push(actual.home_win);
       probBuckets.logistic.push(logistic);
       probBuckets.decision_tree.push(tree);
       probBuckets.bt.push(bt);
       probBuckets.ann.push(ann);
+      if (Number.isFinite(gbt)) {
+        gbtLabels.push(actual.home_win);
+        probBuckets.gbt.push(gbt);
+      }
       probBuckets.blended.push(blended);
+      if (pred.conformal) {
+        coverageRows.push({
+          week,
+          conformal: pred.conformal,
+          actual: { home_win: actual.home_win, margin: actual.home_points - actual.away_points }
+        });
+      }
       outcomes.push({
         game_id: pred.game_id,
         home_team: pred.home_team,
@@ -2340,6 +2983,7 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
           decision_tree: tree,
           bt,
           ann,
+          ...(Number.isFinite(gbt) ? { gbt } : {}),
           blended
         }
       });
@@ -2352,12 +2996,18 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
 
     validateArtifact("outcomes", outcomes);
     await fsp.writeFile(outcomesPath, JSON.stringify(outcomes, null, JSON_SPACE));
+    try {
+      updateHistoryIndex({ season, week, predictions: preds, artDir: ART_DIR });
+    } catch (err) {
+      console.warn(`[updateHistoricalArtifacts] history index not updated for ${stamp}: ${err?.message || err}`);
+    }
 
     const perModel = {
       logistic: metricBlock(labels, probBuckets.logistic),
       decision_tree: metricBlock(labels, probBuckets.decision_tree),
       bt: metricBlock(labels, probBuckets.bt),
       ann: metricBlock(labels, probBuckets.ann),
+      gbt: metricBlock(gbtLabels, probBuckets.gbt),
       blended: metricBlock(labels, probBuckets.blended)
     };
 
@@ -2378,6 +3028,8 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
     aggregated.decision_tree.push(...probBuckets.decision_tree);
     aggregated.bt.push(...probBuckets.bt);
     aggregated.ann.push(...probBuckets.ann);
+    aggregated.gbt.push(...probBuckets.gbt);
+    aggregated.gbtActual.push(...gbtLabels);
     aggregated.blended.push(...probBuckets.blended);
 
     metadataEntry.completed = true;
@@ -2394,6 +3046,7 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
     decision_tree: metricBlock(aggregated.actual, aggregated.decision_tree),
     bt: metricBlock(aggregated.actual, aggregated.bt),
     ann: metricBlock(aggregated.actual, aggregated.ann),
+    gbt: metricBlock(aggregated.gbtActual, aggregated.gbt),
     blended: metricBlock(aggregated.actual, aggregated.blended)
   };
 
@@ -2412,6 +3065,15 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
     JSON.stringify(seasonMetrics, null, JSON_SPACE)
   );
 
+  if (coverageRows.length) {
+    const coverageReport = buildCoverageReport({ season, rows: coverageRows });
+    validateArtifact("coverage", coverageReport);
+    await fsp.writeFile(
+      path.join(ART_DIR, `coverage_${season}.json`),
+      JSON.stringify(coverageReport, null, JSON_SPACE)
+    );
+  }
+
   const seasonIndex = {
     season,
     latest_completed_week: latestCompletedWeek,
@@ -2447,13 +3109,15 @@ export async function updateHistoricalArtifacts({ season, schedules }) {
   );
 }
 
-async function loadSeasonData(season) {
+export async function loadSeasonData(season) {
   const limiter = createLimiter(DATA_FETCH_CONCURRENCY);
   const queueFetch = (factory, { fallback = [], onError } = {}) =>
     limiter(async () => {
       try {
         return await factory();
       } catch (err) {
+        // A dataset missing from a pinned data snapshot is an error, not an empty season.
+        if (err instanceof DataSnapshotError) throw err;
         if (typeof onError === "function") {
           onError(err);
         }
@@ -2478,6 +3142,7 @@ async function loadSeasonData(season) {
   const snapCountsPromise = queueFetch(() => loadSnapCounts(season), { fallback: [] });
   const participationPromise = queueFetch(() => loadParticipation(season), { fallback: [] });
   const weatherPromise = queueFetch(() => loadWeather(season), { fallback: [] });
+  const marketsPromise = queueFetch(() => loadMarkets(season), { fallback: [] });
   const pfrPromise = queueFetch(() => loadPFRAdvTeam(season), { fallback: [] });
   const qbrPromise = queueFetch(() => loadESPNQBR(season), { fallback: [] });
   const officialsPromise = queueFetch(() => loadOfficials(), { fallback: [] });
@@ -2531,6 +3196,7 @@ async function loadSeasonData(season) {
     snapCounts,
     participation,
     weatherRows,
+    markets,
     pfrAdv,
     qbr,
     officials,
@@ -2550,6 +3216,7 @@ async function loadSeasonData(season) {
     snapCountsPromise,
     participationPromise,
     weatherPromise,
+    marketsPromise,
     pfrPromise,
     qbrPromise,
     officialsPromise,
@@ -2579,6 +3246,7 @@ async function loadSeasonData(season) {
     officials,
     participation,
     weather: weatherRows,
+    markets,
     nextGenStats: {
       passing: ngsPassing,
       rushing: ngsRushing,
@@ -2592,6 +3260,62 @@ function loadSeasonDataCached(season) {
   return cachePromise(seasonDataCache, season, () => loadSeasonData(season));
 }
 
+/**
+ * Feature and BT rows for one completed season, as historical training input.
+ * @param {number} season
+ * @param {object} shared - loadSeasonData() payload for the season
+ * @param {{ seasonDB?: boolean }} [options] - seasonDB: false skips the
+ *   advanced weekly diffs, which need the network to build
+ * @returns {Promise<{ featureRows: Array<object>, btRows: Array<object> }>}
+ */
+export async function buildSeasonTrainingRows(season, shared, { seasonDB = true } = {}) {
+  const postseason = loadFeatureFlags().postseason === true;
+  const featureRows = buildFeatures({
+    teamWeekly: shared.teamWeekly,
+    teamGame: shared.teamGame,
+    schedules: shared.schedules,
+    season,
+    prevTeamWeekly: shared.prevTeamWeekly,
+    pbp: shared.pbp,
+    playerWeekly: shared.playerWeekly,
+    weather: shared.weather,
+    injuries: shared.injuries,
+    snapCounts: shared.snapCounts,
+    depthCharts: shared.depthCharts,
+    postseason
+  });
+  const btRows = buildBTFeatures({
+    teamWeekly: shared.teamWeekly,
+    teamGame: shared.teamGame,
+    schedules: shared.schedules,
+    season,
+    prevTeamWeekly: shared.prevTeamWeekly,
+    injuries: shared.injuries,
+    postseason
+  });
+  if (loadFeatureFlags().marketAware) {
+    attachMarketFeatures(featureRows, shared.markets);
+  }
+  let db = null;
+  if (seasonDB) {
+    try {
+      db = await getSeasonDB(season);
+    } catch (err) {
+      db = null;
+    }
+  }
+  if (db) {
+    for (const row of featureRows) {
+      if (row.home === 1) {
+        attachAdvWeeklyDiff(db, row, row.week, row.team, row.opponent);
+      } else {
+        attachAdvWeeklyDiff(db, row, row.week, row.opponent, row.team);
+      }
+    }
+  }
+  return { featureRows, btRows };
+}
+
 async function buildHistoricalTrainingSet({ minSeason = MIN_SEASON, maxSeason } = {}) {
   const start = Number.isFinite(minSeason) ? Math.max(MIN_SEASON, Math.floor(minSeason)) : MIN_SEASON;
   const end = Number.isFinite(maxSeason) ? Math.floor(maxSeason) : start - 1;
@@ -2604,42 +3328,9 @@ async function buildHistoricalTrainingSet({ minSeason = MIN_SEASON, maxSeason }
   for (let season = start; season <= end; season += 1) {
     try {
       const shared = await loadSeasonDataCached(season);
-      const featureSeason = buildFeatures({
-        teamWeekly: shared.teamWeekly,
-        teamGame: shared.teamGame,
-        schedules: shared.schedules,
-        season,
-        prevTeamWeekly: shared.prevTeamWeekly,
-        pbp: shared.pbp,
-        playerWeekly: shared.playerWeekly,
-        weather: shared.weather,
-        injuries: shared.injuries
-      });
-      const btSeason = buildBTFeatures({
-        teamWeekly: shared.teamWeekly,
-        teamGame: shared.teamGame,
-        schedules: shared.schedules,
-        season,
-        prevTeamWeekly: shared.prevTeamWeekly,
-        injuries: shared.injuries
-      });
-      let db = null;
-      try {
-        db = await getSeasonDB(season);
-      } catch (err) {
-        db = null;
-      }
-      if (db) {
-        for (const row of featureSeason) {
-          if (row.home === 1) {
-            attachAdvWeeklyDiff(db, row, row.week, row.team, row.opponent);
-          } else {
-            attachAdvWeeklyDiff(db, row, row.week, row.opponent, row.team);
-          }
-        }
-      }
-      featureRows.push(...featureSeason);
-      btRows.push(...btSeason);
+      const rows = await buildSeasonTrainingRows(season, shared);
+      featureRows.push(...rows.featureRows);
+      btRows.push(...rows.btRows);
       seasons.push(season);
     } catch (err) {
       console.warn(`[train] Failed to build historical rows for season ${season}: ${err?.message ?? err}`);
@@ -3283,7 +3974,7 @@ async function main() {
       }
       const seasonWeeks = [...new Set(
         sharedData.schedules
-          .filter((game) => Number(game.season) === resolvedSeason && isRegularSeason(game.season_type))
+          .filter((game) => Number(game.season) === resolvedSeason && inFeatureSeason(game))
           .map((game) => Number(game.week))
           .filter((wk) => Number.isFinite(wk) && wk >= 1)
       )].sort((a, b) => a - b);
@@ -0,0 +1,288 @@
+// trainer/venues.js
+// Dated venue registry: where each game was actually played, and what that
+// means for travel, body clocks and altitude.
+//
+// VENUES holds every stadium a game has been played in since 1999 (team homes
+// past and present, international series grounds and one-off neutral sites),
+// keyed by the schedule's `stadium_id` code, with coordinates, IANA time zone,
+// altitude, surface and roof. TEAM_VENUES dates each franchise's home by season
+// so relocations (OAK→LV, SD→LAC, STL→LA) and stadium moves resolve to the
+// right building, and GAME_VENUES pins games by season/week/home team for
+// schedule rows that arrive without stadium fields (live feed fallbacks).
+//
+// resolveGameVenue picks the venue from, in order: GAME_VENUES, `stadium_id`,
+// the `stadium` name, then the home team's venue for the season. Surface and
+// roof from the schedule row win over the registry, since both change between
+// seasons at some stadiums.
+
+import { resolveFranchise } from "./franchises.js";
+import { calculateDistance } from "./nflReference.js";
+
+/**
+ * Stadiums by schedule stadium_id. `names` lists the names schedules have used.
+ */
+export const VENUES = {
+  // Current team homes
+  ATL97: { names: ["Mercedes-Benz Stadium"], city: "Atlanta, GA", country: "USA", lat: 33.7554, lon: -84.4008, tz: "America/New_York", altitude_ft: 1050, surface: "turf", roof: "retractable" },
+  BAL00: { names: ["M&T Bank Stadium", "M&T Stadium", "PSINet Stadium", "Ravens Stadium"], city: "Baltimore, MD", country: "USA", lat: 39.278, lon: -76.6227, tz: "America/New_York", altitude_ft: 30, surface: "grass", roof: "outdoors" },
+  BUF00: { names: ["Highmark Stadium", "New Era Field", "Bills Stadium", "Ralph Wilson Stadium"], city: "Orchard Park, NY", country: "USA", lat: 42.7738, lon: -78.787, tz: "America/New_York", altitude_ft: 650, surface: "turf", roof: "outdoors" },
+  CAR00: { names: ["Bank of America Stadium", "Ericsson Stadium"], city: "Charlotte, NC", country: "USA", lat: 35.2258, lon: -80.8529, tz: "America/New_York", altitude_ft: 750, surface: "turf", roof: "outdoors" },
+  CHI98: { names: ["Soldier Field"], city: "Chicago, IL", country: "USA", lat: 41.8623, lon: -87.6167, tz: "America/Chicago", altitude_ft: 590, surface: "grass", roof: "outdoors" },
+  CIN00: { names: ["Paycor Stadium", "Paul Brown Stadium"], city: "Cincinnati, OH", country: "USA", lat: 39.0954, lon: -84.516, tz: "America/New_York", altitude_ft: 490, surface: "turf", roof: "outdoors" },
+  CLE00: { names: ["Huntington Bank Field", "Cleveland Browns Stadium", "FirstEnergy Stadium"], city: "Cleveland, OH", country: "USA", lat: 41.5061, lon: -81.6995, tz: "America/New_York", altitude_ft: 580, surface: "grass", roof: "outdoors" },
+  DAL00: { names: ["AT&T Stadium", "Cowboys Stadium"], city: "Arlington, TX", country: "USA", lat: 32.7473, lon: -97.0945, tz: "America/Chicago", altitude_ft: 600, surface: "turf", roof: "retractable" },
+  DEN00: { names: ["Empower Field at Mile High", "Broncos Stadium at Mile High", "Sports Authority Field at Mile High", "Invesco Field at Mile High"], city: "Denver, CO", country: "USA", lat: 39.7439, lon: -105.0201, tz: "America/Denver", altitude_ft: 5280, surface: "grass", roof: "outdoors" },
+  DET00: { names: ["Ford Field"], city: "Detroit, MI", country: "USA", lat: 42.34, lon: -83.0456, tz: "America/Detroit", altitude_ft: 600, surface: "turf", roof: "dome" },
+  GNB00: { names: ["Lambeau Field"], city: "Green Bay, WI", country: "USA", lat: 44.5013, lon: -88.0622, tz: "America/Chicago", altitude_ft: 640, surface: "grass", roof: "outdoors" },
+  HOU00: { names: ["NRG Stadium", "Reliant Stadium"], city: "Houston, TX", country: "USA", lat: 29.6847, lon: -95.4107, tz: "America/Chicago", altitude_ft: 50, surface: "turf", roof: "retractable" },
+  IND00: { names: ["Lucas Oil Stadium"], city: "Indianapolis, IN", country: "USA", lat: 39.7601, lon: -86.1639, tz: "America/Indiana/Indianapolis", altitude_ft: 715, surface: "turf", roof: "retractable" },
+  JAX00: { names: ["EverBank Stadium", "TIAA Bank Stadium", "EverBank Field", "Jacksonville Municipal Stadium", "ALLTEL Stadium"], city: "Jacksonville, FL", country: "USA", lat: 30.324, lon: -81.6373, tz: "America/New_York", altitude_ft: 15, surface: "grass", roof: "outdoors" },
+  KAN00: { names: ["GEHA Field at Arrowhead Stadium", "Arrowhead Stadium"], city: "Kansas City, MO", country: "USA", lat: 39.0489, lon: -94.4839, tz: "America/Chicago", altitude_ft: 890, surface: "grass", roof: "outdoors" },
+  LAX01: { names: ["SoFi Stadium"], city: "Inglewood, CA", country: "USA", lat: 33.9535, lon: -118.339, tz: "America/Los_Angeles", altitude_ft: 100, surface: "turf", roof: "dome" },
+  MIA00: { names: ["Hard Rock Stadium", "Sun Life Stadium", "Dolphin Stadium", "Land Shark Stadium", "Pro Player Stadium"], city: "Miami Gardens, FL", country: "USA", lat: 25.958, lon: -80.2389, tz: "America/New_York", altitude_ft: 10, surface: "grass", roof: "outdoors" },
+  MIN01: { names: ["U.S. Bank Stadium", "US Bank Stadium"], city: "Minneapolis, MN", country: "USA", lat: 44.9738, lon: -93.2575, tz: "America/Chicago", altitude_ft: 830, surface: "turf", roof: "dome" },
+  NAS00: { names: ["Nissan Stadium", "LP Field", "LP Stadium", "The Coliseum", "Adelphia Coliseum"], city: "Nashville, TN", country: "USA", lat: 36.1665, lon: -86.7713, tz: "America/Chicago", altitude_ft: 420, surface: "turf", roof: "outdoors" },
+  NOR00: { names: ["Caesars Superdome", "Mercedes-Benz Superdome", "Louisiana Superdome"], city: "New Orleans, LA", country: "USA", lat: 29.9511, lon: -90.0812, tz: "America/Chicago", altitude_ft: 10, surface: "turf", roof: "dome" },
+  NWE00: { names: ["Gillette Stadium", "CMGI Field"], city: "Foxborough, MA", country: "USA", lat: 42.0909, lon: -71.2643, tz: "America/New_York", altitude_ft: 290, surface: "turf", roof: "outdoors" },
+  NYC01: { names: ["MetLife Stadium", "New Meadowlands Stadium"], city: "East Rutherford, NJ", country: "USA", lat: 40.8135, lon: -74.0745, tz: "America/New_York", altitude_ft: 10, surface: "turf", roof: "outdoors" },
+  PHI00: { names: ["Lincoln Financial Field"], city: "Philadelphia, PA", country: "USA", lat: 39.9008, lon: -75.1675, tz: "America/New_York", altitude_ft: 40, surface: "grass", roof: "outdoors" },
+  PHO00: { names: ["State Farm Stadium", "University of Phoenix Stadium", "Cardinals Stadium"], city: "Glendale, AZ", country: "USA", lat: 33.5276, lon: -112.2626, tz: "America/Phoenix", altitude_ft: 1070, surface: "grass", roof: "retractable" },
+  PIT00: { names: ["Acrisure Stadium", "Heinz Field"], city: "Pittsburgh, PA", country: "USA", lat: 40.4468, lon: -80.0158, tz: "America/New_York", altitude_ft: 730, surface: "grass", roof: "outdoors" },
+  SEA00: { names: ["Lumen Field", "CenturyLink Field", "Qwest Field", "Seahawks Stadium"], city: "Seattle, WA", country: "USA", lat: 47.5952, lon: -122.3316, tz: "America/Los_Angeles", altitude_ft: 20, surface: "turf", roof: "outdoors" },
+  SFO01: { names: ["Levi's Stadium"], city: "Santa Clara, CA", country: "USA", lat: 37.4032, lon: -121.9698, tz: "America/Los_Angeles", altitude_ft: 10, surface: "grass", roof: "outdoors" },
+  TAM00: { names: ["Raymond James Stadium"], city: "Tampa, FL", country: "USA", lat: 27.9759, lon: -82.5033, tz: "America/New_York", altitude_ft: 30, surface: "grass", roof: "outdoors" },
+  VEG00: { names: ["Allegiant Stadium"], city: "Las Vegas, NV", country: "USA", lat: 36.0909, lon: -115.1833, tz: "America/Los_Angeles", altitude_ft: 2030, surface: "grass", roof: "dome" },
+  WAS00: { names: ["Northwest Stadium", "FedExField", "FedEx Field", "Jack Kent Cooke Stadium"], city: "Landover, MD", country: "USA", lat: 38.9076, lon: -76.8645, tz: "America/New_York", altitude_ft: 200, surface: "grass", roof: "outdoors" },
+
+  // Former team homes
+  ATL00: { names: ["Georgia Dome"], city: "Atlanta, GA", country: "USA", lat: 33.7577, lon: -84.4008, tz: "America/New_York", altitude_ft: 1050, surface: "turf", roof: "dome" },
+  CHI99: { names: ["Memorial Stadium"], city: "Champaign, IL", country: "USA", lat: 40.0992, lon: -88.236, tz: "America/Chicago", altitude_ft: 740, surface: "grass", roof: "outdoors" },
+  CIN99: { names: ["Cinergy Field", "Riverfront Stadium"], city: "Cincinnati, OH", country: "USA", lat: 39.0974, lon: -84.5082, tz: "America/New_York", altitude_ft: 490, surface: "turf", roof: "outdoors" },
+  DAL99: { names: ["Texas Stadium"], city: "Irving, TX", country: "USA", lat: 32.84, lon: -96.911, tz: "America/Chicago", altitude_ft: 500, surface: "turf", roof: "outdoors" },
+  DEN99: { names: ["Mile High Stadium"], city: "Denver, CO", country: "USA", lat: 39.7456, lon: -105.0211, tz: "America/Denver", altitude_ft: 5280, surface: "grass", roof: "outdoors" },
+  DET99: { names: ["Pontiac Silverdome", "Silverdome"], city: "Pontiac, MI", country: "USA", lat: 42.6459, lon: -83.255, tz: "America/Detroit", altitude_ft: 950, surface: "turf", roof: "dome" },
+  IND99: { names: ["RCA Dome", "Hoosier Dome"], city: "Indianapolis, IN", country: "USA", lat: 39.7637, lon: -86.1637, tz: "America/Indiana/Indianapolis", altitude_ft: 715, surface: "turf", roof: "dome" },
+  LAX97: { names: ["Dignity Health Sports Park", "StubHub Center"], city: "Carson, CA", country: "USA", lat: 33.8644, lon: -118.2611, tz: "America/Los_Angeles", altitude_ft: 50, surface: "grass", roof: "outdoors" },
+  LAX99: { names: ["Los Angeles Memorial Coliseum", "LA Memorial Coliseum"], city: "Los Angeles, CA", country: "USA", lat: 34.0141, lon: -118.2879, tz: "America/Los_Angeles", altitude_ft: 200, surface: "grass", roof: "outdoors" },
+  MIN00: { names: ["Hubert H. Humphrey Metrodome", "Mall of America Field", "Metrodome"], city: "Minneapolis, MN", country: "USA", lat: 44.974, lon: -93.2581, tz: "America/Chicago", altitude_ft: 830, surface: "turf", roof: "dome" },
+  MIN98: { names: ["TCF Bank Stadium", "Huntington Bank Stadium"], city: "Minneapolis, MN", country: "USA", lat: 44.9765, lon: -93.2247, tz: "America/Chicago", altitude_ft: 830, surface: "turf", roof: "outdoors" },
+  NWE99: { names: ["Foxboro Stadium"], city: "Foxborough, MA", country: "USA", lat: 42.091, lon: -71.264, tz: "America/New_York", altitude_ft: 290, surface: "grass", roof: "outdoors" },
+  NYC00: { names: ["Giants Stadium"], city: "East Rutherford, NJ", country: "USA", lat: 40.8122, lon: -74.077, tz: "America/New_York", altitude_ft: 10, surface: "turf", roof: "outdoors" },
+  OAK00: { names: ["RingCentral Coliseum", "Oakland-Alameda County Coliseum", "O.co Coliseum", "Overstock.com Coliseum", "McAfee Coliseum", "Network Associates Coliseum"], city: "Oakland, CA", country: "USA", lat: 37.7516, lon: -122.2005, tz: "America/Los_Angeles", altitude_ft: 10, surface: "grass", roof: "outdoors" },
+  PHI99: { names: ["Veterans Stadium"], city: "Philadelphia, PA", country: "USA", lat: 39.9061, lon: -75.1665, tz: "America/New_York", altitude_ft: 40, surface: "turf", roof: "outdoors" },
+  PHO99: { names: ["Sun Devil Stadium"], city: "Tempe, AZ", country: "USA", lat: 33.4264, lon: -111.9325, tz: "America/Phoenix", altitude_ft: 1180, surface: "grass", roof: "outdoors" },
+  PIT99: { names: ["Three Rivers Stadium"], city: "Pittsburgh, PA", country: "USA", lat: 40.4467, lon: -80.0128, tz: "America/New_York", altitude_ft: 730, surface: "turf", roof: "outdoors" },
+  SDG00: { names: ["Qualcomm Stadium", "San Diego Stadium", "Jack Murphy Stadium"], city: "San Diego, CA", country: "USA", lat: 32.7831, lon: -117.1194, tz: "America/Los_Angeles", altitude_ft: 60, surface: "grass", roof: "outdoors" },
+  SEA97: { names: ["Kingdome"], city: "Seattle, WA", country: "USA", lat: 47.5952, lon: -122.3316, tz: "America/Los_Angeles", altitude_ft: 20, surface: "turf", roof: "dome" },
+  SEA98: { names: ["Husky Stadium"], city: "Seattle, WA", country: "USA", lat: 47.6503, lon: -122.3016, tz: "America/Los_Angeles", altitude_ft: 60, surface: "turf", roof: "outdoors" },
+  SFO00: { names: ["Candlestick Park", "3Com Park", "Monster Park"], city: "San Francisco, CA", country: "USA", lat: 37.7136, lon: -122.3863, tz: "America/Los_Angeles", altitude_ft: 10, surface: "grass", roof: "outdoors" },
+  STL00: { names: ["Edward Jones Dome", "The Dome at America's Center", "Trans World Dome"], city: "St. Louis, MO", country: "USA", lat: 38.6328, lon: -90.1884, tz: "America/Chicago", altitude_ft: 450, surface: "turf", roof: "dome" },
+
+  // Displaced home games (2005 Saints)
+  BAT00: { names: ["Tiger Stadium"], city: "Baton Rouge, LA", country: "USA", lat: 30.412, lon: -91.1838, tz: "America/Chicago", altitude_ft: 60, surface: "grass", roof: "outdoors" },
+  SAT00: { names: ["Alamodome"], city: "San Antonio, TX", country: "USA", lat: 29.4169, lon: -98.4787, tz: "America/Chicago", altitude_ft: 650, surface: "turf", roof: "dome" },
+
+  // International series
+  BER00: { names: ["Olympiastadion"], city: "Berlin", country: "Germany", lat: 52.5147, lon: 13.2395, tz: "Europe/Berlin", altitude_ft: 160, surface: "grass", roof: "outdoors" },
+  DUB00: { names: ["Croke Park"], city: "Dublin", country: "Ireland", lat: 53.3607, lon: -6.2511, tz: "Europe/Dublin", altitude_ft: 60, surface: "grass", roof: "outdoors" },
+  FRA00: { names: ["Deutsche Bank Park"], city: "Frankfurt", country: "Germany", lat: 50.0686, lon: 8.6455, tz: "Europe/Berlin", altitude_ft: 360, surface: "grass", roof: "outdoors" },
+  GER00: { names: ["Allianz Arena"], city: "Munich", country: "Germany", lat: 48.2188, lon: 11.6247, tz: "Europe/Berlin", altitude_ft: 1700, surface: "grass", roof: "outdoors" },
+  LON00: { names: ["Wembley Stadium"], city: "London", country: "UK", lat: 51.556, lon: -0.2796, tz: "Europe/London", altitude_ft: 150, surface: "grass", roof: "outdoors" },
+  LON01: { names: ["Twickenham Stadium", "Twickenham"], city: "London", country: "UK", lat: 51.456, lon: -0.3415, tz: "Europe/London", altitude_ft: 30, surface: "grass", roof: "outdoors" },
+  LON02: { names: ["Tottenham Hotspur Stadium", "Tottenham Stadium"], city: "London", country: "UK", lat: 51.6043, lon: -0.0664, tz: "Europe/London", altitude_ft: 100, surface: "turf", roof: "outdoors" },
+  MAD00: { names: ["Santiago Bernabeu Stadium", "Estadio Santiago Bernabéu"], city: "Madrid", country: "Spain", lat: 40.4531, lon: -3.6883, tz: "Europe/Madrid", altitude_ft: 2150, surface: "grass", roof: "retractable" },
+  MEX00: { names: ["Estadio Azteca", "Estadio Banorte"], city: "Mexico City", country: "Mexico", lat: 19.3029, lon: -99.1505, tz: "America/Mexico_City", altitude_ft: 7350, surface: "grass", roof: "outdoors" },
+  SAO00: { names: ["Neo Quimica Arena", "Arena Corinthians", "Corinthians Arena"], city: "São Paulo", country: "Brazil", lat: -23.5453, lon: -46.4742, tz: "America/Sao_Paulo", altitude_ft: 2500, surface: "grass", roof: "outdoors" },
+  TOR00: { names: ["Rogers Centre"], city: "Toronto, ON", country: "Canada", lat: 43.6414, lon: -79.3894, tz: "America/Toronto", altitude_ft: 270, surface: "turf", roof: "retractable" }
+};
+
+/**
+ * Home venue by franchise: [first season, stadium_id] pairs, oldest first.
+ * Keyed by franchise code (franchises.js), so older codes such as OAK resolve.
+ */
+export const TEAM_VENUES = {
+  ARI: [[1999, "PHO99"], [2006, "PHO00"]],
+  ATL: [[1999, "ATL00"], [2017, "ATL97"]],
+  BAL: [[1999, "BAL00"]],
+  BUF: [[1999, "BUF00"]],
+  CAR: [[1999, "CAR00"]],
+  CHI: [[1999, "CHI98"], [2002, "CHI99"], [2003, "CHI98"]],
+  CIN: [[1999, "CIN99"], [2000, "CIN00"]],
+  CLE: [[1999, "CLE00"]],
+  DAL: [[1999, "DAL99"], [2009, "DAL00"]],
+  DEN: [[1999, "DEN99"], [2001, "DEN00"]],
+  DET: [[1999, "DET99"], [2002, "DET00"]],
+  GB: [[1999, "GNB00"]],
+  HOU: [[2002, "HOU00"]],
+  IND: [[1999, "IND99"], [2008, "IND00"]],
+  JAC: [[1999, "JAX00"]],
+  KC: [[1999, "KAN00"]],
+  LAC: [[1999, "SDG00"], [2017, "LAX97"], [2020, "LAX01"]],
+  LAR: [[1999, "STL00"], [2016, "LAX99"], [2020, "LAX01"]],
+  LV: [[1999, "OAK00"], [2020, "VEG00"]],
+  MIA: [[1999, "MIA00"]],
+  MIN: [[1999, "MIN00"], [2014, "MIN98"], [2016, "MIN01"]],
+  NE: [[1999, "NWE99"], [2002, "NWE00"]],
+  NO: [[1999, "NOR00"]],
+  NYG: [[1999, "NYC00"], [2010, "NYC01"]],
+  NYJ: [[1999, "NYC00"], [2010, "NYC01"]],
+  PHI: [[1999, "PHI99"], [2003, "PHI00"]],
+  PIT: [[1999, "PIT99"], [2001, "PIT00"]],
+  SEA: [[1999, "SEA97"], [2000, "SEA98"], [2002, "SEA00"]],
+  SF: [[1999, "SFO00"], [2014, "SFO01"]],
+  TB: [[1999, "TAM00"]],
+  TEN: [[1999, "NAS00"]],
+  WAS: [[1999, "WAS00"]]
+};
+
+/**
+ * Games pinned to a venue by season, week and home team (franchise code, so
+ * JAC rather than JAX), for schedule rows that arrive without stadium fields.
+ */
+export const GAME_VENUES = [
+  { season: 2022, week: 10, home: "TB", venue: "GER00" },
+  { season: 2022, week: 11, home: "ARI", venue: "MEX00" },
+  { season: 2023, week: 9, home: "KC", venue: "FRA00" },
+  { season: 2023, week: 10, home: "NE", venue: "FRA00" },
+  { season: 2024, week: 1, home: "PHI", venue: "SAO00" },
+  { season: 2024, week: 5, home: "NYJ", venue: "LON02" },
+  { season: 2024, week: 6, home: "JAC", venue: "LON02" },
+  { season: 2024, week: 7, home: "JAC", venue: "LON00" },
+  { season: 2024, week: 10, home: "NYG", venue: "GER00" },
+  { season: 2025, week: 1, home: "LAC", venue: "SAO00" },
+  { season: 2025, week: 4, home: "PIT", venue: "DUB00" },
+  { season: 2025, week: 5, home: "CLE", venue: "LON02" },
+  { season: 2025, week: 6, home: "NYJ", venue: "LON02" },
+  { season: 2025, week: 7, home: "JAC", venue: "LON00" },
+  { season: 2025, week: 10, home: "IND", venue: "BER00" },
+  { season: 2025, week: 11, home: "MIA", venue: "MAD00" }
+];
+
+const normalizeName = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const VENUES_BY_NAME = new Map(
+  Object.entries(VENUES).flatMap(([id, venue]) => venue.names.map((name) => [normalizeName(name), id]))
+);
+
+const teamKey = (team) => resolveFranchise(team)?.code ?? String(team ?? "").trim().toUpperCase();
+
+const describe = (id, source) => {
+  const { names, ...venue } = VENUES[id];
+  return { id, name: names[0], ...venue, source };
+};
+
+/**
+ * A team's home venue for a season.
+ * @param {string} team - schedule team code (old codes such as OAK or SD accepted)
+ * @param {number} season
+ * @returns {object|null}
+ */
+export function teamHomeVenue(team, season) {
+  const tenancy = TEAM_VENUES[teamKey(team)];
+  if (!tenancy) return null;
+  const year = Number(season);
+  let id = tenancy[tenancy.length - 1][1];
+  if (Number.isFinite(year)) {
+    const match = tenancy.filter(([from]) => from <= year).at(-1);
+    if (!match) return null;
+    id = match[1];
+  }
+  return describe(id, "team");
+}
+
+/**
+ * Where a schedule row was played. Schedule surface/roof values override the
+ * registry's; `neutral` is true whenever the venue is not the home team's.
+ * @param {object} game - schedule row (season, week, home_team, stadium_id, stadium, location, roof, surface)
+ * @returns {object|null}
+ */
+export function resolveGameVenue(game) {
+  if (!game) return null;
+  const season = Number(game.season);
+  const week = Number(game.week);
+  const home = teamKey(game.home_team);
+  const pinned = GAME_VENUES.find((g) => g.season === season && g.week === week && g.home === home);
+  const byId = VENUES[String(game.stadium_id ?? "").trim().toUpperCase()] ? String(game.stadium_id).trim().toUpperCase() : null;
+  const byName = VENUES_BY_NAME.get(normalizeName(game.stadium)) ?? null;
+  let venue = null;
+  if (pinned) venue = describe(pinned.venue, "game");
+  else if (byId) venue = describe(byId, "stadium_id");
+  else if (byName) venue = describe(byName, "stadium");
+  else venue = teamHomeVenue(home, season);
+  if (!venue) return null;
+  const roof = String(game.roof ?? "").trim().toLowerCase();
+  const surface = String(game.surface ?? "").trim().toLowerCase();
+  if (roof) venue.roof = roof;
+  if (surface) venue.surface = surface.includes("grass") ? "grass" : "turf";
+  const homeVenue = teamHomeVenue(home, season);
+  venue.neutral =
+    String(game.location ?? "").trim().toLowerCase() === "neutral" || (homeVenue != null && homeVenue.id !== venue.id);
+  venue.international = venue.country !== "USA";
+  return venue;
+}
+
+/**
+ * UTC offset of a time zone on a date, in hours (DST aware).
+ * @param {string} timeZone - IANA zone
+ * @param {Date} date
+ * @returns {number}
+ */
+export function utcOffsetHours(timeZone, date) {
+  const label = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "shortOffset" })
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName")?.value;
+  const match = /GMT(?:([+-])(\d{1,2})(?::(\d{2}))?)?/.exec(label ?? "");
+  if (!match || !match[1]) return 0;
+  const hours = Number(match[2]) + Number(match[3] ?? 0) / 60;
+  return match[1] === "-" ? -hours : hours;
+}
+
+function gameDate(game) {
+  const raw = game?.gameday ?? game?.game_date ?? null;
+  const date = raw ? new Date(`${String(raw).slice(0, 10)}T17:00:00Z`) : null;
+  if (date && Number.isFinite(date.getTime())) return date;
+  // Without a date, mid-October keeps DST differences as they are for most of the season.
+  return new Date(`${Number(game?.season) || 2000}-10-15T17:00:00Z`);
+}
+
+/**
+ * Travel, time-zone and altitude features for a game, from each team's home
+ * venue for the season to the venue the game was played at.
+ * @param {object} game - schedule row
+ * @returns {object} feature values (zeros when a venue cannot be resolved)
+ */
+export function venueFeatures(game) {
+  const season = Number(game?.season);
+  const venue = resolveGameVenue(game);
+  const homeBase = teamHomeVenue(game?.home_team, season);
+  const awayBase = teamHomeVenue(game?.away_team, season);
+  const date = gameDate(game);
+  const miles = (from) => (from && venue ? calculateDistance(from.lat, from.lon, venue.lat, venue.lon) : 0);
+  const shift = (from) => (from && venue ? utcOffsetHours(venue.tz, date) - utcOffsetHours(from.tz, date) : 0);
+  const climb = (from) => (from && venue ? venue.altitude_ft - from.altitude_ft : 0);
+  return {
+    travel_distance_miles: awayBase && venue ? miles(awayBase) : 0,
+    home_travel_miles: miles(homeBase),
+    away_tz_shift_hours: shift(awayBase),
+    home_tz_shift_hours: shift(homeBase),
+    venue_altitude_ft: venue ? venue.altitude_ft : 0,
+    away_altitude_gain_ft: climb(awayBase),
+    is_international: venue?.international ? 1 : 0
+  };
+}
+
+export default {
+  VENUES,
+  TEAM_VENUES,
+  GAME_VENUES,
+  teamHomeVenue,
+  resolveGameVenue,
+  utcOffsetHours,
+  venueFeatures
+};
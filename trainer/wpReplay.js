@@ -0,0 +1,231 @@
+// trainer/wpReplay.js
+// Replays completed games through the in-game win-probability model
+// (model_wp.js) and writes the curves to wp_<season>_W<week>.json.
+//
+// The model is fit on play-by-play from the previous WP_TRAIN_SEASONS seasons
+// (default 3) plus the target season's earlier weeks. The pregame prior is the
+// ensemble forecast from predictions_<season>_W<week>.json where one exists,
+// otherwise the nflverse closing spread, otherwise a coin flip.
+//
+// Usage: node trainer/wpReplay.js --season 2024 --week 5 [--game 2024_05_TB_ATL]
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { loadPBP } from "./dataSources.js";
+import { gameStates, homeResult, predictWP, replayGame, trainWPModel, wpFeatures, WP_FEATURES } from "./model_wp.js";
+import { normalCdf, DEFAULT_MARGIN_SD } from "./model_margin.js";
+import { normalizeTeam } from "./franchises.js";
+import { validateArtifact } from "./schemaValidator.js";
+import { artifactsRoot } from "./utils/paths.js";
+
+const DEFAULT_TRAIN_SEASONS = 3;
+
+const round = (value, digits = 4) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+const normTeam = (value) => normalizeTeam(value, { source: "wpReplay" });
+const gameKey = (season, week, home, away) => `${season}-${week}-${normTeam(home)}-${normTeam(away)}`;
+
+/**
+ * Ensemble forecasts for every week of a season from the committed
+ * predictions artifacts.
+ * @param {string} artDir
+ * @param {number} season
+ * @returns {Map<string, number>} season-week-home-away -> home win probability
+ */
+export function loadPregameForecasts(artDir, season) {
+  const out = new Map();
+  const pattern = new RegExp(`^predictions_${season}_W(\\d{2})\\.json$`);
+  const files = fs.existsSync(artDir) ? fs.readdirSync(artDir).filter((name) => pattern.test(name)) : [];
+  for (const name of files) {
+    let rows;
+    try {
+      rows = JSON.parse(fs.readFileSync(path.join(artDir, name), "utf8"));
+    } catch (err) {
+      continue;
+    }
+    for (const row of Array.isArray(rows) ? rows : []) {
+      const forecast = Number(row?.forecast);
+      if (!Number.isFinite(forecast)) continue;
+      out.set(gameKey(row.season ?? season, row.week, row.home_team, row.away_team), forecast);
+    }
+  }
+  return out;
+}
+
+/**
+ * Pregame home win probability for a game: ensemble forecast, then the
+ * closing spread (positive when the home side is favoured), then 0.5.
+ * @param {object} game - gameStates(...) entry
+ * @param {Map<string, number>} forecasts
+ * @returns {{ prior: number, source: "ensemble"|"spread"|"none" }}
+ */
+export function pregamePrior(game, forecasts) {
+  const forecast = forecasts.get(gameKey(game.season, game.week, game.home_team, game.away_team));
+  if (Number.isFinite(forecast)) return { prior: forecast, source: "ensemble" };
+  if (Number.isFinite(game.spread_line)) {
+    return { prior: normalCdf(game.spread_line / DEFAULT_MARGIN_SD), source: "spread" };
+  }
+  return { prior: 0.5, source: "none" };
+}
+
+/**
+ * Fit the win-probability model on finished games; games still in progress
+ * are skipped.
+ * @param {Iterable<object>} games - gameStates(...) entries
+ * @param {(game: object) => number} priorFor
+ * @returns {{ model: object, games: number, plays: number, log_loss: number|null, brier: number|null }}
+ */
+export function fitWinProbability(games, priorFor) {
+  const X = [];
+  const y = [];
+  let count = 0;
+  for (const game of games) {
+    if (!game.complete || !game.states.length) continue;
+    const label = homeResult(game);
+    const prior = priorFor(game);
+    for (const state of game.states) {
+      X.push(wpFeatures(state, prior));
+      y.push(label);
+    }
+    count += 1;
+  }
+  const model = trainWPModel(X, y);
+  const probs = predictWP(model, X);
+  let logLoss = 0;
+  let brier = 0;
+  for (let i = 0; i < probs.length; i++) {
+    const p = Math.min(1 - 1e-12, Math.max(1e-12, probs[i]));
+    logLoss -= y[i] * Math.log(p) + (1 - y[i]) * Math.log(1 - p);
+    brier += (probs[i] - y[i]) ** 2;
+  }
+  return {
+    model,
+    games: count,
+    plays: X.length,
+    log_loss: X.length ? round(logLoss / X.length) : null,
+    brier: X.length ? round(brier / X.length) : null
+  };
+}
+
+/**
+ * Train on earlier play-by-play and replay the target week's completed games.
+ * With gameId only that game is replayed and merged into an existing artifact.
+ * @param {{ season: number, week: number, gameId?: string, trainSeasons?: number }} options
+ * @returns {Promise<{ file: string, payload: object }>}
+ */
+export async function runWPReplay({ season, week, gameId, trainSeasons } = {}) {
+  const artDir = artifactsRoot();
+  const span = Number.isInteger(trainSeasons)
+    ? trainSeasons
+    : Number(process.env.WP_TRAIN_SEASONS ?? DEFAULT_TRAIN_SEASONS);
+  const seasons = [];
+  for (let s = season - Math.max(0, span); s <= season; s++) seasons.push(s);
+
+  const trainGames = [];
+  let targetGames = [];
+  const forecasts = new Map();
+  for (const s of seasons) {
+    for (const [key, value] of loadPregameForecasts(artDir, s)) forecasts.set(key, value);
+    const games = gameStates(await loadPBP(s, { gameState: true }));
+    for (const game of games.values()) {
+      if (s < season || game.week < week) trainGames.push(game);
+      else if (game.week === week) targetGames.push(game);
+    }
+  }
+  if (gameId) targetGames = targetGames.filter((game) => game.game_id === gameId);
+  if (!targetGames.length) {
+    throw new Error(`no play-by-play for ${gameId ?? `${season} week ${week}`}`);
+  }
+
+  const fit = fitWinProbability(trainGames, (game) => pregamePrior(game, forecasts).prior);
+  const curves = targetGames.map((game) => {
+    const { prior, source } = pregamePrior(game, forecasts);
+    const { points, swings } = replayGame(fit.model, game, { prior });
+    return {
+      game_id: game.game_id,
+      home_team: game.home_team,
+      away_team: game.away_team,
+      pregame_prob: round(prior),
+      prior_source: source,
+      final: game.final,
+      complete: game.complete,
+      points,
+      swings
+    };
+  });
+
+  const stamp = `${season}_W${String(week).padStart(2, "0")}`;
+  const file = path.join(artDir, `wp_${stamp}.json`);
+  let games = curves;
+  if (gameId && fs.existsSync(file)) {
+    const existing = JSON.parse(fs.readFileSync(file, "utf8"));
+    games = (existing.games ?? []).filter((game) => game.game_id !== gameId).concat(curves);
+  }
+  games.sort((a, b) => a.game_id.localeCompare(b.game_id));
+
+  const payload = {
+    season,
+    week,
+    generated_at: new Date().toISOString(),
+    model: {
+      features: WP_FEATURES,
+      coefficients: fit.model.w.map((v) => round(v, 6)),
+      intercept: round(fit.model.b, 6),
+      scaler: {
+        mu: fit.model.scaler.mu.map((v) => round(v, 6)),
+        sd: fit.model.scaler.sd.map((v) => round(v, 6))
+      },
+      training: {
+        seasons: seasons.filter((s) => s < season || week > 1),
+        games: fit.games,
+        plays: fit.plays,
+        log_loss: fit.log_loss,
+        brier: fit.brier
+      }
+    },
+    games
+  };
+  validateArtifact("wp", payload);
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+  return { file, payload };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      season: { type: "string" },
+      week: { type: "string" },
+      game: { type: "string" }
+    },
+    allowPositionals: true
+  });
+  const season = Number(values.season ?? process.env.SEASON);
+  const week = Number(values.week ?? process.env.WEEK);
+  if (!Number.isInteger(season) || !Number.isInteger(week) || week < 1) {
+    console.error("[wpReplay] Provide --season and --week (or SEASON / WEEK).");
+    process.exit(1);
+  }
+  runWPReplay({ season, week, gameId: values.game })
+    .then(({ file, payload }) => {
+      const { training } = payload.model;
+      console.log(
+        `[wpReplay] trained on ${training.plays} plays (log loss ${training.log_loss}), ` +
+          `${payload.games.length} curves -> ${path.basename(file)}`
+      );
+    })
+    .catch((err) => {
+      console.error(`[wpReplay] ${err?.message || err}`);
+      process.exit(1);
+    });
+}
+
+export default {
+  loadPregameForecasts,
+  pregamePrior,
+  fitWinProbability,
+  runWPReplay
+};
@@ -0,0 +1,361 @@
+// worker/artifactStore.js
+// Artifact storage backends for the Worker. Every store exposes the same two
+// calls over the artifacts/ tree:
+//
+//   list()     -> [{ type: "file", name }]   names relative to artifacts/
+//   get(name)  -> { body, etag, lastModified } or null when the object is missing
+//
+// Failures other than "not found" throw ArtifactStoreError carrying the HTTP
+// status the Worker should answer with. selectArtifactStore(env) picks the
+// backend from ARTIFACT_STORE: "github" (default), "fs", "s3" or "r2".
+
+const DEFAULT_REPO_USER = "impreet01";
+const DEFAULT_REPO_NAME = "PerdictionNFL";
+const DEFAULT_BRANCH = "main";
+const GITHUB_RAW_BASE = "https://raw.githubusercontent.com";
+const GITHUB_API_BASE = "https://api.github.com";
+const GH_HEADERS = { "User-Agent": "cf-worker" };
+const EMPTY_SHA256 = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+
+export class ArtifactStoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const trimSlashes = (value) => String(value ?? "").replace(/^\/+|\/+$/g, "");
+
+const withPrefix = (prefix, name) => (prefix ? `${prefix}/${name}` : name);
+
+/**
+ * Artifacts committed to a GitHub repository: listed through the git trees API
+ * and read from raw.githubusercontent.com. Both bases can be overridden for
+ * GitHub Enterprise or a stub server.
+ */
+export function createGitHubStore({
+  repoUser = DEFAULT_REPO_USER,
+  repoName = DEFAULT_REPO_NAME,
+  branch = DEFAULT_BRANCH,
+  rawBase = GITHUB_RAW_BASE,
+  apiBase = GITHUB_API_BASE,
+  token = null,
+  cacheTtl = 0
+} = {}) {
+  const root = `${rawBase.replace(/\/+$/, "")}/${repoUser}/${repoName}/${branch}/artifacts`;
+  const treeApi = `${apiBase.replace(/\/+$/, "")}/repos/${repoUser}/${repoName}/git/trees/${branch}?recursive=1`;
+  const headers = token ? { ...GH_HEADERS, Authorization: `Bearer ${token}` } : GH_HEADERS;
+  return {
+    kind: "github",
+    async list() {
+      const resp = await fetch(treeApi, { headers });
+      if (!resp.ok) {
+        throw new ArtifactStoreError(resp.status || 502, `GitHub API list failed: ${resp.status}`);
+      }
+      let body;
+      try {
+        body = await resp.json();
+      } catch (err) {
+        throw new ArtifactStoreError(502, "Failed to parse GitHub listing");
+      }
+      if (!body || typeof body !== "object" || !Array.isArray(body.tree)) {
+        throw new ArtifactStoreError(502, "Unexpected GitHub tree response");
+      }
+      if (body.truncated) {
+        throw new ArtifactStoreError(502, "GitHub tree listing truncated; cannot load artifacts");
+      }
+      return body.tree
+        .filter((item) => item?.type === "blob" && item?.path?.startsWith("artifacts/"))
+        .map((item) => ({ type: "file", name: item.path.slice("artifacts/".length) }));
+    },
+    async get(name) {
+      const resp = await fetch(`${root}/${name}`, { cf: { cacheEverything: true, cacheTtl } });
+      if (resp.status === 404) return null;
+      if (!resp.ok) {
+        throw new ArtifactStoreError(502, `failed to fetch artifact ${name} (status ${resp.status})`);
+      }
+      return {
+        body: await resp.text(),
+        etag: resp.headers.get("etag"),
+        lastModified: resp.headers.get("last-modified")
+      };
+    }
+  };
+}
+
+/**
+ * Artifacts in a local directory, for self-hosting and local development under
+ * Node. node:fs is only loaded when the store is used.
+ */
+export function createFilesystemStore({ root = "artifacts" } = {}) {
+  const modules = Promise.all([import("node:fs/promises"), import("node:path")]);
+  const resolveName = async (name) => {
+    const [, path] = await modules;
+    const base = path.resolve(root);
+    const full = path.resolve(base, name);
+    if (full !== base && !full.startsWith(base + path.sep)) {
+      throw new ArtifactStoreError(400, "invalid path");
+    }
+    return full;
+  };
+  return {
+    kind: "fs",
+    async list() {
+      const [fs, path] = await modules;
+      const base = path.resolve(root);
+      const out = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err?.code === "ENOENT") return;
+          throw new ArtifactStoreError(502, `cannot list ${dir}: ${err.message}`);
+        }
+        for (const entry of entries) {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) await walk(full);
+          else if (entry.isFile()) out.push({ type: "file", name: path.relative(base, full).split(path.sep).join("/") });
+        }
+      };
+      await walk(base);
+      return out;
+    },
+    async get(name) {
+      const [fs] = await modules;
+      const full = await resolveName(name);
+      try {
+        const [body, stat] = await Promise.all([fs.readFile(full, "utf8"), fs.stat(full)]);
+        return {
+          body,
+          etag: `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+          lastModified: stat.mtime.toUTCString()
+        };
+      } catch (err) {
+        if (err?.code === "ENOENT" || err?.code === "EISDIR") return null;
+        throw new ArtifactStoreError(502, `failed to read artifact ${name}: ${err.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Artifacts in a Cloudflare R2 bucket bound to the Worker.
+ */
+export function createR2Store({ bucket, prefix = "artifacts" } = {}) {
+  if (!bucket || typeof bucket.get !== "function") {
+    throw new ArtifactStoreError(500, "R2 store requires an ARTIFACT_BUCKET binding");
+  }
+  const base = trimSlashes(prefix);
+  return {
+    kind: "r2",
+    async list() {
+      const out = [];
+      let cursor;
+      do {
+        const page = await bucket.list({ prefix: base ? `${base}/` : undefined, cursor });
+        for (const object of page.objects ?? []) {
+          out.push({ type: "file", name: base ? object.key.slice(base.length + 1) : object.key });
+        }
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+      return out;
+    },
+    async get(name) {
+      const object = await bucket.get(withPrefix(base, name));
+      if (!object) return null;
+      return {
+        body: await object.text(),
+        etag: object.httpEtag ?? null,
+        lastModified: object.uploaded ? new Date(object.uploaded).toUTCString() : null
+      };
+    }
+  };
+}
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, "0")).join("");
+
+async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+async function hmac(key, text) {
+  const raw = typeof key === "string" ? encoder.encode(key) : key;
+  const cryptoKey = await crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(text)));
+}
+
+const rfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * AWS Signature Version 4 headers for a bodiless S3 request.
+ * @param {{ method?: string, url: string, region: string, accessKeyId: string, secretAccessKey: string, sessionToken?: string, date?: Date }} options
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function signS3Request({ method = "GET", url, region, accessKeyId, secretAccessKey, sessionToken, date = new Date() }) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const day = amzDate.slice(0, 8);
+  const headers = {
+    host: target.host,
+    "x-amz-content-sha256": EMPTY_SHA256,
+    "x-amz-date": amzDate
+  };
+  if (sessionToken) headers["x-amz-security-token"] = sessionToken;
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalQuery = [...target.searchParams.entries()]
+    .map(([k, v]) => [rfc3986(k), rfc3986(v)])
+    .sort(([a, av], [b, bv]) => (a < b ? -1 : a > b ? 1 : av < bv ? -1 : av > bv ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  const canonicalPath = target.pathname
+    .split("/")
+    .map((segment) => rfc3986(decodeURIComponent(segment)))
+    .join("/");
+  const canonicalRequest = [
+    method,
+    canonicalPath || "/",
+    canonicalQuery,
+    signedHeaders.map((h) => `${h}:${headers[h]}\n`).join(""),
+    signedHeaders.join(";"),
+    EMPTY_SHA256
+  ].join("\n");
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, await sha256Hex(canonicalRequest)].join("\n");
+  let key = await hmac(`AWS4${secretAccessKey}`, day);
+  for (const part of [region, "s3", "aws4_request"]) key = await hmac(key, part);
+  const signature = toHex(await hmac(key, stringToSign));
+  const { host, ...rest } = headers;
+  return {
+    ...rest,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`
+  };
+}
+
+const xmlValues = (xml, tag) =>
+  [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g"))].map((m) =>
+    m[1].replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&")
+  );
+
+/**
+ * Artifacts in an S3-compatible bucket (AWS S3, R2's S3 API, MinIO, ...),
+ * addressed path-style as <endpoint>/<bucket>/<prefix>/<name>. Requests are
+ * signed when credentials are configured and anonymous otherwise.
+ */
+export function createS3Store({
+  endpoint,
+  bucket,
+  region = "auto",
+  prefix = "artifacts",
+  accessKeyId = null,
+  secretAccessKey = null,
+  sessionToken = null
+} = {}) {
+  if (!endpoint || !bucket) {
+    throw new ArtifactStoreError(500, "S3 store requires S3_ENDPOINT and S3_BUCKET");
+  }
+  const bucketUrl = `${endpoint.replace(/\/+$/, "")}/${encodeURIComponent(bucket)}`;
+  const base = trimSlashes(prefix);
+  const request = async (url) => {
+    const headers =
+      accessKeyId && secretAccessKey
+        ? await signS3Request({ url, region, accessKeyId, secretAccessKey, sessionToken })
+        : {};
+    return fetch(url, { headers });
+  };
+  return {
+    kind: "s3",
+    async list() {
+      const out = [];
+      let token = null;
+      do {
+        const query = new URLSearchParams({ "list-type": "2" });
+        if (base) query.set("prefix", `${base}/`);
+        if (token) query.set("continuation-token", token);
+        const resp = await request(`${bucketUrl}?${query}`);
+        if (!resp.ok) {
+          throw new ArtifactStoreError(resp.status === 403 ? 403 : 502, `S3 list failed: ${resp.status}`);
+        }
+        const xml = await resp.text();
+        for (const key of xmlValues(xml, "Key")) {
+          if (key.endsWith("/")) continue;
+          out.push({ type: "file", name: base ? key.slice(base.length + 1) : key });
+        }
+        token = xmlValues(xml, "IsTruncated")[0] === "true" ? xmlValues(xml, "NextContinuationToken")[0] : null;
+      } while (token);
+      return out;
+    },
+    async get(name) {
+      const key = withPrefix(base, name).split("/").map(encodeURIComponent).join("/");
+      const resp = await request(`${bucketUrl}/${key}`);
+      if (resp.status === 404) return null;
+      if (!resp.ok) {
+        throw new ArtifactStoreError(502, `failed to fetch artifact ${name} (status ${resp.status})`);
+      }
+      return {
+        body: await resp.text(),
+        etag: resp.headers.get("etag"),
+        lastModified: resp.headers.get("last-modified")
+      };
+    }
+  };
+}
+
+/**
+ * Build the store described by the environment. ARTIFACT_STORE selects the
+ * backend; the remaining variables configure it:
+ *
+ *   github  REPO_USER, REPO_NAME, REPO_BRANCH/BRANCH, GITHUB_TOKEN,
+ *           GITHUB_RAW_BASE, GITHUB_API_BASE
+ *   fs      ARTIFACTS_DIR (default "artifacts")
+ *   s3      S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_PREFIX, S3_ACCESS_KEY_ID,
+ *           S3_SECRET_ACCESS_KEY, S3_SESSION_TOKEN
+ *   r2      ARTIFACT_BUCKET binding, S3_PREFIX
+ * @param {Record<string, any>} env
+ * @param {{ cacheTtl?: number }} [options]
+ */
+export function selectArtifactStore(env = {}, { cacheTtl = 0 } = {}) {
+  const kind = String(env.ARTIFACT_STORE || "github").trim().toLowerCase();
+  switch (kind) {
+    case "github":
+      return createGitHubStore({
+        repoUser: env.REPO_USER || DEFAULT_REPO_USER,
+        repoName: env.REPO_NAME || DEFAULT_REPO_NAME,
+        branch: env.REPO_BRANCH || env.BRANCH || DEFAULT_BRANCH,
+        rawBase: env.GITHUB_RAW_BASE || GITHUB_RAW_BASE,
+        apiBase: env.GITHUB_API_BASE || GITHUB_API_BASE,
+        token: env.GITHUB_TOKEN || null,
+        cacheTtl
+      });
+    case "fs":
+    case "filesystem":
+      return createFilesystemStore({ root: env.ARTIFACTS_DIR || "artifacts" });
+    case "s3":
+      return createS3Store({
+        endpoint: env.S3_ENDPOINT,
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || "auto",
+        prefix: env.S3_PREFIX ?? "artifacts",
+        accessKeyId: env.S3_ACCESS_KEY_ID || null,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY || null,
+        sessionToken: env.S3_SESSION_TOKEN || null
+      });
+    case "r2":
+      return createR2Store({ bucket: env.ARTIFACT_BUCKET, prefix: env.S3_PREFIX ?? "artifacts" });
+    default:
+      throw new ArtifactStoreError(500, `unknown ARTIFACT_STORE "${kind}"`);
+  }
+}
+
+export default {
+  ArtifactStoreError,
+  createGitHubStore,
+  createFilesystemStore,
+  createR2Store,
+  createS3Store,
+  signS3Request,
+  selectArtifactStore
+};
@@ -0,0 +1,176 @@
+// worker/predict.js
+// On-demand scoring of a custom matchup from a model_<season>_W<week>.json
+// summary and the matching team_state_<season>_W<week>.json (see
+// trainer/teamState.js). The feature rows are rebuilt here; scoring, blending
+// and calibration go through the portable runtime the trainer itself scores
+// with (trainer/modelRuntime.js). Members the summary does not carry are left
+// out and the remaining blend weights rescaled.
+
+import { gbtPathGains, loadModel, scoreGame, standardize, treeLeafPath } from "../trainer/modelRuntime.js";
+
+export class PredictError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const finite = (value, fallback = 0) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const RELATIVE_FEATURES = new Set(["elo_diff", "rest_diff"]);
+
+const isRelative = (feature) =>
+  RELATIVE_FEATURES.has(feature) || feature.endsWith("_minus_opp") || feature.startsWith("diff_");
+
+/**
+ * Raw logistic feature row with `host` as the home side.
+ * @param {string[]} features
+ * @param {{ features: object }} host
+ * @param {{ features: object }} visitor
+ * @param {Record<string, number>} context - game-context values
+ * @returns {number[]}
+ */
+export function buildMatchupRow(features, host, visitor, context = {}) {
+  return features.map((feature) => {
+    if (feature === "home") return 1;
+    if (feature in context) return finite(context[feature]);
+    const own = finite(host.features?.[feature]);
+    return isRelative(feature) ? own - finite(visitor.features?.[feature]) : own;
+  });
+}
+
+// Blend weights actually applied: the ensemble weights of the scored members
+// (the market never has a line for a custom matchup), rescaled to sum to one.
+// Stacked models report the meta-model's weights for this matchup's context.
+function effectiveWeights(weights, probs) {
+  const used = Object.entries(weights || {}).filter(([member, w]) => probs[member] != null && finite(w) > 0);
+  const total = used.reduce((sum, [, w]) => sum + finite(w), 0);
+  return Object.fromEntries(used.map(([member, w]) => [member, round3(finite(w) / total)]));
+}
+
+const topDrivers = (drivers, source, n) =>
+  drivers
+    .map((d) => ({
+      feature: d.feature,
+      direction: d.value >= 0 ? "positive" : "negative",
+      magnitude: round3(Math.abs(d.value)),
+      source
+    }))
+    .sort((a, b) => b.magnitude - a.magnitude)
+    .slice(0, n);
+
+/**
+ * Forecast a matchup from the latest model and team state.
+ * @param {object} options
+ * @param {object} options.model - model_<season>_W<week>.json payload
+ * @param {object} options.teamState - team_state_<season>_W<week>.json payload
+ * @param {string} options.home - host team code
+ * @param {string} options.away - visiting team code
+ * @param {boolean} [options.neutralSite]
+ * @param {Record<string, number>} [options.context] - game-context overrides
+ * @returns {object}
+ */
+export function predictMatchup({ model, teamState, home, away, neutralSite = false, context = {} }) {
+  const homeTeam = String(home ?? "").trim().toUpperCase();
+  const awayTeam = String(away ?? "").trim().toUpperCase();
+  if (!homeTeam || !awayTeam) throw new PredictError(400, "home_team and away_team are required");
+  if (homeTeam === awayTeam) throw new PredictError(400, "home_team and away_team must differ");
+  const host = teamState?.teams?.[homeTeam];
+  const visitor = teamState?.teams?.[awayTeam];
+  for (const [code, state] of [[homeTeam, host], [awayTeam, visitor]]) {
+    if (!state) throw new PredictError(400, `no team state for ${code}`);
+  }
+
+  const defaults = teamState.context_defaults || {};
+  const gameContext = { ...defaults };
+  for (const [feature, value] of Object.entries(context || {})) {
+    if (!(feature in defaults)) throw new PredictError(400, `unknown context feature: ${feature}`);
+    if (!Number.isFinite(Number(value))) throw new PredictError(400, `context.${feature} must be a number`);
+    gameContext[feature] = Number(value);
+  }
+
+  const runtime = loadModel(model);
+  if (!runtime.logistic && !runtime.tree && !runtime.ann && !runtime.bt && !runtime.gbt) {
+    throw new PredictError(502, "model artifact has no usable members");
+  }
+  const btFeatures = runtime.bt
+    ? runtime.bt.features.map((feature) => {
+        const key = feature.replace(/^diff_/, "");
+        return finite(host.bt_context?.[key]) - finite(visitor.bt_context?.[key]);
+      })
+    : null;
+  const scored = scoreGame(runtime, {
+    features: buildMatchupRow(runtime.features, host, visitor, gameContext),
+    mirrorFeatures: neutralSite ? buildMatchupRow(runtime.features, visitor, host, gameContext) : null,
+    btFeatures,
+    neutralSite
+  });
+
+  const drivers = [];
+  if (runtime.logistic) {
+    const contribs = runtime.features.map((feature, j) => ({ feature, value: finite(runtime.logistic.weights[j]) * finite(scored.x[j]) }));
+    drivers.push(...topDrivers(contribs, "logit", 3));
+  }
+  if (runtime.tree?.tree) {
+    const leaf = treeLeafPath(runtime.tree.tree, scored.x);
+    drivers.push({
+      feature: `CART leaf ${leaf}`,
+      direction: scored.probs.tree >= 0.5 ? "positive" : "negative",
+      magnitude: round3(Math.abs(scored.probs.tree - 0.5)),
+      source: "tree"
+    });
+  }
+  if (btFeatures) {
+    const x = standardize(btFeatures, runtime.bt.scaler);
+    const contribs = runtime.bt.features.map((feature, j) => ({ feature, value: finite(runtime.bt.weights[j]) * finite(x[j]) }));
+    drivers.push(...topDrivers(contribs, "bt", 2));
+  }
+  if (runtime.gbt) {
+    // Split gain along this matchup's paths, as a share; signed by the logit it moved.
+    const gains = gbtPathGains(runtime.gbt, scored.x).filter((g) => g.gain > 0);
+    const total = gains.reduce((sum, g) => sum + g.gain, 0);
+    for (const g of gains.slice(0, 2)) {
+      drivers.push({
+        feature: runtime.features[g.column] ?? `feature ${g.column}`,
+        direction: g.value >= 0 ? "positive" : "negative",
+        magnitude: round3(g.gain / total),
+        source: "gbt"
+      });
+    }
+  }
+
+  return {
+    home_team: homeTeam,
+    away_team: awayTeam,
+    neutral_site: Boolean(neutralSite),
+    forecast: round3(scored.forecast),
+    probs: {
+      ...Object.fromEntries(Object.entries(scored.probs).map(([member, p]) => [member, round3(p)])),
+      blended: round3(scored.forecast)
+    },
+    blend_weights: effectiveWeights(scored.weights, scored.probs),
+    unavailable_members: scored.missing,
+    calibration: {
+      type: runtime.calibration?.type ?? null,
+      applied: scored.calibrated,
+      pre: round3(scored.pre),
+      post: round3(scored.forecast)
+    },
+    top_drivers: drivers,
+    team_state: {
+      [homeTeam]: { season: host.season, week: host.week },
+      [awayTeam]: { season: visitor.season, week: visitor.week }
+    }
+  };
+}
+
+export default {
+  PredictError,
+  buildMatchupRow,
+  predictMatchup
+};
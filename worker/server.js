@@ -0,0 +1,68 @@
+// worker/server.js
+// Runs the Worker under plain Node for local development and self-hosting.
+// Requests are handed to the Worker's fetch handler with process.env as its
+// environment; the artifact store defaults to the local artifacts/ directory.
+//
+// Usage: node worker/server.js [--port 8787] [--host 127.0.0.1]
+//        ARTIFACT_STORE=s3 S3_ENDPOINT=... S3_BUCKET=... node worker/server.js
+
+import http from "node:http";
+import { parseArgs } from "node:util";
+import worker from "./worker.js";
+
+const DEFAULT_PORT = 8787;
+
+async function toRequest(req, origin) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach((v) => headers.append(name, v));
+    else if (value != null) headers.set(name, value);
+  }
+  const init = { method: req.method, headers };
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    init.body = Buffer.concat(chunks);
+  }
+  return new Request(new URL(req.url, origin), init);
+}
+
+/**
+ * HTTP server that dispatches every request to the Worker.
+ * @param {{ env?: Record<string, any> }} [options]
+ * @returns {http.Server}
+ */
+export function createWorkerServer({ env = { ARTIFACT_STORE: "fs", ...process.env } } = {}) {
+  return http.createServer(async (req, res) => {
+    try {
+      const origin = `http://${req.headers.host || "localhost"}`;
+      const response = await worker.fetch(await toRequest(req, origin), env);
+      res.writeHead(response.status, Object.fromEntries(response.headers));
+      res.end(Buffer.from(await response.arrayBuffer()));
+    } catch (err) {
+      res.writeHead(500, { "content-type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify({ error: String(err?.message || err) }));
+    }
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string" },
+      host: { type: "string" }
+    },
+    allowPositionals: true
+  });
+  const port = Number(values.port ?? process.env.PORT ?? DEFAULT_PORT);
+  const host = values.host ?? process.env.HOST ?? "127.0.0.1";
+  const server = createWorkerServer();
+  server.listen(port, host, () => {
+    const store = process.env.ARTIFACT_STORE || "fs";
+    console.log(`[worker] listening on http://${host}:${port} (artifact store: ${store})`);
+  });
+}
+
+export default {
+  createWorkerServer
+};
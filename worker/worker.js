@@ -1,50 +1,87 @@
 // worker/worker.js
-// Cloudflare Worker serving predictions, context, explain scorecards, models,
-// diagnostics, metrics, outcomes, and history endpoints backed by GitHub artifacts.
+// Cloudflare Worker serving the artifact manifest, predictions, totals, CLV and interval-coverage reports, season simulations,
+// playoff brackets, in-game win-probability curves, context, explain scorecards, models, diagnostics, metrics,
+// outcomes, and history endpoints backed by an artifact store (GitHub, local
+// filesystem, S3-compatible bucket or R2 binding; see artifactStore.js), plus
+// the API-key protected POST /predict for custom matchups (see predict.js).
+
+import { ArtifactStoreError, selectArtifactStore } from "./artifactStore.js";
+import { PredictError, predictMatchup } from "./predict.js";
+import { resolveFranchise } from "../trainer/franchises.js";
 
-const DEFAULT_REPO_USER = "impreet01";
-const DEFAULT_REPO_NAME = "PerdictionNFL";
-const DEFAULT_BRANCH = "main";
 const DEFAULT_CACHE_TTL = 900;
 
 const globalEnv = typeof process !== "undefined" && process?.env ? process.env : {};
 
 const runtimeConfig = {
-  repoUser: globalEnv.REPO_USER || DEFAULT_REPO_USER,
-  repoName: globalEnv.REPO_NAME || DEFAULT_REPO_NAME,
-  branch: globalEnv.REPO_BRANCH || globalEnv.BRANCH || DEFAULT_BRANCH,
   cacheTtl: Number(globalEnv.CACHE_TTL) > 0 ? Number(globalEnv.CACHE_TTL) : DEFAULT_CACHE_TTL
 };
 
+// Environment keys that determine which artifact store is built.
+const STORE_ENV_KEYS = [
+  "ARTIFACT_STORE",
+  "REPO_USER",
+  "REPO_NAME",
+  "REPO_BRANCH",
+  "BRANCH",
+  "GITHUB_TOKEN",
+  "GITHUB_RAW_BASE",
+  "GITHUB_API_BASE",
+  "ARTIFACTS_DIR",
+  "S3_ENDPOINT",
+  "S3_BUCKET",
+  "S3_REGION",
+  "S3_PREFIX",
+  "S3_ACCESS_KEY_ID",
+  "S3_SECRET_ACCESS_KEY",
+  "S3_SESSION_TOKEN"
+];
+
 let artifactCache = null;
+let storeEnv = globalEnv;
+let artifactStore = null;
+let artifactStoreKey = null;
+let artifactStoreBinding = null;
 
 function bindArtifactCache(env = {}) {
   artifactCache = env && env.ARTIFACT_CACHE ? env.ARTIFACT_CACHE : null;
 }
 
 function resolveConfig() {
-  const { repoUser, repoName, branch, cacheTtl } = runtimeConfig;
-  return {
-    repoUser,
-    repoName,
-    branch,
-    cacheTtl,
-    rawBase: `https://raw.githubusercontent.com/${repoUser}/${repoName}/${branch}/artifacts`,
-    treeApi: `https://api.github.com/repos/${repoUser}/${repoName}/git/trees/${branch}?recursive=1`
-  };
+  return { cacheTtl: runtimeConfig.cacheTtl };
 }
 
 function applyRuntimeConfig(env = {}) {
-  if (env.REPO_USER) runtimeConfig.repoUser = env.REPO_USER;
-  if (env.REPO_NAME) runtimeConfig.repoName = env.REPO_NAME;
-  if (env.REPO_BRANCH || env.BRANCH) runtimeConfig.branch = env.REPO_BRANCH || env.BRANCH;
   const ttl = Number(env.CACHE_TTL);
   if (Number.isFinite(ttl) && ttl > 0) runtimeConfig.cacheTtl = ttl;
+  storeEnv = { ...globalEnv, ...env };
   bindArtifactCache(env);
 }
 
+// Built lazily so a misconfigured store surfaces as a JSON error response.
+function getArtifactStore() {
+  const key = JSON.stringify(STORE_ENV_KEYS.map((name) => storeEnv[name] ?? null));
+  if (!artifactStore || key !== artifactStoreKey || artifactStoreBinding !== storeEnv.ARTIFACT_BUCKET) {
+    artifactStore = selectArtifactStore(storeEnv, { cacheTtl: runtimeConfig.cacheTtl });
+    artifactStoreKey = key;
+    artifactStoreBinding = storeEnv.ARTIFACT_BUCKET;
+  }
+  return artifactStore;
+}
+
+function storeFailure(err) {
+  return err instanceof ArtifactStoreError ? new HttpError(err.status, err.message) : err;
+}
+
+async function readArtifact(name) {
+  try {
+    return await getArtifactStore().get(name);
+  } catch (err) {
+    throw storeFailure(err);
+  }
+}
+
 const CACHE_TTL = () => resolveConfig().cacheTtl;
-const GH_HEADERS = { "User-Agent": "cf-worker" };
 
 const RATE_BUCKETS = new Map();
 const RATE_LIMIT_DEFAULT = 120;
@@ -84,8 +121,9 @@ function baseHeaders(status = 200, extra = {}) {
     "content-type": "application/json; charset=utf-8",
     "cache-control": status === 200 ? `public, max-age=${cacheTtl}` : "no-store",
     "access-control-allow-origin": "*",
-    "access-control-allow-methods": "GET,OPTIONS",
+    "access-control-allow-methods": "GET,POST,OPTIONS",
     "access-control-allow-headers": "*",
+    "access-control-expose-headers": "ETag, Last-Modified",
     Vary: "Origin",
     ...extra
   };
@@ -113,33 +151,11 @@ const coerceInt = (value) => {
 };
 
 async function listArtifacts() {
-  const { treeApi } = resolveConfig();
-  const resp = await fetch(treeApi, { headers: GH_HEADERS });
-  if (!resp.ok) {
-    throw new HttpError(resp.status || 502, `GitHub API list failed: ${resp.status}`);
-  }
-
-  let body;
   try {
-    body = await resp.json();
+    return await getArtifactStore().list();
   } catch (err) {
-    throw new HttpError(502, "Failed to parse GitHub listing");
-  }
-
-  if (!body || typeof body !== "object" || !Array.isArray(body.tree)) {
-    throw new HttpError(502, "Unexpected GitHub tree response");
-  }
-
-  if (body.truncated) {
-    throw new HttpError(502, "GitHub tree listing truncated; cannot load artifacts");
+    throw storeFailure(err);
   }
-
-  return body.tree
-    .filter((item) => item?.type === "blob" && item?.path?.startsWith("artifacts/"))
-    .map((item) => ({
-      type: "file",
-      name: item.path.slice("artifacts/".length)
-    }));
 }
 
 function parseWeekFiles(listing, prefix) {
@@ -169,8 +185,6 @@ function parseSeasonFiles(listing, prefix) {
 }
 
 async function fetchJsonFile(file) {
-  const { rawBase, cacheTtl } = resolveConfig();
-  const url = `${rawBase}/${file}`;
   const cacheKey = `artifact:${file}`;
   if (artifactCache) {
     const cached = await artifactCache.get(cacheKey, { type: "json" }).catch(() => null);
@@ -178,20 +192,16 @@ async function fetchJsonFile(file) {
       return cached;
     }
   }
-  const resp = await fetch(url, { cf: { cacheEverything: true, cacheTtl } });
-  if (!resp.ok) {
-    if (resp.status === 404) {
-      throw new HttpError(404, `artifact not found: ${file}`);
-    }
-    throw new HttpError(502, `failed to fetch artifact ${file} (status ${resp.status})`);
+  const object = await readArtifact(file);
+  if (!object) {
+    throw new HttpError(404, `artifact not found: ${file}`);
   }
-  const text = await resp.text();
   try {
-    const data = JSON.parse(text);
+    const data = JSON.parse(object.body);
     const result = {
       data,
-      etag: resp.headers.get("etag"),
-      lastModified: resp.headers.get("last-modified")
+      etag: object.etag ?? null,
+      lastModified: object.lastModified ?? null
     };
     if (artifactCache) {
       await artifactCache.put(cacheKey, JSON.stringify(result), {
@@ -363,8 +373,14 @@ function parseCsvParam(raw) {
     .filter((value) => value.length > 0);
 }
 
+// Franchise code for query values and artifact fields alike, so ?team=JAX
+// matches JAC rows and OAK matches LV; unknown codes compare upper-cased.
+function teamCode(value) {
+  return resolveFranchise(value)?.code ?? String(value ?? "").trim().toUpperCase();
+}
+
 function normalizeTeamCodes(values) {
-  return new Set(values.map((value) => value.toUpperCase()));
+  return new Set(values.map(teamCode));
 }
 
 function normalizeStatuses(values) {
@@ -442,7 +458,7 @@ async function respondWithInjuries(url) {
     if (!teams.size) {
       throw new HttpError(400, "team query parameter must include at least one value");
     }
-    filtered = filtered.filter((entry) => teams.has(String(entry.team || "").toUpperCase()));
+    filtered = filtered.filter((entry) => teams.has(teamCode(entry.team)));
     filters.teams = [...teams];
   }
 
@@ -512,13 +528,13 @@ async function respondWithContext(url) {
   } else {
     const teamParam = url.searchParams.get("team");
     if (teamParam) {
-      const normalizedTeam = teamParam.trim().toUpperCase();
+      const normalizedTeam = teamCode(teamParam);
       if (!normalizedTeam) {
         throw new HttpError(400, "team query parameter must not be empty");
       }
       filtered = source.filter((entry) => {
-        const home = String(entry?.home_team || "").toUpperCase();
-        const away = String(entry?.away_team || "").toUpperCase();
+        const home = teamCode(entry?.home_team);
+        const away = teamCode(entry?.away_team);
         return home === normalizedTeam || away === normalizedTeam;
       });
       if (!filtered.length) {
@@ -569,6 +585,77 @@ async function respondWithContext(url) {
   return json(body, 200, { headers: filterCacheHeaders({ etag, lastModified }) });
 }
 
+async function respondWithWinProbability(url) {
+  const resolved = await resolveSeasonWeek(
+    "wp",
+    url.searchParams.get("season"),
+    url.searchParams.get("week")
+  );
+  const { data, etag, lastModified } = await fetchResolvedJson(resolved);
+  const source = Array.isArray(data?.games) ? data.games : [];
+
+  const filters = {};
+  let filtered = source;
+
+  const gameIdParam = url.searchParams.get("game_id");
+  if (gameIdParam) {
+    const normalizedGame = gameIdParam.trim();
+    if (!normalizedGame) {
+      throw new HttpError(400, "game_id query parameter must not be empty");
+    }
+    filtered = source.filter(
+      (entry) => String(entry?.game_id || "").toUpperCase() === normalizedGame.toUpperCase()
+    );
+    if (!filtered.length) {
+      throw new HttpError(404, `no win probability curve for game_id ${normalizedGame}`);
+    }
+    filters.game_id = normalizedGame;
+  } else {
+    const teamParam = url.searchParams.get("team");
+    if (teamParam) {
+      const normalizedTeam = teamCode(teamParam);
+      if (!normalizedTeam) {
+        throw new HttpError(400, "team query parameter must not be empty");
+      }
+      filtered = source.filter((entry) => {
+        const home = teamCode(entry?.home_team);
+        const away = teamCode(entry?.away_team);
+        return home === normalizedTeam || away === normalizedTeam;
+      });
+      if (!filtered.length) {
+        throw new HttpError(404, `no win probability curve for team ${normalizedTeam}`);
+      }
+      filters.team = normalizedTeam;
+    }
+  }
+
+  // Curves carry one point per play, so default to a single game per chunk.
+  const { data: chunked, pagination } = paginateArray(filtered, url, {
+    defaultChunkSize: 1,
+    maxChunkSize: 4
+  });
+
+  const body = {
+    season: resolved.season,
+    week: resolved.week,
+    model: data?.model ?? null,
+    data: chunked,
+    pagination
+  };
+  if (Object.keys(filters).length) {
+    body.filters = filters;
+  }
+  if (!filters.game_id) {
+    body.available_games = source.map((entry) => ({
+      game_id: entry?.game_id ?? null,
+      home_team: entry?.home_team ?? null,
+      away_team: entry?.away_team ?? null
+    }));
+  }
+
+  return json(body, 200, { headers: filterCacheHeaders({ etag, lastModified }) });
+}
+
 async function healthResponse(url) {
   const listing = await listArtifacts();
   const predictions = parseWeekFiles(listing, "predictions");
@@ -635,6 +722,30 @@ async function contextCurrentResponse() {
   );
 }
 
+// manifest.json lists seasons; each season's files are in manifest_<season>.json.
+async function manifestResponse(url) {
+  const season = toInt(url.searchParams.get("season"), "season", null);
+  if (season == null) {
+    const { data, etag, lastModified } = await fetchJsonFile("manifest.json");
+    return json(data, 200, { headers: filterCacheHeaders({ etag, lastModified }) });
+  }
+  let file;
+  try {
+    file = await fetchJsonFile(`manifest_${season}.json`);
+  } catch (err) {
+    if (err instanceof HttpError && err.status === 404) {
+      throw new HttpError(404, `no artifacts listed for season ${season}`);
+    }
+    throw err;
+  }
+  const { data, etag, lastModified } = file;
+  return json(
+    { generated_at: data?.generated_at ?? null, season, data },
+    200,
+    { headers: filterCacheHeaders({ etag, lastModified }) }
+  );
+}
+
 async function artifactResponse(url) {
   const rawPath = url.searchParams.get("path");
   if (!rawPath) {
@@ -690,71 +801,133 @@ function filterHistory(predictions, predicate) {
   return hits;
 }
 
-async function historyResponse(query, mode) {
-  const listing = await listArtifacts();
-  const parsed = parseWeekFiles(listing, "predictions");
-  if (!parsed.length) {
-    throw new HttpError(404, "no prediction artifacts found");
-  }
+const HISTORY_INDEX_FILE = "history_index.json";
+
+function historyMatchupKey(teamA, teamB) {
+  return [teamA, teamB].sort().join("_");
+}
+
+function historyFilter(query, mode) {
   const seasonParam = query.get("season");
-  const seasonFilter = seasonParam ? toInt(seasonParam, "season", null) : null;
-  if (seasonFilter != null && !parsed.some((p) => p.season === seasonFilter)) {
-    throw new HttpError(404, `no predictions for season ${seasonFilter}`);
-  }
-  const seasonsToLoad = seasonFilter != null
-    ? [seasonFilter]
-    : [...new Set(parsed.map((p) => p.season))].sort((a, b) => a - b);
-  const payload = [];
-  for (const item of parsed) {
-    if (!seasonsToLoad.includes(item.season)) continue;
-    const { data } = await fetchJsonFile(item.name).catch(() => ({ data: [] }));
-    payload.push({ season: item.season, week: item.week, data: Array.isArray(data) ? data : [] });
-  }
+  const filter = { season: seasonParam ? toInt(seasonParam, "season", null) : null };
   let predicate;
-  const filter = { season: seasonFilter };
   if (mode === "team") {
     const team = query.get("team");
     if (!team) {
       throw new HttpError(400, "team query parameter required");
     }
-    const teamUpper = team.trim().toUpperCase();
+    const teamUpper = teamCode(team);
     if (!teamUpper) {
       throw new HttpError(400, "team query parameter required");
     }
     filter.team = teamUpper;
     predicate = (game) =>
-      game.home_team?.toUpperCase() === teamUpper || game.away_team?.toUpperCase() === teamUpper;
+      teamCode(game.home_team) === teamUpper || teamCode(game.away_team) === teamUpper;
   } else {
     const home = query.get("home");
     const away = query.get("away");
     if (!home || !away) {
       throw new HttpError(400, "home and away query parameters required");
     }
-    const homeUpper = home.trim().toUpperCase();
-    const awayUpper = away.trim().toUpperCase();
+    const homeUpper = teamCode(home);
+    const awayUpper = teamCode(away);
     if (!homeUpper || !awayUpper) {
       throw new HttpError(400, "home and away query parameters required");
     }
     filter.home = homeUpper;
     filter.away = awayUpper;
     predicate = (game) =>
-      game.home_team?.toUpperCase() === homeUpper && game.away_team?.toUpperCase() === awayUpper;
-  }
-  const filtered = filterHistory(payload, predicate).map((entry) => ({
-    season: entry.season,
-    week: entry.week,
-    game_id: entry.game?.game_id ?? null,
-    home_team: entry.game?.home_team ?? null,
-    away_team: entry.game?.away_team ?? null,
-    forecast: entry.game?.forecast ?? null,
-    probs: entry.game?.probs ?? null,
-    blend_weights: entry.game?.blend_weights ?? null,
-    calibration: entry.game?.calibration ?? null,
-    top_drivers: entry.game?.top_drivers ?? null,
-    natural_language: entry.game?.natural_language ?? null,
-    actual: entry.game?.actual ?? null
-  }));
-  return { filter, data: filtered };
+      teamCode(game.home_team) === homeUpper && teamCode(game.away_team) === awayUpper;
+  }
+  return { filter, predicate };
+}
+
+function historyRow(season, week, game) {
+  return {
+    season,
+    week,
+    game_id: game?.game_id ?? null,
+    home_team: game?.home_team ?? null,
+    away_team: game?.away_team ?? null,
+    forecast: game?.forecast ?? null,
+    probs: game?.probs ?? null,
+    blend_weights: game?.blend_weights ?? null,
+    calibration: game?.calibration ?? null,
+    top_drivers: game?.top_drivers ?? null,
+    natural_language: game?.natural_language ?? null,
+    actual: game?.actual ?? null
+  };
+}
+
+// Served from the history_* index artifacts the trainer writes alongside
+// predictions; null when the index has not been published yet.
+async function historyFromIndex(filter, predicate, mode) {
+  let manifest;
+  try {
+    ({ data: manifest } = await fetchJsonFile(HISTORY_INDEX_FILE));
+  } catch (err) {
+    if (err instanceof HttpError && err.status === 404) return null;
+    throw err;
+  }
+  const seasons = Array.isArray(manifest?.seasons) ? manifest.seasons : [];
+  if (!seasons.length) {
+    throw new HttpError(404, "no prediction artifacts found");
+  }
+  if (filter.season != null && !seasons.includes(filter.season)) {
+    throw new HttpError(404, `no predictions for season ${filter.season}`);
+  }
+  let file = null;
+  if (mode === "team") {
+    if (manifest.teams?.[filter.team]) file = `history_team_${filter.team}.json`;
+  } else {
+    const key = historyMatchupKey(filter.home, filter.away);
+    if (manifest.matchups?.[key]) file = `history_matchup_${key}.json`;
+  }
+  if (!file) return [];
+  const { data } = await fetchJsonFile(file);
+  const games = Array.isArray(data?.games) ? data.games : [];
+  return games
+    .filter((game) => (filter.season == null || game.season === filter.season) && predicate(game))
+    .map((game) => historyRow(game.season, game.week, game))
+    .sort((a, b) => (a.season - b.season) || (a.week - b.week));
+}
+
+// Fallback: fetch every weekly predictions artifact and filter.
+async function historyFromScan(filter, predicate) {
+  const listing = await listArtifacts();
+  const parsed = parseWeekFiles(listing, "predictions");
+  if (!parsed.length) {
+    throw new HttpError(404, "no prediction artifacts found");
+  }
+  const seasonFilter = filter.season;
+  if (seasonFilter != null && !parsed.some((p) => p.season === seasonFilter)) {
+    throw new HttpError(404, `no predictions for season ${seasonFilter}`);
+  }
+  const seasonsToLoad = seasonFilter != null
+    ? [seasonFilter]
+    : [...new Set(parsed.map((p) => p.season))].sort((a, b) => a - b);
+  const payload = [];
+  for (const item of parsed) {
+    if (!seasonsToLoad.includes(item.season)) continue;
+    const { data } = await fetchJsonFile(item.name).catch(() => ({ data: [] }));
+    payload.push({ season: item.season, week: item.week, data: Array.isArray(data) ? data : [] });
+  }
+  return filterHistory(payload, predicate).map((entry) => historyRow(entry.season, entry.week, entry.game));
+}
+
+async function historyResponse(url, mode) {
+  const { filter, predicate } = historyFilter(url.searchParams, mode);
+  let source = "index";
+  let rows = await historyFromIndex(filter, predicate, mode);
+  if (rows == null) {
+    source = "scan";
+    rows = await historyFromScan(filter, predicate);
+  }
+  const { data, pagination } = paginateArray(rows, url, {
+    defaultChunkSize: 200,
+    maxChunkSize: 1000
+  });
+  return { filter, data, pagination, source };
 }
 
 async function respondWithVariantPredictions(url) {
@@ -780,11 +953,8 @@ async function respondWithVariantPredictions(url) {
   const paddedWeek = String(week).padStart(2, "0");
   const filename = `predictions_${season}_W${paddedWeek}_${normalizedVariant}.json`;
 
-  const { rawBase } = resolveConfig();
-  const url_str = `${rawBase}/${filename}`;
-
   try {
-    const { data, etag, lastModified } = await fetchArtifactJson(url_str, filename);
+    const { data, etag, lastModified } = await fetchJsonFile(filename);
     return json(
       {
         season,
@@ -803,6 +973,89 @@ async function respondWithVariantPredictions(url) {
   }
 }
 
+// Constant-time comparison so the key cannot be recovered from response timing.
+function sameSecret(given, expected) {
+  const a = new TextEncoder().encode(String(given));
+  const b = new TextEncoder().encode(String(expected));
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < b.length; i++) diff |= (a[i] ?? 0) ^ b[i];
+  return diff === 0;
+}
+
+function authorizePredict(req) {
+  const expected = storeEnv.PREDICT_API_KEY;
+  if (!expected) {
+    throw new HttpError(503, "prediction API disabled: PREDICT_API_KEY is not configured");
+  }
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.get("authorization") || "");
+  const given = req.headers.get("x-api-key") || bearer?.[1];
+  if (!given) {
+    throw new HttpError(401, "API key required (x-api-key or Authorization: Bearer)");
+  }
+  if (!sameSecret(given.trim(), expected)) {
+    throw new HttpError(403, "invalid API key");
+  }
+}
+
+// Latest model that was written with a team state of the same week; older
+// model artifacts predate team_state and cannot rebuild a feature row.
+async function latestPredictionModel() {
+  const listing = await listArtifacts();
+  const states = new Set(parseWeekFiles(listing, "team_state").map((f) => `${f.season}-${f.week}`));
+  const model = parseWeekFiles(listing, "model").find((f) => states.has(`${f.season}-${f.week}`));
+  if (!model) {
+    throw new HttpError(404, "no model artifact with a matching team_state artifact");
+  }
+  return {
+    season: model.season,
+    week: model.week,
+    modelFile: model.name,
+    stateFile: buildWeekFilename("team_state", model.season, model.week)
+  };
+}
+
+async function predictResponse(req) {
+  if (req.method !== "POST") {
+    throw new HttpError(405, "use POST");
+  }
+  authorizePredict(req);
+  let body;
+  try {
+    body = await req.json();
+  } catch (err) {
+    throw new HttpError(400, "request body must be JSON");
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "request body must be a JSON object");
+  }
+  if (body.context != null && (typeof body.context !== "object" || Array.isArray(body.context))) {
+    throw new HttpError(400, "context must be an object");
+  }
+  const latest = await latestPredictionModel();
+  const [{ data: model }, { data: teamState }] = await Promise.all([
+    fetchJsonFile(latest.modelFile),
+    fetchJsonFile(latest.stateFile)
+  ]);
+  try {
+    const prediction = predictMatchup({
+      model,
+      teamState,
+      home: body.home_team,
+      away: body.away_team,
+      neutralSite: body.neutral_site === true,
+      context: body.context || {}
+    });
+    return json(
+      { season: latest.season, week: latest.week, model: latest.modelFile, ...prediction },
+      200,
+      { headers: { "cache-control": "no-store" } }
+    );
+  } catch (err) {
+    if (err instanceof PredictError) throw new HttpError(err.status, err.message);
+    throw err;
+  }
+}
+
 async function respondWithVisualization(type, url) {
   const season = toInt(url.searchParams.get("season"), "season", null);
   const week = toInt(url.searchParams.get("week"), "week", null);
@@ -814,12 +1067,8 @@ async function respondWithVisualization(type, url) {
   const paddedWeek = String(week).padStart(2, "0");
   const filename = `${type}_${season}_W${paddedWeek}.html`;
 
-  const { rawBase } = resolveConfig();
-  const url_str = `${rawBase}/visualizations/${filename}`;
-
   try {
     const cacheTtl = CACHE_TTL();
-    let resp;
 
     if (artifactCache) {
       const cacheKey = `viz:${filename}`;
@@ -836,16 +1085,12 @@ async function respondWithVisualization(type, url) {
       }
     }
 
-    resp = await fetch(url_str, { cf: { cacheEverything: true, cacheTtl } });
-
-    if (!resp.ok) {
-      if (resp.status === 404) {
-        throw new HttpError(404, `${type} visualization not found for season ${season} week ${week}`);
-      }
-      throw new HttpError(resp.status || 502, `Failed to fetch visualization: ${resp.status}`);
+    const object = await readArtifact(`visualizations/${filename}`);
+    if (!object) {
+      throw new HttpError(404, `${type} visualization not found for season ${season} week ${week}`);
     }
 
-    const html = await resp.text();
+    const html = object.body;
 
     if (artifactCache) {
       const cacheKey = `viz:${filename}`;
@@ -875,129 +1120,172 @@ function corsPreflight() {
   return new Response(null, { status: 204, headers: baseHeaders(204) });
 }
 
+// Answer a conditional GET whose If-None-Match carries the artifact's ETag
+// with 304, so API clients (the dashboard's data client) revalidate cheaply.
+function notModified(req, response) {
+  const etag = response.headers.get("ETag");
+  const ifNoneMatch = req.headers.get("If-None-Match");
+  if (req.method !== "GET" || response.status !== 200 || !etag || !ifNoneMatch) {
+    return response;
+  }
+  const tags = ifNoneMatch.split(",").map((tag) => tag.trim());
+  if (!tags.includes(etag) && !tags.includes("*")) {
+    return response;
+  }
+  return new Response(null, { status: 304, headers: response.headers });
+}
+
 export default {
   async fetch(req, env) {
-    applyRuntimeConfig(env);
-    if (req.method === "OPTIONS") {
-      return corsPreflight();
-    }
-    enforceRateLimit(req, env);
-    try {
-      enforceRateLimit(req, env);
-      const url = new URL(req.url);
-      const path = url.pathname.replace(/\/+$/, "") || "/";
-      if (path === "/") {
-        return json({ ok: true, message: "nfl predictions worker" });
-      }
-      if (path === "/health") {
-        return await healthResponse(url);
-      }
-      if (path === "/status") {
-        return await healthResponse(url);
-      }
-      if (path === "/weeks") {
-        return await weeksResponse(url);
-      }
-      if (path === "/season/index") {
-        return await respondWithSeasonArtifact("season_index", url);
-      }
-      if (path === "/season/summary") {
-        return await respondWithSeasonArtifact("season_summary", url);
-      }
-      if (path === "/predictions") {
-        return await respondWithArtifact("predictions", url);
-      }
-      if (path === "/predictions/current") {
-        return await respondWithArtifact("predictions", url);
-      }
-      if (path === "/context") {
-        return await respondWithContext(url);
-      }
-      if (path === "/context/current") {
-        return await contextCurrentResponse();
-      }
-      if (path === "/injuries") {
-        return await respondWithInjuries(url);
-      }
-      if (path === "/injuries/current") {
-        return await respondWithInjuries(url);
-      }
-      if (path === "/weather") {
-        return await respondWithArtifact("weather", url);
-      }
-      if (path === "/weather/current") {
-        return await respondWithArtifact("weather", url);
-      }
-      if (path === "/explain") {
-        return await respondWithArtifact("explain", url);
-      }
-      if (path === "/models") {
-        return await respondWithArtifact("model", url);
-      }
-      if (path === "/diagnostics") {
-        return await respondWithArtifact("diagnostics", url);
-      }
-      if (path === "/outcomes") {
-        return await respondWithArtifact("outcomes", url);
-      }
-      if (path === "/metrics/week") {
-        return await respondWithArtifact("metrics", url);
-      }
-      if (path === "/metrics/season") {
-        return await respondWithSeasonArtifact("metrics", url);
-      }
-      if (path === "/leaderboard") {
-        return await leaderboardResponse(url);
-      }
-      if (path === "/history/team") {
-        const { filter, data } = await historyResponse(url.searchParams, "team");
-        return json({ team: filter.team, season: filter.season, data });
-      }
-      if (path === "/history/game") {
-        const { filter, data } = await historyResponse(url.searchParams, "matchup");
-        return json({ home: filter.home, away: filter.away, season: filter.season, data });
-      }
-      if (path === "/artifact") {
-        return await artifactResponse(url);
-      }
+    return notModified(req, await handleRequest(req, env));
+  }
+};
 
-      // Enhanced analysis endpoints (new)
-      if (path === "/analysis/roi") {
-        return await respondWithArtifact("roi_analysis", url);
-      }
-      if (path === "/analysis/segments") {
-        return await respondWithArtifact("segmented_report", url);
-      }
-      if (path === "/analysis/errors") {
-        return await respondWithArtifact("error_analysis", url);
-      }
-      if (path === "/analysis/calibration") {
-        return await respondWithArtifact("calibration_metrics", url);
-      }
-      if (path === "/analysis/importance") {
-        return await respondWithArtifact("feature_importance", url);
-      }
+async function handleRequest(req, env) {
+  applyRuntimeConfig(env);
+  if (req.method === "OPTIONS") {
+    return corsPreflight();
+  }
+  enforceRateLimit(req, env);
+  try {
+    enforceRateLimit(req, env);
+    const url = new URL(req.url);
+    const path = url.pathname.replace(/\/+$/, "") || "/";
+    if (path === "/") {
+      return json({ ok: true, message: "nfl predictions worker" });
+    }
+    if (path === "/health") {
+      return await healthResponse(url);
+    }
+    if (path === "/status") {
+      return await healthResponse(url);
+    }
+    if (path === "/weeks") {
+      return await weeksResponse(url);
+    }
+    if (path === "/manifest") {
+      return await manifestResponse(url);
+    }
+    if (path === "/season/index") {
+      return await respondWithSeasonArtifact("season_index", url);
+    }
+    if (path === "/season/summary") {
+      return await respondWithSeasonArtifact("season_summary", url);
+    }
+    if (path === "/predictions") {
+      return await respondWithArtifact("predictions", url);
+    }
+    if (path === "/predictions/current") {
+      return await respondWithArtifact("predictions", url);
+    }
+    if (path === "/predictions/totals") {
+      return await respondWithArtifact("totals", url);
+    }
+    if (path === "/simulations/season") {
+      return await respondWithArtifact("season_sim", url);
+    }
+    if (path === "/predictions/bracket") {
+      return await respondWithArtifact("bracket", url);
+    }
+    if (path === "/predictions/wp") {
+      return await respondWithWinProbability(url);
+    }
+    if (path === "/context") {
+      return await respondWithContext(url);
+    }
+    if (path === "/context/current") {
+      return await contextCurrentResponse();
+    }
+    if (path === "/injuries") {
+      return await respondWithInjuries(url);
+    }
+    if (path === "/injuries/current") {
+      return await respondWithInjuries(url);
+    }
+    if (path === "/weather") {
+      return await respondWithArtifact("weather", url);
+    }
+    if (path === "/weather/current") {
+      return await respondWithArtifact("weather", url);
+    }
+    if (path === "/explain") {
+      return await respondWithArtifact("explain", url);
+    }
+    if (path === "/models") {
+      return await respondWithArtifact("model", url);
+    }
+    if (path === "/diagnostics") {
+      return await respondWithArtifact("diagnostics", url);
+    }
+    if (path === "/outcomes") {
+      return await respondWithArtifact("outcomes", url);
+    }
+    if (path === "/metrics/week") {
+      return await respondWithArtifact("metrics", url);
+    }
+    if (path === "/metrics/season") {
+      return await respondWithSeasonArtifact("metrics", url);
+    }
+    if (path === "/leaderboard") {
+      return await leaderboardResponse(url);
+    }
+    if (path === "/history/team") {
+      const { filter, data, pagination, source } = await historyResponse(url, "team");
+      return json({ team: filter.team, season: filter.season, data, pagination, source });
+    }
+    if (path === "/history/game") {
+      const { filter, data, pagination, source } = await historyResponse(url, "matchup");
+      return json({ home: filter.home, away: filter.away, season: filter.season, data, pagination, source });
+    }
+    if (path === "/artifact") {
+      return await artifactResponse(url);
+    }
+    if (path === "/predict") {
+      return await predictResponse(req);
+    }
 
-      // A/B testing variant predictions (new)
-      if (path === "/predictions/variant") {
-        return await respondWithVariantPredictions(url);
-      }
+    // Enhanced analysis endpoints (new)
+    if (path === "/analysis/roi") {
+      return await respondWithArtifact("roi_analysis", url);
+    }
+    if (path === "/analysis/clv") {
+      return await respondWithArtifact("clv", url);
+    }
+    if (path === "/analysis/coverage") {
+      return await respondWithSeasonArtifact("coverage", url);
+    }
+    if (path === "/analysis/segments") {
+      return await respondWithArtifact("segmented_report", url);
+    }
+    if (path === "/analysis/errors") {
+      return await respondWithArtifact("error_analysis", url);
+    }
+    if (path === "/analysis/calibration") {
+      return await respondWithArtifact("calibration_metrics", url);
+    }
+    if (path === "/analysis/importance") {
+      return await respondWithArtifact("feature_importance", url);
+    }
 
-      // Visualization endpoints (new)
-      if (path === "/visualizations/calibration") {
-        return await respondWithVisualization("calibration", url);
-      }
-      if (path === "/visualizations/confusion") {
-        return await respondWithVisualization("confusion_matrix", url);
-      }
-      if (path === "/visualizations/importance") {
-        return await respondWithVisualization("feature_importance", url);
-      }
+    // A/B testing variant predictions (new)
+    if (path === "/predictions/variant") {
+      return await respondWithVariantPredictions(url);
+    }
 
-      return json({ error: "Unknown endpoint" }, 404);
-    } catch (err) {
-      const status = err instanceof HttpError ? err.status : 500;
-      return json({ error: String(err?.message || err) }, status);
+    // Visualization endpoints (new)
+    if (path === "/visualizations/calibration") {
+      return await respondWithVisualization("calibration", url);
+    }
+    if (path === "/visualizations/confusion") {
+      return await respondWithVisualization("confusion_matrix", url);
+    }
+    if (path === "/visualizations/importance") {
+      return await respondWithVisualization("feature_importance", url);
     }
+
+    return json({ error: "Unknown endpoint" }, 404);
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    return json({ error: String(err?.message || err) }, status);
   }
-};
+}